@@ -1,11 +1,13 @@
-// analysisWorker.js - Runs generateTrendAnalysis in a worker thread
-// so the Electron main/renderer process stays responsive during heavy Excel writes.
+// analysisWorker.js - Runs generateTrendAnalysis (or, with task 'compare',
+// generatePeriodComparison) in a worker thread so the Electron main/renderer
+// process stays responsive during heavy Excel writes.
 
 const { workerData, parentPort } = require('worker_threads');
 const { generateTrendAnalysis } = require('./trendAnalyzer');
+const { generatePeriodComparison } = require('./periodComparison');
 
 async function run() {
-  const { inputData, outputPath, minConsec, minSpan, messageMap, callerMap, accountMap, userTz, userTzLabel, includeDetailTabs = false, transcriptMap = {}, includeReAttemptTabs = false, pptxOptions = {}, includeSuppressionCandidates = true, jobId = null } = workerData;
+  const { inputData, outputPath, options = {}, jobId = null } = workerData;
 
   // Forward named progress stages back to the main thread so server.js can relay them via SSE
   const progressCallback = jobId
@@ -13,24 +15,15 @@ async function run() {
     : null;
 
   try {
-    await generateTrendAnalysis(
-      inputData,
-      outputPath,
-      minConsec,
-      minSpan,
-      messageMap || {},
-      callerMap || {},
-      accountMap || {},
-      userTz,
-      userTzLabel,
-      includeDetailTabs,
-      transcriptMap,
-      includeReAttemptTabs,
-      includeSuppressionCandidates,
-      pptxOptions,
-      progressCallback
-    );
-    parentPort.postMessage({ ok: true });
+    if (workerData.task === 'compare') {
+      const { currentInput, previousInput, options = {} } = workerData;
+      const summary = await generatePeriodComparison(currentInput, previousInput, outputPath, options, progressCallback);
+      parentPort.postMessage({ ok: true, summary });
+      return;
+    }
+
+    const summary = await generateTrendAnalysis(inputData, outputPath, options, progressCallback);
+    parentPort.postMessage({ ok: true, summary });
   } catch (err) {
     parentPort.postMessage({ ok: false, error: err.message, stack: err.stack });
   }
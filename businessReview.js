@@ -554,6 +554,8 @@ async function generateBusinessReviewSlides(stats, outputPath, logoPath, squareL
     includeSlideDecayCurve       = false,
     includeSlideReAttemptCadence = true,
     includeSlideOpportunities    = true,
+    includeSlideListQuality      = true,
+    includeSlideSendTime         = false,
     overviewCards                = null,
     reAttemptData                = null,
     clientPrefix                 = ''
@@ -576,6 +578,9 @@ async function generateBusinessReviewSlides(stats, outputPath, logoPath, squareL
     totalSuccess,
     overallSuccessRate,
     listGrade,
+    listScore,
+    listScoreFactors = [],
+    gradeGap = '',
     healthyCount,
     toxicCount,
     neverDeliveredCount,
@@ -590,7 +595,9 @@ async function generateBusinessReviewSlides(stats, outputPath, logoPath, squareL
     impliedRemovedCount = 0,
     minDate,
     maxDate,
-    accountIds
+    accountIds,
+    sendTime = null,
+    abTest = null
   } = stats;
 
   // Implied callbacks: numbers delivered then not re-attempted within one cadence window.
@@ -1036,6 +1043,81 @@ async function generateBusinessReviewSlides(stats, outputPath, logoPath, squareL
   ].join('\n'));
   slideFooter(s2);
 
+  // ────────────────────────────────────────────────────────────────────────────
+  // List Quality Score (optional)
+  // Grade card (left) + per-factor contribution table (right) + path to the next grade
+  // ────────────────────────────────────────────────────────────────────────────
+  if (includeSlideListQuality && listScoreFactors.length > 0) {
+    const sq = pptx.addSlide();
+    sq.background = { color: CREAM };
+    const sqHdrH = headerBar(pptx, sq, 'List Quality Score', headerLogo, dateRangeStr);
+    const sqTopY = sqHdrH + 0.45;
+    const gradeColor = listGrade === 'A' || listGrade === 'B' ? GREEN : listGrade === 'C' ? AMBER : RED;
+
+    metricBox(sq, 0.5, sqTopY, 3.4, 2.3, 'LIST GRADE', listGrade, `Score ${listScore} / 100`, gradeColor, 54);
+
+    const headerCellOpts = { bold: true, color: WHITE, fill: NAVY, align: 'center', fontFace: 'Aktiv Grotesk VF Medium', fontSize: 11 };
+    const cell = (txt, opts) => ({ text: txt, options: { color: TEXT_MID, fill: WHITE, align: 'center', fontFace: 'Aktiv Grotesk VF Medium', fontSize: 11, ...opts } });
+    const factorRows = [
+      [
+        { text: 'Factor',            options: { ...headerCellOpts, align: 'left' } },
+        { text: '% of Numbers',      options: headerCellOpts },
+        { text: 'Points',            options: headerCellOpts },
+        { text: 'Share of Max',      options: headerCellOpts }
+      ],
+      ...listScoreFactors.map(f => {
+        const share = f.maxPoints > 0 ? f.points / f.maxPoints : 0;
+        const color = share >= 0.75 ? GREEN : share >= 0.4 ? AMBER : RED;
+        return [
+          cell(f.label, { align: 'left', bold: true }),
+          cell(`${f.value.toFixed(1)}%`),
+          cell(`${f.points.toFixed(1)} / ${f.maxPoints.toFixed(1)}`),
+          cell(`${(share * 100).toFixed(0)}%`, { bold: true, color })
+        ];
+      }),
+      [
+        cell('Total', { align: 'left', bold: true, fill: 'F5F2EF' }),
+        cell('', { fill: 'F5F2EF' }),
+        cell(`${listScore} / 100`, { bold: true, fill: 'F5F2EF' }),
+        cell('', { fill: 'F5F2EF' })
+      ]
+    ];
+    sq.addTable(factorRows, {
+      x: 4.3, y: sqTopY, w: SLIDE_W - 4.8,
+      colW: [3.1, 1.6, 1.8, 2.03],
+      rowH: 0.42,
+      border: { type: 'solid', color: PINK_PALE, pt: 0.75 }
+    });
+
+    const gapY = sqTopY + Math.max(2.3, factorRows.length * 0.42) + 0.45;
+    sq.addShape(RECT, { x: 0.5, y: gapY, w: SLIDE_W - 1.0, h: 0.9,
+      fill: { color: WHITE }, line: { color: PINK_PALE, pt: 1 } });
+    sq.addShape(RECT, { x: 0.5, y: gapY, w: 0.08, h: 0.9,
+      fill: { color: PINK }, line: { color: PINK } });
+    sq.addText(gradeGap ? 'PATH TO THE NEXT GRADE' : 'TOP GRADE', {
+      x: 0.75, y: gapY + 0.1, w: SLIDE_W - 1.5, h: 0.25,
+      fontSize: 10, bold: true, color: PINK, fontFace: 'Aktiv Grotesk VF Medium', charSpacing: 1
+    });
+    sq.addText(gradeGap ? `${gradeGap}.` : 'The list meets every cutoff of the highest grade in the rubric.', {
+      x: 0.75, y: gapY + 0.38, w: SLIDE_W - 1.5, h: 0.42,
+      fontSize: 12, color: TEXT_MID, fontFace: 'Aktiv Grotesk VF Medium', valign: 'top'
+    });
+
+    sq.addNotes([
+      'LIST QUALITY SCORE — Speaker notes',
+      '',
+      `Grade ${listGrade}, score ${listScore}/100.`,
+      '',
+      'HOW THE SCORE WORKS:',
+      'Each factor earns points between its worst and best value; the score is the sum, out of 100. The grade comes from the rubric cutoffs, so the table shows which factor is holding the list back.',
+      gradeGap ? `To move up: ${gradeGap}.` : 'The list already holds the top grade.',
+      '',
+      'EXCEL REFERENCE:',
+      'The same breakdown is in the List Quality Score Breakdown section of the Executive Summary sheet.'
+    ].join('\n'));
+    slideFooter(sq);
+  }
+
   // ────────────────────────────────────────────────────────────────────────────
   // SLIDE 3 – Success Probability by Attempt (optional)
   // ────────────────────────────────────────────────────────────────────────────
@@ -1248,6 +1330,230 @@ async function generateBusinessReviewSlides(stats, outputPath, logoPath, squareL
   slideFooter(s4);
   } // end includeSlideReAttemptCadence
 
+  // ────────────────────────────────────────────────────────────────────────────
+  // Best Time to Deliver (optional)
+  // Hour × day-of-week success heatmap (left) + recommended window card (right)
+  // + recommended windows for the largest accounts / messages / caller numbers
+  // ────────────────────────────────────────────────────────────────────────────
+  if (includeSlideSendTime && sendTime && sendTime.sendWindow) {
+    const st = pptx.addSlide();
+    st.background = { color: CREAM };
+    const stHdrH = headerBar(pptx, st, 'Best Time to Deliver', headerLogo, dateRangeStr);
+    const stTopY = stHdrH + 0.4;
+    const { attempts: hdAtt, successes: hdSuc, sendWindow: bestWindow, windows = [] } = sendTime;
+    const dayLabels = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    // Only the hours that were actually used, so a 9-to-5 program fills the grid
+    const usedHours = [];
+    for (let h = 0; h < 24; h++) {
+      if ([0, 1, 2, 3, 4, 5, 6].some(d => hdAtt[d * 24 + h] > 0)) usedHours.push(h);
+    }
+    const firstHour = usedHours[0], lastHour = usedHours[usedHours.length - 1];
+    const hourCount = lastHour - firstHour + 1;
+    const rates = [];
+    for (let i = 0; i < hdAtt.length; i++) if (hdAtt[i] >= 5) rates.push(hdSuc[i] / hdAtt[i]);
+    const minRate = Math.min(...rates), maxRate = Math.max(...rates);
+    // Red → amber → green by position between the lowest and highest cell
+    const heatColor = rate => {
+      const t = maxRate > minRate ? (rate - minRate) / (maxRate - minRate) : 1;
+      const mix = (a, b, f) => Math.round(a + (b - a) * f);
+      const [from, to, f] = t < 0.5 ? [[0xF8, 0x69, 0x6B], [0xFF, 0xEB, 0x84], t * 2] : [[0xFF, 0xEB, 0x84], [0x63, 0xBE, 0x7B], (t - 0.5) * 2];
+      return from.map((c, i) => mix(c, to[i], f).toString(16).padStart(2, '0')).join('').toUpperCase();
+    };
+
+    const gridX = 0.5, labelW = 0.55, gridW = 8.2, cellH = 0.38;
+    const cellW = (gridW - labelW) / hourCount;
+    for (let h = firstHour; h <= lastHour; h++) {
+      st.addText(String(h).padStart(2, '0'), {
+        x: gridX + labelW + (h - firstHour) * cellW, y: stTopY, w: cellW, h: 0.25,
+        fontSize: hourCount > 16 ? 7 : 9, color: TEXT_SOFT, align: 'center', fontFace: 'Aktiv Grotesk VF Medium'
+      });
+    }
+    for (let d = 0; d < 7; d++) {
+      const rowY = stTopY + 0.28 + d * cellH;
+      st.addText(dayLabels[d], {
+        x: gridX, y: rowY, w: labelW, h: cellH,
+        fontSize: 10, bold: bestWindow.days.includes(d), color: bestWindow.days.includes(d) ? PURPLE : TEXT_MID,
+        fontFace: 'Aktiv Grotesk VF Medium', valign: 'middle'
+      });
+      for (let h = firstHour; h <= lastHour; h++) {
+        const att = hdAtt[d * 24 + h];
+        const rate = att >= 5 ? hdSuc[d * 24 + h] / att : null;
+        const inWindow = bestWindow.days.includes(d) && h >= bestWindow.startHour && h < bestWindow.endHour;
+        st.addShape(RECT, {
+          x: gridX + labelW + (h - firstHour) * cellW, y: rowY, w: cellW, h: cellH,
+          fill: { color: rate === null ? 'EEEAE6' : heatColor(rate) },
+          line: inWindow ? { color: PURPLE, pt: 1.5 } : { color: WHITE, pt: 0.5 }
+        });
+        if (rate !== null && hourCount <= 14) {
+          st.addText(`${Math.round(rate * 100)}%`, {
+            x: gridX + labelW + (h - firstHour) * cellW, y: rowY, w: cellW, h: cellH,
+            fontSize: 8, color: TEXT_MID, align: 'center', valign: 'middle', fontFace: 'Aktiv Grotesk VF Medium'
+          });
+        }
+      }
+    }
+    st.addText('Success rate by hour (local time of each result) · grey = fewer than 5 attempts · outlined = recommended window', {
+      x: gridX, y: stTopY + 0.32 + 7 * cellH, w: gridW, h: 0.25,
+      fontSize: 9, italic: true, color: TEXT_SOFT, fontFace: 'Aktiv Grotesk VF Medium'
+    });
+
+    metricBox(st, 9.1, stTopY, SLIDE_W - 9.6, 2.0, 'RECOMMENDED WINDOW', bestWindow.label,
+      `${(bestWindow.successRate * 100).toFixed(1)}% vs. ${(bestWindow.baselineRate * 100).toFixed(1)}% overall (${bestWindow.liftPts >= 0 ? '+' : ''}${bestWindow.liftPts.toFixed(1)} pts)`,
+      bestWindow.liftPts >= 5 ? GREEN : PURPLE, 22);
+    st.addText(`Based on ${bestWindow.attempts.toLocaleString()} attempts in the window. Hours are in the local time of each result.`, {
+      x: 9.1, y: stTopY + 2.15, w: SLIDE_W - 9.6, h: 0.6,
+      fontSize: 10, color: TEXT_SOFT, fontFace: 'Aktiv Grotesk VF Medium', valign: 'top'
+    });
+
+    // Recommended windows for the largest accounts, messages and caller numbers (full width, below the grid)
+    const tableRows = windows.filter(w => w.window).slice(0, 5);
+    if (tableRows.length > 0) {
+      const hdrOpts = { bold: true, color: WHITE, fill: NAVY, align: 'center', fontFace: 'Aktiv Grotesk VF Medium', fontSize: 10 };
+      const cell = (txt, opts) => ({ text: txt, options: { color: TEXT_MID, fill: WHITE, align: 'center', fontFace: 'Aktiv Grotesk VF Medium', fontSize: 10, ...opts } });
+      st.addTable([
+        [
+          { text: 'Type', options: { ...hdrOpts, align: 'left' } },
+          { text: 'Name', options: { ...hdrOpts, align: 'left' } },
+          { text: 'Recommended Window', options: hdrOpts },
+          { text: 'Window Success', options: hdrOpts },
+          { text: 'Lift', options: hdrOpts }
+        ],
+        ...tableRows.map(r => [
+          cell(r.type, { align: 'left' }),
+          cell(r.name, { align: 'left', bold: true }),
+          cell(r.window.label),
+          cell(`${(r.window.successRate * 100).toFixed(1)}%`),
+          cell(`${r.window.liftPts >= 0 ? '+' : ''}${r.window.liftPts.toFixed(1)} pts`, {
+            bold: true, color: r.window.liftPts >= 5 ? GREEN : TEXT_MID
+          })
+        ])
+      ], {
+        x: 0.5, y: stTopY + 0.7 + 7 * cellH, w: SLIDE_W - 1.0,
+        colW: [1.6, 4.33, 3.2, 1.7, 1.5],
+        rowH: 0.3,
+        border: { type: 'solid', color: PINK_PALE, pt: 0.75 }
+      });
+    }
+
+    st.addNotes([
+      'BEST TIME TO DELIVER — Speaker notes',
+      '',
+      `Recommended window: ${bestWindow.label}, ${(bestWindow.successRate * 100).toFixed(1)}% success vs. ${(bestWindow.baselineRate * 100).toFixed(1)}% overall.`,
+      '',
+      'HOW TO READ THIS:',
+      'Each cell is the DDVM success rate for attempts made in that hour on that day. The recommended window is the best-performing 3-hour block, on the days not measurably below the overall rate.',
+      `Windows are only recommended when their 95% confidence interval (${(bestWindow.successRateLow * 100).toFixed(1)}–${(bestWindow.successRateHigh * 100).toFixed(1)}% here) sits above the overall rate, so the lift is not down to chance.`,
+      'Moving campaign start times into the window is a no-cost change – the same list and messages, delivered when carriers and voicemail platforms accept them most often.',
+      'Small programs can show noisy cells; weigh the recommendation by the attempt counts on the Send Time Analysis tab.',
+      '',
+      'EXCEL REFERENCE:',
+      'The Send Time Analysis tab has the heatmap and a recommended window for every account, message and caller number.'
+    ].join('\n'));
+    slideFooter(st);
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // A/B Comparison (when the analysis was run with an A/B test)
+  // Success rate by attempt number per variant (left) + result card (right)
+  // + variant table with the adjusted lift vs. the control
+  // ────────────────────────────────────────────────────────────────────────────
+  if (abTest && abTest.variants.length >= 2) {
+    const MAX_AB_SLIDE_VARIANTS = 6;
+    const ab = pptx.addSlide();
+    ab.background = { color: CREAM };
+    const abHdrH = headerBar(pptx, ab, `A/B Comparison – ${abTest.type === 'caller' ? 'Caller Numbers' : 'Messages'}`, headerLogo, dateRangeStr);
+    const abTopY = abHdrH + 0.3;
+    const shown = abTest.variants.slice(0, MAX_AB_SLIDE_VARIANTS);
+    const comparisonFor = v => abTest.comparisons.find(c => c.id === v.id) || null;
+    const variantName = v => `${v.label}: ${v.name || v.id}`;
+
+    ab.addText('Success rate by attempt number', {
+      x: 0.5, y: abTopY, w: 8.2, h: 0.3,
+      fontSize: 12, bold: true, color: NAVY, fontFace: 'Aktiv Grotesk VF Medium'
+    });
+    ab.addChart('bar',
+      shown.map(v => ({
+        name: variantName(v),
+        labels: ['Attempt 1', 'Attempt 2', 'Attempt 3', 'Attempt 4+'],
+        values: v.byAttempt.map(c => (c.successRate === null ? 0 : Math.round(c.successRate * 1000) / 10))
+      })),
+      {
+        x: 0.5, y: abTopY + 0.3, w: 8.2, h: 2.6,
+        barDir: 'col', barGrouping: 'clustered',
+        chartColors: [PURPLE, PINK, BLUE, PINK_LIGHT, PURPLE_LIGHT, BLUE_LIGHT].slice(0, shown.length),
+        showValue: true, dataLabelFontSize: 8, dataLabelFormatCode: '0"%"',
+        valAxisHidden: true, valGridLine: { style: 'none' },
+        catAxisLabelFontSize: 10, catAxisLabelColor: TEXT_MID,
+        showLegend: true, legendPos: 'b', legendFontSize: 9
+      }
+    );
+
+    const winner = abTest.variants.find(v => v.id === abTest.winner) || null;
+    const winnerCmp = winner ? comparisonFor(winner) : null;
+    metricBox(ab, 9.1, abTopY, SLIDE_W - 9.6, 2.0, 'RESULT',
+      winner ? `${winner.label} wins` : 'No clear winner',
+      winnerCmp
+        ? `+${winnerCmp.liftPts.toFixed(1)} pts vs. A after controlling for day and attempt number`
+        : (winner ? 'A beats every variant after controlling for day and attempt number' : 'Differences are within what chance alone would produce'),
+      winner ? GREEN : AMBER, 26);
+    ab.addText(abTest.summary, {
+      x: 9.1, y: abTopY + 2.1, w: SLIDE_W - 9.6, h: 0.85,
+      fontSize: 9, color: TEXT_SOFT, fontFace: 'Aktiv Grotesk VF Medium', valign: 'top'
+    });
+
+    const hdrOpts = { bold: true, color: WHITE, fill: NAVY, align: 'center', fontFace: 'Aktiv Grotesk VF Medium', fontSize: 10 };
+    const cell = (txt, opts) => ({ text: txt, options: { color: TEXT_MID, fill: WHITE, align: 'center', fontFace: 'Aktiv Grotesk VF Medium', fontSize: 10, ...opts } });
+    ab.addTable([
+      [
+        { text: 'Variant', options: hdrOpts },
+        { text: 'Name', options: { ...hdrOpts, align: 'left' } },
+        { text: 'Attempts', options: hdrOpts },
+        { text: 'Success Rate', options: hdrOpts },
+        { text: 'Adjusted Lift vs. A', options: hdrOpts },
+        { text: 'Result', options: hdrOpts }
+      ],
+      ...shown.map((v, i) => {
+        const cmp = i > 0 ? comparisonFor(v) : null;
+        let result = 'Control', color = TEXT_MID;
+        if (cmp) {
+          if (!cmp.tested) result = 'Not enough data';
+          else if (!cmp.significant) result = 'No measurable difference';
+          else if (cmp.liftPts > 0) { result = 'Better than A'; color = GREEN; }
+          else { result = 'Worse than A'; color = RED; }
+        }
+        return [
+          cell(v.label, { bold: true }),
+          cell(v.name || String(v.id), { align: 'left' }),
+          cell(v.attempts.toLocaleString()),
+          cell(v.successRate === null ? '–' : `${(v.successRate * 100).toFixed(1)}%`),
+          cell(cmp && cmp.liftPts !== null ? `${cmp.liftPts >= 0 ? '+' : ''}${cmp.liftPts.toFixed(1)} pts` : '–'),
+          cell(result, { bold: result !== 'Control', color })
+        ];
+      })
+    ], {
+      x: 0.5, y: abTopY + 3.1, w: SLIDE_W - 1.0,
+      colW: [1.0, 4.13, 1.6, 1.7, 2.0, 1.9],
+      rowH: 0.3,
+      border: { type: 'solid', color: PINK_PALE, pt: 0.75 }
+    });
+
+    ab.addNotes([
+      'A/B COMPARISON — Speaker notes',
+      '',
+      abTest.summary,
+      '',
+      'HOW TO READ THIS:',
+      'Raw success rates favour whichever recording happened to go out on more first attempts or on stronger days. The adjusted lift only compares attempts made on the same day of week and attempt number as A, so it reflects the recording itself.',
+      'A variant is called better or worse only when the difference is statistically significant (p < 0.05). "No measurable difference" means the test cannot tell them apart yet – more volume may settle it.',
+      abTest.variants.length > MAX_AB_SLIDE_VARIANTS ? `Only the first ${MAX_AB_SLIDE_VARIANTS} variants are shown here.` : '',
+      '',
+      'EXCEL REFERENCE:',
+      'The AB Comparison tab has every variant with matched attempts, adjusted rates, p-values and the day-of-week and attempt-number breakdowns.'
+    ].filter((line, i, arr) => line !== '' || arr[i - 1] !== '').join('\n'));
+    slideFooter(ab);
+  }
+
   // ────────────────────────────────────────────────────────────────────────────
   // SLIDE 5 – Recommended Actions (optional)
   // Cards with navy left accent bar (matches VoApps brand purple/pink motif)
@@ -1571,4 +1877,195 @@ async function generateBusinessReviewSlides(stats, outputPath, logoPath, squareL
   await pptx.writeFile({ fileName: outputPath });
 }
 
-module.exports = { generateBusinessReviewSlides };
+// ─── Period comparison deck ───────────────────────────────────────────────────
+
+/**
+ * Slide deck for a period-over-period comparison (periodComparison.js).
+ * Title → What Changed (headline cards + highlights) → Delivery Detail → Message & Caller Movers.
+ * @param {Object} comparison - Result of comparePeriods()
+ * @param {string} outputPath - Output .pptx path
+ * @param {Object} [options]
+ * @param {string} [options.clientPrefix='']
+ */
+async function generateComparisonSlides(comparison, outputPath, squareLogo, circleLogo, options = {}) {
+  const { clientPrefix = '' } = options;
+  const { periods, overview, listGrade, tnHealth, decayCurve, cadence, messages, callers, highlights } = comparison;
+
+  const pptx = new pptxgen();
+  pptx.layout  = 'LAYOUT_WIDE';
+  pptx.author  = 'VoApps Tools';
+  pptx.subject = 'Period Comparison';
+  pptx.title   = 'VoApps Period-over-Period Comparison';
+
+  const fmtDate = iso => iso
+    ? new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }).toUpperCase()
+    : '';
+  const rangeOf = p => `${fmtDate(p.dateRange.min)} – ${fmtDate(p.dateRange.max)}`;
+  const subheading = `${rangeOf(periods.current)}  vs  ${rangeOf(periods.previous)}`;
+  const fmtRate = r => (r === null ? '—' : `${(r * 100).toFixed(1)}%`);
+  const fmtPts  = d => (d === null ? '—' : `${d >= 0 ? '+' : ''}${(d * 100).toFixed(1)} pts`);
+  const changeColor = (c, neutral = TEXT_SOFT) => (!c.significant ? neutral : c.delta > 0 ? GREEN : RED);
+
+  // ── Title ────────────────────────────────────────────────────────────────────
+  const s1 = pptx.addSlide();
+  s1.addShape(RECT, { x: 0, y: 0, w: SLIDE_W, h: SLIDE_H, fill: { color: NAVY }, line: { color: NAVY } });
+  s1.addShape(RECT, { x: 0, y: 2.7, w: SLIDE_W, h: 0.05, fill: { color: PINK }, line: { color: PINK } });
+  s1.addShape(RECT, { x: 0, y: SLIDE_H - 0.06, w: SLIDE_W, h: 0.06, fill: { color: PINK }, line: { color: PINK } });
+  if (circleLogo) {
+    const logoSize = 1.6;
+    s1.addImage({ path: circleLogo, x: SLIDE_W / 2 - logoSize / 2, y: 0.7, w: logoSize, h: logoSize });
+  }
+  s1.addText('Period-over-Period Comparison', {
+    x: 0.5, y: 2.85, w: SLIDE_W - 1.0, h: 1.0,
+    fontSize: 40, bold: true, color: WHITE, fontFace: 'IvyPresto Text', align: 'center', valign: 'middle'
+  });
+  s1.addText(`${periods.current.label}: ${rangeOf(periods.current)}`, {
+    x: 0.5, y: 3.92, w: SLIDE_W - 1.0, h: 0.42,
+    fontSize: 17, color: PINK_LIGHT, fontFace: 'Aktiv Grotesk VF Medium', align: 'center'
+  });
+  s1.addText(`${periods.previous.label}: ${rangeOf(periods.previous)}`, {
+    x: 0.5, y: 4.34, w: SLIDE_W - 1.0, h: 0.36,
+    fontSize: 13, color: PINK_PALE, fontFace: 'Aktiv Grotesk VF Medium', align: 'center'
+  });
+  if (clientPrefix) {
+    s1.addText(clientPrefix, {
+      x: 0.5, y: 4.8, w: SLIDE_W - 1.0, h: 0.30,
+      fontSize: 13, bold: true, color: WHITE, fontFace: 'Aktiv Grotesk VF Medium', align: 'center'
+    });
+  }
+  s1.addNotes([
+    'TITLE SLIDE — Speaker notes',
+    '',
+    `This deck compares ${periods.current.label.toLowerCase()} (${rangeOf(periods.current)}) with ${periods.previous.label.toLowerCase()} (${rangeOf(periods.previous)}).`,
+    'Both periods were analyzed with the same thresholds, TN Health rules and list grade rubric, so every change reflects the data rather than the settings.'
+  ].join('\n'));
+
+  // ── What Changed ─────────────────────────────────────────────────────────────
+  const s2 = pptx.addSlide();
+  s2.background = { color: CREAM };
+  const s2HdrH = headerBar(pptx, s2, 'What Changed', squareLogo, subheading);
+  const cardY = s2HdrH + 0.4;
+  const cardW = (SLIDE_W - 1.0 - 3 * 0.25) / 4;
+  const [delivered, firstAttempt] = overview.rates;
+  const uniqueNumbers = overview.volumes.find(v => v.label === 'Unique Phone Numbers');
+  const rateSub = c => `was ${fmtRate(c.previous)} · ${fmtPts(c.delta)}${c.significant ? ' (significant)' : ''}`;
+  const gradeColor = listGrade.direction === 'improved' ? GREEN : listGrade.direction === 'declined' ? RED : PURPLE;
+
+  metricBox(s2, 0.5, cardY, cardW, 1.9, 'DELIVERED %', fmtRate(delivered.current), rateSub(delivered), changeColor(delivered, PINK));
+  metricBox(s2, 0.5 + (cardW + 0.25), cardY, cardW, 1.9, 'FIRST-ATTEMPT SUCCESS', fmtRate(firstAttempt.current), rateSub(firstAttempt), changeColor(firstAttempt, PURPLE));
+  metricBox(s2, 0.5 + 2 * (cardW + 0.25), cardY, cardW, 1.9, 'LIST GRADE', `${listGrade.previous} → ${listGrade.current}`,
+    `score ${listGrade.previousScore} → ${listGrade.currentScore}`, gradeColor);
+  metricBox(s2, 0.5 + 3 * (cardW + 0.25), cardY, cardW, 1.9, 'UNIQUE NUMBERS', uniqueNumbers.current.toLocaleString(),
+    `was ${uniqueNumbers.previous.toLocaleString()}${uniqueNumbers.pctChange !== null ? ` · ${uniqueNumbers.pctChange >= 0 ? '+' : ''}${(uniqueNumbers.pctChange * 100).toFixed(1)}%` : ''}`, BLUE);
+
+  const hlY = cardY + 2.2;
+  const hlH = SLIDE_H - hlY - 0.55;
+  s2.addShape(RECT, { x: 0.5, y: hlY, w: SLIDE_W - 1.0, h: hlH, fill: { color: WHITE }, line: { color: PINK_PALE, pt: 1 } });
+  s2.addShape(RECT, { x: 0.5, y: hlY, w: 0.08, h: hlH, fill: { color: PINK }, line: { color: PINK } });
+  s2.addText('STATISTICALLY SIGNIFICANT CHANGES', {
+    x: 0.75, y: hlY + 0.12, w: SLIDE_W - 1.5, h: 0.28,
+    fontSize: 10, bold: true, color: PINK, fontFace: 'Aktiv Grotesk VF Medium', charSpacing: 1
+  });
+  const shown = highlights.slice(0, 8);
+  s2.addText(shown.length > 0
+    ? shown.map(h => ({ text: h, options: { bullet: true, breakLine: true } }))
+    : 'No change between the two periods is statistically significant at 95% confidence – performance held steady.', {
+    x: 0.75, y: hlY + 0.45, w: SLIDE_W - 1.5, h: hlH - 0.55,
+    fontSize: 12, color: TEXT_MID, fontFace: 'Aktiv Grotesk VF Medium', valign: 'top', shrinkText: true
+  });
+  s2.addNotes([
+    'WHAT CHANGED — Speaker notes',
+    '',
+    'Cards show the current period with the previous value and the change underneath. A card is colored green or red only when the change is statistically significant.',
+    'Significance uses a two-proportion z-test at 95% confidence: the change is unlikely to be random week-to-week variation.',
+    highlights.length > shown.length ? `${highlights.length - shown.length} more significant change(s) are listed in the Comparison Summary sheet.` : '',
+    '',
+    'EXCEL REFERENCE:',
+    'The Comparison Summary sheet has every metric with p-values.'
+  ].filter(Boolean).join('\n'));
+  slideFooter(s2, 'VoApps Period-over-Period Comparison');
+
+  // ── Shared table helpers ─────────────────────────────────────────────────────
+  const headerCellOpts = { bold: true, color: WHITE, fill: NAVY, align: 'center', fontFace: 'Aktiv Grotesk VF Medium', fontSize: 10 };
+  const cell = (txt, opts) => ({ text: String(txt), options: { color: TEXT_MID, fill: WHITE, align: 'center', fontFace: 'Aktiv Grotesk VF Medium', fontSize: 10, ...opts } });
+  const rateRow = (label, c) => [
+    cell(label, { align: 'left', bold: true }),
+    cell(fmtRate(c.previous)),
+    cell(fmtRate(c.current)),
+    cell(fmtPts(c.delta), { bold: c.significant, color: changeColor(c) }),
+    cell(c.significant ? 'Yes' : c.pValue === null ? '—' : 'No', { bold: c.significant, color: changeColor(c) })
+  ];
+  const rateHeader = first => [
+    { text: first,         options: { ...headerCellOpts, align: 'left' } },
+    { text: 'Previous',    options: headerCellOpts },
+    { text: 'Current',     options: headerCellOpts },
+    { text: 'Change',      options: headerCellOpts },
+    { text: 'Significant', options: headerCellOpts }
+  ];
+
+  // ── Delivery Detail ──────────────────────────────────────────────────────────
+  const s3 = pptx.addSlide();
+  s3.background = { color: CREAM };
+  const s3HdrH = headerBar(pptx, s3, 'Delivery Detail', squareLogo, subheading);
+  const tableY = s3HdrH + 0.35;
+  const halfW = (SLIDE_W - 1.0 - 0.3) / 2;
+  const colW = [2.2, 0.9, 0.9, 1.05, halfW - 5.05];
+
+  s3.addTable([
+    rateHeader('Delivery & TN Health'),
+    ...overview.rates.map(c => rateRow(c.label, c)),
+    ...tnHealth.map(c => rateRow(`${c.label} (% of numbers)`, c))
+  ], { x: 0.5, y: tableY, w: halfW, colW, rowH: 0.36, border: { type: 'solid', color: PINK_PALE, pt: 0.75 } });
+
+  s3.addTable([
+    rateHeader('Success by Attempt'),
+    ...decayCurve.slice(0, 5).map(c => rateRow(c.label, c)),
+    rateHeader('Re-attempt Interval'),
+    ...cadence.shares.filter(c => c.current || c.previous).map(c => rateRow(c.label, c))
+  ], { x: 0.5 + halfW + 0.3, y: tableY, w: halfW, colW, rowH: 0.3, border: { type: 'solid', color: PINK_PALE, pt: 0.75 } });
+
+  s3.addNotes([
+    'DELIVERY DETAIL — Speaker notes',
+    '',
+    'Left: overall delivery rates and the TN Health mix (share of unique numbers in each classification).',
+    'Right: success probability at each attempt (decay curve) and how re-attempt intervals shifted.',
+    `Median days between attempts: ${cadence.medianDays.previous.toFixed(1)} → ${cadence.medianDays.current.toFixed(1)}.`,
+    'Changes in grey are within normal variation; bold green / red changes are statistically significant.'
+  ].join('\n'));
+  slideFooter(s3, 'VoApps Period-over-Period Comparison');
+
+  // ── Message & Caller Movers ──────────────────────────────────────────────────
+  const moverRows = rows => rows.filter(r => r.pValue !== null).slice(0, 8);
+  const topMessages = moverRows(messages);
+  const topCallers  = moverRows(callers);
+  if (topMessages.length > 0 || topCallers.length > 0) {
+    const s4 = pptx.addSlide();
+    s4.background = { color: CREAM };
+    const s4HdrH = headerBar(pptx, s4, 'Message & Caller # Movers', squareLogo, subheading);
+    const moverY = s4HdrH + 0.35;
+    const shorten = (txt, n) => (txt.length > n ? `${txt.slice(0, n - 1)}…` : txt);
+
+    if (topMessages.length > 0) {
+      s4.addTable([rateHeader('Message'), ...topMessages.map(m => rateRow(shorten(m.name, 32), m))],
+        { x: 0.5, y: moverY, w: halfW, colW, rowH: 0.36, border: { type: 'solid', color: PINK_PALE, pt: 0.75 } });
+    }
+    if (topCallers.length > 0) {
+      s4.addTable([rateHeader('Caller #'), ...topCallers.map(c => rateRow(shorten(c.name, 32), c))],
+        { x: 0.5 + halfW + 0.3, y: moverY, w: halfW, colW, rowH: 0.36, border: { type: 'solid', color: PINK_PALE, pt: 0.75 } });
+    }
+    s4.addNotes([
+      'MESSAGE & CALLER # MOVERS — Speaker notes',
+      '',
+      'Messages and caller numbers used in both periods, biggest significant changes first.',
+      `Rows with fewer than ${comparison.settings.minRowAttempts} attempts in either period are not tested and are left off this slide.`,
+      '',
+      'EXCEL REFERENCE:',
+      'The Message Changes and Caller # Changes sheets list every message and caller number, including ones used in only one period.'
+    ].join('\n'));
+    slideFooter(s4, 'VoApps Period-over-Period Comparison');
+  }
+
+  await pptx.writeFile({ fileName: outputPath });
+}
+
+module.exports = { generateBusinessReviewSlides, generateComparisonSlides };
@@ -0,0 +1,592 @@
+#!/usr/bin/env node
+/**
+ * VoApps Tools — Headless CLI
+ *
+ * Runs the same jobs as the desktop app (number search, combine campaigns,
+ * bulk campaign export, executive summary, trend analysis, period comparison)
+ * without Electron or the local HTTP server. Log lines are mirrored to stdout
+ * so the command can be scheduled from cron and its output captured; with
+ * --json they go to stderr instead so stdout carries only the result.
+ *
+ * Exit codes:
+ *   0   Job completed
+ *   1   Job failed
+ *   2   Invalid arguments
+ *   3   No campaigns / no data found for the requested range
+ *   130 Cancelled (SIGINT / SIGTERM)
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const { Writable } = require("stream");
+const { VERSION } = require("./version");
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_NO_DATA = 3;
+const EXIT_CANCELLED = 130;
+
+const COMMANDS = ["search", "combine", "bulk-export", "exec-summary", "analyze", "compare", "checkpoints"];
+
+const USAGE = `VoApps Tools v${VERSION} — headless CLI
+
+Usage:
+  voapps-tools <command> [options]
+
+Commands:
+  search         Phone number history search
+  combine        Combine campaign exports into one CSV (optionally with analysis)
+  bulk-export    Export every campaign CSV individually
+  exec-summary   Campaign-level Executive Summary CSV
+  analyze        Delivery Intelligence analysis of existing CSV files
+  compare        Period-over-period comparison from the local database
+  checkpoints    List combine runs that can be resumed with --resume
+
+Common options:
+  --api-key <key>          VoApps API key (default: $VOAPPS_API_KEY)
+  --accounts <ids>         Comma-separated account IDs
+  --start <YYYY-MM-DD>     Start date
+  --end <YYYY-MM-DD>       End date (default: today)
+  --days <n>               Use the last n days ending on --end instead of --start
+  --quiet                  Suppress log output (results are still printed)
+  --json                   Print only the result summary as JSON on stdout (logs go to stderr)
+  -h, --help               Show this help
+  -v, --version            Show version
+
+search:
+  --numbers <list>         Comma-separated phone numbers
+  --numbers-file <path>    File with one phone number per line
+
+search / combine:
+  --output-mode <mode>     csv | database | both | sync (default: csv)
+                           sync = database, only downloading new or still-running campaigns
+  --columns <list>         Comma-separated CSV columns to keep (default: all)
+  --prefix <name>          Client prefix for output filenames
+  --no-caller              Skip caller number name lookup
+  --no-message-meta        Skip message name/description lookup
+
+combine:
+  --resume <id>            Continue a cancelled/failed combine from its checkpoint
+                           (accounts, dates and options come from the checkpoint)
+
+combine / bulk-export:
+  --concurrency <n>        Campaign reports downloaded in parallel, 1-8 (default: 4)
+
+combine / analyze:
+  --analysis               Generate the Delivery Intelligence workbook (combine)
+  --min-consec <n>         Consecutive unsuccessful attempts threshold (default: 4)
+  --min-span <days>        Minimum run span in days (default: 30)
+  --detail-tabs            Include TN Health, Variability and Number Summary tabs
+  --re-attempt-tabs        Include re-attempt analysis tabs
+  --no-suppression         Omit the Suppression Candidates tab
+  --json-export            Also write the analysis as a versioned .json document
+  --html-report            Also write a self-contained HTML report
+  --suppression-export     Write suppression lists (TXT, CSV with reasons, per account)
+  --suppression-recent <days>
+                           Skip numbers with a success in the last n days (default: 0)
+  --suppression-dedupe <path>
+                           Leave out numbers already on this earlier suppression list
+  --next-attempt           Write a per-number retry/wait/suppress CSV for the next campaign
+  --tn-health-rules <path> JSON file with TN Health classification rules
+  --grade-rubric <path>    JSON file with the list grade rubric (factors and grade cutoffs)
+  --ab-messages <ids>      Comma-separated message IDs to compare as an A/B test (first is A)
+  --ab-callers <numbers>   Comma-separated caller numbers to compare as an A/B test (first is A)
+
+analyze:
+  voapps-tools analyze [options] <file.csv> [more.csv ...]
+
+compare:
+  voapps-tools compare --start <date> --end <date> [options]
+  --compare-start <YYYY-MM-DD>
+  --compare-end <YYYY-MM-DD>
+                           Comparison period (default: the same number of days
+                           just before --start). Also takes --min-consec, --min-span,
+                           --prefix, --json-export, --tn-health-rules, --grade-rubric
+`;
+
+// =============================================================================
+// ARGUMENT PARSING
+// =============================================================================
+
+class UsageError extends Error {}
+
+const BOOLEAN_FLAGS = new Set([
+  "quiet", "json", "help", "version", "analysis", "detail-tabs", "re-attempt-tabs",
+  "no-suppression", "json-export", "html-report", "suppression-export", "next-attempt", "no-caller", "no-message-meta"
+]);
+const SHORT_FLAGS = { h: "help", v: "version", q: "quiet" };
+
+/**
+ * Parse argv into { command, flags, positionals }.
+ * Supports --flag value, --flag=value and boolean --flag forms.
+ */
+function parseArgs(argv) {
+  const flags = {};
+  const positionals = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--") {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (arg.startsWith("--")) {
+      const eq = arg.indexOf("=");
+      const name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+      if (BOOLEAN_FLAGS.has(name)) {
+        if (eq !== -1) throw new UsageError(`--${name} does not take a value`);
+        flags[name] = true;
+        continue;
+      }
+      let value = eq === -1 ? argv[++i] : arg.slice(eq + 1);
+      if (value === undefined || (eq === -1 && value.startsWith("--"))) {
+        throw new UsageError(`Missing value for --${name}`);
+      }
+      flags[name] = value;
+    } else if (/^-[a-z]$/i.test(arg)) {
+      const name = SHORT_FLAGS[arg[1]];
+      if (!name) throw new UsageError(`Unknown option ${arg}`);
+      flags[name] = true;
+    } else {
+      positionals.push(arg);
+    }
+  }
+  const command = positionals.shift() || null;
+  return { command, flags, positionals };
+}
+
+function splitList(value) {
+  if (!value) return [];
+  return String(value).split(",").map(s => s.trim()).filter(Boolean);
+}
+
+function parseIntFlag(flags, name, fallback) {
+  if (flags[name] === undefined) return fallback;
+  const n = parseInt(flags[name], 10);
+  if (!Number.isFinite(n) || n < 0) throw new UsageError(`--${name} must be a non-negative integer`);
+  return n;
+}
+
+function parseConcurrency(flags) {
+  const n = parseIntFlag(flags, "concurrency", 4);
+  if (n < 1 || n > 8) throw new UsageError("--concurrency must be between 1 and 8");
+  return n;
+}
+
+function toYMD(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+/**
+ * Resolve --start/--end/--days into a concrete YYYY-MM-DD range.
+ */
+function resolveDateRange(flags) {
+  const ymd = /^\d{4}-\d{2}-\d{2}$/;
+  const end = flags.end || toYMD(new Date());
+  if (!ymd.test(end)) throw new UsageError("--end must be YYYY-MM-DD");
+
+  let start = flags.start;
+  if (flags.days !== undefined) {
+    if (start) throw new UsageError("Use either --start or --days, not both");
+    const days = parseIntFlag(flags, "days", 0);
+    if (days < 1) throw new UsageError("--days must be at least 1");
+    const d = new Date(`${end}T00:00:00`);
+    d.setDate(d.getDate() - (days - 1));
+    start = toYMD(d);
+  }
+  if (!start) throw new UsageError("--start (or --days) is required");
+  if (!ymd.test(start)) throw new UsageError("--start must be YYYY-MM-DD");
+  if (start > end) throw new UsageError("--start must be on or before --end");
+  return { start_date: start, end_date: end };
+}
+
+function requireApiConfig(flags) {
+  const api_key = flags["api-key"] || process.env.VOAPPS_API_KEY || "";
+  if (!api_key) throw new UsageError("An API key is required (--api-key or VOAPPS_API_KEY)");
+  const account_ids = splitList(flags.accounts);
+  if (account_ids.length === 0) throw new UsageError("--accounts is required");
+  return { api_key, account_ids, ...resolveDateRange(flags) };
+}
+
+function parseOutputMode(flags) {
+  const mode = flags["output-mode"] || "csv";
+  if (!["csv", "database", "both", "sync"].includes(mode)) {
+    throw new UsageError("--output-mode must be csv, database, both or sync");
+  }
+  return mode;
+}
+
+function readNumbers(flags) {
+  const numbers = splitList(flags.numbers);
+  if (flags["numbers-file"]) {
+    const file = path.resolve(flags["numbers-file"]);
+    if (!fs.existsSync(file)) throw new UsageError(`Numbers file not found: ${file}`);
+    for (const line of fs.readFileSync(file, "utf8").split(/\r?\n/)) {
+      const n = line.split(",")[0].trim();
+      if (n) numbers.push(n);
+    }
+  }
+  if (numbers.length === 0) throw new UsageError("search requires --numbers or --numbers-file");
+  return numbers;
+}
+
+function readTNHealthRules(flags) {
+  if (!flags["tn-health-rules"]) return null;
+  const file = path.resolve(flags["tn-health-rules"]);
+  if (!fs.existsSync(file)) throw new UsageError(`TN Health rules file not found: ${file}`);
+  try {
+    return require("./trendMetrics").normalizeTNHealthRules(JSON.parse(fs.readFileSync(file, "utf8")));
+  } catch (e) {
+    throw new UsageError(`Invalid TN Health rules in ${file}: ${e.message}`);
+  }
+}
+
+function readListGradeRubric(flags) {
+  if (!flags["grade-rubric"]) return null;
+  const file = path.resolve(flags["grade-rubric"]);
+  if (!fs.existsSync(file)) throw new UsageError(`List grade rubric file not found: ${file}`);
+  try {
+    return require("./trendMetrics").normalizeListGradeRubric(JSON.parse(fs.readFileSync(file, "utf8")));
+  } catch (e) {
+    throw new UsageError(`Invalid list grade rubric in ${file}: ${e.message}`);
+  }
+}
+
+function readABTest(flags) {
+  if (flags["ab-messages"] && flags["ab-callers"]) {
+    throw new UsageError("Use either --ab-messages or --ab-callers, not both");
+  }
+  const type = flags["ab-callers"] ? "caller" : "message";
+  try {
+    return require("./trendMetrics").normalizeABTest({ type, ids: flags["ab-callers"] || flags["ab-messages"] });
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+}
+
+function analysisOptions(flags) {
+  if (flags["suppression-dedupe"] && !fs.existsSync(path.resolve(flags["suppression-dedupe"]))) {
+    throw new UsageError(`Suppression list not found: ${path.resolve(flags["suppression-dedupe"])}`);
+  }
+  const abTest = readABTest(flags);
+  return {
+    min_consec_unsuccessful: parseIntFlag(flags, "min-consec", 4),
+    min_run_span_days: parseIntFlag(flags, "min-span", 30),
+    include_detail_tabs: !!flags["detail-tabs"],
+    include_re_attempt_tabs: !!flags["re-attempt-tabs"],
+    include_suppression_candidates: !flags["no-suppression"],
+    include_json: !!flags["json-export"],
+    include_html: !!flags["html-report"],
+    include_next_attempt: !!flags["next-attempt"],
+    suppression_export: !!flags["suppression-export"],
+    suppression_exclude_recent_days: parseIntFlag(flags, "suppression-recent", 0),
+    suppression_dedupe_path: flags["suppression-dedupe"] ? path.resolve(flags["suppression-dedupe"]) : "",
+    tn_health_rules: readTNHealthRules(flags),
+    list_grade_rubric: readListGradeRubric(flags),
+    ab_test_type: abTest ? abTest.type : "message",
+    ab_test_ids: abTest ? abTest.ids : []
+  };
+}
+
+// =============================================================================
+// COMMANDS
+// =============================================================================
+
+async function runSearch(server, flags, jobId) {
+  const out = await server.executeJob("search", {
+    ...requireApiConfig(flags),
+    numbers: readNumbers(flags),
+    include_caller: !flags["no-caller"],
+    include_message_meta: !flags["no-message-meta"],
+    output_mode: parseOutputMode(flags),
+    job_id: jobId,
+    client_prefix: flags.prefix || "",
+    selected_columns: splitList(flags.columns)
+  }, "cli");
+  return {
+    artifacts: { csvPath: out.csvPath, allCsvFiles: out.allCsvFiles, logPath: out.logPath },
+    matches: out.matches,
+    fileCount: out.fileCount
+  };
+}
+
+async function runCombine(server, flags, jobId) {
+  if (flags.resume) return resumeCombine(server, flags, jobId);
+  const opts = analysisOptions(flags);
+  const out = await server.executeJob("combine", {
+    ...requireApiConfig(flags),
+    include_caller: !flags["no-caller"],
+    include_message_meta: !flags["no-message-meta"],
+    generate_trend_analysis: !!flags.analysis,
+    ...opts,
+    output_mode: parseOutputMode(flags),
+    download_concurrency: parseConcurrency(flags),
+    job_id: jobId,
+    client_prefix: flags.prefix || "",
+    selected_columns: splitList(flags.columns)
+  }, "cli");
+  return combineResult(out);
+}
+
+async function resumeCombine(server, flags, jobId) {
+  const api_key = flags["api-key"] || process.env.VOAPPS_API_KEY || "";
+  if (!api_key) throw new UsageError("An API key is required (--api-key or VOAPPS_API_KEY)");
+  const checkpoint = server.listCombineCheckpoints().find(c => c.id === flags.resume);
+  if (!checkpoint) throw new UsageError(`No resumable combine "${flags.resume}" (see: voapps-tools checkpoints)`);
+  if (checkpoint.output_mode !== "csv") await server.initDatabase();
+
+  const out = await server.executeJob("combine", {
+    api_key,
+    resume_checkpoint_id: checkpoint.id,
+    download_concurrency: parseConcurrency(flags),
+    job_id: jobId
+  }, "cli");
+  return combineResult(out);
+}
+
+function combineResult(out) {
+  const artifacts = { csvPath: out.csvPath, allCsvFiles: out.allCsvFiles, logPath: out.logPath };
+  if (out.analysisPath) artifacts.analysisPath = out.analysisPath;
+  if (out.pptxPath) artifacts.pptxPath = out.pptxPath;
+  if (out.jsonPath) artifacts.jsonPath = out.jsonPath;
+  if (out.htmlPath) artifacts.htmlPath = out.htmlPath;
+  if (out.suppressionPath) artifacts.suppressionPath = out.suppressionPath;
+  if (out.nextAttemptPath) artifacts.nextAttemptPath = out.nextAttemptPath;
+  return { artifacts, totalRows: out.totalRows, fileCount: out.fileCount };
+}
+
+async function runBulkExport(server, flags, jobId) {
+  const out = await server.executeJob("bulk-export", {
+    ...requireApiConfig(flags),
+    download_concurrency: parseConcurrency(flags),
+    job_id: jobId
+  }, "cli");
+  return {
+    artifacts: { bulkExportPath: out.bulkExportPath, logPath: out.logPath },
+    stats: out.stats
+  };
+}
+
+async function runExecSummary(server, flags, jobId) {
+  const out = await server.executeJob("executive-summary", { ...requireApiConfig(flags), job_id: jobId }, "cli");
+  return {
+    artifacts: { csvPath: out.csvPath, logPath: out.logPath },
+    stats: { campaignCount: out.campaignCount, totalRecords: out.totalRecords }
+  };
+}
+
+async function runAnalyze(server, flags, jobId, files) {
+  if (files.length === 0) throw new UsageError("analyze requires at least one CSV file");
+  const csvPaths = files.map(f => path.resolve(f));
+  for (const f of csvPaths) {
+    if (!fs.existsSync(f)) throw new UsageError(`CSV file not found: ${f}`);
+  }
+
+  const out = await server.executeJob("analyze-csv", {
+    csv_paths: csvPaths,
+    ...analysisOptions(flags),
+    client_prefix: flags.prefix || "",
+    job_id: jobId
+  }, "cli");
+  return {
+    artifacts: {
+      analysisPath: out.analysisPath,
+      pptxPath: out.pptxPath,
+      jsonPath: out.jsonPath,
+      htmlPath: out.htmlPath,
+      suppressionPath: out.suppressionPath,
+      nextAttemptPath: out.nextAttemptPath
+    },
+    inputFiles: out.inputFiles
+  };
+}
+
+async function runCompare(server, flags, jobId) {
+  if (!!flags["compare-start"] !== !!flags["compare-end"]) {
+    throw new UsageError("Use --compare-start and --compare-end together");
+  }
+  const opts = analysisOptions(flags);
+  const out = await server.executeJob("compare-periods", {
+    ...resolveDateRange(flags),
+    compare_start_date: flags["compare-start"] || null,
+    compare_end_date: flags["compare-end"] || null,
+    min_consec_unsuccessful: opts.min_consec_unsuccessful,
+    min_run_span_days: opts.min_run_span_days,
+    client_prefix: flags.prefix || "",
+    include_json: opts.include_json,
+    tn_health_rules: opts.tn_health_rules,
+    list_grade_rubric: opts.list_grade_rubric,
+    job_id: jobId
+  }, "cli");
+  return {
+    artifacts: { comparisonPath: out.comparisonPath, pptxPath: out.pptxPath, jsonPath: out.jsonPath, logPath: out.logPath },
+    periods: { current: out.current, previous: out.previous },
+    significantCount: out.significantCount,
+    highlights: out.highlights
+  };
+}
+
+async function runCheckpoints(server, flags) {
+  const checkpoints = server.listCombineCheckpoints();
+  if (flags.json) return { checkpoints };
+  if (checkpoints.length === 0) process.stdout.write("No resumable combine runs\n");
+  for (const cp of checkpoints) {
+    process.stdout.write(`${cp.id}  ${cp.status}  ${cp.start_date} to ${cp.end_date}  ` +
+      `${cp.done_campaigns}/${cp.total_campaigns} campaigns, ${cp.rows} rows  [${cp.output_mode}]\n`);
+  }
+  return { checkpoints };
+}
+
+const HANDLERS = {
+  "search": runSearch,
+  "combine": runCombine,
+  "bulk-export": runBulkExport,
+  "exec-summary": runExecSummary,
+  "analyze": runAnalyze,
+  "compare": runCompare,
+  "checkpoints": runCheckpoints
+};
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+// The result is the only thing written to stdout with process.stdout directly;
+// console.log is redirected for --json / --quiet (see redirectConsole).
+function printSummary(command, result, asJson) {
+  if (asJson) {
+    process.stdout.write(JSON.stringify({ ok: true, command, ...result }, null, 2) + "\n");
+    return;
+  }
+  const lines = [`\n✅ ${command} complete`];
+  for (const [key, value] of Object.entries(result.artifacts || {})) {
+    if (!value) continue;
+    if (Array.isArray(value)) {
+      if (value.length > 1) value.forEach(v => lines.push(`   ${key}: ${v}`));
+    } else {
+      lines.push(`   ${key}: ${value}`);
+    }
+  }
+  process.stdout.write(lines.join("\n") + "\n");
+}
+
+/**
+ * Keep stdout machine-readable: with --json, console output from the jobs,
+ * DuckDB and the API client goes to stderr; with --quiet it is dropped.
+ * Returns the stream for log lines (null = discard), or stdout if unchanged.
+ */
+function redirectConsole(flags) {
+  if (!flags.json && !flags.quiet) return process.stdout;
+  const target = flags.quiet ? null : process.stderr;
+  console.log = console.info = console.debug = (...args) => {
+    if (target) target.write(util.format(...args) + "\n");
+  };
+  return target;
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (e) {
+    console.error(`Error: ${e.message}\n`);
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+  const { command, flags, positionals } = parsed;
+
+  if (flags.version) {
+    console.log(VERSION);
+    return EXIT_OK;
+  }
+  if (flags.help || !command) {
+    console.log(USAGE);
+    return command || flags.help ? EXIT_OK : EXIT_USAGE;
+  }
+  if (!COMMANDS.includes(command)) {
+    console.error(`Error: Unknown command "${command}"\n`);
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+  if (command !== "analyze" && positionals.length > 0) {
+    console.error(`Error: Unexpected argument "${positionals[0]}"`);
+    return EXIT_USAGE;
+  }
+
+  // Redirected before loading the server so its startup logging is covered too
+  const logOutput = redirectConsole(flags);
+
+  // Loaded lazily so --help / --version work without native dependencies
+  const server = require("./server");
+
+  // Analysis workers have their own console; route their stdout the same way
+  if (logOutput !== process.stdout) {
+    server.setWorkerOutput(logOutput || new Writable({ write: (chunk, enc, done) => done() }));
+  }
+  if (logOutput) {
+    server.setLogListener((message, isError) => {
+      (isError ? process.stderr : logOutput).write(`${message}\n`);
+    });
+  }
+
+  const jobId = `cli_${Date.now()}`;
+  let cancelled = false;
+  const onSignal = (signal) => {
+    if (cancelled) process.exit(EXIT_CANCELLED);
+    cancelled = true;
+    console.error(`\nReceived ${signal} — cancelling (press again to force quit)...`);
+    server.cancelJob(jobId);
+  };
+  process.on("SIGINT", onSignal);
+  process.on("SIGTERM", onSignal);
+
+  try {
+    if (command === "compare" || parseOutputModeSafe(flags) !== "csv") {
+      await server.initDatabase();
+    }
+    const result = await HANDLERS[command](server, flags, jobId, positionals);
+    if (command !== "checkpoints" || flags.json) printSummary(command, result, !!flags.json);
+    return EXIT_OK;
+  } catch (e) {
+    if (e instanceof UsageError) {
+      console.error(`Error: ${e.message}`);
+      return EXIT_USAGE;
+    }
+    if (cancelled || e.message === "Cancelled") {
+      console.error("Cancelled");
+      if (e.checkpointId) console.error(`   Resume with: voapps-tools combine --resume ${e.checkpointId}`);
+      return EXIT_CANCELLED;
+    }
+    if (flags.json) {
+      process.stdout.write(JSON.stringify({ ok: false, command, error: e.message, checkpoint_id: e.checkpointId || null }, null, 2) + "\n");
+    }
+    console.error(`❌ ${command} failed: ${e.message}`);
+    if (e.checkpointId) console.error(`   Resume with: voapps-tools combine --resume ${e.checkpointId}`);
+    return /^No (campaigns|data) found/i.test(e.message) ? EXIT_NO_DATA : EXIT_FAILED;
+  }
+}
+
+// Output mode validation happens inside the handlers; this just decides
+// whether DuckDB needs to be opened before the job starts.
+function parseOutputModeSafe(flags) {
+  try {
+    return parseOutputMode(flags);
+  } catch (e) {
+    return "csv";
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    (code) => process.exit(code),
+    (e) => {
+      console.error("[VoApps Tools CLI] Unexpected error:", e);
+      process.exit(EXIT_FAILED);
+    }
+  );
+}
+
+module.exports = { main, parseArgs };
@@ -0,0 +1,462 @@
+'use strict';
+
+// htmlReport.js – VoApps Delivery Intelligence single-file HTML report
+// Renders the analysis result from trendMetrics.js as one self-contained .html
+// file (inline CSS, SVG charts, logo and table sorting) that opens offline in
+// any browser – for sharing with clients who don't have Office.
+
+const fs   = require('fs');
+const path = require('path');
+const { bucketDailyStats } = require('./trendMetrics');
+const { VERSION } = require('./version');
+
+// ─── Brand palette (matches businessReview.js) ────────────────────────────────
+const NAVY       = '#0D053F';
+const PINK       = '#FF4B7D';
+const PURPLE     = '#3F2FB8';
+const PINK_PALE  = '#FAD6D7';
+const CREAM      = '#FBF7F3';
+const CHARCOAL   = '#2E2C3E';
+const TEXT_SOFT  = '#6B6478';
+const GREEN      = '#1E7E34';
+const RED        = '#C0392B';
+const GREY       = '#9E9AA8';
+// Custom TN Health tiers (At Risk, Recovering, ...) in configured order
+const TIER_COLORS = ['#E0A526', '#E07B26', '#7A5CC4', '#2E86AB'];
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Suppression Candidates can run to hundreds of thousands of rows – beyond this
+// the table is truncated (the workbook and JSON export carry the full list).
+const DEFAULT_MAX_TABLE_ROWS = 10000;
+
+// Rows per entity type in the day-of-week heatmap
+const HEATMAP_MAX_ROWS = 15;
+
+// ─── Formatting helpers ───────────────────────────────────────────────────────
+
+function esc(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const fmtNum  = (n) => (Number(n) || 0).toLocaleString('en-US');
+const fmtPct  = (ratio, digits = 1) => `${((Number(ratio) || 0) * 100).toFixed(digits)}%`;
+const fmtDate = (iso) => (iso ? String(iso).slice(0, 10) : '');
+
+/** 95% interval of a rate row from trendMetrics.js as '12.3–18.9%' ('' without attempts). */
+const fmtInterval = (r) => (r.success_rate_low === null || r.success_rate_low === undefined
+  ? '' : `${(r.success_rate_low * 100).toFixed(1)}–${(r.success_rate_high * 100).toFixed(1)}%`);
+const VS_AVERAGE_LABELS = { above: 'Above average', below: 'Below average' };
+
+/** Interpolate between two #RRGGBB colors (t in 0..1). */
+function mixColor(from, to, t) {
+  const a = parseInt(from.slice(1), 16);
+  const b = parseInt(to.slice(1), 16);
+  const ch = (shift) => {
+    const x = (a >> shift) & 0xff;
+    const y = (b >> shift) & 0xff;
+    return Math.round(x + (y - x) * Math.max(0, Math.min(1, t)));
+  };
+  return `#${[16, 8, 0].map(s => ch(s).toString(16).padStart(2, '0')).join('')}`;
+}
+
+function logoDataUri() {
+  const logo = path.join(__dirname, 'assets', 'logo_square.png');
+  if (!fs.existsSync(logo)) return null;
+  return `data:image/png;base64,${fs.readFileSync(logo).toString('base64')}`;
+}
+
+// ─── Charts (inline SVG) ──────────────────────────────────────────────────────
+
+/**
+ * Success probability by attempt number – vertical bars with sample sizes.
+ */
+function decayCurveChart(decayCurve) {
+  const points = decayCurve.filter(d => d.total > 0).slice(0, 10);
+  if (points.length === 0) return '<p class="empty">No delivery attempts in this dataset.</p>';
+
+  const W = 720, H = 260, padL = 44, padB = 42, padT = 16;
+  const plotH = H - padB - padT;
+  const slot = (W - padL - 10) / points.length;
+  const barW = Math.min(48, slot * 0.6);
+
+  let bars = '';
+  points.forEach((d, i) => {
+    const h = d.probability * plotH;
+    const x = padL + i * slot + (slot - barW) / 2;
+    const y = padT + plotH - h;
+    bars += `<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barW.toFixed(1)}" height="${h.toFixed(1)}" fill="${i === 0 ? NAVY : PURPLE}" rx="2"><title>Attempt ${d.attemptIndex}: ${fmtPct(d.probability)} (${fmtNum(d.successful)} of ${fmtNum(d.total)})</title></rect>`;
+    bars += `<text x="${(x + barW / 2).toFixed(1)}" y="${(y - 4).toFixed(1)}" class="val">${fmtPct(d.probability, 0)}</text>`;
+    bars += `<text x="${(x + barW / 2).toFixed(1)}" y="${H - padB + 16}" class="lbl">#${d.attemptIndex}</text>`;
+    bars += `<text x="${(x + barW / 2).toFixed(1)}" y="${H - padB + 30}" class="sub">n=${fmtNum(d.total)}</text>`;
+  });
+
+  let grid = '';
+  for (const t of [0, 0.25, 0.5, 0.75, 1]) {
+    const y = padT + plotH - t * plotH;
+    grid += `<line x1="${padL}" x2="${W - 10}" y1="${y}" y2="${y}" class="grid"/><text x="${padL - 6}" y="${y + 4}" class="axis">${t * 100}%</text>`;
+  }
+
+  return `<svg viewBox="0 0 ${W} ${H}" class="chart" role="img" aria-label="Success probability by attempt">${grid}${bars}</svg>`;
+}
+
+/**
+ * Delivery Trend – attempts as bars, success rate as a line on a 0–100% axis.
+ */
+function deliveryTrendChart(dailyStats) {
+  const { useWeekly, bucketList } = bucketDailyStats(dailyStats);
+  if (bucketList.length === 0) return { svg: '<p class="empty">No dated delivery attempts in this dataset.</p>', useWeekly };
+
+  const W = 720, H = 280, padL = 56, padR = 44, padB = 56, padT = 16;
+  const plotW = W - padL - padR;
+  const plotH = H - padB - padT;
+  const maxAttempts = Math.max(...bucketList.map(([, b]) => b.attempts), 1);
+  const slot = plotW / bucketList.length;
+  const barW = Math.max(2, slot * 0.7);
+  const labelEvery = Math.ceil(bucketList.length / 12);
+
+  let bars = '';
+  const linePts = [];
+  bucketList.forEach(([key, b], i) => {
+    const h = (b.attempts / maxAttempts) * plotH;
+    const x = padL + i * slot + (slot - barW) / 2;
+    const rate = b.attempts > 0 ? b.successes / b.attempts : 0;
+    bars += `<rect x="${x.toFixed(1)}" y="${(padT + plotH - h).toFixed(1)}" width="${barW.toFixed(1)}" height="${h.toFixed(1)}" fill="${PINK_PALE}"><title>${esc(b.label)}: ${fmtNum(b.attempts)} attempts, ${fmtNum(b.successes)} successful (${fmtPct(rate)})</title></rect>`;
+    linePts.push(`${(padL + i * slot + slot / 2).toFixed(1)},${(padT + plotH - rate * plotH).toFixed(1)}`);
+    if (i % labelEvery === 0) {
+      bars += `<text x="${(padL + i * slot + slot / 2).toFixed(1)}" y="${H - padB + 14}" class="lbl" transform="rotate(-35 ${(padL + i * slot + slot / 2).toFixed(1)} ${H - padB + 14})" text-anchor="end">${esc(key.slice(5))}</text>`;
+    }
+  });
+
+  let grid = '';
+  for (const t of [0, 0.25, 0.5, 0.75, 1]) {
+    const y = padT + plotH - t * plotH;
+    grid += `<line x1="${padL}" x2="${W - padR}" y1="${y}" y2="${y}" class="grid"/>`;
+    grid += `<text x="${padL - 6}" y="${y + 4}" class="axis">${fmtNum(Math.round(maxAttempts * t))}</text>`;
+    grid += `<text x="${W - padR + 6}" y="${y + 4}" class="axis" text-anchor="start">${t * 100}%</text>`;
+  }
+
+  const line = `<polyline points="${linePts.join(' ')}" fill="none" stroke="${NAVY}" stroke-width="2"/>`;
+  const svg = `<svg viewBox="0 0 ${W} ${H}" class="chart" role="img" aria-label="Delivery trend">${grid}${bars}${line}</svg>
+    <div class="legend"><span><i style="background:${PINK_PALE}"></i>Attempts</span><span><i style="background:${NAVY}"></i>Success rate</span></div>`;
+  return { svg, useWeekly };
+}
+
+/**
+ * TN Health distribution – one stacked bar plus legend with counts.
+ */
+function tnHealthChart(health) {
+  const segments = [
+    { label: 'Healthy', count: health.healthyCount, pct: health.healthyPct, color: GREEN },
+    ...(health.tiers || []).map((t, i) => ({
+      label: t.name, count: t.count, pct: t.pct, color: TIER_COLORS[i % TIER_COLORS.length]
+    })),
+    { label: 'Delivery Unlikely', count: health.toxicCount, pct: health.toxicPct, color: RED },
+    { label: 'Never Delivered', count: health.neverDeliveredCount, pct: health.neverDeliveredPct, color: GREY }
+  ];
+  const total = segments.reduce((s, seg) => s + seg.count, 0);
+  if (total === 0) return '<p class="empty">No numbers classified.</p>';
+
+  const W = 720, H = 36;
+  let x = 0;
+  let rects = '';
+  for (const seg of segments) {
+    const w = (seg.count / total) * W;
+    if (w <= 0) continue;
+    rects += `<rect x="${x.toFixed(1)}" y="0" width="${w.toFixed(1)}" height="${H}" fill="${seg.color}"><title>${esc(seg.label)}: ${fmtNum(seg.count)}</title></rect>`;
+    x += w;
+  }
+  const legend = segments
+    .map(seg => `<span><i style="background:${seg.color}"></i>${esc(seg.label)}: <b>${fmtNum(seg.count)}</b> (${(seg.pct || 0).toFixed(1)}%)</span>`)
+    .join('');
+  return `<svg viewBox="0 0 ${W} ${H}" class="chart bar" role="img" aria-label="TN health distribution">${rects}</svg><div class="legend">${legend}</div>`;
+}
+
+/**
+ * Day-of-week heatmap – overall success rate by day, then attempt volume by day
+ * for the busiest accounts and messages (shaded relative to each row's peak).
+ */
+function dayOfWeekHeatmap(analysis) {
+  const head = `<tr><th></th>${DAY_NAMES.map(d => `<th>${d}</th>`).join('')}</tr>`;
+
+  const rates = analysis.dayOfWeek.map(d => (d.total > 0 ? d.successful / d.total : null));
+  const known = rates.filter(r => r !== null);
+  const lo = known.length ? Math.min(...known) : 0;
+  const hi = known.length ? Math.max(...known) : 1;
+  const rateCells = rates.map((r, i) => {
+    if (r === null) return '<td class="hm-empty">–</td>';
+    const t = hi > lo ? (r - lo) / (hi - lo) : 1;
+    return `<td style="background:${mixColor(PINK_PALE, GREEN, t * 0.85)};color:${t > 0.55 ? '#fff' : CHARCOAL}" title="${fmtNum(analysis.dayOfWeek[i].successful)} of ${fmtNum(analysis.dayOfWeek[i].total)}${fmtInterval(analysis.dayOfWeek[i]) ? `, 95% CI ${fmtInterval(analysis.dayOfWeek[i])}` : ''}">${fmtPct(r)}</td>`;
+  }).join('');
+  let body = `<tr class="hm-rate"><th>Success rate (all)</th>${rateCells}</tr>`;
+
+  const volumeRow = (label, counts) => {
+    const peak = Math.max(...counts, 1);
+    const cells = counts.map(c => {
+      const t = c / peak;
+      return c > 0
+        ? `<td style="background:${mixColor(CREAM, PURPLE, t * 0.9)};color:${t > 0.55 ? '#fff' : CHARCOAL}">${fmtNum(c)}</td>`
+        : '<td class="hm-empty">0</td>';
+    }).join('');
+    return `<tr><th>${esc(label)}</th>${cells}</tr>`;
+  };
+
+  const accounts = analysis.accounts.slice().sort((a, b) => b.total - a.total).slice(0, HEATMAP_MAX_ROWS);
+  if (accounts.length > 0) {
+    body += `<tr class="hm-group"><th colspan="8">Attempts by account</th></tr>`;
+    for (const a of accounts) body += volumeRow(`Account ${a.account_id}`, a.dayOfWeekCounts);
+  }
+  const messages = analysis.messages.slice(0, HEATMAP_MAX_ROWS);
+  if (messages.length > 0) {
+    body += `<tr class="hm-group"><th colspan="8">Attempts by message</th></tr>`;
+    for (const m of messages) body += volumeRow(m.message_name || `Message ${m.message_id}`, m.dayOfWeekCounts);
+  }
+
+  return `<table class="heatmap">${head}${body}</table>`;
+}
+
+// ─── Sortable tables ──────────────────────────────────────────────────────────
+
+/**
+ * @param {Array<{label: string, type?: 'num'|'pct'|'text'}>} columns
+ * @param {Array<Array>} rows - Raw cell values; numbers sort numerically
+ */
+function sortableTable(columns, rows, maxRows) {
+  const shown = rows.slice(0, maxRows);
+  const head = columns.map(c => `<th class="${c.type === 'text' || !c.type ? '' : 'num'}">${esc(c.label)}</th>`).join('');
+  const body = shown.map(r => `<tr>${r.map((v, i) => {
+    const col = columns[i];
+    if (col.type === 'num') return `<td class="num" data-v="${Number(v) || 0}">${fmtNum(v)}</td>`;
+    if (col.type === 'pct') return `<td class="num" data-v="${Number(v) || 0}">${fmtPct(v)}</td>`;
+    return `<td>${esc(v)}</td>`;
+  }).join('')}</tr>`).join('');
+  const note = rows.length > shown.length
+    ? `<p class="note">Showing the first ${fmtNum(shown.length)} of ${fmtNum(rows.length)} rows – the full list is in the Delivery Intelligence workbook.</p>`
+    : '';
+  return `<div class="table-wrap"><table class="sortable"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table></div>${note}`;
+}
+
+// Clicking a header sorts by that column; a second click reverses the order.
+const SORT_SCRIPT = `
+document.querySelectorAll('table.sortable').forEach(function (table) {
+  table.querySelectorAll('th').forEach(function (th) {
+    th.addEventListener('click', function () {
+      var idx = th.cellIndex;
+      var asc = th.getAttribute('data-dir') !== 'asc';
+      table.querySelectorAll('th').forEach(function (h) { h.removeAttribute('data-dir'); });
+      th.setAttribute('data-dir', asc ? 'asc' : 'desc');
+      var tbody = table.tBodies[0];
+      var rows = Array.prototype.slice.call(tbody.rows);
+      rows.sort(function (a, b) {
+        var x = a.cells[idx], y = b.cells[idx];
+        var xv = x.hasAttribute('data-v') ? parseFloat(x.getAttribute('data-v')) : x.textContent.toLowerCase();
+        var yv = y.hasAttribute('data-v') ? parseFloat(y.getAttribute('data-v')) : y.textContent.toLowerCase();
+        if (xv < yv) return asc ? -1 : 1;
+        if (xv > yv) return asc ? 1 : -1;
+        return 0;
+      });
+      rows.forEach(function (r) { tbody.appendChild(r); });
+    });
+  });
+});`;
+
+const STYLES = `
+* { box-sizing: border-box; }
+body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; background: ${CREAM}; color: ${CHARCOAL}; font-size: 14px; }
+header { background: ${NAVY}; color: #fff; padding: 18px 32px; display: flex; align-items: center; gap: 16px; }
+header img { width: 44px; height: 44px; }
+header h1 { margin: 0; font-size: 22px; }
+header .sub { color: #FF93B1; font-size: 13px; margin-top: 2px; }
+main { max-width: 1100px; margin: 0 auto; padding: 24px 32px 48px; }
+section { background: #fff; border-radius: 8px; padding: 20px 24px; margin-bottom: 20px; box-shadow: 0 1px 3px rgba(13,5,63,0.08); }
+h2 { margin: 0 0 12px; font-size: 17px; color: ${NAVY}; border-left: 4px solid ${PINK}; padding-left: 10px; }
+.cards { display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 12px; }
+.card { border: 1px solid ${PINK_PALE}; border-radius: 6px; padding: 12px; }
+.card .k { font-size: 11px; text-transform: uppercase; letter-spacing: 0.04em; color: ${TEXT_SOFT}; }
+.card .v { font-size: 24px; font-weight: 700; color: ${NAVY}; margin-top: 4px; }
+.card.grade .v { color: ${PINK}; font-size: 32px; }
+.chart { width: 100%; height: auto; display: block; }
+.chart.bar { border-radius: 4px; }
+.chart text { font-size: 11px; fill: ${TEXT_SOFT}; }
+.chart .val { text-anchor: middle; fill: ${NAVY}; font-weight: 600; }
+.chart .lbl { text-anchor: middle; fill: ${CHARCOAL}; }
+.chart .sub { text-anchor: middle; font-size: 10px; }
+.chart .axis { text-anchor: end; }
+.chart .grid { stroke: #eee; }
+.legend { display: flex; flex-wrap: wrap; gap: 16px; margin-top: 8px; font-size: 12px; }
+.legend i { display: inline-block; width: 12px; height: 12px; border-radius: 2px; margin-right: 6px; vertical-align: -1px; }
+.empty, .note { color: ${TEXT_SOFT}; font-style: italic; }
+.table-wrap { max-height: 520px; overflow: auto; border: 1px solid #eee; border-radius: 4px; }
+table { border-collapse: collapse; width: 100%; font-size: 13px; }
+th, td { padding: 6px 10px; text-align: left; border-bottom: 1px solid #f0eef5; }
+.num { text-align: right; }
+table.sortable thead th { position: sticky; top: 0; background: ${NAVY}; color: #fff; cursor: pointer; user-select: none; white-space: nowrap; }
+table.sortable thead th[data-dir="asc"]::after { content: " ▲"; }
+table.sortable thead th[data-dir="desc"]::after { content: " ▼"; }
+table.sortable tbody tr:nth-child(even) { background: ${CREAM}; }
+table.heatmap th, table.heatmap td { text-align: center; border: 2px solid #fff; }
+table.heatmap th:first-child { text-align: left; font-weight: 500; white-space: nowrap; max-width: 280px; overflow: hidden; text-overflow: ellipsis; }
+table.heatmap tr:first-child th { background: ${NAVY}; color: #fff; }
+table.heatmap .hm-group th { background: ${PINK_PALE}; color: ${NAVY}; font-weight: 600; }
+table.heatmap .hm-rate th { font-weight: 700; }
+table.heatmap .hm-empty { color: #bbb; }
+ul.actions li { margin-bottom: 8px; line-height: 1.45; }
+.best { background: ${PINK_PALE}; border-radius: 6px; padding: 10px 14px; margin-top: 12px; }
+footer { text-align: center; color: ${TEXT_SOFT}; font-size: 12px; padding-bottom: 24px; }
+@media print { header, th { -webkit-print-color-adjust: exact; print-color-adjust: exact; } .table-wrap { max-height: none; overflow: visible; } }
+`;
+
+// ─── Report ───────────────────────────────────────────────────────────────────
+
+/**
+ * Write the Delivery Intelligence analysis as a self-contained HTML report.
+ *
+ * @param {Object} analysis   - Result of computeTrendMetrics()
+ * @param {string} outputPath - Destination file path (should end in .html)
+ * @param {Object} [options]
+ * @param {string} [options.clientPrefix] - Shown in the report title
+ * @param {boolean} [options.includeSuppressionCandidates=true] - Include the Suppression Candidates table
+ * @param {number} [options.maxTableRows=10000] - Row cap for the Suppression Candidates table
+ */
+async function generateHtmlReport(analysis, outputPath, options = {}) {
+  const {
+    clientPrefix                 = '',
+    includeSuppressionCandidates = true,
+    maxTableRows                 = DEFAULT_MAX_TABLE_ROWS
+  } = options;
+
+  const { totals, health, dateRange, settings } = analysis;
+  const title = `${clientPrefix ? `${clientPrefix} – ` : ''}Delivery Intelligence Report`;
+  const rangeStr = dateRange.min ? `${fmtDate(dateRange.min)} to ${fmtDate(dateRange.max)}` : 'No dated records';
+  const logo = logoDataUri();
+
+  const cards = [
+    ['List Grade', health.listGrade, 'grade'],
+    ['List Quality Score', `${(health.listScore || 0).toFixed(1)} / 100`],
+    ['Unique Numbers', fmtNum(totals.uniqueNumbers)],
+    ['DDVM Attempts', fmtNum(totals.totalAttempts)],
+    ['Successful Deliveries', fmtNum(totals.totalSuccess)],
+    ['Success Rate', `${(totals.overallSuccessRate || 0).toFixed(1)}%`],
+    ['Suppression Candidates', fmtNum(analysis.suppressionCandidateCount)]
+  ].map(([k, v, cls]) => `<div class="card ${cls || ''}"><div class="k">${k}</div><div class="v">${esc(v)}</div></div>`).join('');
+
+  const trend = deliveryTrendChart(analysis.dailyStats);
+
+  const messageTable = sortableTable(
+    [
+      { label: 'Message ID' }, { label: 'Message Name' }, { label: 'Intent' },
+      { label: 'Attempts', type: 'num' }, { label: 'Unique Numbers', type: 'num' },
+      { label: 'Successful', type: 'num' }, { label: 'Success Rate', type: 'pct' },
+      { label: '95% CI' }, { label: 'vs. Average' },
+      { label: 'Day Usage' }, { label: 'Recommendation' }
+    ],
+    analysis.messages.map(m => [
+      m.message_id, m.message_name, m.intent, m.total, m.uniqueNumbers, m.successful, m.success_rate,
+      fmtInterval(m), VS_AVERAGE_LABELS[m.vs_average] || '',
+      m.dayPattern.days.join(', ') || 'All days',
+      m.dayPattern.limited ? m.dayPattern.recommendation : ''
+    ]),
+    maxTableRows
+  );
+
+  const callerTable = sortableTable(
+    [
+      { label: 'Caller Number' }, { label: 'Caller Name' },
+      { label: 'Attempts', type: 'num' }, { label: 'Unique Numbers', type: 'num' },
+      { label: 'Successful', type: 'num' }, { label: 'Success Rate', type: 'pct' },
+      { label: '95% CI' }, { label: 'vs. Average' },
+      { label: 'Day Usage' }
+    ],
+    analysis.callers.map(c => [
+      c.caller_number, c.caller_name, c.total, c.uniqueNumbers, c.successful, c.success_rate,
+      fmtInterval(c), VS_AVERAGE_LABELS[c.vs_average] || '',
+      c.dayPattern.days.join(', ') || 'All days'
+    ]),
+    maxTableRows
+  );
+
+  const suppressionSection = includeSuppressionCandidates
+    ? `<section id="suppression">
+  <h2>Suppression Candidates</h2>
+  <p>Delivery Unlikely numbers with ${settings.minConsecUnsuccessful}+ consecutive unsuccessful attempts over ${settings.minRunSpanDays}+ days – suppression recommended.</p>
+  ${analysis.suppressionRuns.length > 0 ? sortableTable(
+    [
+      { label: 'Number' }, { label: 'Consecutive Failures', type: 'num' },
+      { label: 'Run Start' }, { label: 'Run End' }, { label: 'Span (Days)', type: 'num' }
+    ],
+    analysis.suppressionRuns.map(r => [r.number, r.count, fmtDate(r.runStart), fmtDate(r.runEnd), Math.round(r.spanDays)]),
+    maxTableRows
+  ) : '<p class="empty">No suppression candidates found.</p>'}
+</section>`
+    : '';
+
+  const { actions, bestNextAction } = analysis.recommendations;
+  const recommendations = actions.length > 0 || bestNextAction
+    ? `<section id="recommendations">
+  <h2>Recommendations</h2>
+  ${actions.length > 0 ? `<ul class="actions">${actions.map(a => `<li>${esc(a)}</li>`).join('')}</ul>` : ''}
+  ${bestNextAction ? `<div class="best"><b>Best next action:</b> ${esc(bestNextAction)}</div>` : ''}
+</section>`
+    : '';
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="VoApps Tools v${esc(VERSION)}">
+<title>${esc(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  ${logo ? `<img src="${logo}" alt="">` : ''}
+  <div><h1>${esc(title)}</h1><div class="sub">${esc(rangeStr)} · Timezone: ${esc(settings.userTimezoneLabel || settings.userTimezone)}</div></div>
+</header>
+<main>
+<section id="summary">
+  <h2>Executive Summary</h2>
+  <div class="cards">${cards}</div>
+</section>
+${recommendations}
+<section id="tn-health">
+  <h2>TN Health Distribution</h2>
+  ${tnHealthChart(health)}
+</section>
+<section id="decay-curve">
+  <h2>Success Probability by Attempt</h2>
+  ${decayCurveChart(analysis.decayCurve)}
+</section>
+<section id="delivery-trend">
+  <h2>Delivery Trend – ${trend.useWeekly ? 'Weekly' : 'Daily'}</h2>
+  ${trend.svg}
+</section>
+<section id="day-of-week">
+  <h2>Day-of-Week Heatmap</h2>
+  ${dayOfWeekHeatmap(analysis)}
+</section>
+<section id="messages">
+  <h2>Message Insights</h2>
+  <p class="note">95% CI is the range each success rate is likely to fall in given its attempts. vs. Average is only set when that range excludes the overall rate.</p>
+  ${analysis.messages.length > 0 ? messageTable : '<p class="empty">No message data.</p>'}
+</section>
+<section id="callers">
+  <h2>Caller # Insights</h2>
+  ${analysis.callers.length > 0 ? callerTable : '<p class="empty">No caller number data.</p>'}
+</section>
+${suppressionSection}
+</main>
+<footer>Generated ${esc(new Date().toISOString().slice(0, 10))} by VoApps Tools v${esc(VERSION)}</footer>
+<script>${SORT_SCRIPT}</script>
+</body>
+</html>
+`;
+
+  await fs.promises.writeFile(outputPath, html, 'utf8');
+}
+
+module.exports = { generateHtmlReport };
@@ -284,6 +284,26 @@ ipcMain.handle('select-folder', async () => {
   }
 });
 
+// File picker handler (e.g. a previously exported suppression list)
+ipcMain.handle('select-file', async (event, filters) => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      properties: ['openFile'],
+      filters: Array.isArray(filters) ? filters : [],
+      title: 'Select File',
+      buttonLabel: 'Select'
+    });
+
+    if (result.canceled || !result.filePaths.length) {
+      return { ok: false, cancelled: true };
+    }
+
+    return { ok: true, file: result.filePaths[0] };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+});
+
 // Zoom handlers
 ipcMain.handle('set-zoom', async (event, level) => {
   try {
@@ -0,0 +1,53 @@
+'use strict';
+
+// nextAttemptExport.js – VoApps Delivery Intelligence next-attempt list exporter
+// Writes the per-number plan from trendMetrics.js (retry on a date, wait, delivered, or suppress)
+// as a CSV that can be filtered straight into the next campaign's contact list.
+
+const fs = require('fs');
+
+const CSV_COLUMNS = [
+  'number', 'action', 'retry_date', 'account_ids', 'last_result', 'last_attempt',
+  'attempts_since_success', 'tn_health', 'next_attempt_probability', 'retry_gap_success_rate', 'reason'
+];
+
+function csvCell(value) {
+  const s = String(value ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+const rate = v => (v === null || v === undefined ? '' : v.toFixed(4));
+
+/**
+ * Write the next-attempt plan for an analysis result.
+ *
+ * @param {Object} analysis - Result of computeTrendMetrics() with includeNextAttempt
+ * @param {string} outputPath - Destination .csv path
+ * @returns {{ outputPath, rowCount, counts: { retry, wait, delivered, suppress } }}
+ */
+function exportNextAttempts(analysis, outputPath) {
+  if (!analysis.nextAttempts) {
+    throw new Error('Analysis was run without next-attempt recommendations');
+  }
+  const { rows, counts } = analysis.nextAttempts;
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const r of rows) {
+    lines.push([
+      r.number,
+      r.action,
+      r.retryDate || '',
+      r.accountIds.join(';'),
+      r.lastResult || '',
+      r.lastAttempt || '',
+      r.attemptsSinceSuccess,
+      r.tnHealth,
+      rate(r.nextAttemptProbability),
+      rate(r.retryGapSuccessRate),
+      r.reason
+    ].map(csvCell).join(','));
+  }
+  fs.writeFileSync(outputPath, lines.join('\n') + '\n', 'utf8');
+  return { outputPath, rowCount: rows.length, counts };
+}
+
+module.exports = { exportNextAttempts };
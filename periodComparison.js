@@ -0,0 +1,567 @@
+'use strict';
+
+// periodComparison.js – VoApps Delivery Intelligence period-over-period comparison
+// Compares two analysis results from trendMetrics.js (e.g. this quarter against
+// last quarter) and writes the deltas as an Excel workbook and a slide deck.
+// Rate changes are checked with a two-proportion z-test; within each table the
+// p-values are Holm-adjusted and a change is flagged as significant at 95% confidence.
+
+const ExcelJS = require('exceljs');
+const fs      = require('fs');
+const path    = require('path');
+const { computeTrendMetrics, normalCdf } = require('./trendMetrics');
+const { generateComparisonSlides } = require('./businessReview');
+const { VERSION } = require('./version');
+
+// ─── Brand palette (matches trendAnalyzer.js) ─────────────────────────────────
+const VOAPPS_DARK_NAVY   = '0D053F';
+const VOAPPS_PURPLE      = '3F2FB8';
+const VOAPPS_PURPLE_PALE = 'D9D6F1';
+const VOAPPS_CHARCOAL    = '2E2C3E';
+
+const SIGNIFICANCE_Z = 1.96;     // two-sided, 95% confidence
+const SIGNIFICANCE_ALPHA = 0.05; // family-wise error rate per table after the Holm adjustment
+const MIN_ROW_ATTEMPTS = 30;     // message / caller rows smaller than this in either period are not tested
+const MAX_DECAY_ATTEMPTS = 10;   // attempt numbers compared on the decay curve
+const MAX_HIGHLIGHT_ROWS = 3;    // significant messages / callers listed in the highlights
+
+const CADENCE_BUCKETS = [
+  ['cadenceBucket_sameDay', 'Same-day re-attempt'],
+  ['cadenceBucket_1to2',    '1–2 days'],
+  ['cadenceBucket_3to5',    '3–5 days'],
+  ['cadenceBucket_6to10',   '6–10 days'],
+  ['cadenceBucket_11to15',  '11–15 days'],
+  ['cadenceBucket_16to30',  '16–30 days'],
+  ['cadenceBucket_over30',  '30+ days']
+];
+
+// Comparison JSON document – bump when a field is renamed, removed or changes meaning
+const COMPARISON_JSON_SCHEMA = 'voapps-period-comparison';
+const COMPARISON_JSON_SCHEMA_VERSION = 2;
+
+function log(message) {
+  const timeStr = new Date().toLocaleTimeString('en-US', { hour12: true });
+  console.log(`[${timeStr}] ${message}`);
+}
+
+// ============================================================================
+// STATISTICS
+// ============================================================================
+
+/**
+ * Pooled two-proportion z-test of s1/n1 (current) against s2/n2 (previous).
+ * @returns {{ z: number|null, pValue: number|null, significant: boolean }}
+ */
+function twoProportionTest(s1, n1, s2, n2) {
+  if (!(n1 > 0) || !(n2 > 0)) return { z: null, pValue: null, significant: false };
+  const pooled = (s1 + s2) / (n1 + n2);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+  if (se === 0) return { z: 0, pValue: 1, significant: false };
+  const z = (s1 / n1 - s2 / n2) / se;
+  return { z, pValue: 2 * (1 - normalCdf(Math.abs(z))), significant: Math.abs(z) >= SIGNIFICANCE_Z };
+}
+
+/**
+ * Holm step-down adjustment across one family of rate rows (e.g. every message row).
+ * Sets adjustedPValue on each tested row and re-derives significant from it, so a
+ * table with dozens of rows does not flag changes by chance. Untested rows get null.
+ */
+function holmAdjust(rows) {
+  const tested = rows.filter(r => r.pValue !== null).sort((a, b) => a.pValue - b.pValue);
+  let running = 0;
+  tested.forEach((r, i) => {
+    running = Math.max(running, Math.min(1, (tested.length - i) * r.pValue));
+    r.adjustedPValue = running;
+    r.significant = running < SIGNIFICANCE_ALPHA;
+  });
+  for (const r of rows) {
+    if (r.pValue === null) r.adjustedPValue = null;
+  }
+  return rows;
+}
+
+// ============================================================================
+// COMPARISON
+// ============================================================================
+
+/**
+ * A rate in both periods (as 0–1 fractions), the change in points and its test.
+ * Samples smaller than minSample in either period are reported but not tested.
+ */
+function rateChange(label, s1, n1, s2, n2, minSample = 1) {
+  const current  = n1 > 0 ? s1 / n1 : null;
+  const previous = n2 > 0 ? s2 / n2 : null;
+  const test = n1 >= minSample && n2 >= minSample
+    ? twoProportionTest(s1, n1, s2, n2)
+    : { z: null, pValue: null, significant: false };
+  return {
+    label, current, previous,
+    delta: current !== null && previous !== null ? current - previous : null,
+    currentN: n1 || 0, previousN: n2 || 0,
+    ...test
+  };
+}
+
+/** A count or average in both periods with its absolute and relative change. */
+function valueChange(label, current, previous) {
+  return {
+    label, current, previous,
+    delta: current - previous,
+    pctChange: previous ? (current - previous) / previous : null
+  };
+}
+
+function fmtRate(r) {
+  return r === null ? '—' : `${(r * 100).toFixed(1)}%`;
+}
+
+function fmtPoints(delta) {
+  return `${delta >= 0 ? '+' : ''}${(delta * 100).toFixed(1)} pts`;
+}
+
+/** e.g. "Delivered %: 41.2% → 45.8% (+4.6 pts)" */
+function describeRateChange(c) {
+  return `${c.label}: ${fmtRate(c.previous)} → ${fmtRate(c.current)} (${fmtPoints(c.delta)})`;
+}
+
+/** Rows sorted significant first, then by the size of the change. */
+function byImpact(a, b) {
+  if (a.significant !== b.significant) return a.significant ? -1 : 1;
+  return Math.abs(b.delta ?? 0) - Math.abs(a.delta ?? 0);
+}
+
+/**
+ * Per-message or per-caller rows joined across both periods.
+ * Rows used in only one period are kept with status 'New' / 'Not used'.
+ */
+function compareEntities(currentList, previousList, keyOf, describe) {
+  const prevByKey = new Map(previousList.map(e => [keyOf(e), e]));
+  const keys = new Set([...currentList.map(keyOf), ...prevByKey.keys()]);
+  const curByKey = new Map(currentList.map(e => [keyOf(e), e]));
+
+  const rows = [];
+  for (const key of keys) {
+    const cur = curByKey.get(key);
+    const prev = prevByKey.get(key);
+    const info = describe(cur || prev);
+    rows.push({
+      key,
+      ...info,
+      status: !prev ? 'New' : !cur ? 'Not used' : '',
+      ...rateChange(info.name,
+        cur?.successful || 0, cur?.total || 0, prev?.successful || 0, prev?.total || 0, MIN_ROW_ATTEMPTS)
+    });
+  }
+  return holmAdjust(rows).sort(byImpact);
+}
+
+/**
+ * Compare two analysis results period over period.
+ *
+ * @param {Object} current  - Result of computeTrendMetrics() for the current period
+ * @param {Object} previous - Result of computeTrendMetrics() for the comparison period
+ * @param {Object} [options]
+ * @param {string} [options.currentLabel='Current period']
+ * @param {string} [options.previousLabel='Previous period']
+ * @returns {Object} Comparison result – every rate row carries current, previous, delta,
+ *   z, pValue, adjustedPValue (Holm, within its table) and significant; see README "Period Comparison".
+ */
+function comparePeriods(current, previous, options = {}) {
+  const { currentLabel = 'Current period', previousLabel = 'Previous period' } = options;
+  const ct = current.totals, pt = previous.totals;
+  const ch = current.health, ph = previous.health;
+
+  const firstAttempt = (a) => a.decayCurve.find(d => d.attemptIndex === 1) || { successful: 0, total: 0 };
+  const rates = holmAdjust([
+    rateChange('Delivered %', ct.totalSuccess, ct.totalAttempts, pt.totalSuccess, pt.totalAttempts),
+    rateChange('First-Attempt Success Rate',
+      firstAttempt(current).successful, firstAttempt(current).total,
+      firstAttempt(previous).successful, firstAttempt(previous).total)
+  ]);
+  const volumes = [
+    valueChange('Unique Phone Numbers', ct.uniqueNumbers, pt.uniqueNumbers),
+    valueChange('Total DDVM Attempts', ct.totalAttempts, pt.totalAttempts),
+    valueChange('Successful Deliveries', ct.totalSuccess, pt.totalSuccess),
+    valueChange('Avg. Attempts per Number',
+      ct.uniqueNumbers > 0 ? ct.totalAttempts / ct.uniqueNumbers : 0,
+      pt.uniqueNumbers > 0 ? pt.totalAttempts / pt.uniqueNumbers : 0),
+    valueChange('Average Variability Score', ct.avgVariability, pt.avgVariability),
+    valueChange('Suppression Candidates', current.suppressionCandidateCount, previous.suppressionCandidateCount)
+  ];
+
+  // Grade order comes from the rubric (best first); the score breaks ties between rubrics
+  const gradeOrder = (current.settings?.listGradeRubric?.grades || []).map(g => g.grade);
+  const curRank = gradeOrder.indexOf(ch.listGrade), prevRank = gradeOrder.indexOf(ph.listGrade);
+  const scoreDelta = Math.round(((ch.listScore || 0) - (ph.listScore || 0)) * 10) / 10;
+  const listGrade = {
+    current: ch.listGrade, previous: ph.listGrade,
+    currentScore: ch.listScore, previousScore: ph.listScore, scoreDelta,
+    direction: curRank !== -1 && prevRank !== -1 && curRank !== prevRank
+      ? (curRank < prevRank ? 'improved' : 'declined')
+      : ch.listGrade !== ph.listGrade ? (scoreDelta >= 0 ? 'improved' : 'declined') : 'unchanged'
+  };
+
+  // TN Health mix – share of unique numbers in each classification
+  const tierNames = [...new Set([...(ch.tiers || []), ...(ph.tiers || [])].map(t => t.name))];
+  const tierCount = (h, name) => (h.tiers || []).find(t => t.name === name)?.count || 0;
+  const tnHealth = holmAdjust([
+    rateChange('Healthy', ch.healthyCount, ct.uniqueNumbers, ph.healthyCount, pt.uniqueNumbers),
+    ...tierNames.map(name => rateChange(name, tierCount(ch, name), ct.uniqueNumbers, tierCount(ph, name), pt.uniqueNumbers)),
+    rateChange('Delivery Unlikely', ch.toxicCount, ct.uniqueNumbers, ph.toxicCount, pt.uniqueNumbers),
+    rateChange('Never Delivered', ch.neverDeliveredCount, ct.uniqueNumbers, ph.neverDeliveredCount, pt.uniqueNumbers)
+  ]);
+
+  const decayAt = (a, i) => a.decayCurve.find(d => d.attemptIndex === i) || { successful: 0, total: 0 };
+  const decayLen = Math.min(MAX_DECAY_ATTEMPTS, Math.max(current.decayCurve.length, previous.decayCurve.length));
+  const decayCurve = Array.from({ length: decayLen }, (_, i) => {
+    const cur = decayAt(current, i + 1), prev = decayAt(previous, i + 1);
+    return { attemptIndex: i + 1, ...rateChange(`Attempt ${i + 1}`, cur.successful, cur.total, prev.successful, prev.total) };
+  });
+  holmAdjust(decayCurve);
+
+  const cc = current.cadence, pc = previous.cadence;
+  const cadence = {
+    shares: holmAdjust([
+      rateChange('Single touch (1 attempt only)',
+        cc.cadenceSingleTouch, cc.cadenceSingleTouch + cc.cadenceMultiTouchCount,
+        pc.cadenceSingleTouch, pc.cadenceSingleTouch + pc.cadenceMultiTouchCount),
+      ...CADENCE_BUCKETS.map(([key, label]) =>
+        rateChange(label, cc[key], cc.cadenceMultiTouchCount, pc[key], pc.cadenceMultiTouchCount))
+    ]),
+    medianDays: valueChange('Median Days Between Attempts', cc.cadenceOverallMedian || 0, pc.cadenceOverallMedian || 0)
+  };
+
+  const messages = compareEntities(current.messages, previous.messages,
+    m => `${m.account_id}:${m.message_id}`,
+    m => ({ accountId: m.account_id, messageId: m.message_id, name: m.message_name || `Message ${m.message_id}` }));
+  const callers = compareEntities(current.callers, previous.callers,
+    c => c.caller_number,
+    c => ({ callerNumber: c.caller_number, name: c.caller_name || c.caller_number }));
+
+  // Plain-language list of what moved, for the summary sheet and the slides
+  const highlights = [];
+  if (listGrade.direction !== 'unchanged') {
+    highlights.push(`List grade ${listGrade.direction} from ${listGrade.previous} to ${listGrade.current} ` +
+      `(score ${listGrade.previousScore} → ${listGrade.currentScore})`);
+  }
+  for (const c of [...rates, ...tnHealth, ...decayCurve, ...cadence.shares]) {
+    if (c.significant) highlights.push(describeRateChange(c));
+  }
+  for (const [kind, rows] of [['Message', messages], ['Caller #', callers]]) {
+    for (const r of rows.filter(x => x.significant).slice(0, MAX_HIGHLIGHT_ROWS)) {
+      highlights.push(`${kind} ${describeRateChange(r)}`);
+    }
+  }
+
+  const significantCount = [...rates, ...tnHealth, ...decayCurve, ...cadence.shares, ...messages, ...callers]
+    .filter(c => c.significant).length;
+
+  return {
+    version: VERSION,
+    periods: {
+      current:  { label: currentLabel,  dateRange: current.dateRange,  totalRecords: ct.totalRecords },
+      previous: { label: previousLabel, dateRange: previous.dateRange, totalRecords: pt.totalRecords }
+    },
+    settings: {
+      minConsecUnsuccessful: current.settings.minConsecUnsuccessful,
+      minRunSpanDays: current.settings.minRunSpanDays,
+      significanceZ: SIGNIFICANCE_Z,
+      significanceAlpha: SIGNIFICANCE_ALPHA,
+      multipleComparison: 'holm',
+      minRowAttempts: MIN_ROW_ATTEMPTS
+    },
+    overview: { rates, volumes },
+    listGrade,
+    tnHealth,
+    decayCurve,
+    cadence,
+    messages,
+    callers,
+    highlights,
+    significantCount
+  };
+}
+
+// ============================================================================
+// EXCEL RENDERER
+// ============================================================================
+
+const titleStyle = {
+  font: { bold: true, size: 14, color: { argb: 'FFFFFF' } },
+  fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: VOAPPS_DARK_NAVY } },
+  alignment: { vertical: 'middle', horizontal: 'left', wrapText: true }
+};
+const sectionHeaderStyle = {
+  font: { bold: true, size: 12, color: { argb: 'FFFFFF' } },
+  fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: VOAPPS_PURPLE } },
+  alignment: { vertical: 'middle', horizontal: 'left' }
+};
+const tableHeaderStyle = {
+  font: { bold: true, size: 11, color: { argb: 'FFFFFF' } },
+  fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: VOAPPS_DARK_NAVY } },
+  alignment: { vertical: 'middle', horizontal: 'center', wrapText: true }
+};
+const significantFill = { type: 'pattern', pattern: 'solid', fgColor: { argb: VOAPPS_PURPLE_PALE } };
+
+function fmtRangeDate(iso) {
+  return iso ? String(iso).slice(0, 10) : 'Unknown';
+}
+
+function significanceLabel(c) {
+  if (!c.significant) return c.adjustedPValue === null ? 'Not tested' : 'No';
+  return c.delta > 0 ? '▲ Yes' : '▼ Yes';
+}
+
+/**
+ * Write one rate table. `lead` gives the identifying columns of each row;
+ * every row is followed by previous / current rate, change, adjusted p-value and significance.
+ * @returns {number} Next free row
+ */
+function writeRateTable(sheet, startRow, leadHeaders, rows, lead) {
+  const headers = [...leadHeaders, 'Previous n', 'Previous', 'Current n', 'Current', 'Change (pts)', 'Adj. p-value', 'Significant'];
+  sheet.getRow(startRow).values = headers;
+  sheet.getRow(startRow).eachCell(cell => { cell.style = tableHeaderStyle; });
+
+  let r = startRow + 1;
+  const first = leadHeaders.length + 1;
+  for (const c of rows) {
+    const row = sheet.getRow(r);
+    row.values = [...lead(c), c.previousN, c.previous, c.currentN, c.current, c.delta, c.adjustedPValue, significanceLabel(c)];
+    row.getCell(first + 1).numFmt = '0.0%';
+    row.getCell(first + 3).numFmt = '0.0%';
+    row.getCell(first + 4).numFmt = '+0.0%;-0.0%;0.0%';
+    row.getCell(first + 5).numFmt = '0.000';
+    if (c.significant) {
+      row.eachCell(cell => { cell.fill = significantFill; });
+      row.getCell(first + 6).font = { bold: true, color: { argb: VOAPPS_DARK_NAVY } };
+    }
+    r++;
+  }
+  return r;
+}
+
+function sectionHeader(sheet, row, text, lastCol) {
+  sheet.mergeCells(row, 1, row, lastCol);
+  sheet.getCell(row, 1).value = text;
+  sheet.getCell(row, 1).style = sectionHeaderStyle;
+}
+
+/**
+ * Write the period comparison workbook.
+ * @param {Object} comparison - Result of comparePeriods()
+ * @param {string} outputPath - Output .xlsx path
+ */
+async function renderComparisonWorkbook(comparison, outputPath) {
+  const { periods, overview, listGrade, tnHealth, decayCurve, cadence, messages, callers, highlights } = comparison;
+  const rangeText = p => `${fmtRangeDate(p.dateRange.min)} to ${fmtRangeDate(p.dateRange.max)}`;
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = `VoApps Period Comparison v${VERSION}`;
+  workbook.created = new Date();
+
+  // ── Comparison Summary ─────────────────────────────────────────────────────
+  const sum = workbook.addWorksheet('Comparison Summary');
+  sum.columns = [{ width: 34 }, { width: 16 }, { width: 16 }, { width: 16 }, { width: 16 }, { width: 14 }, { width: 14 }, { width: 14 }];
+
+  sum.mergeCells('A1:H1');
+  sum.getCell('A1').value = `Period-over-Period Delivery Intelligence Comparison v${VERSION}`;
+  sum.getCell('A1').style = titleStyle;
+  sum.getRow(1).height = 35;
+
+  sum.mergeCells('A2:H2');
+  sum.getCell('A2').value =
+    `${periods.current.label} (${rangeText(periods.current)}) compared with ${periods.previous.label} (${rangeText(periods.previous)}). ` +
+    `Rate changes are tested with a two-proportion z-test. p-values are Holm-adjusted within each table, so "Significant" (adjusted p < 0.05) ` +
+    `is not just one of many rows crossing the line by chance. ` +
+    `Message and caller rows with fewer than ${MIN_ROW_ATTEMPTS} attempts in either period are not tested.`;
+  sum.getCell('A2').font = { italic: true, size: 10, color: { argb: 'FF555555' } };
+  sum.getCell('A2').alignment = { wrapText: true, vertical: 'top' };
+  sum.getRow(2).height = 60;
+
+  let row = 4;
+  sectionHeader(sum, row++, 'Periods', 8);
+  sum.getRow(row).values = ['Period', 'From', 'To', 'Records'];
+  sum.getRow(row).eachCell(cell => { cell.style = tableHeaderStyle; });
+  row++;
+  for (const p of [periods.previous, periods.current]) {
+    sum.getRow(row++).values = [p.label, fmtRangeDate(p.dateRange.min), fmtRangeDate(p.dateRange.max), p.totalRecords];
+  }
+
+  row++;
+  sectionHeader(sum, row++, 'List Quality Grade', 8);
+  sum.getRow(row).values = ['', 'Previous', 'Current', 'Change'];
+  sum.getRow(row).eachCell(cell => { cell.style = tableHeaderStyle; });
+  row++;
+  sum.getRow(row++).values = ['List Quality Grade', listGrade.previous, listGrade.current,
+    listGrade.direction === 'unchanged' ? 'Unchanged' : listGrade.direction === 'improved' ? '▲ Improved' : '▼ Declined'];
+  sum.getRow(row++).values = ['List Quality Score', listGrade.previousScore, listGrade.currentScore,
+    `${listGrade.scoreDelta >= 0 ? '+' : ''}${listGrade.scoreDelta}`];
+
+  row++;
+  sectionHeader(sum, row++, 'Delivery Rates', 8);
+  row = writeRateTable(sum, row, ['Metric'], overview.rates, c => [c.label]);
+
+  row++;
+  sectionHeader(sum, row++, 'Volume', 8);
+  sum.getRow(row).values = ['Metric', 'Previous', 'Current', 'Change', '% Change'];
+  sum.getRow(row).eachCell(cell => { cell.style = tableHeaderStyle; });
+  row++;
+  for (const v of [...overview.volumes, cadence.medianDays]) {
+    const r = sum.getRow(row++);
+    r.values = [v.label, v.previous, v.current, v.delta, v.pctChange];
+    const fmt = Number.isInteger(v.current) && Number.isInteger(v.previous) ? '#,##0' : '#,##0.0';
+    for (const col of [2, 3]) r.getCell(col).numFmt = fmt;
+    r.getCell(4).numFmt = `+${fmt};-${fmt};0`;
+    r.getCell(5).numFmt = '+0.0%;-0.0%;0.0%';
+  }
+
+  row++;
+  sectionHeader(sum, row++, 'What Changed', 8);
+  if (highlights.length === 0) {
+    sum.getCell(`A${row++}`).value = 'No statistically significant changes between the two periods.';
+  }
+  for (const h of highlights) {
+    sum.mergeCells(`A${row}:H${row}`);
+    sum.getCell(`A${row}`).value = `• ${h}`;
+    sum.getCell(`A${row}`).font = { size: 11, color: { argb: VOAPPS_CHARCOAL } };
+    row++;
+  }
+
+  // ── Detail tabs ─────────────────────────────────────────────────────────────
+  const detailSheet = (name, widths) => {
+    const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', xSplit: 0, ySplit: 1 }] });
+    sheet.columns = widths.map(width => ({ width }));
+    return sheet;
+  };
+  const rateWidths = [12, 12, 12, 12, 14, 10, 13];
+
+  const healthSheet = detailSheet('TN Health Mix', [28, ...rateWidths]);
+  writeRateTable(healthSheet, 1, ['Classification (% of numbers)'], tnHealth, c => [c.label]);
+
+  const decaySheet = detailSheet('Decay Curve', [22, ...rateWidths]);
+  writeRateTable(decaySheet, 1, ['Attempt # (success rate)'], decayCurve, c => [c.attemptIndex]);
+
+  const cadenceSheet = detailSheet('Re-attempt Cadence', [34, ...rateWidths]);
+  writeRateTable(cadenceSheet, 1, ['Interval (% of numbers)'], cadence.shares, c => [c.label]);
+
+  const msgSheet = detailSheet('Message Changes', [12, 12, 40, ...rateWidths, 10]);
+  writeRateTable(msgSheet, 1, ['Account ID', 'Message ID', 'Message Name'], messages,
+    m => [m.accountId, m.messageId, m.name]);
+  msgSheet.getCell(1, 11).value = 'Status';
+  msgSheet.getCell(1, 11).style = tableHeaderStyle;
+  messages.forEach((m, i) => { msgSheet.getCell(i + 2, 11).value = m.status; });
+
+  const callerSheet = detailSheet('Caller # Changes', [16, 30, ...rateWidths, 10]);
+  writeRateTable(callerSheet, 1, ['Caller Number', 'Caller Name'], callers,
+    c => [c.callerNumber, c.name === c.callerNumber ? '' : c.name]);
+  callerSheet.getCell(1, 10).value = 'Status';
+  callerSheet.getCell(1, 10).style = tableHeaderStyle;
+  callers.forEach((c, i) => { callerSheet.getCell(i + 2, 10).value = c.status; });
+
+  await workbook.xlsx.writeFile(outputPath);
+}
+
+/**
+ * Write the comparison result as a versioned JSON document.
+ */
+async function renderComparisonJson(comparison, outputPath) {
+  const doc = {
+    schema: COMPARISON_JSON_SCHEMA,
+    schema_version: COMPARISON_JSON_SCHEMA_VERSION,
+    generated_at: new Date().toISOString(),
+    ...comparison
+  };
+  await fs.promises.writeFile(outputPath, JSON.stringify(doc, null, 2), 'utf8');
+}
+
+// ============================================================================
+// MAIN COMPARISON FUNCTION
+// ============================================================================
+
+/**
+ * Analyze two periods and write the comparison workbook, slides and (optionally) JSON.
+ *
+ * @param {string|Array} currentInput  - CSV path(s) or row objects for the current period
+ * @param {string|Array} previousInput - CSV path(s) or row objects for the comparison period
+ * @param {string} outputPath - Output .xlsx path; slides go to <output>_Comparison_Review.pptx
+ * @param {Object} [options]
+ * @param {number} [options.minConsecUnsuccessful=4]
+ * @param {number} [options.minRunSpanDays=30]
+ * @param {string} [options.userTimezone='VoApps']
+ * @param {string} [options.userTimezoneLabel='VoApps']
+ * @param {Object|null} [options.tnHealthRules]   - Applied to both periods
+ * @param {Object|null} [options.listGradeRubric] - Applied to both periods
+ * @param {string} [options.currentLabel] / [options.previousLabel]
+ * @param {boolean} [options.includeJson=false] - Also write <output>.json
+ * @param {string} [options.clientPrefix='']
+ * @param {Function} [progressCallback]
+ * @returns {Promise<{ significantCount: number, listGrade: Object, highlights: string[] }>}
+ */
+async function generatePeriodComparison(currentInput, previousInput, outputPath, options = {}, progressCallback = null) {
+  const {
+    minConsecUnsuccessful = 4,
+    minRunSpanDays        = 30,
+    userTimezone          = 'VoApps',
+    userTimezoneLabel     = 'VoApps',
+    tnHealthRules         = null,
+    listGradeRubric       = null,
+    currentLabel          = 'Current period',
+    previousLabel         = 'Previous period',
+    includeJson           = false,
+    clientPrefix          = ''
+  } = options;
+  const metricsOptions = {
+    minConsecUnsuccessful, minRunSpanDays, userTimezone, userTimezoneLabel, tnHealthRules, listGradeRubric
+  };
+
+  log(`Starting Period Comparison (v${VERSION})`);
+  if (progressCallback) progressCallback(`Analyzing ${previousLabel.toLowerCase()}...`);
+  const previous = await computeTrendMetrics(previousInput, metricsOptions, progressCallback);
+  if (progressCallback) progressCallback(`Analyzing ${currentLabel.toLowerCase()}...`);
+  const current = await computeTrendMetrics(currentInput, metricsOptions, progressCallback);
+
+  const comparison = comparePeriods(current, previous, { currentLabel, previousLabel });
+  log(`${comparison.significantCount} significant change(s) found`);
+
+  if (progressCallback) progressCallback('Writing comparison workbook...');
+  await renderComparisonWorkbook(comparison, outputPath);
+  log(`Comparison workbook saved: ${path.basename(outputPath)}`);
+
+  try {
+    const pptxPath = outputPath.replace(/\.xlsx$/i, '_Comparison_Review.pptx');
+    if (progressCallback) progressCallback('Generating comparison slides...');
+    const squareLogo = path.join(__dirname, 'assets', 'logo_square.png');
+    const circleLogo = path.join(__dirname, 'assets', 'logo_circle.png');
+    await generateComparisonSlides(comparison, pptxPath,
+      fs.existsSync(squareLogo) ? squareLogo : null,
+      fs.existsSync(circleLogo) ? circleLogo : null,
+      { clientPrefix });
+    log(`Comparison slides saved: ${path.basename(pptxPath)}`);
+  } catch (slideErr) {
+    log(`[Warning] Comparison slides could not be generated: ${slideErr.message}`);
+  }
+
+  if (includeJson) {
+    const jsonPath = outputPath.replace(/\.xlsx$/i, '.json');
+    await renderComparisonJson(comparison, jsonPath);
+    log(`JSON export saved: ${path.basename(jsonPath)}`);
+  }
+
+  return {
+    significantCount: comparison.significantCount,
+    listGrade: comparison.listGrade,
+    highlights: comparison.highlights
+  };
+}
+
+module.exports = {
+  generatePeriodComparison,
+  comparePeriods,
+  renderComparisonWorkbook,
+  renderComparisonJson,
+  twoProportionTest,
+  rateChange,
+  holmAdjust,
+  MIN_ROW_ATTEMPTS,
+  COMPARISON_JSON_SCHEMA_VERSION
+};
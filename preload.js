@@ -27,6 +27,7 @@ contextBridge.exposeInMainWorld('voapps', {
   getDatabaseStats: () => ipcRenderer.invoke('get-database-stats'),
   quit: () => ipcRenderer.invoke('quit-app'),
   selectFolder: () => ipcRenderer.invoke('select-folder'),
+  selectFile: (filters) => ipcRenderer.invoke('select-file', filters),
   setZoom: (level) => ipcRenderer.invoke('set-zoom', level),
   getZoom: () => ipcRenderer.invoke('get-zoom')
 });
\ No newline at end of file
@@ -0,0 +1,423 @@
+#!/usr/bin/env node
+// scripts/mock-voapps-api.js
+// Local stand-in for the VoApps DDVM API, for testing without network access.
+// Serves synthetic accounts, campaigns (25 per page), caller numbers, messages
+// and export CSVs, and can inject 429s, 500s and truncated export bodies.
+//
+// Usage:
+//   npm run mock-api -- [options]
+//   VOAPPS_API_BASE=http://127.0.0.1:4010/api/v1 npm start
+//
+// The same data is generated for the same --seed, so repeated downloads of a
+// campaign export are identical (dedup, sync and resume behave as in production).
+
+'use strict';
+
+const http = require('http');
+
+const API_PREFIX = '/api/v1';
+const PAGE_SIZE = 25;
+
+const DEFAULTS = {
+  port: 4010,
+  host: '127.0.0.1',
+  seed: 1,
+  accounts: 2,
+  campaigns: 60,        // per account
+  rows: 500,            // records per campaign export
+  numbers: 2000,        // phone number pool per account (numbers recur across campaigns)
+  days: 90,             // campaign target dates spread over the last N days
+  codes: '200:55,400:12,405:5,406:6,407:4,401:4,402:2,403:2,404:1,300:3,301:1,501:2,503:1',
+  fail429: 0,           // probability of a 429 on an API call
+  fail500: 0,           // probability of a 500 on an API call
+  export500: 0,         // probability of a 500 on an export download
+  truncate: 0,          // probability an export body is cut off mid-stream
+  noExport: 0,          // probability a past campaign has no export URL yet
+  retryAfter: 1,        // Retry-After seconds sent with injected 429s
+  rateLimit: 0,         // API calls per second before 429 (0 = unlimited)
+  latency: 0            // ms added to every response
+};
+
+const RESULT_LABELS = {
+  '100': 'Pending', '101': 'Running', '200': 'Successfully delivered',
+  '300': 'Expired', '301': 'Canceled', '400': 'Unsuccessful delivery attempt',
+  '401': 'Not a wireless number', '402': 'Duplicate number', '403': 'Not a valid US number',
+  '404': 'Undeliverable', '405': 'Not in service', '406': 'Voicemail not setup',
+  '407': 'Voicemail full', '408': 'Invalid caller number', '409': 'Invalid message id',
+  '410': 'Prohibited self call', '500': 'Restricted', '501': 'Restricted for frequency',
+  '502': 'Restricted geographical region', '503': 'Restricted individual number',
+  '504': 'Restricted WebRecon'
+};
+
+// Records never attempted carry no timestamp in real exports
+const UNTIMESTAMPED_CODES = new Set(['100', '101', '401', '402', '403', '404']);
+
+const TIMEZONES = ['America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles'];
+
+// =============================================================================
+// SYNTHETIC DATA
+// =============================================================================
+
+/** Small seeded PRNG (mulberry32) so generated data is reproducible. */
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function parseCodeWeights(spec) {
+  const weights = [];
+  for (const part of String(spec).split(',')) {
+    const [code, weight] = part.split(':').map(s => s.trim());
+    const w = Number(weight);
+    if (!RESULT_LABELS[code] || !(w > 0)) throw new Error(`Invalid code weight "${part}"`);
+    weights.push({ code, weight: w });
+  }
+  const total = weights.reduce((sum, w) => sum + w.weight, 0);
+  return rand => {
+    let r = rand() * total;
+    for (const w of weights) {
+      if ((r -= w.weight) < 0) return w.code;
+    }
+    return weights[weights.length - 1].code;
+  };
+}
+
+const pad = n => String(n).padStart(2, '0');
+const ymd = d => `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+
+/** Build accounts, campaigns, caller numbers and messages for the options. */
+function generateDataset(opts) {
+  const rand = createRandom(opts.seed);
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  const accounts = [];
+
+  for (let a = 0; a < opts.accounts; a++) {
+    const accountId = String(1000 + a);
+    const callerNumbers = Array.from({ length: 3 }, (_, i) => ({
+      number: `80155500${pad(a * 3 + i)}`,
+      name: `Caller ${a + 1}-${i + 1}`
+    }));
+    const messages = Array.from({ length: 3 }, (_, i) => ({
+      id: 5000 + a * 10 + i,
+      name: `Message ${a + 1}-${i + 1}`,
+      description: `Synthetic test message ${i + 1} for account ${accountId}`,
+      file_url: ''
+    }));
+
+    const campaigns = [];
+    for (let c = 0; c < opts.campaigns; c++) {
+      // Spread target dates over the window; the last campaign per account is today
+      const daysAgo = c === opts.campaigns - 1 ? 0 : Math.floor(rand() * opts.days);
+      const target = new Date(today.getTime() - daysAgo * 86400000);
+      const created = new Date(target.getTime() - (1 + Math.floor(rand() * 3)) * 86400000);
+      const hour = 8 + Math.floor(rand() * 10);
+      campaigns.push({
+        id: Number(`${accountId}${String(c + 1).padStart(4, '0')}`),
+        account_id: accountId,
+        name: `Mock Campaign ${accountId}-${c + 1}`,
+        created_date: `${ymd(created)}T12:00:00Z`,
+        target_date: `${ymd(target)}T${pad(hour)}:00:00-07:00`,
+        caller_number: callerNumbers[c % callerNumbers.length].number,
+        message_id: messages[c % messages.length].id,
+        status: daysAgo === 0 ? 'running' : 'finished',
+        has_export: daysAgo === 0 || rand() >= opts.noExport
+      });
+    }
+    campaigns.sort((x, y) => x.created_date.localeCompare(y.created_date) || x.id - y.id);
+
+    accounts.push({
+      id: accountId,
+      name: `Mock Account ${a + 1}`,
+      timezone: TIMEZONES[a % TIMEZONES.length],
+      campaigns,
+      callerNumbers,
+      messages
+    });
+  }
+  return accounts;
+}
+
+/** Export CSV for one campaign. Deterministic per (seed, campaign id). */
+function buildExportCsv(account, campaign, opts, pickCode) {
+  const rand = createRandom(opts.seed * 7919 + campaign.id);
+  const lines = ['number,voapps_result,voapps_code,voapps_timestamp,voapps_caller_number,voapps_message_id,account_number'];
+  const startMs = Date.parse(campaign.target_date);
+  const accountOffset = Number(account.id) * 10007;
+
+  for (let i = 0; i < opts.rows; i++) {
+    const n = Math.floor(rand() * opts.numbers);
+    const number = String(2000000000 + ((accountOffset + n * 7919) % 7999999999)).slice(0, 10);
+    const code = campaign.status === 'running' && rand() < 0.3 ? (rand() < 0.5 ? '100' : '101') : pickCode(rand);
+    let timestamp = '';
+    if (!UNTIMESTAMPED_CODES.has(code)) {
+      // Delivered within four hours of the campaign start, in the export's "… UTC" format
+      const at = new Date(startMs + Math.floor(rand() * 4 * 3600) * 1000);
+      timestamp = `${at.toISOString().slice(0, 19).replace('T', ' ')} UTC`;
+    }
+    lines.push([
+      number, RESULT_LABELS[code], code, timestamp,
+      campaign.caller_number, campaign.message_id, `ACCT-${account.id}-${String(n).padStart(6, '0')}`
+    ].join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// =============================================================================
+// SERVER
+// =============================================================================
+
+function publicCampaign(c) {
+  const { has_export, ...rest } = c;
+  return rest;
+}
+
+/**
+ * Create (but do not start) a mock API server.
+ * Fault settings can be changed at runtime with POST /__mock/config.
+ */
+function createMockServer(options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const pickCode = parseCodeWeights(opts.codes);
+  const accounts = generateDataset(opts);
+  const stats = { requests: 0, injected429: 0, injected500: 0, truncated: 0, rateLimited: 0, byRoute: {} };
+  let windowStart = 0;
+  let windowCount = 0;
+
+  const findAccount = id => accounts.find(a => a.id === String(id));
+
+  const sendJson = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  const count = route => { stats.byRoute[route] = (stats.byRoute[route] || 0) + 1; };
+
+  /** Rate limit + random faults for API routes. Returns true when a response was sent. */
+  function injectApiFault(res) {
+    if (opts.rateLimit > 0) {
+      const now = Date.now();
+      if (now - windowStart >= 1000) { windowStart = now; windowCount = 0; }
+      windowCount++;
+      const remaining = Math.max(0, opts.rateLimit - windowCount);
+      res.setHeader('X-RateLimit-Limit', String(opts.rateLimit));
+      res.setHeader('X-RateLimit-Remaining', String(remaining));
+      res.setHeader('X-RateLimit-Reset', String(Math.ceil((windowStart + 1000) / 1000)));
+      if (windowCount > opts.rateLimit) {
+        stats.rateLimited++;
+        sendJson(res, 429, { error: 'Rate limit exceeded' }, { 'Retry-After': '1' });
+        return true;
+      }
+    }
+    if (Math.random() < opts.fail429) {
+      stats.injected429++;
+      sendJson(res, 429, { error: 'Too Many Requests (injected)' }, { 'Retry-After': String(opts.retryAfter) });
+      return true;
+    }
+    if (Math.random() < opts.fail500) {
+      stats.injected500++;
+      sendJson(res, 500, { error: 'Internal Server Error (injected)' });
+      return true;
+    }
+    return false;
+  }
+
+  function handleApi(req, res, url, route) {
+    if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+      return sendJson(res, 401, { error: 'Missing or invalid API key' });
+    }
+    if (injectApiFault(res)) return;
+    const parts = route.split('/').filter(Boolean); // ['accounts', id, ...]
+
+    if (parts.length === 1 && parts[0] === 'accounts') {
+      count('accounts');
+      return sendJson(res, 200, {
+        accounts: accounts.map(a => ({ id: Number(a.id), name: a.name, timezone: a.timezone }))
+      });
+    }
+
+    const account = parts[0] === 'accounts' ? findAccount(parts[1]) : null;
+    if (!account) return sendJson(res, 404, { error: 'Not found' });
+
+    if (parts.length === 3 && parts[2] === 'caller_numbers') {
+      count('caller_numbers');
+      return sendJson(res, 200, { caller_numbers: account.callerNumbers });
+    }
+    if (parts.length === 3 && parts[2] === 'messages') {
+      count('messages');
+      return sendJson(res, 200, { messages: account.messages });
+    }
+    if (parts.length === 3 && parts[2] === 'campaigns') {
+      count('campaigns');
+      const start = url.searchParams.get('created_date_start') || '0000-00-00';
+      const end = url.searchParams.get('created_date_end') || '9999-99-99';
+      const page = Math.max(1, parseInt(url.searchParams.get('page')) || 1);
+      const inRange = account.campaigns.filter(c => {
+        const day = c.created_date.slice(0, 10);
+        return day >= start && day <= end;
+      });
+      const slice = inRange.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+      return sendJson(res, 200, { campaigns: slice.map(publicCampaign) });
+    }
+    if (parts.length === 4 && parts[2] === 'campaigns') {
+      count('campaign_detail');
+      const campaign = account.campaigns.find(c => String(c.id) === parts[3]);
+      if (!campaign) return sendJson(res, 404, { error: 'Campaign not found' });
+      const host = req.headers.host || `${opts.host}:${opts.port}`;
+      return sendJson(res, 200, {
+        campaign: {
+          ...publicCampaign(campaign),
+          export: campaign.has_export ? `http://${host}/exports/${account.id}/${campaign.id}.csv` : null
+        }
+      });
+    }
+    return sendJson(res, 404, { error: 'Not found' });
+  }
+
+  // Export downloads mimic the signed S3 URLs: no authentication
+  function handleExport(req, res, accountId, campaignId) {
+    count('export');
+    const account = findAccount(accountId);
+    const campaign = account?.campaigns.find(c => String(c.id) === campaignId);
+    if (!campaign || !campaign.has_export) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('NoSuchKey');
+    }
+    if (Math.random() < opts.export500) {
+      stats.injected500++;
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      return res.end('InternalError (injected)');
+    }
+    const body = Buffer.from(buildExportCsv(account, campaign, opts, pickCode));
+    res.writeHead(200, { 'Content-Type': 'text/csv', 'Content-Length': String(body.length) });
+    if (Math.random() < opts.truncate) {
+      // Send part of the declared length, then drop the connection
+      stats.truncated++;
+      res.write(body.subarray(0, Math.floor(body.length / 2)));
+      return setTimeout(() => res.destroy(), 20);
+    }
+    res.end(body);
+  }
+
+  async function handleAdmin(req, res, route) {
+    if (req.method === 'GET' && route === '/__mock/stats') return sendJson(res, 200, { ...stats, config: opts });
+    if (req.method === 'POST' && route === '/__mock/config') {
+      let raw = '';
+      for await (const chunk of req) raw += chunk;
+      try {
+        const patch = raw ? JSON.parse(raw) : {};
+        for (const key of ['fail429', 'fail500', 'export500', 'truncate', 'retryAfter', 'rateLimit', 'latency']) {
+          if (patch[key] !== undefined) opts[key] = Number(patch[key]) || 0;
+        }
+        return sendJson(res, 200, { ok: true, config: opts });
+      } catch (e) {
+        return sendJson(res, 400, { ok: false, error: e.message });
+      }
+    }
+    return sendJson(res, 404, { error: 'Not found' });
+  }
+
+  const server = http.createServer(async (req, res) => {
+    stats.requests++;
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const route = url.pathname;
+    if (opts.latency > 0) await new Promise(resolve => setTimeout(resolve, opts.latency));
+
+    try {
+      if (route.startsWith('/__mock/')) return await handleAdmin(req, res, route);
+      if (req.method !== 'GET') return sendJson(res, 405, { error: 'Method not allowed' });
+      const exportMatch = route.match(/^\/exports\/(\d+)\/(\d+)\.csv$/);
+      if (exportMatch) return handleExport(req, res, exportMatch[1], exportMatch[2]);
+      if (route.startsWith(API_PREFIX + '/')) return handleApi(req, res, url, route.slice(API_PREFIX.length));
+      return sendJson(res, 404, { error: 'Not found' });
+    } catch (e) {
+      console.error('[Mock API] Error:', e.message);
+      if (!res.headersSent) sendJson(res, 500, { error: e.message });
+      else res.destroy();
+    }
+  });
+
+  server.mock = { options: opts, accounts, stats };
+  return server;
+}
+
+// =============================================================================
+// CLI
+// =============================================================================
+
+const USAGE = `Mock VoApps API server
+
+Usage: node scripts/mock-voapps-api.js [options]
+
+Data:
+  --port <n>          Port (default ${DEFAULTS.port})
+  --seed <n>          Seed for generated data (default ${DEFAULTS.seed})
+  --accounts <n>      Number of accounts (default ${DEFAULTS.accounts})
+  --campaigns <n>     Campaigns per account (default ${DEFAULTS.campaigns})
+  --rows <n>          Records per campaign export (default ${DEFAULTS.rows})
+  --numbers <n>       Phone number pool per account (default ${DEFAULTS.numbers})
+  --days <n>          Spread target dates over the last n days (default ${DEFAULTS.days})
+  --codes <spec>      Result code weights, e.g. "200:60,400:20,405:20"
+
+Faults (probabilities 0-1):
+  --fail-429 <p>      429 Too Many Requests on API calls
+  --fail-500 <p>      500 on API calls
+  --export-500 <p>    500 on export downloads
+  --truncate <p>      Export body cut off mid-download
+  --no-export <p>     Past campaigns without an export URL
+  --retry-after <s>   Retry-After seconds on injected 429s (default ${DEFAULTS.retryAfter})
+  --rate-limit <n>    Allow n API calls per second, then 429 (default off)
+  --latency <ms>      Delay every response
+
+Runtime: GET /__mock/stats, POST /__mock/config {"fail429":0.1,...}
+`;
+
+function parseCliArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') return null;
+    if (!arg.startsWith('--')) throw new Error(`Unexpected argument "${arg}"`);
+    const key = arg.slice(2).replace(/-([a-z0-9])/g, (_, ch) => ch.toUpperCase());
+    if (!(key in DEFAULTS)) throw new Error(`Unknown option ${arg}`);
+    const value = argv[++i];
+    if (value === undefined) throw new Error(`Missing value for ${arg}`);
+    options[key] = typeof DEFAULTS[key] === 'number' ? Number(value) : value;
+    if (typeof DEFAULTS[key] === 'number' && !Number.isFinite(options[key])) throw new Error(`${arg} must be a number`);
+  }
+  return options;
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseCliArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`Error: ${e.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  if (!options) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const server = createMockServer(options);
+  const { port, host } = server.mock.options;
+  server.listen(port, host, () => {
+    const total = server.mock.accounts.reduce((sum, a) => sum + a.campaigns.length, 0);
+    console.log(`[Mock API] Listening on http://${host}:${port}${API_PREFIX}`);
+    console.log(`[Mock API] ${server.mock.accounts.length} account(s) (${server.mock.accounts.map(a => a.id).join(', ')}), ${total} campaigns`);
+    console.log(`[Mock API] Point the app at it with VOAPPS_API_BASE=http://${host}:${port}${API_PREFIX} (any API key works)`);
+  });
+  const shutdown = () => server.close(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+module.exports = { createMockServer, DEFAULTS };
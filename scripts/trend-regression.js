@@ -0,0 +1,411 @@
+#!/usr/bin/env node
+// scripts/trend-regression.js
+// Regression harness for trendAnalyzer.generateTrendAnalysis.
+// Builds synthetic campaign CSV fixtures, runs the analysis, loads the produced
+// .xlsx with exceljs and compares sheet names, Executive Summary key metrics and
+// section headings, Message / Caller # Insights columns, TN Health counts and
+// Suppression Candidates rows against golden snapshots in scripts/trend-regression/.
+//
+// Usage:
+//   npm run regression:trend                 Compare every scenario against its golden file
+//   npm run regression:trend -- --update     Re-record the golden files after an intended change
+//   npm run regression:trend -- --scenario mixed-list --keep --verbose
+//
+// Fixtures are generated from a fixed seed and fixed dates, so the same tree
+// always produces the same workbook contents.
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { generateTrendAnalysis } = require('../trendAnalyzer');
+
+const GOLDEN_DIR = path.join(__dirname, 'trend-regression');
+
+const RESULT_LABELS = {
+  '200': 'Successfully delivered', '400': 'Unsuccessful delivery attempt',
+  '401': 'Not a wireless number', '402': 'Duplicate number', '403': 'Not a valid US number',
+  '405': 'Not in service', '406': 'Voicemail not setup', '407': 'Voicemail full'
+};
+
+// Never-attempted records carry no timestamp in real exports
+const UNTIMESTAMPED_CODES = new Set(['401', '402', '403']);
+
+const CSV_COLUMNS = ['number', 'account_id', 'campaign_id', 'campaign_name', 'caller_number',
+  'message_id', 'voapps_result', 'voapps_code', 'voapps_timestamp'];
+
+// =============================================================================
+// SCENARIOS
+// =============================================================================
+
+/**
+ * Each scenario describes a synthetic list. `profiles` split the number pool
+ * into behaviour groups; `pick(rand, attempt)` returns the result code for the
+ * number's nth attempt (0-based).
+ */
+const SCENARIOS = {
+  'mixed-list': {
+    description: 'Healthy, decaying, never-delivered, intermittent and non-deliverable numbers with detail tabs',
+    seed: 11,
+    accountId: '1001',
+    startDate: '2025-01-06',
+    campaigns: 24,
+    campaignEveryDays: 4,
+    offset: '-05:00',
+    attemptRate: 0.7,
+    callers: ['8015550100', '8015550101'],
+    messages: ['5001', '5002', '5003'],
+    profiles: [
+      { name: 'healthy', count: 150, pick: rand => (rand() < 0.85 ? '200' : '400') },
+      // Delivered early on, then fails every attempt for the rest of the range
+      { name: 'decaying', count: 50, pick: (rand, attempt) => (attempt < 3 ? '200' : (rand() < 0.5 ? '405' : '400')) },
+      { name: 'never-delivered', count: 40, pick: rand => ['400', '406', '407'][Math.floor(rand() * 3)] },
+      { name: 'non-deliverable', count: 20, pick: rand => ['401', '402', '403'][Math.floor(rand() * 3)] },
+      { name: 'intermittent', count: 40, pick: rand => (rand() < 0.5 ? '200' : '400') }
+    ],
+    options: { includeDetailTabs: true, includeReAttemptTabs: true, includeSuppressionCandidates: true }
+  },
+  'summary-only': {
+    description: 'Small UTC list without detail tabs',
+    seed: 29,
+    accountId: '2002',
+    startDate: '2025-03-03',
+    campaigns: 10,
+    campaignEveryDays: 7,
+    offset: '+00:00',
+    attemptRate: 0.9,
+    callers: ['3855550199'],
+    messages: ['6001'],
+    profiles: [
+      { name: 'healthy', count: 50, pick: rand => (rand() < 0.9 ? '200' : '400') },
+      { name: 'decaying', count: 20, pick: (rand, attempt) => (attempt < 2 ? '200' : '400') },
+      { name: 'never-delivered', count: 10, pick: () => '405' }
+    ],
+    options: { includeDetailTabs: false, includeReAttemptTabs: false, includeSuppressionCandidates: true }
+  }
+};
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+/** Small seeded PRNG (mulberry32) so fixtures are reproducible. */
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function csvField(value) {
+  const s = value == null ? '' : String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Format a UTC epoch as the export's local "YYYY-MM-DD HH:MM:SS ±HH:MM" timestamp. */
+function formatLocalTimestamp(ms, offset) {
+  const sign = offset.startsWith('-') ? -1 : 1;
+  const [h, m] = offset.slice(1).split(':').map(Number);
+  const local = new Date(ms + sign * (h * 60 + m) * 60000);
+  return local.toISOString().replace('T', ' ').slice(0, 19) + ' ' + offset;
+}
+
+/**
+ * Write one CSV per campaign for a scenario into dir.
+ * @returns {string[]} CSV paths in campaign order
+ */
+function writeScenarioFixtures(scenario, dir) {
+  const rand = createRandom(scenario.seed);
+  const numbers = [];
+  let seq = 0;
+  for (const profile of scenario.profiles) {
+    for (let i = 0; i < profile.count; i++) {
+      numbers.push({ number: String(2015550000 + seq++), profile, attempts: 0 });
+    }
+  }
+
+  const files = [];
+  const startMs = Date.parse(`${scenario.startDate}T00:00:00Z`);
+  for (let c = 0; c < scenario.campaigns; c++) {
+    const campaignId = String(Number(scenario.accountId) * 1000 + c + 1);
+    const dayMs = startMs + c * scenario.campaignEveryDays * 86400000;
+    // Vary the send window so hour and day-of-week stats have more than one bucket
+    const baseHourUtc = 13 + (c % 6);
+    const caller = scenario.callers[c % scenario.callers.length];
+    const message = scenario.messages[c % scenario.messages.length];
+    const lines = [CSV_COLUMNS.join(',')];
+
+    numbers.forEach((entry, idx) => {
+      if (rand() >= scenario.attemptRate) return;
+      const code = entry.profile.pick(rand, entry.attempts);
+      entry.attempts++;
+      const ms = dayMs + baseHourUtc * 3600000 + idx * 7000;
+      lines.push([
+        entry.number, scenario.accountId, campaignId, `Regression ${scenario.accountId}-${c + 1}`,
+        caller, message, RESULT_LABELS[code], code,
+        UNTIMESTAMPED_CODES.has(code) ? '' : formatLocalTimestamp(ms, scenario.offset)
+      ].map(csvField).join(','));
+    });
+
+    const file = path.join(dir, `campaign_${campaignId}.csv`);
+    fs.writeFileSync(file, lines.join('\n') + '\n');
+    files.push(file);
+  }
+  return files;
+}
+
+// =============================================================================
+// WORKBOOK SNAPSHOT
+// =============================================================================
+
+/** Reduce an exceljs cell value to plain JSON (dates → ISO, rich text → string). */
+function plainValue(value) {
+  if (value == null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(r => r.text).join('');
+    if ('result' in value) return plainValue(value.result);
+    if ('text' in value) return value.text;
+    return JSON.stringify(value);
+  }
+  if (typeof value === 'number') return Math.round(value * 10000) / 10000;
+  return value;
+}
+
+function readHeaderIndex(sheet) {
+  const index = {};
+  sheet.getRow(1).eachCell((cell, col) => { index[plainValue(cell.value)] = col; });
+  return index;
+}
+
+/** Label → value pairs of the Executive Summary "Key Metrics" block. */
+function readKeyMetrics(sheet) {
+  const metrics = {};
+  let row = null;
+  for (let r = 1; r <= sheet.rowCount; r++) {
+    if (plainValue(sheet.getCell(`A${r}`).value) === 'Key Metrics') { row = r + 1; break; }
+  }
+  if (row === null) return null;
+  for (; row <= sheet.rowCount; row++) {
+    const label = plainValue(sheet.getCell(`A${row}`).value);
+    if (!label) break;
+    metrics[label] = plainValue(sheet.getCell(`B${row}`).value);
+  }
+  return metrics;
+}
+
+/** Column A headings (white-on-colour title and section rows) of the Executive Summary, in order. */
+function readSectionHeadings(sheet) {
+  const headings = [];
+  for (let r = 1; r <= sheet.rowCount; r++) {
+    const cell = sheet.getCell(`A${r}`);
+    if (cell.font && cell.font.color && /FFFFFF$/i.test(cell.font.color.argb || '') && cell.value) {
+      headings.push(plainValue(cell.value));
+    }
+  }
+  return headings;
+}
+
+/** Header row (row 1) of a table sheet. */
+function readHeaderRow(sheet) {
+  const headers = [];
+  sheet.getRow(1).eachCell(cell => { headers.push(plainValue(cell.value)); });
+  return headers;
+}
+
+function readTnHealth(sheet) {
+  const cols = readHeaderIndex(sheet);
+  const byHealth = {};
+  let rows = 0;
+  for (let r = 2; r <= sheet.rowCount; r++) {
+    const number = plainValue(sheet.getRow(r).getCell(cols['Number']).value);
+    if (number == null) continue;
+    const health = plainValue(sheet.getRow(r).getCell(cols['TN Health']).value);
+    byHealth[health] = (byHealth[health] || 0) + 1;
+    rows++;
+  }
+  return { rows, byHealth };
+}
+
+function readSuppressionCandidates(sheet) {
+  const cols = readHeaderIndex(sheet);
+  const rows = [];
+  for (let r = 2; r <= sheet.rowCount; r++) {
+    const row = sheet.getRow(r);
+    const number = plainValue(row.getCell(cols['Number']).value);
+    if (number == null) continue;
+    rows.push({
+      number: String(number),
+      consecutiveFailures: plainValue(row.getCell(cols['Consecutive Failures']).value),
+      runStart: plainValue(row.getCell(cols['Run Start']).value),
+      runEnd: plainValue(row.getCell(cols['Run End']).value),
+      spanDays: plainValue(row.getCell(cols['Span (Days)']).value),
+      tnHealth: plainValue(row.getCell(cols['TN Health']).value)
+    });
+  }
+  return rows;
+}
+
+async function snapshotWorkbook(xlsxPath, result) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(xlsxPath);
+  const sheet = name => workbook.getWorksheet(name);
+
+  return {
+    result: Object.fromEntries(Object.entries(result || {}).map(([k, v]) => [k, plainValue(v)])),
+    sheetNames: workbook.worksheets.map(ws => ws.name),
+    executiveSummary: sheet('Executive Summary') ? readKeyMetrics(sheet('Executive Summary')) : null,
+    executiveSummarySections: sheet('Executive Summary') ? readSectionHeadings(sheet('Executive Summary')) : null,
+    insightColumns: Object.fromEntries(['Message Insights', 'Caller # Insights']
+      .filter(name => sheet(name))
+      .map(name => [name, readHeaderRow(sheet(name))])),
+    tnHealth: sheet('TN Health') ? readTnHealth(sheet('TN Health')) : null,
+    suppressionCandidates: sheet('Suppression Candidates') ? readSuppressionCandidates(sheet('Suppression Candidates')) : null
+  };
+}
+
+// =============================================================================
+// COMPARISON
+// =============================================================================
+
+/** List of "path: expected …, got …" lines for every difference between two JSON values. */
+function diffValues(expected, actual, at = '', out = []) {
+  if (expected === actual) return out;
+  const bothObjects = expected && actual && typeof expected === 'object' && typeof actual === 'object';
+  if (!bothObjects || Array.isArray(expected) !== Array.isArray(actual)) {
+    out.push(`${at || '(root)'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    return out;
+  }
+  if (Array.isArray(expected) && expected.length !== actual.length) {
+    out.push(`${at}: expected ${expected.length} entries, got ${actual.length}`);
+  }
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  for (const key of keys) {
+    diffValues(expected[key], actual[key], Array.isArray(expected) ? `${at}[${key}]` : (at ? `${at}.${key}` : key), out);
+  }
+  return out;
+}
+
+// =============================================================================
+// RUNNER
+// =============================================================================
+
+async function runScenario(name, scenario, { verbose, workDir }) {
+  const dir = path.join(workDir, name);
+  fs.mkdirSync(dir, { recursive: true });
+  const csvFiles = writeScenarioFixtures(scenario, dir);
+  const xlsxPath = path.join(dir, `${name}.xlsx`);
+
+  // trendAnalyzer logs every step to stdout; keep the harness output readable
+  const originalLog = console.log;
+  if (!verbose) console.log = () => {};
+  let result;
+  try {
+    result = await generateTrendAnalysis(csvFiles, xlsxPath, {
+      minConsecUnsuccessful: 4,
+      minRunSpanDays: 30,
+      ...scenario.options
+    });
+  } finally {
+    console.log = originalLog;
+  }
+
+  return snapshotWorkbook(xlsxPath, result);
+}
+
+function parseArgs(argv) {
+  const args = { update: false, keep: false, verbose: false, scenarios: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') return null;
+    else if (arg === '--update') args.update = true;
+    else if (arg === '--keep') args.keep = true;
+    else if (arg === '--verbose') args.verbose = true;
+    else if (arg === '--scenario') {
+      const value = argv[++i];
+      if (!SCENARIOS[value]) throw new Error(`Unknown scenario "${value}" (available: ${Object.keys(SCENARIOS).join(', ')})`);
+      args.scenarios.push(value);
+    } else throw new Error(`Unknown option ${arg}`);
+  }
+  if (args.scenarios.length === 0) args.scenarios = Object.keys(SCENARIOS);
+  return args;
+}
+
+const USAGE = `trendAnalyzer regression harness
+
+Usage: node scripts/trend-regression.js [options]
+
+  --scenario <name>   Run one scenario (repeatable; default all: ${Object.keys(SCENARIOS).join(', ')})
+  --update            Write the current output as the golden snapshot
+  --keep              Keep the generated CSV and .xlsx files and print their location
+  --verbose           Show trendAnalyzer log output
+`;
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`Error: ${e.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  if (!args) {
+    console.log(USAGE);
+    return;
+  }
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voapps-trend-regression-'));
+  let failed = 0;
+  try {
+    for (const name of args.scenarios) {
+      const goldenPath = path.join(GOLDEN_DIR, `${name}.json`);
+      const snapshot = await runScenario(name, SCENARIOS[name], { verbose: args.verbose, workDir });
+
+      if (args.update) {
+        fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+        fs.writeFileSync(goldenPath, JSON.stringify(snapshot, null, 2) + '\n');
+        console.log(`✓ ${name}: golden snapshot written to ${path.relative(process.cwd(), goldenPath)}`);
+        continue;
+      }
+
+      if (!fs.existsSync(goldenPath)) {
+        console.log(`✗ ${name}: no golden snapshot at ${path.relative(process.cwd(), goldenPath)} (run with --update to record one)`);
+        failed++;
+        continue;
+      }
+
+      const differences = diffValues(JSON.parse(fs.readFileSync(goldenPath, 'utf8')), snapshot);
+      if (differences.length === 0) {
+        console.log(`✓ ${name}: matches golden snapshot`);
+      } else {
+        failed++;
+        console.log(`✗ ${name}: ${differences.length} difference(s)`);
+        for (const line of differences.slice(0, 50)) console.log(`    ${line}`);
+        if (differences.length > 50) console.log(`    … ${differences.length - 50} more`);
+      }
+    }
+  } finally {
+    if (args.keep) console.log(`Fixtures and workbooks kept in ${workDir}`);
+    else fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  if (failed > 0) {
+    console.log(`\n${failed} scenario(s) failed. If the change is intended, re-record with --update and review the golden diff.`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch(e => {
+    console.error(`Error: ${e.stack || e.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { SCENARIOS, writeScenarioFixtures, snapshotWorkbook, diffValues };
@@ -91,7 +91,11 @@ const path = require("path");
 const os = require("os");
 const { parse: parseUrl } = require("url");
 const { createWriteStream } = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const Papa = require('papaparse');
 const { generateTrendAnalysis, inferMessageIntent } = require("./trendAnalyzer");
+const { normalizeTNHealthRules, normalizeListGradeRubric, normalizeABTest } = require("./trendMetrics");
 const { Worker } = require('worker_threads');
 const { VERSION, VERSION_NAME } = require('./version');
 
@@ -674,19 +678,21 @@ async function transcribeAndAnalyzeMessages(messageInfo, aiSettings, log, onProg
  * Scan CSV rows for VoApps result codes 408/409/410 and log warnings.
  * Returns a summary object for use in API responses.
  */
+const INVALID_RESULT_CODES = {
+  '408': 'Invalid Caller Number',
+  '409': 'Invalid Message ID',
+  '410': 'Prohibited Self Call'
+};
+
 function checkInvalidResultCodes(rows, log) {
-  const INVALID_CODES = {
-    '408': 'Invalid Caller Number',
-    '409': 'Invalid Message ID',
-    '410': 'Prohibited Self Call'
-  };
+  const INVALID_CODES = INVALID_RESULT_CODES;
   const found = {};  // code -> { count, campaigns: Set }
 
   for (const row of rows) {
     const code = String(row.voapps_code || '').trim();
     if (INVALID_CODES[code]) {
       if (!found[code]) found[code] = { count: 0, campaigns: new Set() };
-      found[code].count++;
+      found[code].count += row._count || 1; // _count: pre-aggregated rows from a streamed combine
       const cid = row.campaign_id || row.campaign_name || 'unknown';
       found[code].campaigns.add(cid);
     }
@@ -1408,21 +1414,85 @@ function detectUrlMention(transcript) {
 }
 
 /**
- * Run generateTrendAnalysis in a worker thread so the main/UI thread stays responsive.
+ * exportSuppressionLists options from request/config fields, or null when the
+ * suppression list export is off.
+ */
+function buildSuppressionExportOptions(config) {
+  if (!config.suppression_export) return null;
+  return {
+    excludeRecentSuccessDays: Math.max(0, parseInt(config.suppression_exclude_recent_days, 10) || 0),
+    dedupeAgainstPath: String(config.suppression_dedupe_path || '').trim()
+  };
+}
+
+/**
+ * Validated TN Health rules from the tn_health_rules request/config field
+ * (an object or its JSON string), or null for the built-in rules.
+ */
+function buildTNHealthRules(config) {
+  let rules = config.tn_health_rules;
+  if (!rules) return null;
+  if (typeof rules === 'string') {
+    if (!rules.trim()) return null;
+    try {
+      rules = JSON.parse(rules);
+    } catch (e) {
+      throw new Error(`Invalid TN Health rules: ${e.message}`);
+    }
+  }
+  return normalizeTNHealthRules(rules);
+}
+
+/**
+ * Validated list grade rubric from the list_grade_rubric request/config field
+ * (an object or its JSON string), or null for the built-in rubric.
+ */
+function buildListGradeRubric(config) {
+  let rubric = config.list_grade_rubric;
+  if (!rubric) return null;
+  if (typeof rubric === 'string') {
+    if (!rubric.trim()) return null;
+    try {
+      rubric = JSON.parse(rubric);
+    } catch (e) {
+      throw new Error(`Invalid list grade rubric: ${e.message}`);
+    }
+  }
+  return normalizeListGradeRubric(rubric);
+}
+
+/**
+ * Validated A/B comparison from the ab_test_type / ab_test_ids request/config
+ * fields (ids as an array or comma-separated string), or null when no IDs are set.
+ */
+function buildABTest(config) {
+  return normalizeABTest({ type: config.ab_test_type || 'message', ids: config.ab_test_ids });
+}
+
+// Where analysis worker stdout goes; null = inherit the process stdout.
+// The headless CLI points this at stderr (--json) or a sink (--quiet).
+let workerOutput = null;
+function setWorkerOutput(stream) { workerOutput = stream || null; }
+
+/**
+ * Run analysisWorker.js with the given workerData, relaying progress to jobId.
+ * Resolves with the worker's summary (if any).
  */
-function runAnalysisInWorker(inputData, outputPath, minConsec, minSpan, messageMap, callerMap, accountMap, userTz, userTzLabel, includeDetailTabs = true, transcriptMap = {}, includeReAttemptTabs = false, pptxOptions = {}, includeSuppressionCandidates = true, jobId = null) {
+function runAnalysisWorker(workerData, jobId) {
   return new Promise((resolve, reject) => {
     const worker = new Worker(path.join(__dirname, 'analysisWorker.js'), {
-      workerData: { inputData, outputPath, minConsec, minSpan, messageMap, callerMap, accountMap, userTz, userTzLabel, includeDetailTabs, transcriptMap, includeReAttemptTabs, pptxOptions, includeSuppressionCandidates, jobId },
+      workerData,
+      stdout: !!workerOutput,
       // Allow up to 6GB heap for large dataset analysis
       resourceLimits: { maxOldGenerationSizeMb: 6144 }
     });
+    if (workerOutput) worker.stdout.pipe(workerOutput, { end: false });
     worker.on('message', (msg) => {
       if (msg.type === 'progress') {
         if (jobId) sendProgress(jobId, { current: -1, total: 0, message: msg.message });
         return;
       }
-      if (msg.ok) resolve();
+      if (msg.ok) resolve(msg.summary || null);
       else reject(new Error(msg.error || 'Worker analysis failed'));
     });
     worker.on('error', reject);
@@ -1432,6 +1502,38 @@ function runAnalysisInWorker(inputData, outputPath, minConsec, minSpan, messageM
   });
 }
 
+/**
+ * Run generateTrendAnalysis in a worker thread so the main/UI thread stays responsive.
+ * `options` are generateTrendAnalysis options (see trendAnalyzer.js); they must be
+ * structured-clone safe.
+ * @returns {Promise<Object>} generateTrendAnalysis summary (incl. suppressionList)
+ */
+function runAnalysisInWorker(inputData, outputPath, options = {}, jobId = null) {
+  return runAnalysisWorker({ inputData, outputPath, options, jobId }, jobId);
+}
+
+/**
+ * generateTrendAnalysis options shared by every analysis entry point, from the
+ * snake_case request/config fields (suppression export, TN Health rules, list
+ * grade rubric, A/B test). Callers add thresholds, maps and output toggles.
+ */
+function buildAnalysisRuleOptions(config) {
+  return {
+    suppressionExport: buildSuppressionExportOptions(config),
+    tnHealthRules: buildTNHealthRules(config),
+    listGradeRubric: buildListGradeRubric(config),
+    abTest: buildABTest(config)
+  };
+}
+
+/**
+ * Run generatePeriodComparison in a worker thread.
+ * @returns {Promise<Object>} Comparison summary (significantCount, listGrade, highlights)
+ */
+function runComparisonInWorker(currentInput, previousInput, outputPath, options = {}, jobId = null) {
+  return runAnalysisWorker({ task: 'compare', currentInput, previousInput, outputPath, options, jobId }, jobId);
+}
+
 // Cross-platform fetch implementation
 // On Windows, we always use the https module with a permissive agent due to SSL certificate issues
 // On other platforms, we use native fetch
@@ -1460,11 +1562,13 @@ async function crossPlatformFetch(url, options = {}) {
     }
   }
 
-  // Use https module (required on Windows, fallback on other platforms)
+  // Use https module (required on Windows, fallback on other platforms).
+  // Plain http is only used for a local VOAPPS_API_BASE such as the mock API server.
+  const isPlainHttp = urlObj.protocol === 'http:';
   return new Promise((resolve, reject) => {
     const requestOptions = {
       hostname: urlObj.hostname,
-      port: urlObj.port || 443,
+      port: urlObj.port || (isPlainHttp ? 80 : 443),
       path: urlObj.pathname + urlObj.search,
       method: options.method || 'GET',
       headers: options.headers || {},
@@ -1473,7 +1577,7 @@ async function crossPlatformFetch(url, options = {}) {
       agent: (isWindows && isTrusted && httpsAgent) ? httpsAgent : undefined
     };
 
-    const req = https.request(requestOptions, (res) => {
+    const req = (isPlainHttp ? http : https).request(requestOptions, (res) => {
       let data = '';
       res.on('data', chunk => data += chunk);
       res.on('end', () => {
@@ -1550,11 +1654,67 @@ let dbReady = false;
 let serverInstance = null;
 let serverUrl = null;
 
-const lastArtifacts = { csvPath: null, logPath: null, errorPath: null, analysisPath: null, pptxPath: null };
+const lastArtifacts = { csvPath: null, logPath: null, errorPath: null, analysisPath: null, pptxPath: null, jsonPath: null, htmlPath: null, suppressionPath: null, nextAttemptPath: null };
 function getLastArtifacts() { return { ...lastArtifacts }; }
 
 const jobs = new Map();
 
+// Optional listener that receives every logger line (used by the headless CLI
+// to mirror job logs to stdout). null when running inside the Electron app.
+let logListener = null;
+function setLogListener(fn) { logListener = typeof fn === 'function' ? fn : null; }
+
+/**
+ * Flag a running job as cancelled. Returns false if the job is unknown.
+ */
+function cancelJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) return false;
+  job.cancelled = true;
+  if (job.paused) resumeJob(jobId); // release waiting loops so they can see the cancel
+  return true;
+}
+
+/**
+ * Pause a running job. Its campaign loops stop at the next safe point (between
+ * campaigns) until resumeJob() or cancelJob() is called. Downloads already in
+ * flight are allowed to finish.
+ */
+function pauseJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job || job.cancelled) return false;
+  if (!job.paused) {
+    job.paused = true;
+    job.statusBeforePause = job.status;
+    job.pauseGate = new Promise(resolve => { job.releasePause = resolve; });
+    sendProgress(jobId, { status: 'paused' });
+  }
+  return true;
+}
+
+function resumeJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) return false;
+  if (job.paused) {
+    job.paused = false;
+    job.releasePause();
+    sendProgress(jobId, { status: job.statusBeforePause || 'running' });
+  }
+  return true;
+}
+
+/**
+ * Safe point for job loops: resolves immediately unless the job is paused, in
+ * which case it waits for resume or cancel. Pass a logger to note the pause.
+ */
+async function waitWhilePaused(jobId, logger = null) {
+  const job = jobId ? jobs.get(jobId) : null;
+  if (!job || !job.paused) return;
+  if (logger) logger(`⏸️  Paused`);
+  await job.pauseGate;
+  if (logger && !job.cancelled) logger(`▶️  Resumed`);
+}
+
 // =============================================================================
 // SSE (Server-Sent Events) FUNCTIONS
 // =============================================================================
@@ -1744,12 +1904,58 @@ async function initDatabase() {
       )
     `);
 
+    // Per-campaign sync state for incremental "sync" combines.
+    // status: finished | running | no_export | error — only finished campaigns are skipped.
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS campaign_sync_state (
+        campaign_id       VARCHAR NOT NULL,
+        account_id        VARCHAR NOT NULL,
+        campaign_name     VARCHAR,
+        target_date       VARCHAR,
+        status            VARCHAR NOT NULL,
+        row_count         INTEGER DEFAULT 0,
+        export_fetched_at TIMESTAMP,
+        updated_at        TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (campaign_id, account_id)
+      )
+    `);
+
+    // Generated suppression lists and their numbers (lifecycle tracking).
+    // list_date is the day the list was generated; attempts after it count against the list.
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS suppression_lists (
+        list_id                 VARCHAR PRIMARY KEY,
+        list_date               VARCHAR NOT NULL,
+        source_type             VARCHAR,
+        source_job_id           VARCHAR,
+        analysis_path           VARCHAR,
+        export_path             VARCHAR,
+        min_consec_unsuccessful INTEGER,
+        min_run_span_days       INTEGER,
+        exclude_recent_days     INTEGER DEFAULT 0,
+        number_count            INTEGER DEFAULT 0,
+        created_at              TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS suppression_list_numbers (
+        list_id              VARCHAR NOT NULL,
+        number               VARCHAR NOT NULL,
+        account_ids          VARCHAR,
+        reason               VARCHAR,
+        consecutive_failures INTEGER,
+        last_attempt         VARCHAR,
+        PRIMARY KEY (list_id, number)
+      )
+    `);
+
     // Create indexes for faster queries
     await runQuery(`CREATE INDEX IF NOT EXISTS idx_number ON campaign_results(number)`);
     await runQuery(`CREATE INDEX IF NOT EXISTS idx_account ON campaign_results(account_id)`);
     await runQuery(`CREATE INDEX IF NOT EXISTS idx_campaign ON campaign_results(campaign_id)`);
     await runQuery(`CREATE INDEX IF NOT EXISTS idx_target_date ON campaign_results(target_date)`);
     await runQuery(`CREATE INDEX IF NOT EXISTS idx_timestamp ON campaign_results(voapps_timestamp)`);
+    await runQuery(`CREATE INDEX IF NOT EXISTS idx_suppression_number ON suppression_list_numbers(number)`);
 
     dbReady = true;
     console.log(`[DuckDB] Database initialized at ${DB_PATH}`);
@@ -1998,10 +2204,15 @@ async function checkExistingData(numbers, accountIds, startDate, endDate) {
  * Previously this was 2 queries per row (SELECT + INSERT/UPDATE); now it is
  * ≈ ceil(n/500) + 2 queries total — a 100–200× speed improvement for large
  * imports on Windows where each DuckDB round-trip has higher latency.
+ *
+ * replaceCampaignKeys ("account_id:campaign_id") are deleted in the same
+ * transaction, so a sync that re-fetches a campaign never leaves it empty.
+ * If the bulk insert fails they are left in place and returned as `unreplaced`,
+ * so the caller can mark those campaigns for re-fetch.
  */
-async function insertRows(rows, logger = null) {
+async function insertRows(rows, logger = null, replaceCampaignKeys = []) {
   if (!dbReady) await initDatabase();
-  if (rows.length === 0) return { inserted: 0, updated: 0, skipped: 0 };
+  if (rows.length === 0 && replaceCampaignKeys.length === 0) return { inserted: 0, updated: 0, skipped: 0, replaced: 0 };
 
   // Deduplicate by row_id within this batch.  DuckDB's ON CONFLICT DO NOTHING
   // handles conflicts against existing table rows but throws a PRIMARY KEY error
@@ -2020,13 +2231,14 @@ async function insertRows(rows, logger = null) {
   const BATCH_SIZE = 500;
 
   try {
+    await runQuery('BEGIN');
+    const replaced = await deleteCampaignRows(replaceCampaignKeys);
+
     // Count existing rows before so we can report accurate inserted/skipped stats
     const countBefore = Number(
       (await runQuery('SELECT COUNT(*) as cnt FROM campaign_results'))[0]?.cnt ?? 0
     );
 
-    await runQuery('BEGIN');
-
     const totalBatches = Math.ceil(rows.length / BATCH_SIZE);
     for (let i = 0; i < rows.length; i += BATCH_SIZE) {
       const batch = rows.slice(i, i + BATCH_SIZE);
@@ -2084,7 +2296,7 @@ async function insertRows(rows, logger = null) {
 
     const inserted = countAfter - countBefore;
     const skipped  = rows.length - inserted;
-    return { inserted, updated: 0, skipped };
+    return { inserted, updated: 0, skipped, replaced };
 
   } catch (err) {
     // Roll back the transaction, then fall back to per-row inserts so the
@@ -2092,6 +2304,8 @@ async function insertRows(rows, logger = null) {
     try { await runQuery('ROLLBACK'); } catch (_) {}
     if (logger) logger(`[DuckDB] Bulk insert failed (${err.message}) — falling back to row-by-row mode`);
 
+    // Row-by-row inserts run outside a transaction, so deleting first could leave a
+    // campaign with no rows; keep the stored ones and let the caller re-fetch it
     let inserted = 0, skipped = 0;
     for (const row of rows) {
       try {
@@ -2129,10 +2343,356 @@ async function insertRows(rows, logger = null) {
         skipped++;
       }
     }
-    return { inserted, updated: 0, skipped };
+    return { inserted, updated: 0, skipped, replaced: 0, unreplaced: replaceCampaignKeys };
+  }
+}
+
+/**
+ * Campaign result codes that mean the export is not final yet
+ * (100 Pending, 101 Running).
+ */
+const UNFINISHED_RESULT_CODES = new Set(['100', '101']);
+
+/**
+ * Decide the sync status of a downloaded campaign export from the result codes
+ * seen in it. A campaign is "running" while any record is still pending/running
+ * or its target date is today or later (the export may still grow).
+ */
+function determineCampaignSyncStatus(campaign, resultCodes) {
+  const today = dateToYMD(new Date());
+  const targetDay = String(campaign.target_date || '').slice(0, 10);
+  if (targetDay && targetDay >= today) return 'running';
+
+  const state = String(campaign.status || campaign.state || '').toLowerCase();
+  if (/pend|run|progress|sched|active|queue/.test(state)) return 'running';
+
+  for (const code of resultCodes) {
+    if (UNFINISHED_RESULT_CODES.has(String(code).trim())) return 'running';
+  }
+  return 'finished';
+}
+
+/**
+ * Load sync state for a list of campaigns.
+ * Returns Map of "accountId:campaignId" -> { status, row_count, export_fetched_at }.
+ *
+ * Campaigns stored by earlier (non-sync) combines have rows in campaign_results
+ * but no sync state; those older than two days are backfilled as finished.
+ */
+async function getCampaignSyncState(campaigns, logger = null) {
+  if (!dbReady) await initDatabase();
+  const state = new Map();
+  if (campaigns.length === 0) return state;
+
+  const accountList = [...new Set(campaigns.map(c => String(c.account_id)))].map(a => `'${a.replace(/'/g, "''")}'`).join(',');
+  const rows = await runQuery(`
+    SELECT campaign_id, account_id, status, row_count, export_fetched_at
+    FROM campaign_sync_state
+    WHERE account_id IN (${accountList})
+  `);
+  for (const r of rows) {
+    state.set(`${r.account_id}:${r.campaign_id}`, {
+      status: r.status,
+      row_count: Number(r.row_count || 0),
+      export_fetched_at: r.export_fetched_at
+    });
+  }
+
+  const missing = campaigns.filter(c => !state.has(`${c.account_id}:${c.id}`));
+  if (missing.length === 0) return state;
+
+  const campaignList = missing.map(c => `'${String(c.id).replace(/'/g, "''")}'`).join(',');
+  const stored = await runQuery(`
+    SELECT account_id, campaign_id, COUNT(*) AS cnt
+    FROM campaign_results
+    WHERE campaign_id IN (${campaignList}) AND account_id IN (${accountList})
+    GROUP BY account_id, campaign_id
+  `);
+  const storedCounts = new Map(stored.map(r => [`${r.account_id}:${r.campaign_id}`, Number(r.cnt)]));
+
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - 2);
+  const cutoffStr = dateToYMD(cutoff);
+  const backfill = [];
+  for (const c of missing) {
+    const key = `${c.account_id}:${c.id}`;
+    const cnt = storedCounts.get(key);
+    const targetDay = String(c.target_date || '').slice(0, 10);
+    if (cnt && targetDay && targetDay < cutoffStr) {
+      const entry = {
+        campaign_id: String(c.id),
+        account_id: String(c.account_id),
+        campaign_name: c.name || '',
+        target_date: c.target_date || '',
+        status: 'finished',
+        row_count: cnt
+      };
+      backfill.push(entry);
+      state.set(key, { status: 'finished', row_count: cnt, export_fetched_at: null });
+    }
+  }
+  if (backfill.length > 0) {
+    await saveCampaignSyncState(backfill, false);
+    if (logger) logger(`   ℹ️  Backfilled sync state for ${backfill.length} campaign(s) already in the database`);
+  }
+  return state;
+}
+
+/**
+ * Upsert sync state rows. `fetched` marks export_fetched_at as now.
+ */
+async function saveCampaignSyncState(entries, fetched = true) {
+  if (!dbReady) await initDatabase();
+  for (const e of entries) {
+    await runQuery(`
+      INSERT INTO campaign_sync_state
+        (campaign_id, account_id, campaign_name, target_date, status, row_count, export_fetched_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ${fetched ? 'CURRENT_TIMESTAMP' : 'NULL'}, CURRENT_TIMESTAMP)
+      ON CONFLICT (campaign_id, account_id) DO UPDATE SET
+        campaign_name = excluded.campaign_name,
+        target_date = excluded.target_date,
+        status = excluded.status,
+        row_count = excluded.row_count,
+        export_fetched_at = COALESCE(excluded.export_fetched_at, campaign_sync_state.export_fetched_at),
+        updated_at = CURRENT_TIMESTAMP
+    `, [e.campaign_id, e.account_id, e.campaign_name || '', e.target_date || '', e.status, e.row_count || 0]);
+  }
+}
+
+/**
+ * Remove stored rows for campaigns that are about to be re-fetched, so records
+ * that changed since the last sync (e.g. pending → delivered) are not kept twice.
+ */
+async function deleteCampaignRows(campaignKeys) {
+  if (!dbReady) await initDatabase();
+  let deleted = 0;
+  for (const key of campaignKeys) {
+    const [accountId, campaignId] = key.split(':');
+    const [before] = await runQuery(
+      `SELECT COUNT(*) AS cnt FROM campaign_results WHERE account_id = ? AND campaign_id = ?`,
+      [accountId, campaignId]
+    );
+    await runQuery(`DELETE FROM campaign_results WHERE account_id = ? AND campaign_id = ?`, [accountId, campaignId]);
+    deleted += Number(before?.cnt || 0);
+  }
+  return deleted;
+}
+
+// ============================================================================
+// SUPPRESSION LIST LIFECYCLE
+// ============================================================================
+
+// A number attempted in at least this many campaigns after its list was
+// generated is flagged as reappearing (the list was likely never applied).
+const SUPPRESSION_REAPPEAR_MIN_CAMPAIGNS = 2;
+
+const SUPPRESSION_LIFECYCLE_COLUMNS = [
+  'number', 'account_ids', 'reason', 'consecutive_failures', 'status', 'reappearing',
+  'attempts_since', 'campaigns_since', 'successes_since', 'last_attempt_since'
+];
+
+/**
+ * Record a generated suppression list so it can be checked against later campaigns.
+ * @param {Object} list - generateTrendAnalysis' suppressionList: { outputDir, rows }
+ * @returns {Promise<string|null>} list_id, or null when the export wrote no numbers
+ */
+async function recordSuppressionList(list, meta = {}) {
+  if (!dbReady) await initDatabase();
+  const rows = list.rows || [];
+  if (rows.length === 0) return null;
+
+  const listId = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  // Rows per INSERT statement (6 columns × 500 rows of bound params), as in insertRows
+  const BATCH_SIZE = 500;
+
+  await runQuery('BEGIN');
+  try {
+    await runQuery(`
+      INSERT INTO suppression_lists
+        (list_id, list_date, source_type, source_job_id, analysis_path, export_path,
+         min_consec_unsuccessful, min_run_span_days, exclude_recent_days, number_count)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      listId,
+      dateToYMD(new Date()),
+      meta.sourceType || '',
+      meta.jobId || '',
+      meta.analysisPath || '',
+      list.outputDir || '',
+      parseInt(meta.minConsecUnsuccessful, 10) || 0,
+      parseInt(meta.minRunSpanDays, 10) || 0,
+      parseInt(meta.excludeRecentDays, 10) || 0,
+      rows.length
+    ]);
+
+    for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+      const batch = rows.slice(i, i + BATCH_SIZE);
+      const params = [];
+      for (const r of batch) {
+        params.push(
+          listId,
+          r.number,
+          (r.accountIds || []).join(';'),
+          r.reason || '',
+          r.count || 0,
+          r.lastAttempt ? new Date(r.lastAttempt).toISOString() : ''
+        );
+      }
+      await runQuery(`
+        INSERT INTO suppression_list_numbers
+          (list_id, number, account_ids, reason, consecutive_failures, last_attempt)
+        VALUES ${batch.map(() => '(?,?,?,?,?,?)').join(',')}
+        ON CONFLICT (list_id, number) DO NOTHING
+      `, params);
+    }
+    await runQuery('COMMIT');
+  } catch (err) {
+    try { await runQuery('ROLLBACK'); } catch (_) {}
+    throw err;
+  }
+  return listId;
+}
+
+/**
+ * recordSuppressionList for the analysis paths — tracking is best-effort and
+ * never fails the analysis that produced the list.
+ */
+async function trackSuppressionList(list, meta, log = console.log) {
+  if (!list || !isDatabaseAvailable()) return null;
+  try {
+    const listId = await recordSuppressionList(list, meta);
+    if (listId) log(`🗂️  Suppression list recorded for lifecycle tracking (${listId})`);
+    return listId;
+  } catch (err) {
+    log(`⚠️  Could not record suppression list: ${err.message}`);
+    return null;
   }
 }
 
+/**
+ * All recorded suppression lists, newest first.
+ */
+async function listSuppressionLists() {
+  if (!dbReady) await initDatabase();
+  const rows = await runQuery(`
+    SELECT list_id, list_date, source_type, source_job_id, analysis_path, export_path,
+           min_consec_unsuccessful, min_run_span_days, exclude_recent_days, number_count,
+           CAST(created_at AS VARCHAR) AS created_at
+    FROM suppression_lists
+    ORDER BY created_at DESC
+  `);
+  return rows.map(r => ({
+    ...r,
+    min_consec_unsuccessful: Number(r.min_consec_unsuccessful || 0),
+    min_run_span_days: Number(r.min_run_span_days || 0),
+    exclude_recent_days: Number(r.exclude_recent_days || 0),
+    number_count: Number(r.number_count || 0)
+  }));
+}
+
+async function deleteSuppressionList(listId) {
+  if (!dbReady) await initDatabase();
+  await runQuery(`DELETE FROM suppression_list_numbers WHERE list_id = ?`, [listId]);
+  await runQuery(`DELETE FROM suppression_lists WHERE list_id = ?`, [listId]);
+}
+
+/**
+ * Classify each suppressed number from its campaign results after the list date:
+ *   delivered      came off suppression and was delivered successfully
+ *   still_failing  attempted again without a successful delivery
+ *   not_attempted  not seen since (the list was applied)
+ * and flag it `reappearing` when it showed up in SUPPRESSION_REAPPEAR_MIN_CAMPAIGNS+
+ * campaigns after the list date.
+ * @param {Array<Object>} rows - One per number: number, account_ids, reason, consecutive_failures,
+ *   attempts_since, campaigns_since, successes_since, last_attempt_since
+ * @returns {{ summary, numbers }}
+ */
+function classifySuppressionLifecycle(rows) {
+  const numbers = rows.map(r => {
+    const attempts = Number(r.attempts_since || 0);
+    const campaigns = Number(r.campaigns_since || 0);
+    const successes = Number(r.successes_since || 0);
+    return {
+      number: r.number,
+      account_ids: r.account_ids || '',
+      reason: r.reason || '',
+      consecutive_failures: Number(r.consecutive_failures || 0),
+      attempts_since: attempts,
+      campaigns_since: campaigns,
+      successes_since: successes,
+      last_attempt_since: r.last_attempt_since || '',
+      status: attempts === 0 ? 'not_attempted' : successes > 0 ? 'delivered' : 'still_failing',
+      reappearing: campaigns >= SUPPRESSION_REAPPEAR_MIN_CAMPAIGNS
+    };
+  });
+
+  const total = numbers.length;
+  const count = pred => numbers.filter(pred).length;
+  const notAttempted = count(n => n.status === 'not_attempted');
+  const summary = {
+    total,
+    notAttempted,
+    delivered: count(n => n.status === 'delivered'),
+    stillFailing: count(n => n.status === 'still_failing'),
+    reappearing: count(n => n.reappearing),
+    appliedRate: total > 0 ? notAttempted / total : null
+  };
+  return { summary, numbers };
+}
+
+/**
+ * Compare a suppression list with the campaign results stored after it was generated
+ * (see classifySuppressionLifecycle). Only results in the accounts a number was
+ * suppressed for count, so the same number dialed by another account is not reported
+ * as reappearing; numbers stored without accounts are matched across all accounts.
+ *
+ * @returns {Promise<{ list, summary, numbers }>}
+ */
+async function buildSuppressionLifecycleReport(listId) {
+  if (!dbReady) await initDatabase();
+  const [list] = await runQuery(`
+    SELECT list_id, list_date, source_type, source_job_id, analysis_path, export_path,
+           min_consec_unsuccessful, min_run_span_days, exclude_recent_days, number_count,
+           CAST(created_at AS VARCHAR) AS created_at
+    FROM suppression_lists
+    WHERE list_id = ?
+  `, [listId]);
+  if (!list) throw new Error(`Suppression list not found: ${listId}`);
+
+  const rows = await runQuery(`
+    SELECT
+      n.number,
+      n.account_ids,
+      n.reason,
+      n.consecutive_failures,
+      COUNT(r.number) AS attempts_since,
+      COUNT(DISTINCT r.campaign_id) AS campaigns_since,
+      COUNT(CASE WHEN TRIM(r.voapps_code) = '200'
+                   OR LOWER(TRIM(r.voapps_result)) = 'successfully delivered' THEN 1 END) AS successes_since,
+      MAX(r.target_date) AS last_attempt_since
+    FROM suppression_list_numbers n
+    LEFT JOIN campaign_results r
+      ON r.number = n.number AND r.target_date > ?
+     AND (COALESCE(n.account_ids, '') = '' OR list_contains(string_split(n.account_ids, ';'), r.account_id))
+    WHERE n.list_id = ?
+    GROUP BY n.number, n.account_ids, n.reason, n.consecutive_failures
+    ORDER BY campaigns_since DESC, n.number
+  `, [list.list_date, listId]);
+
+  const { summary, numbers } = classifySuppressionLifecycle(rows);
+  return {
+    list: {
+      ...list,
+      min_consec_unsuccessful: Number(list.min_consec_unsuccessful || 0),
+      min_run_span_days: Number(list.min_run_span_days || 0),
+      exclude_recent_days: Number(list.exclude_recent_days || 0),
+      number_count: Number(list.number_count || 0)
+    },
+    summary,
+    numbers
+  };
+}
+
 /**
  * Get database statistics
  */
@@ -2238,8 +2798,9 @@ async function clearDatabase(createBackup = true) {
     const beforeResult = await runQuery(`SELECT COUNT(*) as count FROM campaign_results`);
     const rowCount = beforeResult[0]?.count || 0;
 
-    // Clear table
+    // Clear table (and sync state, so the next sync re-downloads everything)
     await runQuery(`DELETE FROM campaign_results`);
+    await runQuery(`DELETE FROM campaign_sync_state`);
     console.log(`[Database] Deleted ${rowCount.toLocaleString()} rows`);
 
     // VACUUM to reclaim disk space
@@ -2621,6 +3182,14 @@ function createLogger(logPath, errorPath, verbosity = "normal", jobId = null) {
     if (jobId) {
       sendLog(jobId, message, isError);
     }
+
+    if (logListener) {
+      try {
+        logListener(message, isError);
+      } catch (e) {
+        // Listener errors must never break the job
+      }
+    }
   }
 
   function close() {
@@ -2743,6 +3312,157 @@ function parseCsv(text) {
   return { headers, rows };
 }
 
+/**
+ * Stream the rows of a CSV file as objects with papaparse, without reading the
+ * whole file. Headers and values are trimmed the same way as parseCsv.
+ */
+async function* streamCsvRows(filePath) {
+  const input = fs.createReadStream(filePath, { encoding: 'utf8' });
+  const parser = Papa.parse(Papa.NODE_STREAM_INPUT, {
+    header: true,
+    skipEmptyLines: true,
+    transformHeader: h => h.trim(),
+    transform: v => v.trim()
+  });
+  input.on('error', err => parser.destroy(err));
+  input.pipe(parser);
+  for await (const row of parser) yield row;
+}
+
+/**
+ * Incremental counterpart of writeCsv: rows are appended as they arrive and the
+ * output rolls over to _partN files every maxRowsPerFile rows. The first file is
+ * renamed to _part1 once a second part is needed, so names match writeCsv.
+ * close() resolves to the same result shape as writeCsv.
+ *
+ * resumeState (from state() of an earlier writer) continues an interrupted file:
+ * anything written after that state was captured is truncated away first.
+ */
+function createCsvWriter(filePath, headers, logger = null, maxRowsPerFile = null, resumeState = null) {
+  const dir = path.dirname(filePath);
+  const ext = path.extname(filePath);
+  const base = path.basename(filePath, ext);
+  const partPath = n => path.join(dir, `${base}_part${n}${ext}`);
+
+  const files = resumeState ? [...resumeState.files] : [];
+  let stream = null;
+  let currentPath = resumeState ? resumeState.currentPath : null;
+  let partIndex = resumeState ? resumeState.partIndex : 0; // 0 = not split (yet)
+  let rowsInFile = resumeState ? resumeState.rowsInFile : 0;
+  let totalRows = resumeState ? resumeState.totalRows : 0;
+  let bytesInFile = resumeState ? resumeState.bytesInFile : 0;
+
+  if (resumeState) {
+    // A crash between rolling over and the next checkpoint can leave the first file
+    // renamed or a newer part started; restore the layout the state describes.
+    if (partIndex === 0 && !fs.existsSync(filePath) && fs.existsSync(partPath(1))) {
+      fs.renameSync(partPath(1), filePath);
+    }
+    for (let n = Math.max(partIndex, 1) + 1; fs.existsSync(partPath(n)); n++) {
+      fs.unlinkSync(partPath(n));
+    }
+    fs.truncateSync(currentPath, bytesInFile);
+  }
+
+  const formatValue = val => {
+    if (val === null || val === undefined) return '';
+    const str = String(val);
+    return str.includes(',') || str.includes('"') ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+
+  const open = (p) => {
+    currentPath = p;
+    stream = createWriteStream(p, 'utf-8');
+    stream.write(headers.join(','));
+    bytesInFile = Buffer.byteLength(headers.join(','));
+    rowsInFile = 0;
+  };
+
+  const endCurrent = () => new Promise((resolve, reject) => {
+    stream.once('error', reject);
+    stream.end(resolve);
+  });
+
+  const logPart = (p, rows) => {
+    if (!logger) return;
+    logger(`✅ Part ${partIndex} written: ${path.basename(p)}`);
+    logger(`   ${rows.toLocaleString()} rows`);
+  };
+
+  return {
+    async write(row) {
+      if (!stream && resumeState) {
+        stream = createWriteStream(currentPath, { encoding: 'utf-8', flags: 'a' });
+      } else if (!stream) {
+        open(filePath);
+      }
+      if (maxRowsPerFile && rowsInFile >= maxRowsPerFile) {
+        await endCurrent();
+        if (partIndex === 0) {
+          partIndex = 1;
+          await fsp.rename(filePath, partPath(1));
+          currentPath = partPath(1);
+        }
+        files.push(currentPath);
+        logPart(currentPath, rowsInFile);
+        partIndex++;
+        open(partPath(partIndex));
+      }
+
+      const line = '\n' + headers.map(h => formatValue(row[h])).join(',');
+      rowsInFile++;
+      totalRows++;
+      bytesInFile += Buffer.byteLength(line);
+      if (!stream.write(line)) {
+        await new Promise(resolve => stream.once('drain', resolve));
+      }
+    },
+
+    /** Resolve once everything written so far has reached the file. */
+    flush() {
+      if (!stream) return Promise.resolve();
+      return new Promise((resolve, reject) => stream.write('', err => err ? reject(err) : resolve()));
+    },
+
+    /** Position to resume from; only meaningful right after flush(). null before the first row. */
+    state() {
+      if (!currentPath) return null;
+      return { currentPath, partIndex, rowsInFile, totalRows, bytesInFile, files: [...files] };
+    },
+
+    async close() {
+      if (!currentPath) {
+        throw new Error("No rows to write");
+      }
+      if (stream) await endCurrent();
+      files.push(currentPath);
+
+      if (partIndex === 0) {
+        if (logger) {
+          logger(`✅ CSV written: ${filePath}`);
+          logger(`   ${totalRows.toLocaleString()} rows`);
+        }
+      } else {
+        logPart(currentPath, rowsInFile);
+        if (logger) logger(`📊 Split into ${files.length} files (${totalRows.toLocaleString()} total rows)`);
+      }
+
+      return {
+        success: true,
+        files,
+        totalRows,
+        fileCount: files.length,
+        wasSplit: partIndex > 0
+      };
+    },
+
+    /** Release the open file after a fatal error; partial output is left on disk. */
+    abort() {
+      if (stream) stream.destroy();
+    }
+  };
+}
+
 async function writeCsv(filePath, rows, headers, logger = null, maxRowsPerFile = null) {
   if (!Array.isArray(rows) || rows.length === 0) {
     throw new Error("No rows to write");
@@ -2844,29 +3564,191 @@ function maskApiKey(key) {
   return key.slice(0, 4) + "..." + key.slice(-4);
 }
 
-async function callVoAppsApi(endpoint, apiKey, logger = null, verbosity = "normal") {
-  const url = `${VOAPPS_API_BASE}${endpoint}`;
-  const maskedKey = maskApiKey(apiKey);
+// =============================================================================
+// VOAPPS API CLIENT (rate limiting, retries, call statistics)
+// =============================================================================
 
-  if (verbosity === "verbose" && logger) {
-    logger(`[API] ${url}`);
-    logger(`      curl -H "Authorization: Bearer ${maskedKey}" -H "Content-Type: application/json" -H "Accept: application/json" "${url}"`);
-  }
+// Token bucket shared by every job in this process: bursts of API_RATE_BURST
+// calls, then API_RATE_PER_SEC sustained. Override with VOAPPS_API_RATE.
+const API_RATE_PER_SEC = Math.max(1, Number(process.env.VOAPPS_API_RATE) || 10);
+const API_RATE_BURST = API_RATE_PER_SEC * 2;
+const API_MAX_ATTEMPTS = 5;
+const API_BACKOFF_BASE_MS = 2000;
+const API_BACKOFF_MAX_MS = 60000;
+
+const apiRateLimiter = {
+  tokens: API_RATE_BURST,
+  lastRefill: Date.now(),
+  pausedUntil: 0 // Set from Retry-After / rate-limit headers; blocks all callers
+};
 
-  console.log(`[API Request] ${url}`);
+// Per-endpoint call statistics, keyed by endpoint pattern (IDs replaced with :id)
+const apiCallStats = new Map();
+let apiStatsSince = new Date().toISOString();
 
-  try {
-    // Use cross-platform fetch for Windows compatibility
-    const response = await crossPlatformFetch(url, {
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        "Content-Type": "application/json",
-        Accept: "application/json"
-      }
-    });
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
 
-    if (!response.ok) {
-      let errorDetails = '';
+/** Wait until the shared limiter allows another API call. */
+async function acquireApiToken() {
+  for (;;) {
+    const now = Date.now();
+    if (apiRateLimiter.pausedUntil > now) {
+      await sleep(apiRateLimiter.pausedUntil - now);
+      continue;
+    }
+    const elapsed = (now - apiRateLimiter.lastRefill) / 1000;
+    apiRateLimiter.tokens = Math.min(API_RATE_BURST, apiRateLimiter.tokens + elapsed * API_RATE_PER_SEC);
+    apiRateLimiter.lastRefill = now;
+    if (apiRateLimiter.tokens >= 1) {
+      apiRateLimiter.tokens -= 1;
+      return;
+    }
+    await sleep(Math.ceil((1 - apiRateLimiter.tokens) / API_RATE_PER_SEC * 1000));
+  }
+}
+
+function pauseApiCalls(ms) {
+  apiRateLimiter.pausedUntil = Math.max(apiRateLimiter.pausedUntil, Date.now() + ms);
+}
+
+/** Retry-After is either delta-seconds or an HTTP date. Returns ms or null. */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Honor X-RateLimit-Remaining / RateLimit-Remaining: once the server reports no
+ * calls left, pause every caller until the advertised reset.
+ * Reset may be delta-seconds or an epoch timestamp (seconds).
+ */
+function applyRateLimitHeaders(headers) {
+  if (!headers || typeof headers.get !== 'function') return;
+  const remaining = headers.get('x-ratelimit-remaining') ?? headers.get('ratelimit-remaining');
+  if (remaining === undefined || remaining === null || Number(remaining) > 0) return;
+  const reset = Number(headers.get('x-ratelimit-reset') ?? headers.get('ratelimit-reset'));
+  if (!Number.isFinite(reset)) return;
+  const ms = reset > 1e9 ? reset * 1000 - Date.now() : reset * 1000;
+  if (ms > 0) pauseApiCalls(Math.min(ms, API_BACKOFF_MAX_MS));
+}
+
+/** Exponential backoff with jitter: 50–100% of base·2^(attempt-1), capped. */
+function computeBackoffDelay(attempt) {
+  const ceiling = Math.min(API_BACKOFF_MAX_MS, API_BACKOFF_BASE_MS * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function apiEndpointPattern(endpoint) {
+  return endpoint.split('?')[0].replace(/\/\d+(?=\/|$)/g, '/:id');
+}
+
+function getEndpointStats(endpoint) {
+  const key = apiEndpointPattern(endpoint);
+  if (!apiCallStats.has(key)) {
+    apiCallStats.set(key, { endpoint: key, calls: 0, errors: 0, retries: 0, rateLimited: 0, totalMs: 0, maxMs: 0, lastStatus: null, lastCallAt: null });
+  }
+  return apiCallStats.get(key);
+}
+
+function recordApiCall(endpoint, status, ms) {
+  const s = getEndpointStats(endpoint);
+  s.calls++;
+  s.totalMs += ms;
+  s.maxMs = Math.max(s.maxMs, ms);
+  s.lastStatus = status;
+  s.lastCallAt = new Date().toISOString();
+  if (!status || status >= 400) s.errors++;
+  if (status === 429) s.rateLimited++;
+}
+
+/** Snapshot of the call counters, used to report per-job deltas. */
+function snapshotApiStats() {
+  const snap = {};
+  for (const [key, s] of apiCallStats) snap[key] = { calls: s.calls, errors: s.errors, retries: s.retries, rateLimited: s.rateLimited, totalMs: s.totalMs };
+  return snap;
+}
+
+/** Log API calls made since `snapshot` (per endpoint: count, errors, retries, latency). */
+function logApiCallSummary(logger, snapshot = {}) {
+  const lines = [];
+  for (const [key, s] of apiCallStats) {
+    const prev = snapshot[key] || { calls: 0, errors: 0, retries: 0, rateLimited: 0, totalMs: 0 };
+    const calls = s.calls - prev.calls;
+    if (calls <= 0) continue;
+    const avgMs = Math.round((s.totalMs - prev.totalMs) / calls);
+    const extras = [
+      s.errors - prev.errors ? `${s.errors - prev.errors} failed` : '',
+      s.retries - prev.retries ? `${s.retries - prev.retries} retried` : '',
+      s.rateLimited - prev.rateLimited ? `${s.rateLimited - prev.rateLimited} rate-limited` : ''
+    ].filter(Boolean).join(', ');
+    lines.push(`   ${key}: ${calls} call(s), avg ${avgMs}ms${extras ? ` (${extras})` : ''}`);
+  }
+  if (lines.length === 0) return;
+  logger(`\n📡 API calls:`);
+  for (const line of lines) logger(line);
+}
+
+/** Limiter state and per-endpoint statistics for /api/diagnostics/api. */
+function getApiDiagnostics() {
+  const now = Date.now();
+  const endpoints = [...apiCallStats.values()]
+    .map(s => ({ ...s, avgMs: s.calls ? Math.round(s.totalMs / s.calls) : 0 }))
+    .sort((a, b) => b.calls - a.calls);
+  return {
+    since: apiStatsSince,
+    limiter: {
+      ratePerSec: API_RATE_PER_SEC,
+      burst: API_RATE_BURST,
+      tokens: Math.min(API_RATE_BURST, apiRateLimiter.tokens + (now - apiRateLimiter.lastRefill) / 1000 * API_RATE_PER_SEC),
+      pausedForMs: Math.max(0, apiRateLimiter.pausedUntil - now),
+      maxAttempts: API_MAX_ATTEMPTS
+    },
+    totals: endpoints.reduce((t, s) => {
+      t.calls += s.calls; t.errors += s.errors; t.retries += s.retries; t.rateLimited += s.rateLimited;
+      return t;
+    }, { calls: 0, errors: 0, retries: 0, rateLimited: 0 }),
+    endpoints
+  };
+}
+
+function resetApiStats() {
+  apiCallStats.clear();
+  apiStatsSince = new Date().toISOString();
+}
+
+async function callVoAppsApi(endpoint, apiKey, logger = null, verbosity = "normal") {
+  const url = `${VOAPPS_API_BASE}${endpoint}`;
+  const maskedKey = maskApiKey(apiKey);
+
+  if (verbosity === "verbose" && logger) {
+    logger(`[API] ${url}`);
+    logger(`      curl -H "Authorization: Bearer ${maskedKey}" -H "Content-Type: application/json" -H "Accept: application/json" "${url}"`);
+  }
+
+  await acquireApiToken();
+  console.log(`[API Request] ${url}`);
+  const startedAt = Date.now();
+  let status = 0;
+
+  try {
+    // Use cross-platform fetch for Windows compatibility
+    const response = await crossPlatformFetch(url, {
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        "Content-Type": "application/json",
+        Accept: "application/json"
+      }
+    });
+    status = response.status;
+    applyRateLimitHeaders(response.headers);
+
+    if (!response.ok) {
+      let errorDetails = '';
       let responseHeaders = {};
 
       try {
@@ -2890,41 +3772,52 @@ async function callVoAppsApi(endpoint, apiKey, logger = null, verbosity = "norma
         console.error(`[VoApps API Error] Failed to read response:`, e.message);
       }
 
-      throw new Error(`HTTP ${response.status}: ${errorDetails}`);
+      const err = new Error(`HTTP ${response.status}: ${errorDetails}`);
+      err.status = response.status;
+      err.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+      // Throttling applies to the whole API key, so hold back every job, not just this call
+      if (response.status === 429 || response.status === 503) {
+        // A misbehaving Retry-After (e.g. hours) must not stall every job, same cap as rate-limit resets
+        pauseApiCalls(Math.min(err.retryAfterMs ?? computeBackoffDelay(1), API_BACKOFF_MAX_MS));
+      }
+      throw err;
     }
 
     return await response.json();
   } catch (err) {
     console.error(`[API Error] ${url}:`, err.message);
     throw err;
+  } finally {
+    recordApiCall(endpoint, status, Date.now() - startedAt);
   }
 }
 
+/**
+ * callVoAppsApi with retries: honors Retry-After on 429/503, otherwise uses
+ * jittered exponential backoff. 4xx errors other than 429 fail immediately.
+ */
 async function retryableApiCall(endpoint, apiKey, logger = null, verbosity = "normal") {
-  const delays = [3000, 10000, 60000];
-
-  for (let attempt = 0; attempt < delays.length; attempt++) {
+  for (let attempt = 1; ; attempt++) {
     try {
       return await callVoAppsApi(endpoint, apiKey, logger, verbosity);
     } catch (err) {
       // 4xx client errors (except 429 Too Many Requests) are not retryable
-      const httpStatus = err.message.match(/^HTTP (\d+)/)?.[1];
-      if (httpStatus && Number(httpStatus) >= 400 && Number(httpStatus) < 500 && httpStatus !== '429') {
+      const httpStatus = err.status || Number(err.message.match(/^HTTP (\d+)/)?.[1]) || 0;
+      if (httpStatus >= 400 && httpStatus < 500 && httpStatus !== 429) {
         if (logger) logger(`❌ API call failed: ${err.message}`, true);
         throw err;
       }
 
       if (logger) {
-        logger(`❌ API call failed (attempt ${attempt + 1}/${delays.length}): ${err.message}`, true);
+        logger(`❌ API call failed (attempt ${attempt}/${API_MAX_ATTEMPTS}): ${err.message}`, true);
       }
 
-      if (attempt < delays.length - 1) {
-        const delay = delays[attempt];
-        if (logger) logger(`⏳ Retrying in ${delay / 1000}s...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      } else {
-        throw err;
-      }
+      if (attempt >= API_MAX_ATTEMPTS) throw err;
+
+      getEndpointStats(endpoint).retries++;
+      const delay = Math.min(err.retryAfterMs ?? computeBackoffDelay(attempt), API_BACKOFF_MAX_MS);
+      if (logger) logger(`⏳ ${httpStatus === 429 ? 'Rate limited — retrying' : 'Retrying'} in ${(delay / 1000).toFixed(1)}s...`);
+      await sleep(delay);
     }
   }
 }
@@ -3188,6 +4081,174 @@ async function fetchCampaignDetail(apiKey, accountId, campaignId, signal) {
   }
 }
 
+// =============================================================================
+// CONCURRENT CAMPAIGN DOWNLOADS
+// =============================================================================
+
+const DEFAULT_DOWNLOAD_CONCURRENCY = 4;
+const MAX_DOWNLOAD_CONCURRENCY = 8;
+const EXPORT_DOWNLOAD_RETRY_DELAYS = [3000, 10000];
+// How far (in multiples of the concurrency) downloads may run ahead of the
+// next campaign to be handled, so one slow export can't buffer the whole list
+const DOWNLOAD_LOOKAHEAD_FACTOR = 2;
+
+function normalizeDownloadConcurrency(value) {
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n)) return DEFAULT_DOWNLOAD_CONCURRENCY;
+  return Math.min(MAX_DOWNLOAD_CONCURRENCY, Math.max(1, n));
+}
+
+/**
+ * Fetch a campaign's detail and download its export CSV.
+ * Returns null when the campaign has no export yet. Failed S3 downloads are retried
+ * with a fresh detail call, since the signed export URL may have expired.
+ * With spoolPath the body is streamed to that file and { filePath } is returned;
+ * otherwise the parsed { headers, rows }.
+ */
+async function downloadCampaignExport(apiKey, campaign, logger = null, isCancelled = () => false, spoolPath = null) {
+  for (let attempt = 0; ; attempt++) {
+    const detail = await fetchCampaignDetail(apiKey, campaign.account_id, campaign.id);
+    const exportUrl = detail.export || detail.campaign?.export || null;
+    if (!exportUrl) return null;
+
+    try {
+      // Fetch CSV from S3 (NO authentication)
+      const expResp = await fetch(exportUrl);
+      if (!expResp.ok) {
+        throw new Error(`Failed to download CSV: HTTP ${expResp.status}`);
+      }
+      if (spoolPath) {
+        await pipeline(Readable.fromWeb(expResp.body), createWriteStream(spoolPath));
+        return { filePath: spoolPath };
+      }
+      return parseCsv(await expResp.text());
+    } catch (err) {
+      if (attempt >= EXPORT_DOWNLOAD_RETRY_DELAYS.length || isCancelled()) throw err;
+      const delay = EXPORT_DOWNLOAD_RETRY_DELAYS[attempt];
+      if (logger) logger(`   ⚠️  ${campaign.name || `Campaign ${campaign.id}`}: ${err.message} — retrying in ${delay / 1000}s`, true);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Run fetchItem over items with at most `concurrency` in flight, handing each
+ * outcome ({ value } or { error }) to handleResult strictly in input order so
+ * logs and assembled rows match a sequential run. Stops when isCancelled() is true.
+ * Workers wait rather than start item `emitIndex + concurrency * DOWNLOAD_LOOKAHEAD_FACTOR`
+ * or later, which bounds how many settled results are held in memory.
+ */
+async function runOrderedPool(items, concurrency, fetchItem, handleResult, isCancelled = () => false) {
+  const settled = new Array(items.length);
+  const workerCount = Math.min(normalizeDownloadConcurrency(concurrency), items.length);
+  const maxAhead = workerCount * DOWNLOAD_LOOKAHEAD_FACTOR;
+  let nextIndex = 0;
+  let emitIndex = 0;
+  let flushing = Promise.resolve();
+  let waiters = [];
+
+  const flush = () => {
+    flushing = flushing.then(async () => {
+      while (emitIndex < items.length && settled[emitIndex]) {
+        const i = emitIndex++;
+        const outcome = settled[i];
+        settled[i] = null; // Release parsed rows once handled
+        await handleResult(items[i], i, outcome);
+        const wake = waiters;
+        waiters = [];
+        wake.forEach(resolve => resolve());
+      }
+    });
+    return flushing;
+  };
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      // The item at emitIndex is already in flight, so its flush always wakes us
+      while (nextIndex >= emitIndex + maxAhead) {
+        await new Promise(resolve => waiters.push(resolve));
+      }
+      if (nextIndex >= items.length) break;
+      if (isCancelled()) throw new Error("Cancelled");
+      const i = nextIndex++;
+      try {
+        settled[i] = { value: await fetchItem(items[i], i) };
+      } catch (error) {
+        settled[i] = { error };
+      }
+      await flush();
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  await flush();
+}
+
+// =============================================================================
+// COMBINE CHECKPOINTS (resumable Combine Campaigns jobs)
+// =============================================================================
+
+// One JSON file per combine run, rewritten after every campaign and removed when
+// the run completes. A cancelled, failed or crashed run can resume from it.
+const COMBINE_CHECKPOINT_DIR = path.join(DB_DIR, 'checkpoints');
+
+function combineCheckpointPath(id) {
+  if (!/^[\w-]+$/.test(String(id || ''))) throw new Error(`Invalid checkpoint id: ${id}`);
+  return path.join(COMBINE_CHECKPOINT_DIR, `${id}.json`);
+}
+
+function loadCombineCheckpoint(id) {
+  try {
+    return JSON.parse(fs.readFileSync(combineCheckpointPath(id), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function saveCombineCheckpoint(checkpoint) {
+  fs.mkdirSync(COMBINE_CHECKPOINT_DIR, { recursive: true });
+  checkpoint.updated_at = new Date().toISOString();
+  // Write-then-rename so a crash mid-write never leaves a truncated checkpoint
+  const file = combineCheckpointPath(checkpoint.id);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(checkpoint));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+function deleteCombineCheckpoint(id) {
+  try { fs.unlinkSync(combineCheckpointPath(id)); return true; } catch (e) { return false; }
+}
+
+/**
+ * Summaries of resumable combine runs, newest first. A checkpoint still marked
+ * "running" whose job is no longer active was interrupted by a crash or quit.
+ */
+function listCombineCheckpoints() {
+  let names = [];
+  try { names = fs.readdirSync(COMBINE_CHECKPOINT_DIR).filter(f => f.endsWith('.json')); } catch (e) {}
+  const list = [];
+  for (const name of names) {
+    const cp = loadCombineCheckpoint(path.basename(name, '.json'));
+    if (!cp) continue;
+    const active = cp.status === 'running' && jobs.has(cp.job_id) && !jobs.get(cp.job_id).cancelled;
+    list.push({
+      id: cp.id,
+      status: cp.status === 'running' && !active ? 'interrupted' : cp.status,
+      error: cp.error || null,
+      created_at: cp.created_at,
+      updated_at: cp.updated_at,
+      start_date: cp.config.start_date,
+      end_date: cp.config.end_date,
+      account_ids: cp.config.account_ids,
+      output_mode: cp.config.output_mode,
+      total_campaigns: cp.campaigns.length,
+      done_campaigns: cp.done_keys.length,
+      rows: cp.totals ? cp.totals.rows : 0,
+      csv_path: cp.csv_path || null
+    });
+  }
+  return list.sort((a, b) => String(b.updated_at).localeCompare(String(a.updated_at)));
+}
+
 // =============================================================================
 // MAIN SEARCH FUNCTIONS (Enhanced for v3.0.0)
 // =============================================================================
@@ -3201,12 +4262,16 @@ async function runNumberSearch(config) {
     end_date,
     include_caller = true,
     include_message_meta = true,
-    output_mode = "csv", // NEW: "csv", "database", or "both"
+    output_mode: requestedOutputMode = "csv", // "csv", "database", "both" or "sync"
     job_id = null,
     client_prefix = "", // Optional prefix for output files
     selected_columns = [] // Optional column filter for CSV output (empty = all)
   } = config;
 
+  // Incremental sync only changes how Combine downloads campaigns; a number
+  // search in sync mode reads and writes the database like "database" mode.
+  const output_mode = requestedOutputMode === "sync" ? "database" : requestedOutputMode;
+
   // Build filename prefix
   const filePrefix = client_prefix ? `${client_prefix}_` : "";
 
@@ -3239,6 +4304,7 @@ async function runNumberSearch(config) {
 
   try {
     log(`=== VoApps Tools v${VERSION} - Phone Number Search ===`);
+    const apiStatsStart = snapshotApiStats();
     log(`Output Mode: ${output_mode}`);
     log(`Numbers: ${numbers.length}`);
     log(`Accounts: ${account_ids.join(", ")}`);
@@ -3361,6 +4427,7 @@ async function runNumberSearch(config) {
     }
 
     for (let i = 0; i < campaigns.length; i++) {
+      await waitWhilePaused(job_id, log);
       if (job_id && jobs.get(job_id)?.cancelled) {
         throw new Error("Cancelled");
       }
@@ -3483,6 +4550,7 @@ async function runNumberSearch(config) {
     // Check for invalid result codes (408/409/410)
     const invalidCodeAlerts = checkInvalidResultCodes(allMatches, log);
 
+    logApiCallSummary(log, apiStatsStart);
     log(`\n✅ Search complete!`);
 
     // Send completion signal
@@ -3559,6 +4627,7 @@ async function generateExecutiveSummary(config) {
   log(`Accounts: ${account_ids.join(", ")}`);
   log(`Date Range: ${start_date} to ${end_date}`);
   log(`Timezone: ${userTimezoneLabel} (${userTimezone})`);
+  const apiStatsStart = snapshotApiStats();
 
   try {
     // Fetch account names for the report
@@ -3589,6 +4658,7 @@ async function generateExecutiveSummary(config) {
     let totalRecords = 0;
 
     for (let i = 0; i < campaigns.length; i++) {
+      await waitWhilePaused(job_id, log);
       if (job_id && jobs.get(job_id)?.cancelled) {
         throw new Error("Cancelled");
       }
@@ -3763,6 +4833,7 @@ async function generateExecutiveSummary(config) {
     }
 
     fs.writeFileSync(csvPath, csvContent, 'utf8');
+    logApiCallSummary(log, apiStatsStart);
     log(`\n✅ Saved: ${path.basename(csvPath)}`);
 
     lastArtifacts.csvPath = csvPath;
@@ -3782,7 +4853,121 @@ async function generateExecutiveSummary(config) {
   }
 }
 
+/**
+ * Normalize a /api/combine request body into a runCombineCampaigns config.
+ * Scheduled jobs store the same body and go through this as well.
+ */
+function buildCombineConfig(body) {
+  const abTest = buildABTest(body);
+  return {
+    api_key: body.api_key || "",
+    account_ids: body.account_ids || [],
+    start_date: body.start_date || "",
+    end_date: body.end_date || "",
+    include_caller: !!(body.include_caller ?? true),
+    include_message_meta: !!(body.include_message_meta ?? true),
+    generate_trend_analysis: !!body.generate_trend_analysis,
+    min_consec_unsuccessful: body.min_consec_unsuccessful,
+    min_run_span_days: body.min_run_span_days,
+    include_detail_tabs: !!body.include_detail_tabs,
+    include_suppression_candidates: body.include_suppression_candidates !== false,
+    include_re_attempt_tabs: !!body.include_re_attempt_tabs,
+    include_json: !!body.include_json,
+    include_html: !!body.include_html,
+    suppression_export: !!body.suppression_export,
+    suppression_exclude_recent_days: body.suppression_exclude_recent_days,
+    suppression_dedupe_path: body.suppression_dedupe_path || "",
+    include_next_attempt: !!body.include_next_attempt,
+    tn_health_rules: buildTNHealthRules(body),
+    list_grade_rubric: buildListGradeRubric(body),
+    ab_test_type: abTest ? abTest.type : "message",
+    ab_test_ids: abTest ? abTest.ids : [],
+    pptx_include_slide_list_quality: body.pptx_include_slide_list_quality !== false,
+    pptx_include_slide_decay_curve: !!body.pptx_include_slide_decay_curve,
+    pptx_include_slide_send_time: !!body.pptx_include_slide_send_time,
+    pptx_include_slide_cadence: body.pptx_include_slide_cadence !== false,
+    pptx_include_slide_opportunities: body.pptx_include_slide_opportunities !== false,
+    pptx_overview_cards: Array.isArray(body.pptx_overview_cards) ? body.pptx_overview_cards : null,
+    output_mode: body.output_mode || "csv",
+    download_concurrency: normalizeDownloadConcurrency(body.download_concurrency),
+    resume_checkpoint_id: body.resume_checkpoint_id || null,
+    job_id: body.job_id || null,
+    client_prefix: body.client_prefix || "",
+    selected_columns: Array.isArray(body.selected_columns) ? body.selected_columns : [],
+    // AI settings come from the frontend payload (UI / localStorage).
+    // The enable toggle and mode radios are only stored in localStorage,
+    // so getAiSettings() (disk-based) would always return enabled:false.
+    ai_enabled: body.ai_enabled === true,
+    ai_transcription_mode: body.ai_transcription_mode || 'local',
+    ai_intent_mode: body.ai_intent_mode || 'local',
+    local_stt_model: body.local_stt_model || 'base',
+    local_intent_model: body.local_intent_model || 'nli-deberta-v3-small'
+  };
+}
+
+/**
+ * Fill missing voapps_timestamp values while streaming one campaign's rows: each
+ * row takes the nearest timestamp of the same campaign by row position, falling
+ * back to target_date when the campaign has none. Only the current run of rows
+ * without a timestamp is buffered (flushed early after maxPending rows).
+ * push()/flush() return the rows that are ready, in their original order.
+ */
+function createTimestampFiller(targetDate, maxPending = 100000) {
+  let pending = [];
+  let prevTs = null;
+
+  const filler = {
+    filled: 0,
+    push(row) {
+      if (!row.voapps_timestamp) {
+        pending.push(row);
+        return pending.length >= maxPending ? resolvePending(null) : [];
+      }
+      const ready = resolvePending(row.voapps_timestamp);
+      prevTs = row.voapps_timestamp;
+      ready.push(row);
+      return ready;
+    },
+    flush() {
+      return resolvePending(null);
+    }
+  };
+
+  function resolvePending(nextTs) {
+    const ready = pending;
+    ready.forEach((row, idx) => {
+      // Ties go to the previous timestamp, as in the in-memory fill this replaced
+      const usePrev = prevTs && (!nextTs || idx + 1 <= ready.length - idx);
+      const ts = usePrev ? prevTs : nextTs;
+      if (ts) {
+        row.voapps_timestamp = ts;
+        filler.filled++;
+      } else if (targetDate) {
+        row.voapps_timestamp = `${targetDate} 00:00:00 UTC`;
+        filler.filled++;
+      }
+    });
+    pending = [];
+    return ready;
+  }
+
+  return filler;
+}
+
 async function runCombineCampaigns(config) {
+  // Resuming restores the original request from its checkpoint; only the API key,
+  // job id and download concurrency come from the new request
+  const checkpoint = config.resume_checkpoint_id ? loadCombineCheckpoint(config.resume_checkpoint_id) : null;
+  if (config.resume_checkpoint_id && !checkpoint) {
+    throw new Error(`No resumable combine found for ${config.resume_checkpoint_id}`);
+  }
+  if (checkpoint && checkpoint.status === 'running' && jobs.has(checkpoint.job_id)) {
+    throw new Error("This combine is still running");
+  }
+  if (checkpoint) {
+    config = { ...checkpoint.config, api_key: config.api_key, job_id: config.job_id, download_concurrency: config.download_concurrency };
+  }
+
   const {
     api_key,
     account_ids,
@@ -3796,11 +4981,17 @@ async function runCombineCampaigns(config) {
     include_detail_tabs = false, // TN Health, Variability Analysis, Number Summary tabs
     include_suppression_candidates = true,
     include_re_attempt_tabs = false,
+    include_json = false, // Also write the analysis as a versioned JSON document
+    include_html = false, // Also write a self-contained HTML report
+    include_next_attempt = false, // Also write the per-number next-attempt CSV
+    pptx_include_slide_list_quality = true,
     pptx_include_slide_decay_curve = false,
+    pptx_include_slide_send_time = false,
     pptx_include_slide_cadence = true,
     pptx_include_slide_opportunities = true,
     pptx_overview_cards = null,
-    output_mode = "csv", // "csv", "database", or "both"
+    output_mode = "csv", // "csv", "database", "both", or "sync" (database, incremental)
+    download_concurrency = DEFAULT_DOWNLOAD_CONCURRENCY, // Campaign exports downloaded in parallel (1-8)
     job_id = null,
     client_prefix = "", // Optional prefix for output files
     selected_columns = [], // Optional column filter for CSV output (empty = all)
@@ -3820,6 +5011,8 @@ async function runCombineCampaigns(config) {
   const suffix = getFilenameSuffix(folders.logs, 'voapps_log');
   const logPath = path.join(folders.logs, `voapps_log_${suffix}.txt`);
   const errorPath = path.join(folders.logs, `voapps_errors_${suffix}.txt`);
+  // Output files keep the original run's suffix so a resumed run appends to them
+  const outputSuffix = checkpoint ? checkpoint.output_suffix : suffix;
 
   const { log, close } = createLogger(logPath, errorPath, "normal", job_id);
 
@@ -3843,8 +5036,13 @@ async function runCombineCampaigns(config) {
   lastArtifacts.logPath = logPath;
   lastArtifacts.errorPath = errorPath;
 
+  let csvWriter = null;
+  let spoolDir = null; // temp folder holding downloaded exports until they are parsed
+  let activeCheckpoint = null;
+
   try {
     log(`=== VoApps Tools v${VERSION} - Combine Campaigns ===`);
+    const apiStatsStart = snapshotApiStats();
     log(`Output Mode: ${output_mode}`);
     log(`Accounts: ${account_ids.join(", ")}`);
     log(`Date Range: ${start_date} to ${end_date}`);
@@ -3852,16 +5050,45 @@ async function runCombineCampaigns(config) {
       log(`Trend Analysis: Enabled (min_consec=${min_consec_unsuccessful}, min_span=${min_run_span_days} days)`);
     }
 
-    // Fetch campaigns
-    const campaigns = await fetchAllCampaigns(api_key, account_ids, start_date, end_date, log, "normal", job_id);
+    let campaigns;
+    if (checkpoint) {
+      campaigns = checkpoint.campaigns;
+      log(`\n♻️  Resuming ${checkpoint.id}: ${checkpoint.done_keys.length} of ${campaigns.length} campaigns already downloaded`);
+    } else {
+      // Fetch campaigns
+      campaigns = await fetchAllCampaigns(api_key, account_ids, start_date, end_date, log, "normal", job_id);
 
-    if (campaigns.length === 0) {
-      log("\n⚠️  No campaigns found in date range");
-      close();
-      throw new Error("No campaigns found in specified date range");
+      if (campaigns.length === 0) {
+        log("\n⚠️  No campaigns found in date range");
+        close();
+        throw new Error("No campaigns found in specified date range");
+      }
+
+      log(`\n📊 Found ${campaigns.length} campaigns to combine`);
+    }
+
+    // Incremental sync: skip campaigns already stored as finished, re-fetch the rest
+    const isSync = output_mode === "sync";
+    let campaignsToFetch = campaigns;
+    let syncState = new Map();
+    const syncResults = [];
+    if (isSync) {
+      if (!isDatabaseAvailable()) throw new Error("Sync mode requires the local database");
+      if (!dbReady) await initDatabase();
+      syncState = await getCampaignSyncState(campaigns, log);
+      if (!checkpoint) {
+        campaignsToFetch = campaigns.filter(c => syncState.get(`${c.account_id}:${c.id}`)?.status !== 'finished');
+        const refetchCount = campaignsToFetch.filter(c => syncState.has(`${c.account_id}:${c.id}`)).length;
+        log(`🔄 Sync: ${campaigns.length - campaignsToFetch.length} finished campaign(s) already stored — skipping`);
+        log(`   ${campaignsToFetch.length - refetchCount} new, ${refetchCount} still running/incomplete last time — downloading`);
+      }
     }
 
-    log(`\n📊 Found ${campaigns.length} campaigns to combine`);
+    // A resumed run only downloads the campaigns its checkpoint has not recorded as done
+    const doneKeys = new Set(checkpoint ? checkpoint.done_keys : []);
+    if (checkpoint) {
+      campaignsToFetch = campaigns.filter(c => !doneKeys.has(`${c.account_id}:${c.id}`));
+    }
 
     // Fetch caller numbers, messages, account timezones, and account names
     const callerNumberNames = include_caller
@@ -3900,8 +5127,131 @@ async function runCombineCampaigns(config) {
       }
     }
 
-    // Fetch all campaign reports
-    const allRows = [];
+    // Output targets. Rows are streamed straight into these as each campaign is parsed,
+    // so the combined dataset is never held in memory.
+    const saveToDatabase = output_mode === "database" || output_mode === "both" || isSync;
+    let csvPath = null;
+    let allCsvFiles = [];
+    let wasSplit = false;
+    let fileCount = 1;
+    let tempAnalysisCsvFiles = []; // temp files created only for analysis in database-only mode
+
+    const ALL_CSV_HEADERS = [
+      'number', 'account_id', 'account_name', 'campaign_id', 'campaign_name',
+      'caller_number', 'caller_number_name', 'message_id', 'message_name', 'message_description',
+      'voapps_result', 'voapps_code', 'voapps_timestamp', 'campaign_url',
+      'voapps_voice_append', 'account_number'
+    ];
+    const CSV_HEADERS = selected_columns.length === 0
+      ? ALL_CSV_HEADERS
+      : ALL_CSV_HEADERS.filter(h => selected_columns.includes(h) || ALWAYS_INCLUDED_COLS.has(h));
+
+    if (output_mode === "csv" || output_mode === "both") {
+      csvPath = path.join(folders.combineCampaigns, `${filePrefix}combined_${outputSuffix}.csv`);
+      csvWriter = createCsvWriter(csvPath, CSV_HEADERS, log, MAX_ROWS_PER_FILE, checkpoint?.csv_state);
+    } else if (generate_trend_analysis && !isSync) {
+      // Database-only output but analysis was requested: write a temporary CSV so the
+      // worker can read from disk (same pattern as CSV mode). Deleted after analysis.
+      log(`\n📊 Writing temporary CSV for analysis (database-only output)...`);
+      const tmpCsvPath = path.join(folders.combineCampaigns, `${filePrefix}combined_${outputSuffix}_analysis_tmp.csv`);
+      csvWriter = createCsvWriter(tmpCsvPath, CSV_HEADERS, log, MAX_ROWS_PER_FILE, checkpoint?.csv_state);
+    }
+
+    // Database rows are inserted in batches of DB_STREAM_BATCH_SIZE as they stream in
+    const DB_STREAM_BATCH_SIZE = 10000;
+    const resumed = checkpoint ? checkpoint.totals : null;
+    const dbTotals = resumed ? { ...resumed.db } : { inserted: 0, skipped: 0 };
+    let dbBatch = [];
+    // Sync: re-fetched campaigns whose stored rows are replaced by the next flush
+    let pendingReplace = [];
+    // Sync: re-fetched campaigns whose old rows could not be replaced (bulk insert failed)
+    const unreplaced = new Set();
+    const flushDbBatch = async () => {
+      if (dbBatch.length === 0 && pendingReplace.length === 0) return;
+      const batch = dbBatch;
+      const replaceKeys = pendingReplace;
+      dbBatch = [];
+      pendingReplace = [];
+      const result = await insertRows(batch, null, replaceKeys);
+      dbTotals.inserted += result.inserted;
+      dbTotals.skipped += result.skipped;
+      for (const key of result.unreplaced || []) unreplaced.add(key);
+      if (result.replaced > 0) log(`   🔄 Replaced ${result.replaced.toLocaleString()} stored row(s) of ${replaceKeys.length} re-fetched campaign(s)`);
+    };
+
+    let totalRows = resumed ? resumed.rows : 0;
+    let filledTimestamps = resumed ? resumed.filled_timestamps : 0;
+    // 408/409/410 results, "code\tcampaign_id" -> count, for checkInvalidResultCodes
+    const invalidCodeCounts = new Map(resumed ? resumed.invalid_codes : []);
+    // AI scoping data: which messages/accounts are actually represented in this dataset
+    const _aiUsedMessageKeys = new Set(resumed ? resumed.ai_message_keys : []);
+    const _aiActiveAccountIds = new Set(resumed ? resumed.ai_account_ids : []);
+
+    // Write errors (disk, database) abort the whole combine; download/parse errors only skip a campaign
+    const emitRow = async (row) => {
+      try {
+        if (csvWriter) await csvWriter.write(row);
+        if (saveToDatabase) {
+          dbBatch.push(row);
+          if (dbBatch.length >= DB_STREAM_BATCH_SIZE) await flushDbBatch();
+        }
+      } catch (err) {
+        err.fatal = true;
+        throw err;
+      }
+      totalRows++;
+      if (INVALID_RESULT_CODES[String(row.voapps_code).trim()]) {
+        const key = `${String(row.voapps_code).trim()}\t${row.campaign_id}`;
+        invalidCodeCounts.set(key, (invalidCodeCounts.get(key) || 0) + 1);
+      }
+      if (row.account_id && row.message_id) _aiUsedMessageKeys.add(`${row.account_id}:${row.message_id}`);
+      if (row.account_id) _aiActiveAccountIds.add(row.account_id);
+    };
+
+    // Checkpoint: rewritten after every campaign so a cancelled, failed or crashed run
+    // can resume. Records the campaigns done, the CSV write position and running totals.
+    activeCheckpoint = checkpoint || {
+      id: `combine_${outputSuffix}`,
+      created_at: new Date().toISOString(),
+      output_suffix: outputSuffix,
+      config: { ...config, api_key: undefined, job_id: undefined, resume_checkpoint_id: undefined },
+      campaigns: campaignsToFetch.map(c => ({
+        id: c.id,
+        account_id: c.account_id,
+        name: c.name,
+        target_date: c.target_date,
+        caller_number: c.caller_number,
+        message_id: c.message_id,
+        status: c.status ?? c.state
+      })),
+      done_keys: [],
+      csv_path: csvPath,
+      csv_state: null,
+      totals: null
+    };
+    Object.assign(activeCheckpoint, { status: 'running', error: null, job_id });
+    saveCombineCheckpoint(activeCheckpoint);
+
+    const checkpointCampaign = async (campaignKey, done, syncEntry) => {
+      if (csvWriter) await csvWriter.flush();
+      await flushDbBatch();
+      if (isSync && unreplaced.has(campaignKey)) {
+        syncEntry.status = 'error';
+        log(`   ⚠️  Stored rows could not be replaced – will re-fetch next sync`, true);
+      }
+      if (isSync) await saveCampaignSyncState([syncEntry]);
+      if (done) activeCheckpoint.done_keys.push(campaignKey);
+      activeCheckpoint.csv_state = csvWriter ? csvWriter.state() : null;
+      activeCheckpoint.totals = {
+        rows: totalRows,
+        filled_timestamps: filledTimestamps,
+        db: { ...dbTotals },
+        invalid_codes: [...invalidCodeCounts],
+        ai_message_keys: [..._aiUsedMessageKeys],
+        ai_account_ids: [..._aiActiveAccountIds]
+      };
+      saveCombineCheckpoint(activeCheckpoint);
+    };
 
     log(`\n📥 Downloading campaign reports...`);
 
@@ -3909,54 +5259,85 @@ async function runCombineCampaigns(config) {
     if (job_id) {
       sendProgress(job_id, {
         status: 'running',
-        total: campaigns.length,
+        total: campaignsToFetch.length,
         current: 0,
         message: 'Downloading campaigns...'
       });
     }
 
-    for (let i = 0; i < campaigns.length; i++) {
-      if (job_id && jobs.get(job_id)?.cancelled) {
+    // Several campaigns download at once, each spooled to a temp file; the files are
+    // then parsed and written out in campaign order
+    spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voapps-combine-'));
+    const isCancelled = () => !!(job_id && jobs.get(job_id)?.cancelled);
+    log(`   ${normalizeDownloadConcurrency(download_concurrency)} parallel download(s)`);
+
+    // Paused jobs start no new downloads and write nothing until resumed
+    const fetchExport = async (campaign, i) => {
+      await waitWhilePaused(job_id);
+      if (isCancelled()) throw new Error("Cancelled");
+      return downloadCampaignExport(api_key, campaign, log, isCancelled, path.join(spoolDir, `campaign_${i}.csv`));
+    };
+    await runOrderedPool(campaignsToFetch, download_concurrency, fetchExport, async (campaign, i, outcome) => {
+      await waitWhilePaused(job_id, log);
+      if (isCancelled()) {
         throw new Error("Cancelled");
       }
 
-      const campaign = campaigns[i];
       const accountId = campaign.account_id;
       const campaignId = campaign.id;
-      
-      log(`\n[${i + 1}/${campaigns.length}] ${campaign.name || 'Unnamed'}`);
+      const syncEntry = {
+        campaign_id: String(campaignId),
+        account_id: String(accountId),
+        campaign_name: campaign.name || '',
+        target_date: campaign.target_date || '',
+        status: 'error',
+        row_count: 0
+      };
+      if (isSync) syncResults.push(syncEntry);
+      let aborting = false;
+
+      log(`\n[${i + 1}/${campaignsToFetch.length}] ${campaign.name || 'Unnamed'}`);
 
       // Update progress
       if (job_id) {
         sendProgress(job_id, {
           current: i + 1,
-          message: `Downloading: ${campaign.name || `Campaign ${campaignId}`}`
+          message: `Downloaded: ${campaign.name || `Campaign ${campaignId}`}`
         });
       }
       try {
-        // Get campaign detail to extract export URL
-        const detail = await fetchCampaignDetail(api_key, accountId, campaignId);
-        const exportUrl = detail.export || detail.campaign?.export || null;
-        
-        if (!exportUrl) {
+        if (outcome.error) throw outcome.error;
+        if (!outcome.value) {
           log(`   ⚠️  No export URL available`);
-          continue;
+          syncEntry.status = 'no_export';
+          return;
         }
 
-        // Fetch CSV from S3 (NO authentication)
-        const expResp = await fetch(exportUrl);
-        if (!expResp.ok) {
-          throw new Error(`Failed to download CSV: HTTP ${expResp.status}`);
+        // Replace previously stored rows of a re-fetched campaign. Only reached once the new
+        // export downloaded; the delete runs in the same transaction as the flush that inserts
+        // the campaign's first rows. A campaign larger than DB_STREAM_BATCH_SIZE is written over
+        // several flushes, so a parse or download error partway leaves it partial – its sync
+        // state then stays 'error' and the next sync re-fetches and replaces it again.
+        if (isSync && syncState.has(`${accountId}:${campaignId}`)) {
+          pendingReplace.push(`${accountId}:${campaignId}`);
         }
-        
-        const csvText = await expResp.text();
-        const { rows } = parseCsv(csvText);
 
         // Get campaign-level caller_number and message_id for fallback
         const campaignCallerNumber = campaign.caller_number || '';
         const campaignMessageId = campaign.message_id ? String(campaign.message_id) : '';
 
-        for (const row of rows) {
+        // Fill missing voapps_timestamp from nearest same-campaign record (by row proximity),
+        // falling back to target_date if no campaign record has any timestamp.
+        const timestamps = createTimestampFiller(campaign.target_date || '');
+        const resultCodes = new Set();
+        const rowsBefore = totalRows;
+        let exportRows = 0;
+
+        for await (const row of streamCsvRows(outcome.value.filePath)) {
+          exportRows++;
+          resultCodes.add(row.voapps_code || '');
+          if (exportRows % 50000 === 0 && isCancelled()) throw new Error("Cancelled");
+
           const rawNum = String(row.number || row.phone_number || "").replace(/\D/g, '');
           const num = rawNum.length === 11 && rawNum.startsWith('1') ? rawNum.slice(1) : rawNum;
 
@@ -3968,7 +5349,7 @@ async function runCombineCampaigns(config) {
           const callerKey = `${accountId}:${callerNum}`;
           const messageKey = `${accountId}:${messageId}`;
 
-          allRows.push({
+          const ready = timestamps.push({
             number: num,
             account_id: accountId,
             account_name: accountNames[accountId] || '',
@@ -3987,118 +5368,80 @@ async function runCombineCampaigns(config) {
             voapps_voice_append: resolveVoiceAppend(row),
             account_number: resolveAccountNumber(row)
           });
+          for (const out of ready) await emitRow(out);
         }
+        for (const out of timestamps.flush()) await emitRow(out);
+        filledTimestamps += timestamps.filled;
 
-        log(`   ✅ ${rows.length.toLocaleString()} rows`);
+        syncEntry.row_count = totalRows - rowsBefore;
+        syncEntry.status = determineCampaignSyncStatus(campaign, resultCodes);
+        log(`   ✅ ${exportRows.toLocaleString()} rows${isSync && syncEntry.status === 'running' ? ' (still running — will re-fetch next sync)' : ''}`);
       } catch (err) {
+        if (err.fatal || err.message === "Cancelled") {
+          aborting = true;
+          throw err;
+        }
         log(`   ❌ Error: ${err.message}`, true);
+        // Nothing of this campaign flushed yet: keep its stored rows rather than mixing in a partial export
+        const pending = pendingReplace.indexOf(`${accountId}:${campaignId}`);
+        if (pending !== -1) {
+          pendingReplace.splice(pending, 1);
+          dbBatch = dbBatch.filter(r => !(r.account_id === accountId && r.campaign_id === campaignId));
+        }
+      } finally {
+        if (outcome.value?.filePath) {
+          try { fs.unlinkSync(outcome.value.filePath); } catch {}
+        }
+        // Failed and not-yet-exported campaigns stay pending, so a resume retries them
+        if (!aborting) {
+          const done = syncEntry.status !== 'error' && syncEntry.status !== 'no_export';
+          await checkpointCampaign(`${accountId}:${campaignId}`, done, syncEntry);
+        }
       }
-    }
+    }, isCancelled);
 
-    log(`\n📊 Total rows: ${allRows.length.toLocaleString()}`);
+    log(`\n📊 Total rows: ${totalRows.toLocaleString()}`);
+    if (filledTimestamps > 0) log(`   ✅ Filled ${filledTimestamps.toLocaleString()} missing timestamp(s) from campaign proximity`);
 
-    // Fill missing voapps_timestamp from nearest same-campaign record (by row proximity),
-    // falling back to target_date if no campaign record has any timestamp.
-    {
-      const ctsMap = new Map();
-      for (let i = 0; i < allRows.length; i++) {
-        const ts = allRows[i].voapps_timestamp;
-        if (ts) {
-          const cid = allRows[i].campaign_id || '__none__';
-          if (!ctsMap.has(cid)) ctsMap.set(cid, []);
-          ctsMap.get(cid).push({ idx: i, ts });
-        }
-      }
-      // Binary search helper — find nearest ts by row index within a campaign
-      const nearestTs = (list, targetIdx) => {
-        if (!list || list.length === 0) return null;
-        let lo = 0, hi = list.length - 1;
-        while (lo < hi) { const mid = (lo + hi) >> 1; if (list[mid].idx < targetIdx) lo = mid + 1; else hi = mid; }
-        const prev = lo > 0 ? list[lo - 1] : null;
-        const next = lo < list.length ? list[lo] : null;
-        if (!prev) return next.ts;
-        if (!next) return prev.ts;
-        return Math.abs(prev.idx - targetIdx) <= Math.abs(next.idx - targetIdx) ? prev.ts : next.ts;
-      };
-      let filled = 0;
-      for (let i = 0; i < allRows.length; i++) {
-        if (!allRows[i].voapps_timestamp) {
-          const cid = allRows[i].campaign_id || '__none__';
-          const ts = nearestTs(ctsMap.get(cid), i);
-          if (ts) { allRows[i].voapps_timestamp = ts; filled++; }
-          else if (allRows[i].target_date) {
-            allRows[i].voapps_timestamp = `${allRows[i].target_date} 00:00:00 UTC`;
-            filled++;
-          }
-        }
+    // Finish the database save
+    if (saveToDatabase) {
+      log(`\n💾 Saving to database...`);
+      if (job_id) sendProgress(job_id, { current: -1, total: 0, message: 'Finishing database save...' });
+      await flushDbBatch();
+      log(`   ✅ Database: ${dbTotals.inserted} inserted, ${dbTotals.skipped} already stored`);
+      if (isSync) {
+        // Each campaign's sync state was saved as soon as it was written
+        const stillRunning = syncResults.filter(r => r.status !== 'finished').length;
+        log(`   ✅ Sync state saved: ${syncResults.length - stillRunning} finished, ${stillRunning} to re-fetch next time`);
       }
-      ctsMap.clear();
-      if (filled > 0) log(`   ✅ Filled ${filled.toLocaleString()} missing timestamp(s) from campaign proximity`);
     }
 
-    // Save to database if requested
-    if (output_mode === "database" || output_mode === "both") {
-      log(`\n💾 Saving to database...`);
-      if (job_id) sendProgress(job_id, { current: -1, total: 0, message: `Saving ${allRows.length.toLocaleString()} records to database...` });
-      const dbResult = await insertRows(allRows, log);
-      log(`   ✅ Database: ${dbResult.inserted} inserted, ${dbResult.updated} updated`);
+    // Finish the CSV (or the temporary analysis CSV)
+    if (csvWriter) {
+      const csvResult = await csvWriter.close();
+      csvWriter = null;
+      allCsvFiles = csvResult.files;
+      if (csvPath) {
+        wasSplit = csvResult.wasSplit;
+        fileCount = csvResult.fileCount;
+        lastArtifacts.csvPath = csvPath;
+      } else {
+        tempAnalysisCsvFiles = csvResult.files;
+      }
     }
 
-    // Save to CSV if requested
-    let csvPath = null;
-    let allCsvFiles = [];
-    let wasSplit = false;
-    let fileCount = 1;
-    let tempAnalysisCsvFiles = []; // temp files created only for analysis in database-only mode
+    // Check for invalid result codes (408/409/410)
+    const invalidCodeAlerts = checkInvalidResultCodes([...invalidCodeCounts].map(([key, count]) => {
+      const [voapps_code, campaign_id] = key.split('\t');
+      return { voapps_code, campaign_id, _count: count };
+    }), log);
 
-    const ALL_CSV_HEADERS = [
-      'number', 'account_id', 'account_name', 'campaign_id', 'campaign_name',
-      'caller_number', 'caller_number_name', 'message_id', 'message_name', 'message_description',
-      'voapps_result', 'voapps_code', 'voapps_timestamp', 'campaign_url',
-      'voapps_voice_append', 'account_number'
-    ];
-    const CSV_HEADERS = selected_columns.length === 0
-      ? ALL_CSV_HEADERS
-      : ALL_CSV_HEADERS.filter(h => selected_columns.includes(h) || ALWAYS_INCLUDED_COLS.has(h));
+    // Generate trend analysis if requested
+    let analysisPath = null;
+    if (generate_trend_analysis && allCsvFiles.length > 0) {
+      log(`\n📊 Generating trend analysis...`);
 
-    if (output_mode === "csv" || output_mode === "both") {
-      csvPath = path.join(folders.combineCampaigns, `${filePrefix}combined_${suffix}.csv`);
-      const csvResult = await writeCsv(csvPath, allRows, CSV_HEADERS, log, MAX_ROWS_PER_FILE);
-      allCsvFiles = csvResult.files;
-      wasSplit = csvResult.wasSplit;
-      fileCount = csvResult.fileCount;
-      lastArtifacts.csvPath = csvPath;
-    } else if (generate_trend_analysis) {
-      // Database-only output but analysis was requested: write a temporary CSV so the
-      // worker can read from disk (same pattern as CSV mode). Deleted after analysis.
-      log(`\n📊 Writing temporary CSV for analysis (database-only output)...`);
-      const tmpCsvPath = path.join(folders.combineCampaigns, `${filePrefix}combined_${suffix}_analysis_tmp.csv`);
-      const csvResult = await writeCsv(tmpCsvPath, allRows, CSV_HEADERS, log, MAX_ROWS_PER_FILE);
-      allCsvFiles = csvResult.files;
-      tempAnalysisCsvFiles = csvResult.files;
-    }
-
-    // Check for invalid result codes (408/409/410) before clearing allRows
-    const invalidCodeAlerts = checkInvalidResultCodes(allRows, log);
-
-    // Capture row count then free the in-memory rows array before spawning the worker.
-    // This is critical for large datasets: the worker reads from the CSV files on disk,
-    // so holding allRows in memory at the same time would double memory usage and OOM.
-    const totalRows = allRows.length;
-    // Capture AI scoping data BEFORE clearing allRows — the AI block needs to know which
-    // messages/accounts were actually represented in this dataset, but runs after the clear.
-    const _aiUsedMessageKeys = new Set(
-      allRows.filter(r => r.account_id && r.message_id).map(r => `${r.account_id}:${r.message_id}`)
-    );
-    const _aiActiveAccountIds = new Set(allRows.map(r => r.account_id).filter(Boolean));
-    allRows.length = 0;
-
-    // Generate trend analysis if requested
-    let analysisPath = null;
-    if (generate_trend_analysis && allCsvFiles.length > 0) {
-      log(`\n📊 Generating trend analysis...`);
-
-      const analysisFilename = `${filePrefix}number_analysis_${suffix}.xlsx`;
+      const analysisFilename = `${filePrefix}number_analysis_${outputSuffix}.xlsx`;
       analysisPath = path.join(folders.combineCampaigns, analysisFilename);
 
       // Always pass file paths (never raw rows) so the worker reads from disk
@@ -4163,9 +5506,8 @@ async function runCombineCampaigns(config) {
           //     belong to accounts which have at least one row in this dataset. Messages from
           //     accounts with zero dataset rows are still excluded.
           //
-          // NOTE: allRows was cleared (allRows.length = 0) earlier to free memory before the
-          // worker spawns. The sets _aiUsedMessageKeys and _aiActiveAccountIds were captured
-          // from allRows just before that clear, so they still contain the right data.
+          // NOTE: rows are never held in memory; the sets _aiUsedMessageKeys and
+          // _aiActiveAccountIds were collected while the campaign exports streamed through.
           const filteredAiMessageInfo = {};
           const totalCount = Object.keys(aiMessageInfo).length;
           if (_aiUsedMessageKeys.size > 0) {
@@ -4201,7 +5543,9 @@ async function runCombineCampaigns(config) {
 
       const VALID_CARD_KEYS = new Set(['firstAttemptSuccessRate','avgAttemptsPerNumber','impliedCallbackOppty','dateSpan']);
       const pptxOptions = {
+        includeSlideListQuality: pptx_include_slide_list_quality !== false,
         includeSlideDecayCurve: !!pptx_include_slide_decay_curve,
+        includeSlideSendTime: !!pptx_include_slide_send_time,
         includeSlideReAttemptCadence: pptx_include_slide_cadence !== false,
         includeSlideOpportunities: pptx_include_slide_opportunities !== false,
         overviewCards: Array.isArray(pptx_overview_cards)
@@ -4210,27 +5554,40 @@ async function runCombineCampaigns(config) {
         clientPrefix: client_prefix || '',
       };
       if (job_id) sendProgress(job_id, { current: -1, total: 0, message: 'Generating Delivery Intelligence Report...' });
-      await runAnalysisInWorker(
-        allCsvFiles,
-        analysisPath,
-        min_consec_unsuccessful,
-        min_run_span_days,
-        messageInfo,
-        callerNumberNames,
+      const analysisSummary = await runAnalysisInWorker(allCsvFiles, analysisPath, {
+        minConsecUnsuccessful: min_consec_unsuccessful,
+        minRunSpanDays: min_run_span_days,
+        messageMap: messageInfo,
+        callerMap: callerNumberNames,
         accountTimezones,
         userTimezone,
         userTimezoneLabel,
-        include_detail_tabs,
+        includeDetailTabs: include_detail_tabs,
         transcriptMap,
-        include_re_attempt_tabs,
+        includeReAttemptTabs: include_re_attempt_tabs,
         pptxOptions,
-        include_suppression_candidates,
-        job_id || null
-      );
+        includeSuppressionCandidates: include_suppression_candidates,
+        includeJson: include_json,
+        includeHtml: include_html,
+        includeNextAttempt: include_next_attempt,
+        ...buildAnalysisRuleOptions(config)
+      }, job_id || null);
 
       lastArtifacts.analysisPath = analysisPath;
       lastArtifacts.pptxPath = analysisPath.replace(/\.xlsx$/i, '_Business_Review.pptx');
+      lastArtifacts.jsonPath = include_json ? analysisPath.replace(/\.xlsx$/i, '.json') : null;
+      lastArtifacts.htmlPath = include_html ? analysisPath.replace(/\.xlsx$/i, '_Report.html') : null;
+      lastArtifacts.suppressionPath = config.suppression_export ? analysisPath.replace(/\.xlsx$/i, '_Suppression') : null;
+      lastArtifacts.nextAttemptPath = include_next_attempt ? analysisPath.replace(/\.xlsx$/i, '_Next_Attempt.csv') : null;
       log(`✅ Analysis generated: ${analysisFilename}`);
+      await trackSuppressionList(analysisSummary?.suppressionList, {
+        sourceType: 'combine',
+        jobId: job_id,
+        analysisPath,
+        minConsecUnsuccessful: min_consec_unsuccessful,
+        minRunSpanDays: min_run_span_days,
+        excludeRecentDays: config.suppression_exclude_recent_days
+      }, log);
 
       // Remove temp CSVs that were created only to feed the analysis worker
       if (tempAnalysisCsvFiles.length > 0) {
@@ -4239,8 +5596,19 @@ async function runCombineCampaigns(config) {
         }
         log(`🗑️  Removed ${tempAnalysisCsvFiles.length} temporary analysis CSV file(s)`);
       }
+    } else if (generate_trend_analysis && isSync) {
+      // A sync only downloads part of the range — analyze the full range from the database
+      log(`\n📊 Generating trend analysis from database (${start_date} to ${end_date})...`);
+      if (job_id) sendProgress(job_id, { current: -1, total: 0, message: 'Generating Delivery Intelligence Report...' });
+      const dbOut = await runDatabaseAnalysis({ ...config, start_date, end_date });
+      analysisPath = dbOut.analysisPath;
+      lastArtifacts.logPath = logPath; // keep the combine log as the primary log
+      log(`✅ Analysis generated: ${path.basename(analysisPath)} (${dbOut.rowCount.toLocaleString()} rows)`);
     }
 
+    deleteCombineCheckpoint(activeCheckpoint.id);
+
+    logApiCallSummary(log, apiStatsStart);
     log(`\n✅ Combine complete!`);
 
     // Send completion signal
@@ -4260,15 +5628,29 @@ async function runCombineCampaigns(config) {
       logPath,
       analysisPath,
       pptxPath: analysisPath ? analysisPath.replace(/\.xlsx$/i, '_Business_Review.pptx') : null,
+      jsonPath: analysisPath && include_json ? analysisPath.replace(/\.xlsx$/i, '.json') : null,
+      htmlPath: analysisPath && include_html ? analysisPath.replace(/\.xlsx$/i, '_Report.html') : null,
+      suppressionPath: analysisPath && config.suppression_export ? analysisPath.replace(/\.xlsx$/i, '_Suppression') : null,
+      nextAttemptPath: analysisPath && include_next_attempt ? analysisPath.replace(/\.xlsx$/i, '_Next_Attempt.csv') : null,
       totalRows,
       wasSplit,
       fileCount
     };
   } catch (err) {
+    if (csvWriter) csvWriter.abort();
     log(`\n❌ Fatal error: ${err.message}`, true);
+    if (activeCheckpoint) {
+      activeCheckpoint.status = err.message === "Cancelled" ? 'cancelled' : 'failed';
+      activeCheckpoint.error = err.message;
+      try { saveCombineCheckpoint(activeCheckpoint); } catch (_) {}
+      err.checkpointId = activeCheckpoint.id;
+      log(`♻️  Progress saved — ${activeCheckpoint.done_keys.length} of ${activeCheckpoint.campaigns.length} campaigns done. Resume to continue from here.`);
+    }
     close();
     err.logPath = logPath;
     throw err;
+  } finally {
+    if (spoolDir) fs.rmSync(spoolDir, { recursive: true, force: true });
   }
 }
 
@@ -4278,6 +5660,7 @@ async function runBulkCampaignExport(config) {
     account_ids,
     start_date,
     end_date,
+    download_concurrency = DEFAULT_DOWNLOAD_CONCURRENCY,
     job_id = null
   } = config;
 
@@ -4310,6 +5693,7 @@ async function runBulkCampaignExport(config) {
 
   try {
     log(`=== VoApps Tools v${VERSION} - Bulk Campaign Export ===`);
+    const apiStatsStart = snapshotApiStats();
     log(`Accounts: ${account_ids.join(", ")}`);
     log(`Date Range: ${start_date} to ${end_date}`);
 
@@ -4343,12 +5727,22 @@ async function runBulkCampaignExport(config) {
       });
     }
 
-    for (let i = 0; i < campaigns.length; i++) {
-      if (job_id && jobs.get(job_id)?.cancelled) {
+    // Several campaigns download at once; files are written in campaign order
+    const isCancelled = () => !!(job_id && jobs.get(job_id)?.cancelled);
+    log(`   ${normalizeDownloadConcurrency(download_concurrency)} parallel download(s)`);
+
+    // Paused jobs start no new downloads and write nothing until resumed
+    const fetchExport = async (campaign) => {
+      await waitWhilePaused(job_id);
+      if (isCancelled()) throw new Error("Cancelled");
+      return downloadCampaignExport(api_key, campaign, log, isCancelled);
+    };
+    await runOrderedPool(campaigns, download_concurrency, fetchExport, async (campaign, i, outcome) => {
+      await waitWhilePaused(job_id, log);
+      if (isCancelled()) {
         throw new Error("Cancelled");
       }
 
-      const campaign = campaigns[i];
       const accountId = campaign.account_id;
       const campaignId = campaign.id;
       const targetDate = campaign.target_date || 'unknown';
@@ -4368,33 +5762,23 @@ async function runBulkCampaignExport(config) {
       if (job_id) {
         sendProgress(job_id, {
           current: i + 1,
-          message: `Exporting: ${campaign.name || `Campaign ${campaignId}`}`
+          message: `Exported: ${campaign.name || `Campaign ${campaignId}`}`
         });
       }
       try {
-        // Get campaign detail to extract export URL
-        const detail = await fetchCampaignDetail(api_key, accountId, campaignId);
-        const exportUrl = detail.export || detail.campaign?.export || null;
-
-        if (!exportUrl) {
+        if (outcome.error) throw outcome.error;
+        if (!outcome.value) {
           stats.failed++;
           log(`   ⚠️  No export URL available (Campaign ID: ${campaignId}, Account: ${accountId})`, true);
           log(`   Campaign may still be processing or incomplete in VoApps`, true);
-          continue;
+          return;
         }
 
         // Get campaign-level caller_number and message_id for fallback
         const campaignCallerNumber = campaign.caller_number || '';
         const campaignMessageId = campaign.message_id ? String(campaign.message_id) : '';
 
-        // Fetch CSV from S3 (NO authentication)
-        const expResp = await fetch(exportUrl);
-        if (!expResp.ok) {
-          throw new Error(`Failed to download CSV: HTTP ${expResp.status}`);
-        }
-
-        const csvText = await expResp.text();
-        const { headers, rows } = parseCsv(csvText);
+        const { headers, rows } = outcome.value;
 
         // Check if CSV has voapps_caller_number and voapps_message_id columns
         const hasCallerNumberCol = headers.includes('voapps_caller_number');
@@ -4454,7 +5838,7 @@ async function runBulkCampaignExport(config) {
         stats.failed++;
         log(`   ❌ Error: ${err.message}`, true);
       }
-    }
+    }, isCancelled);
 
     log(`\n📊 Export Summary:`);
     log(`   Total: ${stats.total}`);
@@ -4462,6 +5846,7 @@ async function runBulkCampaignExport(config) {
     log(`   Failed: ${stats.failed}`);
     log(`   Total Rows: ${stats.totalRows.toLocaleString()}`);
 
+    logApiCallSummary(log, apiStatsStart);
     log(`\n✅ Bulk export complete!`);
     
     // Send completion signal
@@ -4489,6 +5874,524 @@ async function runBulkCampaignExport(config) {
   }
 }
 
+/**
+ * Stream campaign_results rows for a date range from DuckDB into split temp CSV
+ * files (<tempBasePath>_partN.csv) so large ranges never sit in RAM at once.
+ * Throws when the range has no rows. The caller deletes the files.
+ * @returns {Promise<{ files: string[], rowCount: number }>}
+ */
+async function streamDatabaseRangeToCsv(start_date, end_date, tempBasePath, log) {
+  const csvHeaders = [
+    'number', 'account_id', 'account_name', 'campaign_id', 'campaign_name',
+    'caller_number', 'caller_number_name', 'message_id', 'message_name', 'message_description',
+    'voapps_result', 'voapps_code', 'voapps_timestamp', 'campaign_url'
+  ];
+
+  const escapeCsvVal = (val) => {
+    if (val === null || val === undefined) return '';
+    const str = String(val);
+    return str.includes(',') || str.includes('"') || str.includes('\n')
+      ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+
+  const tempCsvFiles = [];
+  let totalRows = 0;
+
+  // Count rows first using existing runQuery helper
+  const countResult = await runQuery(
+    `SELECT COUNT(*) as cnt FROM campaign_results WHERE target_date >= '${start_date}' AND target_date <= '${end_date}'`
+  );
+  const expectedRows = Number(countResult[0]?.cnt || 0);
+
+  if (expectedRows === 0) {
+    throw new Error(`No data found in database for ${start_date} to ${end_date}`);
+  }
+
+  log(`\n💾 Streaming ${expectedRows.toLocaleString()} rows from database...`);
+
+  // Stream in batches using LIMIT/OFFSET — avoids holding everything in RAM
+  // and keeps the event loop alive between batches.
+  const BATCH_SIZE = 50000;
+  let offset = 0;
+  let currentStream = null;
+  let currentPath = null;
+  let currentFileIndex = 1;
+  let currentRowCount = 0;
+
+  const openNewCsvFile = () => {
+    if (currentStream) currentStream.end();
+    currentPath = `${tempBasePath}_part${currentFileIndex}.csv`;
+    currentStream = fs.createWriteStream(currentPath, { encoding: 'utf8' });
+    currentStream.write(csvHeaders.join(',') + '\n');
+    tempCsvFiles.push(currentPath);
+    currentFileIndex++;
+    currentRowCount = 0;
+  };
+
+  openNewCsvFile();
+
+  while (offset < expectedRows) {
+    const batchRows = await runQuery(`
+      SELECT number, account_id, account_name, campaign_id, campaign_name,
+        caller_number, caller_number_name, message_id, message_name, message_description,
+        voapps_result, voapps_code, voapps_timestamp, campaign_url
+      FROM campaign_results
+      WHERE target_date >= '${start_date}' AND target_date <= '${end_date}'
+      LIMIT ${BATCH_SIZE} OFFSET ${offset}
+    `);
+
+    if (batchRows.length === 0) break;
+
+    for (const row of batchRows) {
+      const line = csvHeaders.map(h => escapeCsvVal(row[h])).join(',') + '\n';
+      currentStream.write(line);
+      totalRows++;
+      currentRowCount++;
+      if (currentRowCount >= MAX_ROWS_PER_FILE) openNewCsvFile();
+    }
+
+    offset += batchRows.length;
+    const pct = Math.round((offset / expectedRows) * 100);
+    log(`  Streamed ${offset.toLocaleString()} / ${expectedRows.toLocaleString()} rows (${pct}%)`);
+
+    // Yield to event loop between batches
+    await new Promise(r => setTimeout(r, 0));
+  }
+
+  if (currentStream) currentStream.end();
+  log(`✅ Streamed ${totalRows.toLocaleString()} rows into ${tempCsvFiles.length} temp file(s)`);
+
+  return { files: tempCsvFiles, rowCount: totalRows };
+}
+
+/**
+ * Delivery Intelligence Report from the local DuckDB cache.
+ * Streams the date range into temp CSV parts, then runs the analysis worker.
+ * Shared by /api/analyze-database and scheduled jobs.
+ */
+async function runDatabaseAnalysis(config) {
+  const {
+    start_date,
+    end_date,
+    min_consec_unsuccessful = 4,
+    min_run_span_days = 30,
+    client_prefix = "",
+    include_detail_tabs = false,
+    include_suppression_candidates: dbIncludeSuppressionCandidates = true,
+    include_re_attempt_tabs: dbIncludeReAttemptTabs = false,
+    include_json: dbIncludeJson = false,
+    include_html: dbIncludeHtml = false,
+    include_next_attempt: dbIncludeNextAttempt = false,
+    pptx_include_slide_list_quality: dbPptxIncludeSlideListQuality = true,
+    pptx_include_slide_decay_curve: dbPptxIncludeSlideDecayCurve = false,
+    pptx_include_slide_send_time: dbPptxIncludeSlideSendTime = false,
+    pptx_include_slide_cadence: dbPptxIncludeSlideCadence = true,
+    pptx_include_slide_opportunities: dbPptxIncludeSlideOpportunities = true,
+    pptx_overview_cards: dbPptxOverviewCards = null,
+    api_key: dbApiKey = '',
+    ai_enabled: dbAiEnabled = false,
+    ai_transcription_mode: dbAiTranscriptionMode = 'local',
+    ai_intent_mode: dbAiIntentMode = 'local',
+    local_stt_model: dbLocalSttModel = 'base',
+    local_intent_model: dbLocalIntentModel = 'nli-deberta-v3-small'
+  } = config;
+
+  if (!dbReady) {
+    throw new Error("Database not ready");
+  }
+
+  const folders = createOutputFolders();
+  const suffix = getFilenameSuffix(folders.logs, 'db_analysis');
+  const logPath = path.join(folders.logs, `db_analysis_log_${suffix}.txt`);
+  const errorPath = path.join(folders.logs, `db_analysis_errors_${suffix}.txt`);
+  const { log, close } = createLogger(logPath, errorPath, "normal", null);
+
+  try {
+    log(`📊 Delivery Intelligence Report — Database`);
+    log(`Date Range: ${start_date} to ${end_date}`);
+    log(`Thresholds: min_consec=${min_consec_unsuccessful}, min_span=${min_run_span_days} days`);
+
+    // Stream rows from DB into split CSV temp files to avoid loading 1M+ rows into RAM
+    const filePrefix = client_prefix ? `${client_prefix}_` : "";
+    const analysisFilename = `${filePrefix}db_analysis_${suffix}.xlsx`;
+    const analysisPath = path.join(folders.combineCampaigns, analysisFilename);
+
+    const { files: tempCsvFiles, rowCount: totalRows } = await streamDatabaseRangeToCsv(
+      start_date, end_date,
+      path.join(folders.combineCampaigns, `${filePrefix}db_analysis_temp_${suffix}`),
+      log
+    );
+
+    // Get user's timezone for report
+    const userTz = getTimezone();
+    const userTzLabel = getTimezoneLabel(userTz);
+
+    log(`\n📊 Generating Delivery Intelligence Report...`);
+    log(`Output: ${analysisFilename}`);
+
+    // ── AI Message Analysis (optional) ───────────────────────────────────
+    // Load cached transcripts from DuckDB for any messages in this date
+    // range.  If AI is enabled and an API key was provided, also fetch and
+    // transcribe any messages that aren't yet cached.
+    let dbTranscriptMap = {};
+    try {
+      const dbLog = (msg) => { log(`[AI] ${msg}`); console.log('[AI DB]', msg); };
+
+      // Find every distinct message used in the date range
+      const usedMsgs = await runQuery(`
+        SELECT DISTINCT account_id, message_id, message_name
+        FROM campaign_results
+        WHERE target_date >= '${start_date}' AND target_date <= '${end_date}'
+          AND message_id IS NOT NULL AND message_id != '' AND message_id != '0' AND message_id != 'Unknown'
+      `);
+
+      const uniqueMessageKeys = new Set((usedMsgs || []).map(r => `${r.account_id}:${r.message_id}`));
+      const uniqueAccountIds  = new Set((usedMsgs || []).map(r => String(r.account_id)));
+
+      if (uniqueMessageKeys.size > 0) {
+        // Load already-cached transcriptions
+        const cachedRows = await runQuery(
+          'SELECT message_id, account_id, transcript, intent, intent_summary, mentioned_phone, mentions_url FROM message_transcriptions'
+        );
+        const cachedKeys = new Set();
+        for (const r of (cachedRows || [])) {
+          const k = `${r.account_id}:${r.message_id}`;
+          cachedKeys.add(k);
+          if (uniqueMessageKeys.has(k)) {
+            dbTranscriptMap[k] = {
+              transcript: r.transcript || '',
+              intent: r.intent || '',
+              intent_summary: r.intent_summary || '',
+              mentioned_phone: r.mentioned_phone || '',
+              mentions_url: !!r.mentions_url
+            };
+          }
+        }
+
+        const uncachedKeys = new Set([...uniqueMessageKeys].filter(k => !cachedKeys.has(k)));
+        dbLog(`${Object.keys(dbTranscriptMap).length} cached, ${uncachedKeys.size} uncached of ${uniqueMessageKeys.size} message(s)`);
+
+        // Fetch + transcribe uncached messages if AI is on and key is set
+        if (dbAiEnabled && dbApiKey && uncachedKeys.size > 0) {
+          const aiMessageInfo = {};
+          // Build name map from the DB query so we can pass names to the classifier
+          const nameMap = {};
+          for (const r of (usedMsgs || [])) nameMap[`${r.account_id}:${r.message_id}`] = r.message_name || '';
+
+          for (const accountId of uniqueAccountIds) {
+            try {
+              const freshData = await retryableApiCall(
+                `/accounts/${accountId}/messages?filter=all`, dbApiKey, dbLog, 'normal'
+              );
+              if (Array.isArray(freshData?.messages)) {
+                for (const msg of freshData.messages) {
+                  const k = `${accountId}:${msg.id}`;
+                  if (uncachedKeys.has(k)) {
+                    aiMessageInfo[k] = {
+                      name: msg.name || nameMap[k] || '',
+                      description: msg.description || '',
+                      file_url: msg.file_url || msg.audio_url || msg.recording_url || msg.url || ''
+                    };
+                  }
+                }
+              }
+            } catch (urlErr) {
+              dbLog(`⚠️  Could not fetch messages for account ${accountId}: ${urlErr.message}`);
+            }
+          }
+
+          const toTranscribe = Object.keys(aiMessageInfo).length;
+          if (toTranscribe > 0) {
+            dbLog(`Fetched audio URLs for ${toTranscribe} message(s) — transcribing...`);
+            const aiSettings = {
+              enabled: true,
+              transcriptionMode: dbAiTranscriptionMode,
+              intentMode: dbAiIntentMode,
+              localSttModel:    dbLocalSttModel    || getAiSettings().localSttModel    || 'base',
+              localIntentModel: dbLocalIntentModel || getAiSettings().localIntentModel || 'nli-deberta-v3-small',
+              openaiApiKey: getAiSettings().openaiApiKey,
+            };
+            const newTranscripts = await transcribeAndAnalyzeMessages(aiMessageInfo, aiSettings, dbLog);
+            Object.assign(dbTranscriptMap, newTranscripts);
+          } else {
+            dbLog('No audio URLs found for uncached messages — skipping transcription');
+          }
+        } else if (uncachedKeys.size > 0 && !dbAiEnabled) {
+          dbLog(`${uncachedKeys.size} message(s) not yet transcribed — enable AI to transcribe them`);
+        }
+      }
+    } catch (aiErr) {
+      console.warn('[AI DB] AI analysis failed (non-fatal):', aiErr.message);
+    }
+
+    const DB_VALID_CARD_KEYS = new Set(['firstAttemptSuccessRate','avgAttemptsPerNumber','impliedCallbackOppty','dateSpan']);
+    const dbPptxOptions = {
+      includeSlideListQuality: dbPptxIncludeSlideListQuality !== false,
+      includeSlideDecayCurve: !!dbPptxIncludeSlideDecayCurve,
+      includeSlideSendTime: !!dbPptxIncludeSlideSendTime,
+      includeSlideReAttemptCadence: dbPptxIncludeSlideCadence !== false,
+      includeSlideOpportunities: dbPptxIncludeSlideOpportunities !== false,
+      overviewCards: Array.isArray(dbPptxOverviewCards)
+        ? dbPptxOverviewCards.filter(k => DB_VALID_CARD_KEYS.has(k)).slice(0, 4)
+        : null,
+      clientPrefix: client_prefix || '',
+    };
+    const analysisSummary = await runAnalysisInWorker(tempCsvFiles, analysisPath, {
+      minConsecUnsuccessful: min_consec_unsuccessful,
+      minRunSpanDays: min_run_span_days,
+      userTimezone: userTz,
+      userTimezoneLabel: userTzLabel,
+      includeDetailTabs: include_detail_tabs,
+      transcriptMap: dbTranscriptMap,
+      includeReAttemptTabs: dbIncludeReAttemptTabs,
+      pptxOptions: dbPptxOptions,
+      includeSuppressionCandidates: dbIncludeSuppressionCandidates,
+      includeJson: dbIncludeJson,
+      includeHtml: dbIncludeHtml,
+      includeNextAttempt: !!dbIncludeNextAttempt,
+      ...buildAnalysisRuleOptions(config)
+    });
+
+    // Clean up temp CSV files
+    for (const f of tempCsvFiles) {
+      try { fs.unlinkSync(f); } catch (_) {}
+    }
+
+    lastArtifacts.analysisPath = analysisPath;
+    lastArtifacts.logPath = logPath;
+    const dbPptxPath = analysisPath.replace(/\.xlsx$/i, '_Business_Review.pptx');
+    lastArtifacts.pptxPath = dbPptxPath;
+    const dbJsonPath = dbIncludeJson ? analysisPath.replace(/\.xlsx$/i, '.json') : null;
+    lastArtifacts.jsonPath = dbJsonPath;
+    const dbHtmlPath = dbIncludeHtml ? analysisPath.replace(/\.xlsx$/i, '_Report.html') : null;
+    lastArtifacts.htmlPath = dbHtmlPath;
+    const dbSuppressionPath = config.suppression_export ? analysisPath.replace(/\.xlsx$/i, '_Suppression') : null;
+    lastArtifacts.suppressionPath = dbSuppressionPath;
+    const dbNextAttemptPath = dbIncludeNextAttempt ? analysisPath.replace(/\.xlsx$/i, '_Next_Attempt.csv') : null;
+    lastArtifacts.nextAttemptPath = dbNextAttemptPath;
+    await trackSuppressionList(analysisSummary?.suppressionList, {
+      sourceType: 'analyze-database',
+      jobId: config.job_id,
+      analysisPath,
+      minConsecUnsuccessful: min_consec_unsuccessful,
+      minRunSpanDays: min_run_span_days,
+      excludeRecentDays: config.suppression_exclude_recent_days
+    }, log);
+
+    log(`\n✅ Complete! ${totalRows.toLocaleString()} rows analyzed.`);
+    close();
+
+    return { analysisPath, pptxPath: dbPptxPath, jsonPath: dbJsonPath, htmlPath: dbHtmlPath, suppressionPath: dbSuppressionPath, nextAttemptPath: dbNextAttemptPath, logPath, rowCount: totalRows };
+  } catch (err) {
+    log(`\n❌ Error: ${err.message}`, true);
+    close();
+    lastArtifacts.logPath = logPath;
+    err.logPath = logPath;
+    throw err;
+  }
+}
+
+/**
+ * Delivery Intelligence Report from campaign CSV exports already on disk
+ * (csv_paths). Takes the same analysis options as runDatabaseAnalysis.
+ * Used by the headless CLI's `analyze` command.
+ */
+async function runCsvFileAnalysis(config) {
+  const {
+    csv_paths = [],
+    min_consec_unsuccessful = 4,
+    min_run_span_days = 30,
+    client_prefix = "",
+    include_detail_tabs = false,
+    include_suppression_candidates = true,
+    include_re_attempt_tabs = false,
+    include_json = false,
+    include_html = false,
+    include_next_attempt = false,
+    job_id = null
+  } = config;
+
+  if (csv_paths.length === 0) throw new Error("No CSV files to analyze");
+  const missing = csv_paths.find(f => !fs.existsSync(f));
+  if (missing) throw new Error(`CSV file not found: ${missing}`);
+
+  const folders = createOutputFolders();
+  const filePrefix = client_prefix ? `${client_prefix}_` : "";
+  const suffix = getFilenameSuffix(folders.combineCampaigns, `${filePrefix}NumberAnalysis`);
+  const analysisPath = path.join(folders.combineCampaigns, `${filePrefix}NumberAnalysis_${suffix}.xlsx`);
+  const userTz = getTimezone();
+
+  const analysisSummary = await runAnalysisInWorker(csv_paths, analysisPath, {
+    minConsecUnsuccessful: min_consec_unsuccessful,
+    minRunSpanDays: min_run_span_days,
+    userTimezone: userTz,
+    userTimezoneLabel: getTimezoneLabel(userTz),
+    includeDetailTabs: include_detail_tabs,
+    includeReAttemptTabs: include_re_attempt_tabs,
+    pptxOptions: { clientPrefix: client_prefix },
+    includeSuppressionCandidates: include_suppression_candidates,
+    includeJson: include_json,
+    includeHtml: include_html,
+    includeNextAttempt: include_next_attempt,
+    ...buildAnalysisRuleOptions(config)
+  }, job_id);
+
+  const suppressionPath = config.suppression_export ? analysisPath.replace(/\.xlsx$/i, '_Suppression') : null;
+  await trackSuppressionList(analysisSummary?.suppressionList, {
+    sourceType: 'analyze-csv',
+    jobId: job_id,
+    analysisPath,
+    minConsecUnsuccessful: min_consec_unsuccessful,
+    minRunSpanDays: min_run_span_days,
+    excludeRecentDays: config.suppression_exclude_recent_days
+  });
+
+  return {
+    analysisPath,
+    pptxPath: analysisPath.replace(/\.xlsx$/i, '_Business_Review.pptx'),
+    jsonPath: include_json ? analysisPath.replace(/\.xlsx$/i, '.json') : null,
+    htmlPath: include_html ? analysisPath.replace(/\.xlsx$/i, '_Report.html') : null,
+    suppressionPath,
+    nextAttemptPath: include_next_attempt ? analysisPath.replace(/\.xlsx$/i, '_Next_Attempt.csv') : null,
+    inputFiles: csv_paths.length
+  };
+}
+
+// =============================================================================
+// PERIOD COMPARISON
+// =============================================================================
+
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The range of the same length ending the day before start_date,
+ * e.g. 2026-04-01..2026-06-30 → 2025-12-31..2026-03-31.
+ */
+function previousPeriodRange(start_date, end_date) {
+  const start = Date.parse(`${start_date}T00:00:00Z`);
+  const days = Math.round((Date.parse(`${end_date}T00:00:00Z`) - start) / DAY_MS) + 1;
+  const ymd = ms => new Date(ms).toISOString().slice(0, 10);
+  return { start_date: ymd(start - days * DAY_MS), end_date: ymd(start - DAY_MS) };
+}
+
+/**
+ * Validated current and comparison ranges from a compare-periods config.
+ * compare_start_date / compare_end_date default to the preceding period of the same length.
+ */
+function resolveComparisonRanges(config) {
+  const current = { start_date: config.start_date, end_date: config.end_date };
+  const previous = config.compare_start_date || config.compare_end_date
+    ? { start_date: config.compare_start_date, end_date: config.compare_end_date }
+    : (YMD_RE.test(current.start_date || '') && YMD_RE.test(current.end_date || '')
+      ? previousPeriodRange(current.start_date, current.end_date) : {});
+
+  for (const [name, range] of [['Current', current], ['Comparison', previous]]) {
+    if (!YMD_RE.test(range.start_date || '') || !YMD_RE.test(range.end_date || '')) {
+      throw new Error(`${name} period needs a start and end date (YYYY-MM-DD)`);
+    }
+    if (range.start_date > range.end_date) throw new Error(`${name} period starts after it ends`);
+  }
+  if (previous.start_date <= current.end_date && current.start_date <= previous.end_date) {
+    throw new Error('The two periods overlap – pick a comparison period outside the current one');
+  }
+  return { current, previous };
+}
+
+/**
+ * Period-over-period comparison from the local DuckDB cache: streams both
+ * date ranges into temp CSV parts, then analyzes and compares them in the worker.
+ * Shared by /api/compare-periods and the CLI.
+ */
+async function runDatabaseComparison(config) {
+  const {
+    min_consec_unsuccessful = 4,
+    min_run_span_days = 30,
+    client_prefix = "",
+    include_json = false,
+    job_id = null
+  } = config;
+
+  if (!dbReady) {
+    throw new Error("Database not ready");
+  }
+  const { current, previous } = resolveComparisonRanges(config);
+
+  const folders = createOutputFolders();
+  const suffix = getFilenameSuffix(folders.logs, 'db_compare');
+  const logPath = path.join(folders.logs, `db_compare_log_${suffix}.txt`);
+  const errorPath = path.join(folders.logs, `db_compare_errors_${suffix}.txt`);
+  const { log, close } = createLogger(logPath, errorPath, "normal", null);
+  const tempCsvFiles = [];
+
+  try {
+    log(`📊 Period Comparison — Database`);
+    log(`Current period:    ${current.start_date} to ${current.end_date}`);
+    log(`Comparison period: ${previous.start_date} to ${previous.end_date}`);
+    log(`Thresholds: min_consec=${min_consec_unsuccessful}, min_span=${min_run_span_days} days`);
+
+    const filePrefix = client_prefix ? `${client_prefix}_` : "";
+    const comparisonPath = path.join(folders.combineCampaigns, `${filePrefix}PeriodComparison_${suffix}.xlsx`);
+    const tempBase = path.join(folders.combineCampaigns, `${filePrefix}db_compare_temp_${suffix}`);
+
+    log(`\nCurrent period:`);
+    const cur = await streamDatabaseRangeToCsv(current.start_date, current.end_date, `${tempBase}_current`, log);
+    tempCsvFiles.push(...cur.files);
+    log(`\nComparison period:`);
+    const prev = await streamDatabaseRangeToCsv(previous.start_date, previous.end_date, `${tempBase}_previous`, log);
+    tempCsvFiles.push(...prev.files);
+
+    const userTz = getTimezone();
+    log(`\n📊 Comparing periods...`);
+    if (job_id) sendProgress(job_id, { current: -1, total: 0, message: 'Comparing periods...' });
+    const summary = await runComparisonInWorker(cur.files, prev.files, comparisonPath, {
+      minConsecUnsuccessful: min_consec_unsuccessful,
+      minRunSpanDays: min_run_span_days,
+      userTimezone: userTz,
+      userTimezoneLabel: getTimezoneLabel(userTz),
+      tnHealthRules: buildTNHealthRules(config),
+      listGradeRubric: buildListGradeRubric(config),
+      currentLabel: config.current_label || 'Current period',
+      previousLabel: config.compare_label || 'Previous period',
+      includeJson: !!include_json,
+      clientPrefix: client_prefix || ''
+    }, job_id);
+
+    const pptxPath = comparisonPath.replace(/\.xlsx$/i, '_Comparison_Review.pptx');
+    const jsonPath = include_json ? comparisonPath.replace(/\.xlsx$/i, '.json') : null;
+    lastArtifacts.analysisPath = comparisonPath;
+    lastArtifacts.pptxPath = pptxPath;
+    lastArtifacts.jsonPath = jsonPath;
+    lastArtifacts.htmlPath = null;
+    lastArtifacts.suppressionPath = null;
+    lastArtifacts.nextAttemptPath = null;
+    lastArtifacts.logPath = logPath;
+
+    for (const h of summary.highlights) log(`  • ${h}`);
+    log(`\n✅ Complete! ${summary.significantCount} significant change(s); list grade ${summary.listGrade.previous} → ${summary.listGrade.current}.`);
+    close();
+
+    return {
+      comparisonPath, pptxPath, jsonPath, logPath,
+      currentRows: cur.rowCount,
+      previousRows: prev.rowCount,
+      significantCount: summary.significantCount,
+      highlights: summary.highlights,
+      current, previous
+    };
+  } catch (err) {
+    log(`\n❌ Error: ${err.message}`, true);
+    close();
+    lastArtifacts.logPath = logPath;
+    err.logPath = logPath;
+    throw err;
+  } finally {
+    for (const f of tempCsvFiles) {
+      try { fs.unlinkSync(f); } catch (_) {}
+    }
+  }
+}
+
 /**
  * Helper: Export subset of database to CSV using streaming to avoid OOM
  */
@@ -4530,48 +6433,626 @@ async function exportDatabaseSubset(numbers, accountIds, startDate, endDate, out
   const writeStream = fs.createWriteStream(outputPath, { encoding: 'utf-8' });
   writeStream.write(headers.join(',') + '\n');
 
-  // Stream rows in batches to avoid OOM
-  const BATCH_SIZE = 50000;
-  let offset = 0;
-  let rowCount = 0;
+  // Stream rows in batches to avoid OOM
+  const BATCH_SIZE = 50000;
+  let offset = 0;
+  let rowCount = 0;
+
+  while (offset < totalRows) {
+    const batchRows = await runQuery(`
+      SELECT ${headers.join(', ')} FROM campaign_results
+      ${whereClause}
+      ORDER BY target_date DESC, voapps_timestamp DESC
+      LIMIT ${BATCH_SIZE} OFFSET ${offset}
+    `);
+
+    if (batchRows.length === 0) break;
+
+    for (const row of batchRows) {
+      const line = headers.map(h => {
+        let val = row[h];
+        if (val === null || val === undefined) return '';
+        // Normalize timestamps to VoApps Time (UTC-7)
+        if (h === 'voapps_timestamp' && val) {
+          val = normalizeToVoAppsTime(val);
+        }
+        const str = String(val);
+        return str.includes(',') || str.includes('"') ? `"${str.replace(/"/g, '""')}"` : str;
+      }).join(',');
+      writeStream.write(line + '\n');
+    }
+
+    rowCount += batchRows.length;
+    offset += BATCH_SIZE;
+  }
+
+  await new Promise((resolve, reject) => {
+    writeStream.end((err) => err ? reject(err) : resolve());
+  });
+
+  return {
+    success: true,
+    path: outputPath,
+    rowCount
+  };
+}
+
+// =============================================================================
+// JOB HISTORY
+// =============================================================================
+// Every search, combine, bulk export, executive summary and database analysis
+// (from the UI, a schedule or the CLI) is recorded to job_history.json next to
+// settings.json: config, timing, row count, status/error and artifact paths.
+// API keys are never stored; a re-run takes the key from the request.
+
+const JOB_HISTORY_PATH = path.join(path.dirname(SETTINGS_PATH), 'job_history.json');
+const MAX_JOB_HISTORY = 500;
+
+/** Runner and result summary (rows + artifact paths) for each recorded job type. */
+const JOB_RUNNERS = {
+  'search': {
+    run: config => runNumberSearch(config),
+    summarize: out => ({
+      rows: out.matches,
+      artifacts: { csvPath: out.csvPath, allCsvFiles: out.allCsvFiles, logPath: out.logPath }
+    })
+  },
+  'combine': {
+    run: config => runCombineCampaigns(config),
+    summarize: out => ({
+      rows: out.totalRows,
+      artifacts: {
+        csvPath: out.csvPath,
+        allCsvFiles: out.allCsvFiles,
+        logPath: out.logPath,
+        analysisPath: out.analysisPath || null,
+        pptxPath: out.pptxPath || null,
+        jsonPath: out.jsonPath || null,
+        htmlPath: out.htmlPath || null,
+        suppressionPath: out.suppressionPath || null,
+        nextAttemptPath: out.nextAttemptPath || null
+      }
+    })
+  },
+  'bulk-export': {
+    run: config => runBulkCampaignExport(config),
+    summarize: out => ({
+      rows: out.stats.totalRows,
+      artifacts: { bulkExportPath: out.bulkExportPath, logPath: out.logPath, errorPath: out.errorPath }
+    })
+  },
+  'executive-summary': {
+    run: config => generateExecutiveSummary(config),
+    summarize: out => ({
+      rows: out.totalRecords,
+      artifacts: { csvPath: out.csvPath, logPath: out.logPath }
+    })
+  },
+  'analyze-database': {
+    run: config => runDatabaseAnalysis(config),
+    summarize: out => ({
+      rows: out.rowCount,
+      artifacts: { analysisPath: out.analysisPath, pptxPath: out.pptxPath, jsonPath: out.jsonPath || null, htmlPath: out.htmlPath || null, suppressionPath: out.suppressionPath || null, nextAttemptPath: out.nextAttemptPath || null, logPath: out.logPath }
+    })
+  },
+  'analyze-csv': {
+    run: config => runCsvFileAnalysis(config),
+    summarize: out => ({
+      rows: null,
+      artifacts: { analysisPath: out.analysisPath, pptxPath: out.pptxPath, jsonPath: out.jsonPath, htmlPath: out.htmlPath, suppressionPath: out.suppressionPath, nextAttemptPath: out.nextAttemptPath }
+    })
+  },
+  'compare-periods': {
+    run: config => runDatabaseComparison(config),
+    summarize: out => ({
+      rows: out.currentRows + out.previousRows,
+      artifacts: { analysisPath: out.comparisonPath, pptxPath: out.pptxPath, jsonPath: out.jsonPath || null, logPath: out.logPath }
+    })
+  }
+};
+
+function loadJobHistory() {
+  try {
+    if (fs.existsSync(JOB_HISTORY_PATH)) {
+      const data = JSON.parse(fs.readFileSync(JOB_HISTORY_PATH, 'utf-8'));
+      return Array.isArray(data.jobs) ? data.jobs : [];
+    }
+  } catch (e) {
+    console.error('[History] Failed to load job history:', e.message);
+  }
+  return [];
+}
+
+function saveJobHistory(entries) {
+  try {
+    fs.mkdirSync(path.dirname(JOB_HISTORY_PATH), { recursive: true });
+    const data = { jobs: entries.slice(-MAX_JOB_HISTORY) };
+    fs.writeFileSync(JOB_HISTORY_PATH, JSON.stringify(data, null, 2), 'utf-8');
+    return true;
+  } catch (e) {
+    console.error('[History] Failed to save job history:', e.message);
+    return false;
+  }
+}
+
+/** Insert or replace one history entry (re-read first so concurrent jobs are kept). */
+function upsertJobHistory(entry) {
+  const entries = loadJobHistory();
+  const idx = entries.findIndex(h => h.id === entry.id);
+  if (idx !== -1) entries[idx] = entry;
+  else entries.push(entry);
+  saveJobHistory(entries);
+}
+
+/**
+ * Run a job through its runner and record it in job history.
+ * Returns the runner's output; errors are recorded and rethrown.
+ */
+async function executeJob(type, config, trigger = 'manual') {
+  const runner = JOB_RUNNERS[type];
+  if (!runner) throw new Error(`Unknown job type: ${type}`);
+
+  // A resumed combine is recorded with the original request so it can be re-run later
+  let storedConfig = config;
+  if (type === 'combine' && config.resume_checkpoint_id) {
+    storedConfig = loadCombineCheckpoint(config.resume_checkpoint_id)?.config || config;
+  }
+  const { api_key, job_id, resume_checkpoint_id, ...savedConfig } = storedConfig;
+
+  const entry = {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    type,
+    trigger,
+    job_id: config.job_id || null,
+    config: savedConfig,
+    resumed_from: config.resume_checkpoint_id || null,
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    duration_ms: null,
+    status: 'running',
+    error: null,
+    rows: null,
+    artifacts: {}
+  };
+  upsertJobHistory(entry);
+
+  try {
+    const out = await runner.run(config);
+    Object.assign(entry, runner.summarize(out));
+    entry.status = 'success';
+    return out;
+  } catch (e) {
+    entry.status = e.message === 'Cancelled' ? 'cancelled' : 'failed';
+    entry.error = e.message;
+    if (e.checkpointId) entry.checkpoint_id = e.checkpointId;
+    const logPath = e.logPath || lastArtifacts.logPath;
+    if (logPath) entry.artifacts = { logPath };
+    throw e;
+  } finally {
+    entry.finished_at = new Date().toISOString();
+    entry.duration_ms = Date.parse(entry.finished_at) - Date.parse(entry.started_at);
+    upsertJobHistory(entry);
+  }
+}
+
+/**
+ * History entry as returned to the UI: "running" entries whose job is gone are
+ * reported as interrupted, and each artifact path is checked for existence.
+ */
+function describeJobHistoryEntry(entry) {
+  const interrupted = entry.status === 'running' && !(entry.job_id && jobs.has(entry.job_id));
+  const artifact_exists = {};
+  for (const [key, value] of Object.entries(entry.artifacts || {})) {
+    if (typeof value === 'string' && value) artifact_exists[key] = fs.existsSync(value);
+  }
+  return {
+    ...entry,
+    status: interrupted ? 'interrupted' : entry.status,
+    rerunnable: !!JOB_RUNNERS[entry.type],
+    resumable: !!(entry.checkpoint_id && loadCombineCheckpoint(entry.checkpoint_id)),
+    artifact_exists
+  };
+}
+
+/** Response body for a re-run, shaped like the original endpoint's response. */
+function jobRunResponse(type, out) {
+  const { rows, artifacts } = JOB_RUNNERS[type].summarize(out);
+  const body = { ok: true, message: 'Re-run complete', type, artifacts, rows, totalRows: rows };
+  if (type === 'search') body.matches = out.matches;
+  if (type === 'bulk-export') body.stats = out.stats;
+  if (type === 'executive-summary') body.stats = { campaignCount: out.campaignCount, totalRecords: out.totalRecords };
+  if (type === 'analyze-database') body.rowCount = out.rowCount;
+  if (type === 'compare-periods') body.highlights = out.highlights;
+  return body;
+}
+
+// =============================================================================
+// JOB SCHEDULER
+// =============================================================================
+// Named job definitions (the same config bodies accepted by /api/combine and
+// /api/analyze-database) run on cron-style schedules while the app is open.
+// Definitions and run history persist to schedules.json next to settings.json.
+// Combine schedules need the VoApps API key to run unattended, so it is stored
+// there in plaintext; the file is written owner-read/write only (0600).
+
+const SCHEDULES_PATH = path.join(path.dirname(SETTINGS_PATH), 'schedules.json');
+const SCHEDULE_JOB_TYPES = ['combine', 'analyze-database'];
+const MAX_SCHEDULE_HISTORY = 200;
+const SCHEDULER_TICK_MS = 30 * 1000;
+
+let schedulerTimer = null;
+let scheduleQueue = []; // [{ id, trigger }]
+let scheduleRunning = null;
+let scheduleDraining = false;
+
+function loadSchedules() {
+  try {
+    if (fs.existsSync(SCHEDULES_PATH)) {
+      const data = JSON.parse(fs.readFileSync(SCHEDULES_PATH, 'utf-8'));
+      return {
+        schedules: Array.isArray(data.schedules) ? data.schedules : [],
+        history: Array.isArray(data.history) ? data.history : []
+      };
+    }
+  } catch (e) {
+    console.error('[Scheduler] Failed to load schedules:', e.message);
+  }
+  return { schedules: [], history: [] };
+}
+
+function saveSchedules(data) {
+  try {
+    fs.mkdirSync(path.dirname(SCHEDULES_PATH), { recursive: true });
+    data.history = data.history.slice(-MAX_SCHEDULE_HISTORY);
+    fs.writeFileSync(SCHEDULES_PATH, JSON.stringify(data, null, 2), { encoding: 'utf-8', mode: 0o600 });
+    // mode only applies when the file is created
+    if (process.platform !== 'win32') fs.chmodSync(SCHEDULES_PATH, 0o600);
+    return true;
+  } catch (e) {
+    console.error('[Scheduler] Failed to save schedules:', e.message);
+    return false;
+  }
+}
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+const CRON_MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const CRON_DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+/**
+ * Parse one cron field into a Set of allowed values.
+ * Supports *, n, a-b, lists and /step, plus JAN-DEC / SUN-SAT names.
+ */
+function parseCronField(field, min, max, names = null) {
+  const values = new Set();
+  const toNum = (token) => {
+    // Number('') is 0, so "0,,30" or "5," would otherwise add minute 0
+    if (token === '') throw new Error(`Empty value in cron field "${field}"`);
+    const upper = token.toUpperCase();
+    if (names && names.includes(upper)) return names.indexOf(upper) + (min === 1 ? 1 : 0);
+    const n = Number(token);
+    if (!Number.isInteger(n)) throw new Error(`Invalid cron value "${token}"`);
+    return n;
+  };
+
+  for (const part of field.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : Number(stepPart);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid cron step "${part}"`);
+
+    let lo, hi;
+    if (rangePart === '*') {
+      lo = min; hi = max;
+    } else if (rangePart.includes('-')) {
+      const [a, b] = rangePart.split('-');
+      lo = toNum(a); hi = toNum(b);
+    } else {
+      lo = toNum(rangePart);
+      hi = stepPart === undefined ? lo : max;
+    }
+    if (lo < min || hi > max || lo > hi) throw new Error(`Cron value out of range "${part}"`);
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month day-of-week).
+ * Throws on invalid input.
+ */
+function parseCron(expr) {
+  const normalized = CRON_ALIASES[String(expr || '').trim().toLowerCase()] || String(expr || '').trim();
+  const fields = normalized.split(/\s+/);
+  if (fields.length !== 5) throw new Error('Cron expression must have 5 fields: minute hour day month weekday');
+
+  const dow = parseCronField(fields[4], 0, 7, CRON_DAY_NAMES);
+  if (dow.has(7)) { dow.delete(7); dow.add(0); } // 7 = Sunday
+  return {
+    minutes: parseCronField(fields[0], 0, 59),
+    hours: parseCronField(fields[1], 0, 23),
+    daysOfMonth: parseCronField(fields[2], 1, 31),
+    months: parseCronField(fields[3], 1, 12, CRON_MONTH_NAMES),
+    daysOfWeek: dow,
+    domRestricted: fields[2] !== '*',
+    dowRestricted: fields[4] !== '*'
+  };
+}
+
+function cronDayMatches(cron, date) {
+  const domOk = cron.daysOfMonth.has(date.getDate());
+  const dowOk = cron.daysOfWeek.has(date.getDay());
+  // Standard cron: when both day fields are restricted, either may match
+  if (cron.domRestricted && cron.dowRestricted) return domOk || dowOk;
+  return domOk && dowOk;
+}
+
+function cronMatches(cron, date) {
+  return cron.minutes.has(date.getMinutes()) &&
+    cron.hours.has(date.getHours()) &&
+    cron.months.has(date.getMonth() + 1) &&
+    cronDayMatches(cron, date);
+}
+
+/**
+ * Next local time (after `from`) matching the cron expression, or null.
+ */
+function getNextCronRun(expr, from = new Date()) {
+  const cron = parseCron(expr);
+  const d = new Date(from.getTime());
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+
+  // Four years covers Feb 29 schedules
+  const limit = from.getTime() + 4 * 366 * 24 * 60 * 60 * 1000;
+  while (d.getTime() <= limit) {
+    if (!cron.months.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!cronDayMatches(cron, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+    } else {
+      return d;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate and normalize a schedule definition from a request body.
+ */
+function normalizeSchedule(input, existing = {}) {
+  const schedule = { ...existing };
+  if (input.name !== undefined) schedule.name = String(input.name).trim();
+  if (input.type !== undefined) schedule.type = input.type;
+  if (input.cron !== undefined) schedule.cron = String(input.cron).trim();
+  if (input.enabled !== undefined) schedule.enabled = input.enabled !== false;
+  if (input.range_days !== undefined) schedule.range_days = Math.max(0, parseInt(input.range_days) || 0);
+  if (input.config !== undefined) schedule.config = input.config && typeof input.config === 'object' ? input.config : {};
+
+  if (!schedule.name) throw new Error('Schedule name is required');
+  if (!SCHEDULE_JOB_TYPES.includes(schedule.type)) {
+    throw new Error(`Schedule type must be one of: ${SCHEDULE_JOB_TYPES.join(', ')}`);
+  }
+  parseCron(schedule.cron);
+  if (schedule.enabled === undefined) schedule.enabled = true;
+  if (schedule.range_days === undefined) schedule.range_days = 0;
+  if (!schedule.config) schedule.config = {};
+
+  if (schedule.type === 'combine') {
+    const c = schedule.config;
+    if (!c.api_key) throw new Error('Combine schedules require an API key');
+    if (!Array.isArray(c.account_ids) || c.account_ids.length === 0) throw new Error('Combine schedules require at least one account');
+  }
+  if (!schedule.range_days && (!schedule.config.start_date || !schedule.config.end_date)) {
+    throw new Error('Set a rolling range (days) or a fixed start/end date');
+  }
+  return schedule;
+}
+
+/**
+ * Schedule as returned to the UI: API key masked, next run computed.
+ */
+function describeSchedule(schedule) {
+  let next_run_at = null;
+  if (schedule.enabled) {
+    try {
+      const next = getNextCronRun(schedule.cron);
+      next_run_at = next ? next.toISOString() : null;
+    } catch (e) { /* invalid cron already rejected on save */ }
+  }
+  const config = { ...schedule.config };
+  if (config.api_key) config.api_key = `••••${String(config.api_key).slice(-4)}`;
+  return {
+    ...schedule,
+    config,
+    next_run_at,
+    running: !!(scheduleRunning && scheduleRunning.schedule_id === schedule.id),
+    queued: scheduleQueue.some(q => q.id === schedule.id)
+  };
+}
+
+/**
+ * Resolve the date range for a run. A rolling range of N days ends yesterday.
+ */
+function resolveScheduleDates(schedule, now = new Date()) {
+  if (!schedule.range_days) {
+    return { start_date: schedule.config.start_date, end_date: schedule.config.end_date };
+  }
+  const end = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+  const start = new Date(end.getFullYear(), end.getMonth(), end.getDate() - (schedule.range_days - 1));
+  return { start_date: dateToYMD(start), end_date: dateToYMD(end) };
+}
+
+/**
+ * Execute one schedule and record the result in run history.
+ */
+async function runScheduledJob(scheduleId, trigger = 'schedule') {
+  const data = loadSchedules();
+  const schedule = data.schedules.find(s => s.id === scheduleId);
+  if (!schedule) return null;
+
+  const jobId = `sched_${schedule.id}_${Date.now()}`;
+  const dates = resolveScheduleDates(schedule);
+  const run = {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    schedule_id: schedule.id,
+    schedule_name: schedule.name,
+    type: schedule.type,
+    trigger,
+    job_id: jobId,
+    start_date: dates.start_date,
+    end_date: dates.end_date,
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    status: 'running',
+    error: null,
+    rows: null,
+    artifacts: {}
+  };
+  data.history.push(run);
+  saveSchedules(data);
+  scheduleRunning = run;
+  console.log(`[Scheduler] Running "${schedule.name}" (${schedule.type}) ${dates.start_date} to ${dates.end_date}`);
+
+  try {
+    if (schedule.type === 'combine') {
+      const out = await executeJob('combine', buildCombineConfig({ ...schedule.config, ...dates, job_id: jobId }), 'schedule');
+      run.rows = out.totalRows;
+      run.artifacts = {
+        csvPath: out.csvPath,
+        allCsvFiles: out.allCsvFiles,
+        logPath: out.logPath,
+        analysisPath: out.analysisPath || null,
+        pptxPath: out.pptxPath || null,
+        jsonPath: out.jsonPath || null,
+        htmlPath: out.htmlPath || null,
+        suppressionPath: out.suppressionPath || null,
+        nextAttemptPath: out.nextAttemptPath || null
+      };
+    } else {
+      if (!dbReady) await initDatabase();
+      const out = await executeJob('analyze-database', { ...schedule.config, ...dates }, 'schedule');
+      run.rows = out.rowCount;
+      run.artifacts = { analysisPath: out.analysisPath, pptxPath: out.pptxPath, jsonPath: out.jsonPath || null, htmlPath: out.htmlPath || null, suppressionPath: out.suppressionPath || null, nextAttemptPath: out.nextAttemptPath || null, logPath: out.logPath };
+    }
+    run.status = 'success';
+  } catch (e) {
+    run.status = e.message === 'Cancelled' ? 'cancelled' : 'failed';
+    run.error = e.message;
+    if (e.logPath || lastArtifacts.logPath) run.artifacts.logPath = e.logPath || lastArtifacts.logPath;
+    console.error(`[Scheduler] "${schedule.name}" failed:`, e.message);
+  } finally {
+    run.finished_at = new Date().toISOString();
+    scheduleRunning = null;
+    jobs.delete(jobId);
+  }
+
+  // Re-read so edits made while the job was running are not lost
+  const latest = loadSchedules();
+  const idx = latest.history.findIndex(h => h.id === run.id);
+  if (idx !== -1) latest.history[idx] = run;
+  else latest.history.push(run);
+  const s = latest.schedules.find(x => x.id === schedule.id);
+  if (s) {
+    s.last_run_at = run.started_at;
+    s.last_status = run.status;
+  }
+  saveSchedules(latest);
+  return run;
+}
 
-  while (offset < totalRows) {
-    const batchRows = await runQuery(`
-      SELECT ${headers.join(', ')} FROM campaign_results
-      ${whereClause}
-      ORDER BY target_date DESC, voapps_timestamp DESC
-      LIMIT ${BATCH_SIZE} OFFSET ${offset}
-    `);
+/**
+ * Queue a schedule for execution. Jobs run one at a time in queue order.
+ */
+function enqueueScheduledJob(scheduleId, trigger = 'schedule') {
+  if (scheduleQueue.some(q => q.id === scheduleId)) return false;
+  if (scheduleRunning && scheduleRunning.schedule_id === scheduleId) return false;
+  scheduleQueue.push({ id: scheduleId, trigger });
+  drainScheduleQueue();
+  return true;
+}
 
-    if (batchRows.length === 0) break;
+// scheduleRunning is null between jobs, so it cannot guard against a tick
+// starting a second drain loop; scheduleDraining covers the whole loop.
+async function drainScheduleQueue() {
+  if (scheduleDraining) return;
+  scheduleDraining = true;
+  try {
+    while (scheduleQueue.length > 0) {
+      const next = scheduleQueue.shift();
+      try {
+        await runScheduledJob(next.id, next.trigger);
+      } catch (e) {
+        console.error('[Scheduler] Unexpected error:', e.message);
+      }
+    }
+  } finally {
+    scheduleDraining = false;
+  }
+}
 
-    for (const row of batchRows) {
-      const line = headers.map(h => {
-        let val = row[h];
-        if (val === null || val === undefined) return '';
-        // Normalize timestamps to VoApps Time (UTC-7)
-        if (h === 'voapps_timestamp' && val) {
-          val = normalizeToVoAppsTime(val);
-        }
-        const str = String(val);
-        return str.includes(',') || str.includes('"') ? `"${str.replace(/"/g, '""')}"` : str;
-      }).join(',');
-      writeStream.write(line + '\n');
+function schedulerTick() {
+  const now = new Date();
+  now.setSeconds(0, 0);
+  const minuteKey = now.toISOString();
+
+  const data = loadSchedules();
+  const due = [];
+  for (const schedule of data.schedules) {
+    if (!schedule.enabled || schedule.last_fired_minute === minuteKey) continue;
+    let cron;
+    try {
+      cron = parseCron(schedule.cron);
+    } catch (e) {
+      continue;
     }
+    if (!cronMatches(cron, now)) continue;
+    schedule.last_fired_minute = minuteKey;
+    due.push(schedule.id);
+  }
+  if (due.length === 0) return;
 
-    rowCount += batchRows.length;
-    offset += BATCH_SIZE;
+  // Save before enqueueing: the first job starts synchronously and records its
+  // 'running' history entry, which saving this older copy afterwards would drop
+  saveSchedules(data);
+  for (const id of due) enqueueScheduledJob(id, 'schedule');
+}
+
+function startScheduler() {
+  if (schedulerTimer) return;
+
+  // Runs interrupted by quitting the app would otherwise stay "running" forever
+  const data = loadSchedules();
+  let changed = false;
+  for (const run of data.history) {
+    if (run.status === 'running') {
+      run.status = 'interrupted';
+      run.finished_at = run.finished_at || new Date().toISOString();
+      changed = true;
+    }
   }
+  if (changed) saveSchedules(data);
 
-  await new Promise((resolve, reject) => {
-    writeStream.end((err) => err ? reject(err) : resolve());
-  });
+  schedulerTimer = setInterval(schedulerTick, SCHEDULER_TICK_MS);
+  if (schedulerTimer.unref) schedulerTimer.unref();
+  console.log(`[Scheduler] Started (${data.schedules.filter(s => s.enabled).length} active schedule(s))`);
+}
 
-  return {
-    success: true,
-    path: outputPath,
-    rowCount
-  };
+function stopScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+  scheduleQueue = [];
 }
 
 // =============================================================================
@@ -4598,6 +7079,16 @@ function createHttpServer() {
       return sendJson(res, 200, { ok: true, message: "VoApps Tools Server", version: VERSION, versionName: VERSION_NAME });
     }
 
+    // Diagnostics - VoApps API call statistics and rate limiter state
+    if (req.method === "GET" && pathname === "/api/diagnostics/api") {
+      return sendJson(res, 200, { ok: true, ...getApiDiagnostics() });
+    }
+
+    if (req.method === "POST" && pathname === "/api/diagnostics/api/reset") {
+      resetApiStats();
+      return sendJson(res, 200, { ok: true, message: "API statistics reset" });
+    }
+
     // Settings - Get output folder
     if (req.method === "GET" && pathname === "/api/settings/output-folder") {
       return sendJson(res, 200, { ok: true, folder: getOutputFolder() });
@@ -4918,8 +7409,7 @@ function createHttpServer() {
       try {
         const body = await readJson(req);
         const { job_id } = body;
-        if (job_id && jobs.has(job_id)) {
-          jobs.get(job_id).cancelled = true;
+        if (job_id && cancelJob(job_id)) {
           return sendJson(res, 200, { ok: true, message: "Job cancelled" });
         }
         return sendJson(res, 404, { ok: false, error: "Job not found" });
@@ -4928,6 +7418,21 @@ function createHttpServer() {
       }
     }
 
+    // Pause / resume a running job at its next safe point
+    if (req.method === "POST" && (pathname === "/api/pause" || pathname === "/api/resume")) {
+      try {
+        const body = await readJson(req);
+        const { job_id } = body;
+        const pausing = pathname === "/api/pause";
+        if (job_id && (pausing ? pauseJob(job_id) : resumeJob(job_id))) {
+          return sendJson(res, 200, { ok: true, message: pausing ? "Job paused" : "Job resumed" });
+        }
+        return sendJson(res, 404, { ok: false, error: "Job not found" });
+      } catch (e) {
+        return sendJson(res, 500, { ok: false, error: e.message });
+      }
+    }
+
     // SSE stream endpoint for real-time progress
     if (req.method === "GET" && pathname.startsWith("/api/stream/")) {
       const jobId = pathname.substring("/api/stream/".length);
@@ -5096,11 +7601,53 @@ function createHttpServer() {
       return sendJson(res, 200, { ok: true, path: DB_DIR });
     }
 
+    // Suppression list lifecycle
+    if (req.method === "GET" && pathname === "/api/suppression-lists") {
+      try {
+        const lists = await listSuppressionLists();
+        return sendJson(res, 200, { ok: true, lists });
+      } catch (e) {
+        console.error('[API Error - /api/suppression-lists]', e.message, e.stack);
+        return sendJson(res, 500, { ok: false, error: e.message });
+      }
+    }
+
+    if (req.method === "POST" && pathname === "/api/suppression-lists/report") {
+      try {
+        const body = await readJson(req);
+        if (!body.id) return sendJson(res, 400, { ok: false, error: "Suppression list id required" });
+
+        const report = await buildSuppressionLifecycleReport(String(body.id));
+        const folders = createOutputFolders();
+        const suffix = getFilenameSuffix(folders.combineCampaigns, 'SuppressionLifecycle');
+        const reportPath = path.join(folders.combineCampaigns, `SuppressionLifecycle_${suffix}.csv`);
+        await writeCsv(reportPath, report.numbers, SUPPRESSION_LIFECYCLE_COLUMNS);
+        lastArtifacts.csvPath = reportPath;
+
+        return sendJson(res, 200, { ok: true, list: report.list, summary: report.summary, reportPath });
+      } catch (e) {
+        console.error('[API Error - /api/suppression-lists/report]', e.message, e.stack);
+        return sendJson(res, 500, { ok: false, error: e.message });
+      }
+    }
+
+    if (req.method === "POST" && pathname === "/api/suppression-lists/delete") {
+      try {
+        const body = await readJson(req);
+        if (!body.id) return sendJson(res, 400, { ok: false, error: "Suppression list id required" });
+        await deleteSuppressionList(String(body.id));
+        return sendJson(res, 200, { ok: true });
+      } catch (e) {
+        console.error('[API Error - /api/suppression-lists/delete]', e.message, e.stack);
+        return sendJson(res, 500, { ok: false, error: e.message });
+      }
+    }
+
     // Search endpoint
     if (req.method === "POST" && pathname === "/api/search") {
       try {
         const body = await readJson(req);
-        const out = await runNumberSearch({
+        const out = await executeJob('search', {
           api_key: body.api_key || "",
           numbers: body.numbers || [],
           account_ids: body.account_ids || [],
@@ -5138,36 +7685,7 @@ function createHttpServer() {
     if (req.method === "POST" && pathname === "/api/combine") {
       try {
         const body = await readJson(req);
-        const out = await runCombineCampaigns({
-          api_key: body.api_key || "",
-          account_ids: body.account_ids || [],
-          start_date: body.start_date || "",
-          end_date: body.end_date || "",
-          include_caller: !!(body.include_caller ?? true),
-          include_message_meta: !!(body.include_message_meta ?? true),
-          generate_trend_analysis: !!body.generate_trend_analysis,
-          min_consec_unsuccessful: body.min_consec_unsuccessful,
-          min_run_span_days: body.min_run_span_days,
-          include_detail_tabs: !!body.include_detail_tabs,
-          include_suppression_candidates: body.include_suppression_candidates !== false,
-          include_re_attempt_tabs: !!body.include_re_attempt_tabs,
-          pptx_include_slide_decay_curve: !!body.pptx_include_slide_decay_curve,
-          pptx_include_slide_cadence: body.pptx_include_slide_cadence !== false,
-          pptx_include_slide_opportunities: body.pptx_include_slide_opportunities !== false,
-          pptx_overview_cards: Array.isArray(body.pptx_overview_cards) ? body.pptx_overview_cards : null,
-          output_mode: body.output_mode || "csv",
-          job_id: body.job_id || null,
-          client_prefix: body.client_prefix || "",
-          selected_columns: Array.isArray(body.selected_columns) ? body.selected_columns : [],
-          // AI settings come from the frontend payload (UI / localStorage).
-          // The enable toggle and mode radios are only stored in localStorage,
-          // so getAiSettings() (disk-based) would always return enabled:false.
-          ai_enabled: body.ai_enabled === true,
-          ai_transcription_mode: body.ai_transcription_mode || 'local',
-          ai_intent_mode: body.ai_intent_mode || 'local',
-          local_stt_model: body.local_stt_model || 'base',
-          local_intent_model: body.local_intent_model || 'nli-deberta-v3-small'
-        });
+        const out = await executeJob('combine', buildCombineConfig(body));
 
         const artifacts = {
           csvPath: out.csvPath,
@@ -5176,6 +7694,10 @@ function createHttpServer() {
         };
         if (out.analysisPath) artifacts.analysisPath = out.analysisPath;
         if (out.pptxPath) artifacts.pptxPath = out.pptxPath;
+        if (out.jsonPath) artifacts.jsonPath = out.jsonPath;
+        if (out.htmlPath) artifacts.htmlPath = out.htmlPath;
+        if (out.suppressionPath) artifacts.suppressionPath = out.suppressionPath;
+        if (out.nextAttemptPath) artifacts.nextAttemptPath = out.nextAttemptPath;
 
         return sendJson(res, 200, {
           ok: true,
@@ -5189,7 +7711,32 @@ function createHttpServer() {
         console.error('[API Error - /api/combine]', e.message, e.stack);
         const cancelled = e.message === "Cancelled";
         const errLogPath = e.logPath || lastArtifacts.logPath || null;
-        return sendJson(res, cancelled ? 499 : 500, { ok: false, error: e.message, artifacts: { logPath: errLogPath } });
+        return sendJson(res, cancelled ? 499 : 500, {
+          ok: false,
+          error: e.message,
+          checkpoint_id: e.checkpointId || null,
+          artifacts: { logPath: errLogPath }
+        });
+      }
+    }
+
+    // Resumable combine checkpoints
+    if (req.method === "GET" && pathname === "/api/combine/checkpoints") {
+      try {
+        return sendJson(res, 200, { ok: true, checkpoints: listCombineCheckpoints() });
+      } catch (e) {
+        return sendJson(res, 500, { ok: false, error: e.message });
+      }
+    }
+
+    if (req.method === "POST" && pathname === "/api/combine/checkpoints/delete") {
+      try {
+        const body = await readJson(req);
+        if (!body.id) return sendJson(res, 400, { ok: false, error: "Missing checkpoint id" });
+        deleteCombineCheckpoint(body.id);
+        return sendJson(res, 200, { ok: true });
+      } catch (e) {
+        return sendJson(res, 500, { ok: false, error: e.message });
       }
     }
 
@@ -5197,7 +7744,7 @@ function createHttpServer() {
     if (req.method === "POST" && pathname === "/api/executive-summary") {
       try {
         const body = await readJson(req);
-        const out = await generateExecutiveSummary({
+        const out = await executeJob('executive-summary', {
           api_key: body.api_key || "",
           account_ids: body.account_ids || [],
           start_date: body.start_date || "",
@@ -5250,7 +7797,13 @@ function createHttpServer() {
         let csvLocalIntentModel = 'nli-deberta-v3-small';
         let csvIncludeSuppressionCandidates = true;
         let csvIncludeReAttemptTabs = false;
+        let csvIncludeJson = false;
+        let csvIncludeHtml = false;
+        let csvIncludeNextAttempt = false;
+        const csvAnalysisConfig = {};
+        let csvPptxIncludeSlideListQuality = true;
         let csvPptxIncludeSlideDecayCurve = false;
+        let csvPptxIncludeSlideSendTime = false;
         let csvPptxIncludeSlideCadence = true;
         let csvPptxIncludeSlideOpportunities = true;
         let csvPptxOverviewCards = null;
@@ -5292,8 +7845,32 @@ function createHttpServer() {
             csvIncludeSuppressionCandidates = bodyBuf.slice(contentStart, contentEnd).toString().trim() !== 'false';
           } else if (header.includes('name="include_re_attempt_tabs"')) {
             csvIncludeReAttemptTabs = bodyBuf.slice(contentStart, contentEnd).toString().trim() === 'true';
+          } else if (header.includes('name="include_json"')) {
+            csvIncludeJson = bodyBuf.slice(contentStart, contentEnd).toString().trim() === 'true';
+          } else if (header.includes('name="include_html"')) {
+            csvIncludeHtml = bodyBuf.slice(contentStart, contentEnd).toString().trim() === 'true';
+          } else if (header.includes('name="include_next_attempt"')) {
+            csvIncludeNextAttempt = bodyBuf.slice(contentStart, contentEnd).toString().trim() === 'true';
+          } else if (header.includes('name="suppression_export"')) {
+            csvAnalysisConfig.suppression_export = bodyBuf.slice(contentStart, contentEnd).toString().trim() === 'true';
+          } else if (header.includes('name="suppression_exclude_recent_days"')) {
+            csvAnalysisConfig.suppression_exclude_recent_days = bodyBuf.slice(contentStart, contentEnd).toString().trim();
+          } else if (header.includes('name="suppression_dedupe_path"')) {
+            csvAnalysisConfig.suppression_dedupe_path = bodyBuf.slice(contentStart, contentEnd).toString().trim();
+          } else if (header.includes('name="tn_health_rules"')) {
+            csvAnalysisConfig.tn_health_rules = bodyBuf.slice(contentStart, contentEnd).toString('utf8').trim();
+          } else if (header.includes('name="list_grade_rubric"')) {
+            csvAnalysisConfig.list_grade_rubric = bodyBuf.slice(contentStart, contentEnd).toString('utf8').trim();
+          } else if (header.includes('name="ab_test_type"')) {
+            csvAnalysisConfig.ab_test_type = bodyBuf.slice(contentStart, contentEnd).toString().trim();
+          } else if (header.includes('name="ab_test_ids"')) {
+            csvAnalysisConfig.ab_test_ids = bodyBuf.slice(contentStart, contentEnd).toString('utf8').trim();
+          } else if (header.includes('name="pptx_include_slide_list_quality"')) {
+            csvPptxIncludeSlideListQuality = bodyBuf.slice(contentStart, contentEnd).toString().trim() !== 'false';
           } else if (header.includes('name="pptx_include_slide_decay_curve"')) {
             csvPptxIncludeSlideDecayCurve = bodyBuf.slice(contentStart, contentEnd).toString().trim() === 'true';
+          } else if (header.includes('name="pptx_include_slide_send_time"')) {
+            csvPptxIncludeSlideSendTime = bodyBuf.slice(contentStart, contentEnd).toString().trim() === 'true';
           } else if (header.includes('name="pptx_include_slide_cadence"')) {
             csvPptxIncludeSlideCadence = bodyBuf.slice(contentStart, contentEnd).toString().trim() !== 'false';
           } else if (header.includes('name="pptx_include_slide_opportunities"')) {
@@ -5424,7 +8001,9 @@ function createHttpServer() {
 
         const CSV_VALID_CARD_KEYS = new Set(['firstAttemptSuccessRate','avgAttemptsPerNumber','impliedCallbackOppty','dateSpan']);
         const csvPptxOptions = {
+          includeSlideListQuality: csvPptxIncludeSlideListQuality,
           includeSlideDecayCurve: csvPptxIncludeSlideDecayCurve,
+          includeSlideSendTime: csvPptxIncludeSlideSendTime,
           includeSlideReAttemptCadence: csvPptxIncludeSlideCadence,
           includeSlideOpportunities: csvPptxIncludeSlideOpportunities,
           overviewCards: Array.isArray(csvPptxOverviewCards)
@@ -5432,36 +8011,81 @@ function createHttpServer() {
             : null,
           clientPrefix: client_prefix || '',
         };
+        const csvAnalysisOptions = {
+          minConsecUnsuccessful: minConsec,
+          minRunSpanDays: minSpan,
+          userTimezone: userTz,
+          userTimezoneLabel: userTzLabel,
+          includeDetailTabs: false,
+          transcriptMap: csvTranscriptMap,
+          includeReAttemptTabs: csvIncludeReAttemptTabs,
+          pptxOptions: csvPptxOptions,
+          includeSuppressionCandidates: csvIncludeSuppressionCandidates,
+          includeJson: csvIncludeJson,
+          includeHtml: csvIncludeHtml,
+          includeNextAttempt: csvIncludeNextAttempt,
+          ...buildAnalysisRuleOptions(csvAnalysisConfig)
+        };
 
         if (allRows.length > dynamicRowLimit) {
           const tempCsvPath = path.join(outDir, `UploadedCSV_${suffix}.csv`);
           const csvResult = await writeCsv(tempCsvPath, allRows, headers, null, dynamicRowLimit);
 
-          await runAnalysisInWorker(csvResult.files, analysisPath, minConsec, minSpan, {}, {}, {}, userTz, userTzLabel, false, csvTranscriptMap, csvIncludeReAttemptTabs, csvPptxOptions, csvIncludeSuppressionCandidates);
+          const analysisSummary = await runAnalysisInWorker(csvResult.files, analysisPath, csvAnalysisOptions);
 
           lastArtifacts.analysisPath = analysisPath;
           const pptxPath1 = analysisPath.replace(/\.xlsx$/i, '_Business_Review.pptx');
           lastArtifacts.pptxPath = pptxPath1;
+          const jsonPath1 = csvIncludeJson ? analysisPath.replace(/\.xlsx$/i, '.json') : null;
+          lastArtifacts.jsonPath = jsonPath1;
+          const htmlPath1 = csvIncludeHtml ? analysisPath.replace(/\.xlsx$/i, '_Report.html') : null;
+          lastArtifacts.htmlPath = htmlPath1;
+          const suppressionPath1 = csvAnalysisConfig.suppression_export ? analysisPath.replace(/\.xlsx$/i, '_Suppression') : null;
+          lastArtifacts.suppressionPath = suppressionPath1;
+          const nextAttemptPath1 = csvIncludeNextAttempt ? analysisPath.replace(/\.xlsx$/i, '_Next_Attempt.csv') : null;
+          lastArtifacts.nextAttemptPath = nextAttemptPath1;
+          await trackSuppressionList(analysisSummary?.suppressionList, {
+            sourceType: 'analyze-csv',
+            analysisPath,
+            minConsecUnsuccessful: minConsec,
+            minRunSpanDays: minSpan,
+            excludeRecentDays: csvAnalysisConfig.suppression_exclude_recent_days
+          });
 
           const fileWord = csvTexts.length > 1 ? `${csvTexts.length} files` : '1 file';
           return sendJson(res, 200, {
             ok: true,
             message: `Analysis complete (${allRows.length.toLocaleString()} rows from ${fileWord})`,
-            artifacts: { analysisPath, pptxPath: pptxPath1 }
+            artifacts: { analysisPath, pptxPath: pptxPath1, jsonPath: jsonPath1, htmlPath: htmlPath1, suppressionPath: suppressionPath1, nextAttemptPath: nextAttemptPath1 }
           });
         }
 
-        await runAnalysisInWorker(allRows, analysisPath, minConsec, minSpan, {}, {}, {}, userTz, userTzLabel, false, csvTranscriptMap, csvIncludeReAttemptTabs, csvPptxOptions, csvIncludeSuppressionCandidates);
+        const analysisSummary = await runAnalysisInWorker(allRows, analysisPath, csvAnalysisOptions);
 
         lastArtifacts.analysisPath = analysisPath;
         const pptxPath2 = analysisPath.replace(/\.xlsx$/i, '_Business_Review.pptx');
         lastArtifacts.pptxPath = pptxPath2;
+        const jsonPath2 = csvIncludeJson ? analysisPath.replace(/\.xlsx$/i, '.json') : null;
+        lastArtifacts.jsonPath = jsonPath2;
+        const htmlPath2 = csvIncludeHtml ? analysisPath.replace(/\.xlsx$/i, '_Report.html') : null;
+        lastArtifacts.htmlPath = htmlPath2;
+        const suppressionPath2 = csvAnalysisConfig.suppression_export ? analysisPath.replace(/\.xlsx$/i, '_Suppression') : null;
+        lastArtifacts.suppressionPath = suppressionPath2;
+        const nextAttemptPath2 = csvIncludeNextAttempt ? analysisPath.replace(/\.xlsx$/i, '_Next_Attempt.csv') : null;
+        lastArtifacts.nextAttemptPath = nextAttemptPath2;
+        await trackSuppressionList(analysisSummary?.suppressionList, {
+          sourceType: 'analyze-csv',
+          analysisPath,
+          minConsecUnsuccessful: minConsec,
+          minRunSpanDays: minSpan,
+          excludeRecentDays: csvAnalysisConfig.suppression_exclude_recent_days
+        });
 
         const fileWord = csvTexts.length > 1 ? `${csvTexts.length} files` : '1 file';
         return sendJson(res, 200, {
           ok: true,
           message: `Analysis complete (${allRows.length.toLocaleString()} rows from ${fileWord})`,
-          artifacts: { analysisPath, pptxPath: pptxPath2 }
+          artifacts: { analysisPath, pptxPath: pptxPath2, jsonPath: jsonPath2, htmlPath: htmlPath2, suppressionPath: suppressionPath2, nextAttemptPath: nextAttemptPath2 }
         });
       } catch (e) {
         console.error('[API Error - /api/analyze-csv]', e.message, e.stack);
@@ -5473,282 +8097,40 @@ function createHttpServer() {
     if (req.method === "POST" && pathname === "/api/analyze-database") {
       try {
         const body = await readJson(req);
-        const {
-          start_date,
-          end_date,
-          min_consec_unsuccessful = 4,
-          min_run_span_days = 30,
-          client_prefix = "",
-          include_detail_tabs = false,
-          include_suppression_candidates: dbIncludeSuppressionCandidates = true,
-          include_re_attempt_tabs: dbIncludeReAttemptTabs = false,
-          pptx_include_slide_decay_curve: dbPptxIncludeSlideDecayCurve = false,
-          pptx_include_slide_cadence: dbPptxIncludeSlideCadence = true,
-          pptx_include_slide_opportunities: dbPptxIncludeSlideOpportunities = true,
-          pptx_overview_cards: dbPptxOverviewCards = null,
-          api_key: dbApiKey = '',
-          ai_enabled: dbAiEnabled = false,
-          ai_transcription_mode: dbAiTranscriptionMode = 'local',
-          ai_intent_mode: dbAiIntentMode = 'local',
-          local_stt_model: dbLocalSttModel = 'base',
-          local_intent_model: dbLocalIntentModel = 'nli-deberta-v3-small'
-        } = body;
-
-        if (!dbReady) {
-          throw new Error("Database not ready");
-        }
+        const out = await executeJob('analyze-database', body);
 
-        const folders = createOutputFolders();
-        const suffix = getFilenameSuffix(folders.logs, 'db_analysis');
-        const logPath = path.join(folders.logs, `db_analysis_log_${suffix}.txt`);
-        const errorPath = path.join(folders.logs, `db_analysis_errors_${suffix}.txt`);
-        const { log, close } = createLogger(logPath, errorPath, "normal", null);
-
-        log(`📊 Delivery Intelligence Report — Database`);
-        log(`Date Range: ${start_date} to ${end_date}`);
-        log(`Thresholds: min_consec=${min_consec_unsuccessful}, min_span=${min_run_span_days} days`);
-
-        // Stream rows from DB into split CSV temp files to avoid loading 1M+ rows into RAM
-        const filePrefix = client_prefix ? `${client_prefix}_` : "";
-        const analysisFilename = `${filePrefix}db_analysis_${suffix}.xlsx`;
-        const analysisPath = path.join(folders.combineCampaigns, analysisFilename);
-
-        const csvHeaders = [
-          'number', 'account_id', 'account_name', 'campaign_id', 'campaign_name',
-          'caller_number', 'caller_number_name', 'message_id', 'message_name', 'message_description',
-          'voapps_result', 'voapps_code', 'voapps_timestamp', 'campaign_url'
-        ];
-
-        const escapeCsvVal = (val) => {
-          if (val === null || val === undefined) return '';
-          const str = String(val);
-          return str.includes(',') || str.includes('"') || str.includes('\n')
-            ? `"${str.replace(/"/g, '""')}"` : str;
-        };
-
-        const tempCsvFiles = [];
-        let totalRows = 0;
-
-        // Count rows first using existing runQuery helper
-        const countResult = await runQuery(
-          `SELECT COUNT(*) as cnt FROM campaign_results WHERE target_date >= '${start_date}' AND target_date <= '${end_date}'`
-        );
-        const expectedRows = Number(countResult[0]?.cnt || 0);
-
-        if (expectedRows === 0) {
-          close();
-          throw new Error(`No data found in database for ${start_date} to ${end_date}`);
-        }
-
-        log(`\n💾 Streaming ${expectedRows.toLocaleString()} rows from database...`);
-
-        // Stream in batches using LIMIT/OFFSET — avoids holding everything in RAM
-        // and keeps the event loop alive between batches.
-        const BATCH_SIZE = 50000;
-        let offset = 0;
-        let currentStream = null;
-        let currentPath = null;
-        let currentFileIndex = 1;
-        let currentRowCount = 0;
-
-        const openNewCsvFile = () => {
-          if (currentStream) currentStream.end();
-          currentPath = path.join(folders.combineCampaigns,
-            `${filePrefix}db_analysis_temp_${suffix}_part${currentFileIndex}.csv`);
-          currentStream = fs.createWriteStream(currentPath, { encoding: 'utf8' });
-          currentStream.write(csvHeaders.join(',') + '\n');
-          tempCsvFiles.push(currentPath);
-          currentFileIndex++;
-          currentRowCount = 0;
-        };
-
-        openNewCsvFile();
-
-        while (offset < expectedRows) {
-          const batchRows = await runQuery(`
-            SELECT number, account_id, account_name, campaign_id, campaign_name,
-              caller_number, caller_number_name, message_id, message_name, message_description,
-              voapps_result, voapps_code, voapps_timestamp, campaign_url
-            FROM campaign_results
-            WHERE target_date >= '${start_date}' AND target_date <= '${end_date}'
-            LIMIT ${BATCH_SIZE} OFFSET ${offset}
-          `);
-
-          if (batchRows.length === 0) break;
-
-          for (const row of batchRows) {
-            const line = csvHeaders.map(h => escapeCsvVal(row[h])).join(',') + '\n';
-            currentStream.write(line);
-            totalRows++;
-            currentRowCount++;
-            if (currentRowCount >= MAX_ROWS_PER_FILE) openNewCsvFile();
-          }
-
-          offset += batchRows.length;
-          const pct = Math.round((offset / expectedRows) * 100);
-          log(`  Streamed ${offset.toLocaleString()} / ${expectedRows.toLocaleString()} rows (${pct}%)`);
-
-          // Yield to event loop between batches
-          await new Promise(r => setTimeout(r, 0));
-        }
-
-        if (currentStream) currentStream.end();
-        log(`✅ Streamed ${totalRows.toLocaleString()} rows into ${tempCsvFiles.length} temp file(s)`);
-
-        // Get user's timezone for report
-        const userTz = getTimezone();
-        const userTzLabel = getTimezoneLabel(userTz);
-
-        log(`\n📊 Generating Delivery Intelligence Report...`);
-        log(`Output: ${analysisFilename}`);
-
-        // ── AI Message Analysis (optional) ───────────────────────────────────
-        // Load cached transcripts from DuckDB for any messages in this date
-        // range.  If AI is enabled and an API key was provided, also fetch and
-        // transcribe any messages that aren't yet cached.
-        let dbTranscriptMap = {};
-        try {
-          const dbLog = (msg) => { log(`[AI] ${msg}`); console.log('[AI DB]', msg); };
-
-          // Find every distinct message used in the date range
-          const usedMsgs = await runQuery(`
-            SELECT DISTINCT account_id, message_id, message_name
-            FROM campaign_results
-            WHERE target_date >= '${start_date}' AND target_date <= '${end_date}'
-              AND message_id IS NOT NULL AND message_id != '' AND message_id != '0' AND message_id != 'Unknown'
-          `);
-
-          const uniqueMessageKeys = new Set((usedMsgs || []).map(r => `${r.account_id}:${r.message_id}`));
-          const uniqueAccountIds  = new Set((usedMsgs || []).map(r => String(r.account_id)));
-
-          if (uniqueMessageKeys.size > 0) {
-            // Load already-cached transcriptions
-            const cachedRows = await runQuery(
-              'SELECT message_id, account_id, transcript, intent, intent_summary, mentioned_phone, mentions_url FROM message_transcriptions'
-            );
-            const cachedKeys = new Set();
-            for (const r of (cachedRows || [])) {
-              const k = `${r.account_id}:${r.message_id}`;
-              cachedKeys.add(k);
-              if (uniqueMessageKeys.has(k)) {
-                dbTranscriptMap[k] = {
-                  transcript: r.transcript || '',
-                  intent: r.intent || '',
-                  intent_summary: r.intent_summary || '',
-                  mentioned_phone: r.mentioned_phone || '',
-                  mentions_url: !!r.mentions_url
-                };
-              }
-            }
-
-            const uncachedKeys = new Set([...uniqueMessageKeys].filter(k => !cachedKeys.has(k)));
-            dbLog(`${Object.keys(dbTranscriptMap).length} cached, ${uncachedKeys.size} uncached of ${uniqueMessageKeys.size} message(s)`);
-
-            // Fetch + transcribe uncached messages if AI is on and key is set
-            if (dbAiEnabled && dbApiKey && uncachedKeys.size > 0) {
-              const aiMessageInfo = {};
-              // Build name map from the DB query so we can pass names to the classifier
-              const nameMap = {};
-              for (const r of (usedMsgs || [])) nameMap[`${r.account_id}:${r.message_id}`] = r.message_name || '';
-
-              for (const accountId of uniqueAccountIds) {
-                try {
-                  const freshData = await retryableApiCall(
-                    `/accounts/${accountId}/messages?filter=all`, dbApiKey, dbLog, 'normal'
-                  );
-                  if (Array.isArray(freshData?.messages)) {
-                    for (const msg of freshData.messages) {
-                      const k = `${accountId}:${msg.id}`;
-                      if (uncachedKeys.has(k)) {
-                        aiMessageInfo[k] = {
-                          name: msg.name || nameMap[k] || '',
-                          description: msg.description || '',
-                          file_url: msg.file_url || msg.audio_url || msg.recording_url || msg.url || ''
-                        };
-                      }
-                    }
-                  }
-                } catch (urlErr) {
-                  dbLog(`⚠️  Could not fetch messages for account ${accountId}: ${urlErr.message}`);
-                }
-              }
-
-              const toTranscribe = Object.keys(aiMessageInfo).length;
-              if (toTranscribe > 0) {
-                dbLog(`Fetched audio URLs for ${toTranscribe} message(s) — transcribing...`);
-                const aiSettings = {
-                  enabled: true,
-                  transcriptionMode: dbAiTranscriptionMode,
-                  intentMode: dbAiIntentMode,
-                  localSttModel:    dbLocalSttModel    || getAiSettings().localSttModel    || 'base',
-                  localIntentModel: dbLocalIntentModel || getAiSettings().localIntentModel || 'nli-deberta-v3-small',
-                  openaiApiKey: getAiSettings().openaiApiKey,
-                };
-                const newTranscripts = await transcribeAndAnalyzeMessages(aiMessageInfo, aiSettings, dbLog);
-                Object.assign(dbTranscriptMap, newTranscripts);
-              } else {
-                dbLog('No audio URLs found for uncached messages — skipping transcription');
-              }
-            } else if (uncachedKeys.size > 0 && !dbAiEnabled) {
-              dbLog(`${uncachedKeys.size} message(s) not yet transcribed — enable AI to transcribe them`);
-            }
-          }
-        } catch (aiErr) {
-          console.warn('[AI DB] AI analysis failed (non-fatal):', aiErr.message);
-        }
-
-        const DB_VALID_CARD_KEYS = new Set(['firstAttemptSuccessRate','avgAttemptsPerNumber','impliedCallbackOppty','dateSpan']);
-        const dbPptxOptions = {
-          includeSlideDecayCurve: !!dbPptxIncludeSlideDecayCurve,
-          includeSlideReAttemptCadence: dbPptxIncludeSlideCadence !== false,
-          includeSlideOpportunities: dbPptxIncludeSlideOpportunities !== false,
-          overviewCards: Array.isArray(dbPptxOverviewCards)
-            ? dbPptxOverviewCards.filter(k => DB_VALID_CARD_KEYS.has(k)).slice(0, 4)
-            : null,
-          clientPrefix: client_prefix || '',
-        };
-        await runAnalysisInWorker(
-          tempCsvFiles,
-          analysisPath,
-          min_consec_unsuccessful,
-          min_run_span_days,
-          {},  // messageMap
-          {},  // callerMap
-          {},  // accountTimezones
-          userTz,
-          userTzLabel,
-          include_detail_tabs,
-          dbTranscriptMap,
-          dbIncludeReAttemptTabs,
-          dbPptxOptions,
-          dbIncludeSuppressionCandidates
-        );
-
-        // Clean up temp CSV files
-        for (const f of tempCsvFiles) {
-          try { fs.unlinkSync(f); } catch (_) {}
-        }
-
-        lastArtifacts.analysisPath = analysisPath;
-        lastArtifacts.logPath = logPath;
-        const dbPptxPath = analysisPath.replace(/\.xlsx$/i, '_Business_Review.pptx');
-        lastArtifacts.pptxPath = dbPptxPath;
+        return sendJson(res, 200, {
+          ok: true,
+          message: `Database analysis complete (${out.rowCount.toLocaleString()} rows)`,
+          rowCount: out.rowCount,
+          artifacts: { analysisPath: out.analysisPath, pptxPath: out.pptxPath, jsonPath: out.jsonPath || null, htmlPath: out.htmlPath || null, suppressionPath: out.suppressionPath || null, nextAttemptPath: out.nextAttemptPath || null, logPath: out.logPath }
+        });
+      } catch (e) {
+        console.error('[API Error - /api/analyze-database]', e.message, e.stack);
+        const errLogPath = e.logPath || null;
+        return sendJson(res, 500, { ok: false, error: e.message, artifacts: { logPath: errLogPath } });
+      }
+    }
 
-        log(`\n✅ Complete! ${totalRows.toLocaleString()} rows analyzed.`);
-        close();
+    // Period-over-period comparison from the database
+    if (req.method === "POST" && pathname === "/api/compare-periods") {
+      try {
+        const body = await readJson(req);
+        const out = await executeJob('compare-periods', body);
 
         return sendJson(res, 200, {
           ok: true,
-          message: `Database analysis complete (${totalRows.toLocaleString()} rows)`,
-          rowCount: totalRows,
-          artifacts: { analysisPath, pptxPath: dbPptxPath, logPath }
+          message: `Period comparison complete (${out.significantCount} significant change${out.significantCount === 1 ? '' : 's'})`,
+          current: out.current,
+          previous: out.previous,
+          rowCount: out.currentRows + out.previousRows,
+          significantCount: out.significantCount,
+          highlights: out.highlights,
+          artifacts: { analysisPath: out.comparisonPath, pptxPath: out.pptxPath, jsonPath: out.jsonPath || null, logPath: out.logPath }
         });
       } catch (e) {
-        console.error('[API Error - /api/analyze-database]', e.message, e.stack);
-        // Attempt to close the log and return its path so the UI can still open it
-        try { if (typeof close === 'function') { log(`\n❌ Error: ${e.message}`); close(); } } catch (_) {}
-        const errLogPath = typeof logPath !== 'undefined' ? logPath : null;
-        if (errLogPath) lastArtifacts.logPath = errLogPath;
+        console.error('[API Error - /api/compare-periods]', e.message, e.stack);
+        const errLogPath = e.logPath || null;
         return sendJson(res, 500, { ok: false, error: e.message, artifacts: { logPath: errLogPath } });
       }
     }
@@ -5757,11 +8139,12 @@ function createHttpServer() {
     if (req.method === "POST" && pathname === "/api/bulk-export") {
       try {
         const body = await readJson(req);
-        const out = await runBulkCampaignExport({
+        const out = await executeJob('bulk-export', {
           api_key: body.api_key || "",
           account_ids: body.account_ids || [],
           start_date: body.start_date || "",
           end_date: body.end_date || "",
+          download_concurrency: normalizeDownloadConcurrency(body.download_concurrency),
           job_id: body.job_id || null
         });
 
@@ -5782,6 +8165,158 @@ function createHttpServer() {
       }
     }
 
+    // ── Job history ──────────────────────────────────────────────────────────
+
+    if (req.method === "GET" && pathname === "/api/jobs") {
+      const { query } = parseUrl(req.url, true);
+      let history = loadJobHistory().reverse().map(describeJobHistoryEntry);
+      if (query.type) history = history.filter(h => h.type === query.type);
+      if (query.status) history = history.filter(h => h.status === query.status);
+      const limit = Math.min(MAX_JOB_HISTORY, parseInt(query.limit) || 100);
+      return sendJson(res, 200, { ok: true, jobs: history.slice(0, limit), total: history.length });
+    }
+
+    if (req.method === "POST" && pathname === "/api/jobs/delete") {
+      try {
+        const body = await readJson(req);
+        const entries = loadJobHistory();
+        const kept = entries.filter(h => h.id !== body.id);
+        if (kept.length === entries.length) return sendJson(res, 404, { ok: false, error: 'Job not found' });
+        saveJobHistory(kept);
+        return sendJson(res, 200, { ok: true });
+      } catch (e) {
+        return sendJson(res, 500, { ok: false, error: e.message });
+      }
+    }
+
+    if (req.method === "POST" && pathname === "/api/jobs/clear") {
+      // Entries of jobs still running are kept so they can record their result
+      const kept = loadJobHistory().filter(h => h.status === 'running' && h.job_id && jobs.has(h.job_id));
+      saveJobHistory(kept);
+      return sendJson(res, 200, { ok: true });
+    }
+
+    // Re-run a past job with its recorded parameters (the API key comes from the request)
+    if (req.method === "POST" && pathname === "/api/jobs/rerun") {
+      let type = null;
+      try {
+        const body = await readJson(req);
+        const entry = loadJobHistory().find(h => h.id === body.id);
+        if (!entry) return sendJson(res, 404, { ok: false, error: 'Job not found' });
+        if (!JOB_RUNNERS[entry.type]) return sendJson(res, 400, { ok: false, error: `Jobs of type ${entry.type} cannot be re-run` });
+        if (!body.api_key && !['analyze-database', 'analyze-csv', 'compare-periods'].includes(entry.type)) {
+          return sendJson(res, 400, { ok: false, error: 'An API key is required to re-run this job' });
+        }
+        type = entry.type;
+        const config = { ...entry.config, job_id: body.job_id || null };
+        if (body.api_key) config.api_key = body.api_key;
+        const out = await executeJob(type, config, 'rerun');
+        return sendJson(res, 200, jobRunResponse(type, out));
+      } catch (e) {
+        console.error('[API Error - /api/jobs/rerun]', e.message, e.stack);
+        const cancelled = e.message === "Cancelled";
+        return sendJson(res, cancelled ? 499 : 500, {
+          ok: false,
+          error: e.message,
+          type,
+          checkpoint_id: e.checkpointId || null,
+          artifacts: { logPath: e.logPath || null }
+        });
+      }
+    }
+
+    // ── Scheduled jobs ───────────────────────────────────────────────────────
+
+    if (req.method === "GET" && pathname === "/api/schedules") {
+      const data = loadSchedules();
+      return sendJson(res, 200, { ok: true, schedules: data.schedules.map(describeSchedule) });
+    }
+
+    if (req.method === "POST" && pathname === "/api/schedules/add") {
+      try {
+        const body = await readJson(req);
+        const now = new Date().toISOString();
+        const schedule = normalizeSchedule(body, {
+          id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+          created_at: now
+        });
+        schedule.updated_at = now;
+        const data = loadSchedules();
+        data.schedules.push(schedule);
+        if (!saveSchedules(data)) throw new Error('Failed to save schedules');
+        return sendJson(res, 200, { ok: true, schedule: describeSchedule(schedule) });
+      } catch (e) {
+        return sendJson(res, 400, { ok: false, error: e.message });
+      }
+    }
+
+    if (req.method === "POST" && pathname === "/api/schedules/update") {
+      try {
+        const body = await readJson(req);
+        const data = loadSchedules();
+        const idx = data.schedules.findIndex(s => s.id === body.id);
+        if (idx === -1) return sendJson(res, 404, { ok: false, error: 'Schedule not found' });
+        const existing = data.schedules[idx];
+        // The UI only ever sees a masked key — keep the stored one unless a new key is sent
+        if (body.config && (!body.config.api_key || String(body.config.api_key).startsWith('••••'))) {
+          body.config = { ...body.config, api_key: existing.config?.api_key || '' };
+        }
+        const schedule = normalizeSchedule(body, existing);
+        schedule.updated_at = new Date().toISOString();
+        data.schedules[idx] = schedule;
+        if (!saveSchedules(data)) throw new Error('Failed to save schedules');
+        return sendJson(res, 200, { ok: true, schedule: describeSchedule(schedule) });
+      } catch (e) {
+        return sendJson(res, 400, { ok: false, error: e.message });
+      }
+    }
+
+    if (req.method === "POST" && pathname === "/api/schedules/delete") {
+      try {
+        const body = await readJson(req);
+        const data = loadSchedules();
+        const before = data.schedules.length;
+        data.schedules = data.schedules.filter(s => s.id !== body.id);
+        if (data.schedules.length === before) return sendJson(res, 404, { ok: false, error: 'Schedule not found' });
+        scheduleQueue = scheduleQueue.filter(q => q.id !== body.id);
+        saveSchedules(data);
+        return sendJson(res, 200, { ok: true });
+      } catch (e) {
+        return sendJson(res, 500, { ok: false, error: e.message });
+      }
+    }
+
+    if (req.method === "POST" && pathname === "/api/schedules/run") {
+      try {
+        const body = await readJson(req);
+        const data = loadSchedules();
+        if (!data.schedules.some(s => s.id === body.id)) return sendJson(res, 404, { ok: false, error: 'Schedule not found' });
+        const queued = enqueueScheduledJob(body.id, 'manual');
+        return sendJson(res, 200, { ok: true, queued, message: queued ? 'Run queued' : 'Already queued or running' });
+      } catch (e) {
+        return sendJson(res, 500, { ok: false, error: e.message });
+      }
+    }
+
+    if (req.method === "POST" && pathname === "/api/schedules/validate-cron") {
+      try {
+        const body = await readJson(req);
+        const next = getNextCronRun(body.cron);
+        return sendJson(res, 200, { ok: true, next_run_at: next ? next.toISOString() : null });
+      } catch (e) {
+        return sendJson(res, 200, { ok: false, error: e.message });
+      }
+    }
+
+    if (req.method === "GET" && pathname === "/api/schedules/history") {
+      const { query } = parseUrl(req.url, true);
+      const data = loadSchedules();
+      let history = data.history.slice().reverse();
+      if (query.schedule_id) history = history.filter(h => h.schedule_id === query.schedule_id);
+      const limit = Math.min(MAX_SCHEDULE_HISTORY, parseInt(query.limit) || 50);
+      return sendJson(res, 200, { ok: true, history: history.slice(0, limit), running: scheduleRunning });
+    }
+
     // Static file serving
     if (req.method === "GET") {
       const rel = pathname === "/" ? "/index.html" : pathname;
@@ -5891,11 +8426,15 @@ async function startServer() {
   serverUrl = `http://${HOST}:${PORT}`;
   console.log(`[VoApps Tools v${VERSION}] Server listening on ${serverUrl}`);
 
+  startScheduler();
+
   return { url: serverUrl, port: PORT };
 }
 
 async function stopServer() {
   if (!serverInstance) return;
+
+  stopScheduler();
   
   // Close database connection
   if (db) {
@@ -5909,7 +8448,39 @@ async function stopServer() {
   serverUrl = null;
 }
 
-module.exports = { startServer, stopServer, getLastArtifacts, getDatabaseStats };
+module.exports = {
+  startServer,
+  stopServer,
+  getLastArtifacts,
+  getDatabaseStats,
+  // Headless entry points (cli.js)
+  initDatabase,
+  runNumberSearch,
+  runCombineCampaigns,
+  runBulkCampaignExport,
+  generateExecutiveSummary,
+  runAnalysisInWorker,
+  buildSuppressionExportOptions,
+  buildTNHealthRules,
+  buildListGradeRubric,
+  buildABTest,
+  trackSuppressionList,
+  createOutputFolders,
+  getFilenameSuffix,
+  getTimezone,
+  getTimezoneLabel,
+  setLogListener,
+  setWorkerOutput,
+  cancelJob,
+  getApiDiagnostics,
+  listCombineCheckpoints,
+  executeJob,
+  // Scheduler cron helpers (test/cron.test.js)
+  parseCron,
+  getNextCronRun,
+  // Suppression lifecycle classification (test/suppressionLifecycle.test.js)
+  classifySuppressionLifecycle
+};
 
 if (require.main === module) {
   startServer().catch((e) => {
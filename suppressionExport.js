@@ -0,0 +1,211 @@
+'use strict';
+
+// suppressionExport.js – VoApps Delivery Intelligence suppression list exporter
+// Writes the Suppression Candidates from trendMetrics.js as ready-to-use lists:
+//   suppression_numbers.txt   one number per line (VoApps suppression upload format)
+//   suppression_reasons.csv   number + reason codes for review
+//   by_account/               the same lists split per VoApps account
+
+const fs   = require('fs');
+const path = require('path');
+
+const CSV_COLUMNS = [
+  'number', 'account_ids', 'reason', 'consecutive_failures', 'success_rate',
+  'total_attempts', 'last_attempt', 'last_success', 'run_start', 'run_end', 'span_days'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function csvCell(value) {
+  const s = String(value ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Strip formatting and a leading US country code; returns '' unless 10 digits remain. */
+function normalizeNumber(raw) {
+  let num = String(raw || '').replace(/\D/g, '');
+  if (num.length === 11 && num.startsWith('1')) num = num.slice(1);
+  return num.length === 10 ? num : '';
+}
+
+/**
+ * Read the numbers from a previously exported suppression list. Accepts the
+ * TXT or CSV written by this module (or any list with the number in the first column).
+ * @returns {Set<string>}
+ */
+function readSuppressionList(filePath) {
+  const numbers = new Set();
+  for (const line of fs.readFileSync(filePath, 'utf8').split(/\r?\n/)) {
+    const num = normalizeNumber(line.split(',')[0].replace(/"/g, ''));
+    if (num) numbers.add(num);
+  }
+  return numbers;
+}
+
+// A candidate whose lifetime success rate is below this is flagged LOW_SUCCESS_RATE
+const LOW_SUCCESS_RATE_THRESHOLD = 0.2;
+// ...and one not attempted in this many days before the end of the range NO_RECENT_ATTEMPT
+const NO_RECENT_ATTEMPT_DAYS = 30;
+
+/**
+ * Reason code for a candidate, most specific first: never delivered, rarely
+ * delivered, failure run is stale (not attempted lately), or a plain run of
+ * consecutive failures on a number that used to connect.
+ */
+function reasonCode(run, rangeEnd) {
+  if (run.successful === 0) return 'NEVER_DELIVERED';
+  if ((run.successRate || 0) < LOW_SUCCESS_RATE_THRESHOLD) return 'LOW_SUCCESS_RATE';
+  if (rangeEnd !== null && run.lastAttempt &&
+      rangeEnd - new Date(run.lastAttempt).getTime() >= NO_RECENT_ATTEMPT_DAYS * DAY_MS) {
+    return 'NO_RECENT_ATTEMPT';
+  }
+  return 'CONSECUTIVE_FAILURES';
+}
+
+/**
+ * Apply the export filters to the analysis suppression runs.
+ * One row per number – the longest run wins (suppressionRuns is sorted by count desc).
+ *
+ * @param {Object} analysis - Result of computeTrendMetrics()
+ * @param {Object} [options]
+ * @param {number} [options.excludeRecentSuccessDays=0] - Drop numbers with a successful delivery
+ *   within this many days of the end of the analyzed range (0 = keep all)
+ * @param {Set<string>} [options.previousNumbers] - Numbers already on an earlier suppression list
+ * @returns {{ rows: Array, excludedRecentSuccess: number, excludedPrevious: number }}
+ *   Each row is the suppression run plus its `reason` code.
+ */
+function selectSuppressionRows(analysis, options = {}) {
+  const { excludeRecentSuccessDays = 0, previousNumbers = null } = options;
+  const rangeEnd = analysis.dateRange.max ? new Date(analysis.dateRange.max).getTime() : null;
+  const recentCutoff = excludeRecentSuccessDays > 0 && rangeEnd !== null
+    ? rangeEnd - excludeRecentSuccessDays * DAY_MS
+    : null;
+
+  const seen = new Set();
+  const rows = [];
+  let excludedRecentSuccess = 0;
+  let excludedPrevious = 0;
+
+  for (const run of analysis.suppressionRuns) {
+    if (seen.has(run.number)) continue;
+    seen.add(run.number);
+
+    if (recentCutoff !== null && run.lastSuccess && new Date(run.lastSuccess).getTime() >= recentCutoff) {
+      excludedRecentSuccess++;
+      continue;
+    }
+    if (previousNumbers && previousNumbers.has(run.number)) {
+      excludedPrevious++;
+      continue;
+    }
+    rows.push({ ...run, reason: reasonCode(run, rangeEnd) });
+  }
+
+  return { rows, excludedRecentSuccess, excludedPrevious };
+}
+
+function writeTxt(filePath, rows) {
+  fs.writeFileSync(filePath, rows.map(r => r.number).join('\n') + (rows.length ? '\n' : ''), 'utf8');
+}
+
+function writeCsv(filePath, rows) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const r of rows) {
+    lines.push([
+      r.number,
+      (r.accountIds || []).join(';'),
+      r.reason,
+      r.count,
+      (r.successRate || 0).toFixed(4),
+      r.totalAttempts || 0,
+      r.lastAttempt || '',
+      r.lastSuccess || '',
+      r.runStart || '',
+      r.runEnd || '',
+      Math.round(r.spanDays || 0)
+    ].map(csvCell).join(','));
+  }
+  fs.writeFileSync(filePath, lines.join('\n') + '\n', 'utf8');
+}
+
+/**
+ * Write suppression lists for an analysis result into outputDir.
+ *
+ * @param {Object} analysis  - Result of computeTrendMetrics()
+ * @param {string} outputDir - Destination folder (created if missing)
+ * @param {Object} [options]
+ * @param {boolean} [options.txt=true]        - Number-per-line TXT
+ * @param {boolean} [options.csv=true]        - CSV with reason codes
+ * @param {boolean} [options.perAccount=true] - Also split both lists per account under by_account/
+ * @param {number} [options.excludeRecentSuccessDays=0] - See selectSuppressionRows
+ * @param {string} [options.dedupeAgainstPath] - Previously exported list; its numbers are left out
+ * @returns {{ outputDir, txtPath, csvPath, accountFiles, rows, exportedCount, excludedRecentSuccess, excludedPrevious }}
+ *   rows are the exported suppression runs with their reason codes (see selectSuppressionRows)
+ */
+function exportSuppressionLists(analysis, outputDir, options = {}) {
+  const {
+    txt                      = true,
+    csv                      = true,
+    perAccount               = true,
+    excludeRecentSuccessDays = 0,
+    dedupeAgainstPath        = ''
+  } = options;
+
+  let previousNumbers = null;
+  if (dedupeAgainstPath) {
+    if (!fs.existsSync(dedupeAgainstPath)) {
+      throw new Error(`Previous suppression list not found: ${dedupeAgainstPath}`);
+    }
+    previousNumbers = readSuppressionList(dedupeAgainstPath);
+  }
+
+  const { rows, excludedRecentSuccess, excludedPrevious } = selectSuppressionRows(analysis, {
+    excludeRecentSuccessDays, previousNumbers
+  });
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  const txtPath = txt ? path.join(outputDir, 'suppression_numbers.txt') : null;
+  const csvPath = csv ? path.join(outputDir, 'suppression_reasons.csv') : null;
+  if (txtPath) writeTxt(txtPath, rows);
+  if (csvPath) writeCsv(csvPath, rows);
+
+  const accountFiles = [];
+  if (perAccount) {
+    // A number attempted from several accounts is listed under each of them
+    const byAccount = new Map();
+    for (const r of rows) {
+      for (const id of (r.accountIds?.length ? r.accountIds : ['Unknown'])) {
+        if (!byAccount.has(id)) byAccount.set(id, []);
+        byAccount.get(id).push(r);
+      }
+    }
+    const accountDir = path.join(outputDir, 'by_account');
+    if (byAccount.size > 0) fs.mkdirSync(accountDir, { recursive: true });
+    for (const [id, accountRows] of byAccount) {
+      const safeId = String(id).replace(/[^\w-]/g, '_');
+      if (txt) {
+        const p = path.join(accountDir, `account_${safeId}_suppression_numbers.txt`);
+        writeTxt(p, accountRows);
+        accountFiles.push(p);
+      }
+      if (csv) {
+        const p = path.join(accountDir, `account_${safeId}_suppression_reasons.csv`);
+        writeCsv(p, accountRows);
+        accountFiles.push(p);
+      }
+    }
+  }
+
+  return {
+    outputDir,
+    txtPath,
+    csvPath,
+    accountFiles,
+    rows,
+    exportedCount: rows.length,
+    excludedRecentSuccess,
+    excludedPrevious
+  };
+}
+
+module.exports = { exportSuppressionLists, selectSuppressionRows, readSuppressionList, reasonCode };
@@ -0,0 +1,39 @@
+'use strict';
+
+// An A/B run writes its comparison tab (exceljs rejects '/' in worksheet names).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const ExcelJS = require('exceljs');
+const { generateTrendAnalysis } = require('../trendAnalyzer');
+const { SCENARIOS, writeScenarioFixtures } = require('../scripts/trend-regression');
+
+test('message A/B test adds the AB Comparison tab', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ab-tab-'));
+  const xlsxPath = path.join(dir, 'ab.xlsx');
+  const originalLog = console.log;
+  try {
+    console.log = () => {};
+    try {
+      const csvFiles = writeScenarioFixtures(SCENARIOS['mixed-list'], dir);
+      await generateTrendAnalysis(csvFiles, xlsxPath, {
+        minConsecUnsuccessful: 4,
+        minRunSpanDays: 30,
+        abTest: { type: 'message', ids: ['5001', '5002'] }
+      });
+    } finally {
+      console.log = originalLog;
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(xlsxPath);
+    const sheet = workbook.getWorksheet('AB Comparison');
+    assert.ok(sheet, 'AB Comparison tab missing');
+    assert.match(String(sheet.getCell('A1').value), /^A\/B Comparison – Messages/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+// Caller reputation: the sudden-drop alert fires at the 10-pt threshold and not below it.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCallerReputation } = require('../trendMetrics');
+
+const MONDAYS = ['2026-09-07', '2026-09-14', '2026-09-21', '2026-09-28', '2026-10-05'];
+
+// Four baseline weeks at 60% (200 attempts each), then the latest week at latestSuccesses / latestAttempts
+function reputation(latestSuccesses, latestAttempts = 200) {
+  const weekly = {};
+  MONDAYS.forEach((week, i) => {
+    weekly[week] = i < 4 ? { attempts: 200, successes: 120 } : { attempts: latestAttempts, successes: latestSuccesses };
+  });
+  const { callers, alerts } = buildCallerReputation({ 8015550100: weekly }, {}, {
+    overallRate: 0.6, maxDate: new Date('2026-10-09T23:59:59Z')
+  });
+  return { caller: callers[0], alerts };
+}
+
+test('a 10-pt drop raises a drop alert', () => {
+  const { caller, alerts } = reputation(100);   // 60% → 50%
+  assert.equal(caller.drop, true);
+  assert.equal(caller.status, 'At Risk');
+  assert.ok(caller.dropPValue < 0.05);
+  assert.deepEqual(alerts.map(a => a.type), ['drop']);
+});
+
+test('a drop just under 10 pts does not', () => {
+  const { caller, alerts } = reputation(101);   // 60% → 50.5%
+  assert.equal(caller.drop, false);
+  assert.ok(caller.dropPValue < 0.05);
+  assert.ok(!alerts.some(a => a.type === 'drop'));
+});
+
+test('a 10-pt drop on a small week is not significant, so no alert', () => {
+  const { caller, alerts } = reputation(15, 30);   // 50% on 30 attempts
+  assert.equal(caller.drop, false);
+  assert.ok(caller.dropPValue >= 0.05);
+  assert.ok(!alerts.some(a => a.type === 'drop'));
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+// First-seen cohorts: month keys, offsets and run spans must carry across a
+// year boundary.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFirstSeenCohorts, normalizeTNHealthRules } = require('../trendMetrics');
+
+function attempts(list) {
+  return list.map(([dateStr, isSuccess]) => ({ dateStr, ts: Date.parse(`${dateStr}T15:00:00Z`), isSuccess }));
+}
+
+const numberData = {
+  // December cohort
+  '8015550001': { attempts: attempts([['2024-12-20', true], ['2025-01-10', false], ['2025-02-05', false]]) },
+  '8015550002': { attempts: attempts([['2024-12-31', false]]) },
+  // Weekly failures from Dec 1 to Jan 5: Delivery Unlikely in December (5 attempts, no success),
+  // but the run only spans 30+ days – and qualifies for suppression – in January
+  '8015550003': {
+    attempts: attempts([['2024-12-01', false], ['2024-12-08', false], ['2024-12-15', false],
+      ['2024-12-22', false], ['2024-12-29', false], ['2025-01-05', false]])
+  },
+  // January cohort, first seen the day after the year boundary
+  '8015550004': { attempts: attempts([['2025-01-01', true]]) }
+};
+
+const cohorts = buildFirstSeenCohorts(numberData, {
+  maxDate: new Date('2025-02-05T15:00:00Z'),
+  tnHealthRules: normalizeTNHealthRules(null),
+  minConsecUnsuccessful: 4,
+  minRunSpanDays: 30
+});
+
+test('months run continuously from December into the new year', () => {
+  assert.deepEqual(cohorts.months, ['2024-12', '2025-01', '2025-02']);
+  assert.deepEqual(cohorts.rows.map(r => [r.cohort, r.numbers]), [['2024-12', 3], ['2025-01', 1]]);
+  // The first cohort also holds numbers seen before the range started
+  assert.deepEqual(cohorts.rows.map(r => r.atRangeStart), [true, false]);
+});
+
+test('December cohort is followed through January and February', () => {
+  const dec = cohorts.rows[0];
+  assert.deepEqual(dec.periods.map(p => [p.month, p.offset]), [['2024-12', 0], ['2025-01', 1], ['2025-02', 2]]);
+  assert.deepEqual(dec.periods.map(p => p.attempts), [7, 2, 1]);
+  assert.deepEqual(dec.periods.map(p => p.activeNumbers), [3, 2, 1]);
+  assert.equal(dec.periods[0].successful, 1);
+});
+
+test('a failure run spanning the year boundary qualifies once it reaches the minimum span', () => {
+  const dec = cohorts.rows[0];
+  assert.deepEqual(dec.periods.map(p => p.deliveryUnlikely), [1, 1, 1]);
+  assert.deepEqual(dec.periods.map(p => p.suppression), [0, 1, 1]);
+});
+
+test('January cohort starts at offset 0 in the new year', () => {
+  const jan = cohorts.rows[1];
+  assert.deepEqual(jan.periods.map(p => [p.month, p.offset]), [['2025-01', 0], ['2025-02', 1]]);
+  assert.equal(jan.periods[0].successRate, 1);
+  assert.equal(jan.periods[1].successRate, null);
+});
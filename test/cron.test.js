@@ -0,0 +1,63 @@
+'use strict';
+
+// Scheduler cron parsing and next-run calculation (local time).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, getNextCronRun } = require('../server');
+
+const at = (y, mo, d, h = 0, mi = 0) => new Date(y, mo - 1, d, h, mi);
+
+// The next `count` runs after `from`
+function nextRuns(expr, from, count) {
+  const runs = [];
+  for (let d = from; runs.length < count; ) {
+    d = getNextCronRun(expr, d);
+    runs.push(d);
+  }
+  return runs;
+}
+
+test('day of month and day of week match either one when both are restricted', () => {
+  // 1st of the month OR any Monday; Oct 2026 starts on a Thursday
+  assert.deepEqual(nextRuns('0 9 1 * MON', at(2026, 9, 30, 12), 4), [
+    at(2026, 10, 1, 9), at(2026, 10, 5, 9), at(2026, 10, 12, 9), at(2026, 10, 19, 9)
+  ]);
+  // Only one restricted: both must hold (Mondays in October only)
+  assert.deepEqual(getNextCronRun('0 9 * 10 1', at(2026, 9, 1)), at(2026, 10, 5, 9));
+});
+
+test('month and day names', () => {
+  const cron = parseCron('30 8 * jan-mar MON-FRI');
+  assert.deepEqual([...cron.months], [1, 2, 3]);
+  assert.deepEqual([...cron.daysOfWeek], [1, 2, 3, 4, 5]);
+  // Saturday Jan 3 2026 → Monday Jan 5
+  assert.deepEqual(getNextCronRun('30 8 * JAN-MAR MON-FRI', at(2026, 1, 3)), at(2026, 1, 5, 8, 30));
+});
+
+test('steps, ranges and lists', () => {
+  assert.deepEqual([...parseCron('*/15 * * * *').minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...parseCron('5-20/5 * * * *').minutes], [5, 10, 15, 20]);
+  assert.deepEqual([...parseCron('10/20 * * * *').minutes], [10, 30, 50]);
+  assert.deepEqual([...parseCron('0,30 8,17 * * *').hours], [8, 17]);
+  assert.deepEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+});
+
+test('7 is Sunday', () => {
+  assert.deepEqual([...parseCron('0 0 * * 7').daysOfWeek], [0]);
+  assert.deepEqual([...parseCron('0 0 * * 5-7').daysOfWeek].sort(), [0, 5, 6]);
+  // Wednesday Oct 14 2026 → Sunday Oct 18
+  assert.deepEqual(getNextCronRun('0 6 * * 7', at(2026, 10, 14)), at(2026, 10, 18, 6));
+});
+
+test('Feb 29 runs only in leap years', () => {
+  assert.deepEqual(getNextCronRun('0 0 29 2 *', at(2026, 3, 1)), at(2028, 2, 29));
+  assert.equal(getNextCronRun('0 0 31 2 *', at(2026, 3, 1)), null);
+});
+
+test('invalid expressions are rejected', () => {
+  for (const expr of ['0,,30 * * * *', '5, * * * *', ',5 * * * *', '*/0 * * * *', '60 * * * *',
+    '0 0 0 * *', '0 0 * * 8', '0 0 * FOO *', '0 0 * *', '5-1 * * * *']) {
+    assert.throws(() => parseCron(expr), undefined, expr);
+  }
+});
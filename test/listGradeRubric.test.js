@@ -0,0 +1,49 @@
+'use strict';
+
+// List Quality rubric: the built-in grade cutoffs must reproduce the fixed
+// A–D rules they replaced, including at each boundary.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateListGrade, scoreListQuality, normalizeListGradeRubric } = require('../trendMetrics');
+
+// The grading as it was before the rubric was configurable
+function legacyListGrade(healthyPct, toxicPct, neverDeliveredPct) {
+  if (healthyPct >= 80 && toxicPct < 5 && neverDeliveredPct < 10) return 'A';
+  if (healthyPct >= 60 && toxicPct < 10 && neverDeliveredPct < 20) return 'B';
+  if (healthyPct >= 40 && toxicPct < 20) return 'C';
+  return 'D';
+}
+
+// Every cutoff value, and a step either side of it
+const HEALTHY = [0, 39.9, 40, 40.1, 59.9, 60, 60.1, 79.9, 80, 80.1, 100];
+const TOXIC = [0, 4.9, 5, 5.1, 9.9, 10, 10.1, 19.9, 20, 20.1, 50];
+const NEVER_DELIVERED = [0, 9.9, 10, 10.1, 19.9, 20, 20.1, 60];
+
+test('default rubric reproduces the legacy A–D cutoffs', () => {
+  for (const rubric of [undefined, normalizeListGradeRubric(null), normalizeListGradeRubric({})]) {
+    for (const healthy of HEALTHY) {
+      for (const toxic of TOXIC) {
+        for (const never of NEVER_DELIVERED) {
+          assert.equal(
+            calculateListGrade(healthy, toxic, never, rubric),
+            legacyListGrade(healthy, toxic, never),
+            `healthy=${healthy} toxic=${toxic} neverDelivered=${never}`
+          );
+        }
+      }
+    }
+  }
+});
+
+test('score is 100 for a perfect list and 0 at every factor\'s worst value', () => {
+  assert.equal(scoreListQuality({ healthyPct: 100, toxicPct: 0, neverDeliveredPct: 0 }).score, 100);
+  assert.equal(scoreListQuality({ healthyPct: 0, toxicPct: 25, neverDeliveredPct: 30 }).score, 0);
+});
+
+test('nextGrade lists only the cutoffs the list misses', () => {
+  const { grade, nextGrade } = scoreListQuality({ healthyPct: 85, toxicPct: 6, neverDeliveredPct: 5 });
+  assert.equal(grade, 'B');
+  assert.equal(nextGrade.grade, 'A');
+  assert.deepEqual(nextGrade.unmet.map(u => u.metric), ['toxicPct']);
+});
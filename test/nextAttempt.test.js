@@ -0,0 +1,95 @@
+'use strict';
+
+// Next-attempt plan: a number whose last attempt was delivered is not retried, and
+// retry dates are local dates no earlier than the day after the range or today.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeTrendMetrics, buildNextAttemptPlan } = require('../trendMetrics');
+
+function row(number, timestamp, result) {
+  return {
+    number, voapps_result: result, voapps_timestamp: timestamp,
+    account_id: '1001', campaign_id: '9001', caller_number: '8015550100', message_id: '5001'
+  };
+}
+
+test('delivered numbers get their own action and no retry date', async () => {
+  const log = console.log;
+  console.log = () => {};
+  let analysis;
+  try {
+    analysis = await computeTrendMetrics([
+      row('8015550001', '2025-03-03 10:00:00 -05:00', 'Unsuccessful delivery attempt'),
+      row('8015550001', '2025-03-10 10:00:00 -05:00', 'Successfully delivered'),
+      row('8015550002', '2025-03-03 10:00:00 -05:00', 'Successfully delivered'),
+      row('8015550002', '2025-03-10 10:00:00 -05:00', 'Unsuccessful delivery attempt')
+    ], { includeNextAttempt: true });
+  } finally {
+    console.log = log;
+  }
+
+  const byNumber = Object.fromEntries(analysis.nextAttempts.rows.map(r => [r.number, r]));
+  assert.equal(byNumber['8015550001'].action, 'delivered');
+  assert.equal(byNumber['8015550001'].retryDate, null);
+  assert.equal(byNumber['8015550001'].attemptsSinceSuccess, 0);
+  assert.notEqual(byNumber['8015550002'].action, 'delivered');
+  assert.ok(byNumber['8015550002'].retryDate);
+  assert.equal(analysis.nextAttempts.counts.delivered, 1);
+});
+
+// Unsuccessful attempts at local timestamps ('YYYY-MM-DD HH:MM:SS ±HH:MM')
+function failures(...timestamps) {
+  const attempts = timestamps.map(t => ({
+    ts: Date.parse(t.replace(' ', 'T').replace(' ', '')),
+    dateStr: t.slice(0, 10),
+    isSuccess: false,
+    result: 'Unsuccessful delivery attempt'
+  }));
+  return { attempts, attemptIndex: attempts.length, accountIds: { 1001: attempts.length } };
+}
+
+function plan(numberData, today) {
+  const { rows } = buildNextAttemptPlan(numberData, {
+    decayCurve: Array.from({ length: 10 }, () => ({ total: 100, probability: 0.5 })),
+    numSummaryMap: new Map(),
+    suppressedNumbers: new Set(),
+    codes: [],
+    today
+  });
+  return Object.fromEntries(rows.map(r => [r.number, r]));
+}
+
+test('retry dates count from the local date of an evening attempt', () => {
+  // 21:00 at -05:00 is already the 11th in UTC; the default gap is 5 days
+  const rows = plan({ 8015550001: failures('2025-03-10 21:00:00 -05:00') }, '2025-03-01');
+  assert.equal(rows['8015550001'].action, 'retry');
+  assert.equal(rows['8015550001'].retryDate, '2025-03-15');
+});
+
+test('an attempt older than the retry gap is due the day after the range ends', () => {
+  const rows = plan({
+    8015550001: failures('2025-03-01 10:00:00 -05:00'),
+    8015550002: failures('2025-03-20 10:00:00 -05:00')
+  }, '2025-03-01');
+  assert.equal(rows['8015550001'].retryDate, '2025-03-21');
+  assert.equal(rows['8015550002'].retryDate, '2025-03-25');
+});
+
+test('no retry date falls before today on a historical range', async () => {
+  const now = new Date();
+  const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  const log = console.log;
+  console.log = () => {};
+  let analysis;
+  try {
+    analysis = await computeTrendMetrics([
+      row('8015550001', '2025-03-03 10:00:00 -05:00', 'Unsuccessful delivery attempt'),
+      row('8015550001', '2025-03-10 20:30:00 -05:00', 'Unsuccessful delivery attempt')
+    ], { includeNextAttempt: true });
+  } finally {
+    console.log = log;
+  }
+  const [planned] = analysis.nextAttempts.rows;
+  assert.ok(planned.retryDate >= today, `${planned.retryDate} is before ${today}`);
+});
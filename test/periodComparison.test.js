@@ -0,0 +1,91 @@
+'use strict';
+
+// Period comparison: the two-proportion test, untested small rows, New / Not used
+// rows and the Holm adjustment across a table.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { twoProportionTest, rateChange, comparePeriods, MIN_ROW_ATTEMPTS } = require('../periodComparison');
+
+// The parts of a computeTrendMetrics() result that comparePeriods reads
+function analysis({ messages = [], callers = [] } = {}) {
+  return {
+    totals: { totalSuccess: 500, totalAttempts: 1000, uniqueNumbers: 400, totalRecords: 1000, avgVariability: 0.5 },
+    health: { listGrade: 'B', listScore: 70, tiers: [], healthyCount: 200, toxicCount: 40, neverDeliveredCount: 20 },
+    decayCurve: [{ attemptIndex: 1, successful: 250, total: 400 }],
+    cadence: { cadenceSingleTouch: 100, cadenceMultiTouchCount: 300, cadenceOverallMedian: 7 },
+    suppressionCandidateCount: 10,
+    settings: { minConsecUnsuccessful: 4, minRunSpanDays: 30 },
+    dateRange: {},
+    messages,
+    callers
+  };
+}
+
+const message = (id, successful, total) => ({ account_id: '1001', message_id: id, message_name: `Msg ${id}`, successful, total });
+
+test('twoProportionTest', () => {
+  assert.deepEqual(twoProportionTest(0, 0, 5, 10), { z: null, pValue: null, significant: false });
+  assert.deepEqual(twoProportionTest(5, 10, 0, 0), { z: null, pValue: null, significant: false });
+  // Both 0% (or both 100%): no variance, no change
+  assert.deepEqual(twoProportionTest(0, 50, 0, 40), { z: 0, pValue: 1, significant: false });
+  assert.deepEqual(twoProportionTest(50, 50, 40, 40), { z: 0, pValue: 1, significant: false });
+
+  // 60% vs 40% on 100 each: z = 0.2 / sqrt(0.25 × 0.02) = 2.828
+  const t = twoProportionTest(60, 100, 40, 100);
+  assert.ok(Math.abs(t.z - 2.8284) < 1e-4);
+  assert.ok(Math.abs(t.pValue - 0.00468) < 1e-4);
+  assert.equal(t.significant, true);
+  assert.ok(Math.abs(twoProportionTest(40, 100, 60, 100).z + 2.8284) < 1e-4);
+});
+
+test('rateChange leaves rows below the minimum sample untested', () => {
+  const small = rateChange('Msg', 20, MIN_ROW_ATTEMPTS - 1, 2, 100, MIN_ROW_ATTEMPTS);
+  assert.equal(small.pValue, null);
+  assert.equal(small.significant, false);
+  assert.equal(small.currentN, MIN_ROW_ATTEMPTS - 1);
+  assert.ok(Math.abs(small.delta - (20 / 29 - 0.02)) < 1e-12);
+
+  const enough = rateChange('Msg', 20, MIN_ROW_ATTEMPTS, 2, 100, MIN_ROW_ATTEMPTS);
+  assert.ok(enough.pValue < 0.05);
+  assert.equal(enough.significant, true);
+});
+
+test('comparePeriods marks messages used in only one period New / Not used', () => {
+  const result = comparePeriods(
+    analysis({ messages: [message('5001', 50, 100), message('5002', 30, 60)] }),
+    analysis({ messages: [message('5001', 50, 100), message('5003', 10, 40)] })
+  );
+  const byId = Object.fromEntries(result.messages.map(m => [m.messageId, m]));
+  assert.equal(byId['5001'].status, '');
+  assert.equal(byId['5002'].status, 'New');
+  assert.equal(byId['5002'].previous, null);
+  assert.equal(byId['5002'].pValue, null);
+  assert.equal(byId['5003'].status, 'Not used');
+  assert.equal(byId['5003'].current, null);
+  assert.equal(byId['5003'].adjustedPValue, null);
+});
+
+test('p-values are Holm-adjusted across each table', () => {
+  // 57% vs 43% on 100 attempts: p ≈ 0.048 on its own
+  const one = comparePeriods(
+    analysis({ messages: [message('5001', 57, 100)] }),
+    analysis({ messages: [message('5001', 43, 100)] })
+  );
+  assert.equal(one.messages[0].significant, true);
+  assert.equal(one.messages[0].adjustedPValue, one.messages[0].pValue);
+
+  // Three such rows: adjusted p ≈ 3 × 0.048, no longer significant
+  const ids = ['5001', '5002', '5003'];
+  const three = comparePeriods(
+    analysis({ messages: ids.map(id => message(id, 57, 100)) }),
+    analysis({ messages: ids.map(id => message(id, 43, 100)) })
+  );
+  for (const m of three.messages) {
+    assert.ok(m.pValue < 0.05);
+    assert.ok(Math.abs(m.adjustedPValue - Math.min(1, 3 * m.pValue)) < 1e-12);
+    assert.equal(m.significant, false);
+  }
+  assert.equal(three.significantCount, 0);
+  assert.equal(three.settings.multipleComparison, 'holm');
+});
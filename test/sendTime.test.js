@@ -0,0 +1,92 @@
+'use strict';
+
+// Send-time analysis: the hour × day heatmap and the recommended delivery window.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeTrendMetrics, recommendSendWindow } = require('../trendMetrics');
+
+const quiet = async fn => {
+  const log = console.log;
+  console.log = () => {};
+  try { return await fn(); } finally { console.log = log; }
+};
+
+function row(number, timestamp, result = 'Successfully delivered') {
+  return {
+    number, voapps_result: result, voapps_timestamp: timestamp,
+    account_id: '1001', campaign_id: '9001', caller_number: '8015550100', message_id: '5001'
+  };
+}
+
+test('rows whose timestamp cannot be parsed stay out of the heatmap', async () => {
+  const analysis = await quiet(() => computeTrendMetrics([
+    row('8015550001', '2025-03-04 14:30:00 -05:00'),   // Tue 14:00 local
+    row('8015550002', '2025-03-04 14:45:00 -05:00', 'Unsuccessful delivery attempt'),
+    row('8015550003', 'not a timestamp')
+  ]));
+  const { attempts, successes } = analysis.hourDay;
+  assert.equal(attempts.reduce((a, b) => a + b, 0), 2);
+  assert.equal(attempts[2 * 24 + 14], 2);
+  assert.equal(successes[2 * 24 + 14], 1);
+  assert.equal(attempts[0], 0, 'nothing defaults to Sun 00:00');
+});
+
+// Hour × day counts from fill(dow, hour) → [attempts, successes] or undefined
+function grid(fill) {
+  const attempts = new Uint32Array(7 * 24), successes = new Uint32Array(7 * 24);
+  for (let d = 0; d < 7; d++) {
+    for (let h = 0; h < 24; h++) {
+      const cell = fill(d, h);
+      if (cell) [attempts[d * 24 + h], successes[d * 24 + h]] = cell;
+    }
+  }
+  return [attempts, successes];
+}
+
+const weekdayBusinessHours = (d, h) => d >= 1 && d <= 5 && h >= 8 && h < 20;
+
+test('recommendSendWindow picks the best 3-hour window', () => {
+  const window = recommendSendWindow(...grid((d, h) => {
+    if (!weekdayBusinessHours(d, h)) return undefined;
+    return h >= 10 && h < 13 ? [20, 16] : [20, 6];
+  }));
+  assert.equal(window.startHour, 10);
+  assert.equal(window.endHour, 13);
+  assert.deepEqual(window.days, [1, 2, 3, 4, 5]);
+  assert.equal(window.label, 'Mon, Tue, Wed, Thu, Fri 10:00–13:00');
+  assert.equal(window.attempts, 300);
+  assert.equal(window.successRate, 0.8);
+  assert.equal(window.baselineRate, 510 / 1200);
+  assert.ok(window.successRateLow > window.baselineRate);
+});
+
+test('recommendSendWindow leaves out a day that does measurably worse', () => {
+  const window = recommendSendWindow(...grid((d, h) => {
+    if (!weekdayBusinessHours(d, h)) return undefined;
+    if (d === 1) return [20, 1];
+    return h >= 10 && h < 13 ? [20, 16] : [20, 6];
+  }));
+  assert.deepEqual(window.days, [2, 3, 4, 5]);
+  assert.equal(window.label, 'Tue, Wed, Thu, Fri 10:00–13:00');
+});
+
+test('recommendSendWindow trims the window to hours that had attempts', () => {
+  const window = recommendSendWindow(...grid((d, h) => {
+    if (d !== 2) return undefined;
+    if (h === 9) return [100, 90];
+    if (h === 15) return [100, 20];
+    return undefined;
+  }));
+  assert.equal(window.startHour, 9);
+  assert.equal(window.endHour, 10);
+  assert.equal(window.label, 'Tue 09:00–10:00');
+});
+
+test('recommendSendWindow returns null without a measurable lift or enough attempts', () => {
+  assert.equal(recommendSendWindow(...grid(() => undefined)), null);
+  // Same rate everywhere: the best window's interval includes the overall rate
+  assert.equal(recommendSendWindow(...grid((d, h) => (weekdayBusinessHours(d, h) ? [20, 8] : undefined))), null);
+  // A great hour, but fewer than 30 attempts in every window
+  assert.equal(recommendSendWindow(...grid((d, h) => (d === 3 && h === 11 ? [29, 29] : undefined))), null);
+});
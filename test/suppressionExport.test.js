@@ -0,0 +1,80 @@
+'use strict';
+
+// Suppression list export: reason codes, the export filters and reading back an earlier list.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { reasonCode, selectSuppressionRows, readSuppressionList } = require('../suppressionExport');
+
+const RANGE_END = Date.parse('2026-06-30T23:00:00Z');
+
+function run(number, overrides = {}) {
+  return {
+    number, count: 6, successful: 3, successRate: 0.5, totalAttempts: 12,
+    lastAttempt: '2026-06-28T15:00:00Z', lastSuccess: '2026-03-02T15:00:00Z', accountIds: ['1001'],
+    ...overrides
+  };
+}
+
+test('reason codes, most specific first', () => {
+  assert.equal(reasonCode(run('8015550100', { successful: 0, successRate: 0 }), RANGE_END), 'NEVER_DELIVERED');
+  assert.equal(reasonCode(run('8015550101', { successful: 1, successRate: 0.1 }), RANGE_END), 'LOW_SUCCESS_RATE');
+  // Last attempt 30+ days before the end of the range
+  assert.equal(reasonCode(run('8015550102', { lastAttempt: '2026-05-31T23:00:00Z' }), RANGE_END), 'NO_RECENT_ATTEMPT');
+  assert.equal(reasonCode(run('8015550103', { lastAttempt: '2026-06-01T00:00:00Z' }), RANGE_END), 'CONSECUTIVE_FAILURES');
+  assert.equal(reasonCode(run('8015550104'), null), 'CONSECUTIVE_FAILURES');
+});
+
+test('selectSuppressionRows keeps one row per number and applies the filters', () => {
+  const analysis = {
+    dateRange: { max: '2026-06-30T23:00:00Z' },
+    // Sorted by count desc, as computeTrendMetrics returns them
+    suppressionRuns: [
+      run('8015550100', { count: 9 }),
+      run('8015550100', { count: 5, lastSuccess: '2026-06-29T12:00:00Z' }),
+      run('8015550101', { lastSuccess: '2026-06-25T12:00:00Z' }),
+      run('8015550102', { lastSuccess: '2026-05-31T22:59:59Z' }),
+      run('8015550103', { successful: 0, successRate: 0, lastSuccess: null })
+    ]
+  };
+
+  const all = selectSuppressionRows(analysis);
+  assert.deepEqual(all.rows.map(r => [r.number, r.count]), [
+    ['8015550100', 9], ['8015550101', 6], ['8015550102', 6], ['8015550103', 6]
+  ]);
+  assert.equal(all.rows[3].reason, 'NEVER_DELIVERED');
+  assert.equal(all.excludedRecentSuccess, 0);
+
+  // Successes within 30 days of the end of the range (2026-05-31T23:00Z on) are dropped
+  const recent = selectSuppressionRows(analysis, {
+    excludeRecentSuccessDays: 30,
+    previousNumbers: new Set(['8015550103'])
+  });
+  assert.deepEqual(recent.rows.map(r => r.number), ['8015550100', '8015550102']);
+  assert.equal(recent.excludedRecentSuccess, 1);
+  assert.equal(recent.excludedPrevious, 1);
+});
+
+test('readSuppressionList reads TXT and quoted CSV lists', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'suppression-'));
+  try {
+    const txt = path.join(dir, 'suppression_numbers.txt');
+    fs.writeFileSync(txt, '8015550100\r\n18015550101\n\n801-555-0102\n12345\n');
+    assert.deepEqual([...readSuppressionList(txt)], ['8015550100', '8015550101', '8015550102']);
+
+    const csv = path.join(dir, 'suppression_reasons.csv');
+    fs.writeFileSync(csv, [
+      'number,account_ids,reason',
+      '"18015550103","1001;1002",NEVER_DELIVERED',
+      '"(801) 555-0104",1001,LOW_SUCCESS_RATE',
+      '8015550103,1001,CONSECUTIVE_FAILURES',
+      '28015550105,1001,CONSECUTIVE_FAILURES'
+    ].join('\n'));
+    assert.deepEqual([...readSuppressionList(csv)], ['8015550103', '8015550104']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
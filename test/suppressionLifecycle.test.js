@@ -0,0 +1,51 @@
+'use strict';
+
+// Suppression list lifecycle: classification of each number from its results after the list date.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifySuppressionLifecycle } = require('../server');
+
+// DuckDB returns the counts as BigInt
+function row(number, attempts, campaigns, successes) {
+  return {
+    number, account_ids: '1001', reason: 'CONSECUTIVE_FAILURES', consecutive_failures: 5,
+    attempts_since: BigInt(attempts), campaigns_since: BigInt(campaigns), successes_since: BigInt(successes),
+    last_attempt_since: attempts > 0 ? '2026-08-14' : null
+  };
+}
+
+test('delivered, still failing and not attempted', () => {
+  const { numbers } = classifySuppressionLifecycle([
+    row('8015550100', 0, 0, 0),
+    row('8015550101', 3, 1, 1),
+    row('8015550102', 4, 1, 0)
+  ]);
+  assert.deepEqual(numbers.map(n => n.status), ['not_attempted', 'delivered', 'still_failing']);
+  assert.equal(numbers[0].last_attempt_since, '');
+  assert.equal(numbers[1].attempts_since, 3);
+});
+
+test('reappearing from the second campaign after the list date, whatever the status', () => {
+  const { numbers } = classifySuppressionLifecycle([
+    row('8015550100', 1, 1, 0),
+    row('8015550101', 2, 2, 0),
+    row('8015550102', 2, 2, 1)
+  ]);
+  assert.deepEqual(numbers.map(n => n.reappearing), [false, true, true]);
+  assert.deepEqual(numbers.map(n => n.status), ['still_failing', 'still_failing', 'delivered']);
+});
+
+test('summary counts and applied rate', () => {
+  const { summary } = classifySuppressionLifecycle([
+    row('8015550100', 0, 0, 0),
+    row('8015550101', 0, 0, 0),
+    row('8015550102', 0, 0, 0),
+    row('8015550103', 2, 2, 1),
+    row('8015550104', 5, 3, 0)
+  ]);
+  assert.deepEqual(summary, {
+    total: 5, notAttempted: 3, delivered: 1, stillFailing: 1, reappearing: 2, appliedRate: 0.6
+  });
+  assert.equal(classifySuppressionLifecycle([]).summary.appliedRate, null);
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+// TN Health rules: the built-in rules must classify exactly like the
+// hard-coded classifier they replaced.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyTNHealth, normalizeTNHealthRules } = require('../trendMetrics');
+
+// The classifier as it was before the rules were configurable
+function legacyClassifyTNHealth(successRate, consecutiveFailures, totalAttempts) {
+  if (successRate < 0.1 && consecutiveFailures >= 4) return 'Delivery Unlikely';
+  if (consecutiveFailures >= 6) return 'Delivery Unlikely';
+  if (totalAttempts >= 5 && successRate === 0) return 'Delivery Unlikely';
+  return 'Healthy';
+}
+
+// Every (attempts, successes, trailing failures) combination up to 12 attempts
+function* numberProfiles() {
+  for (let totalAttempts = 1; totalAttempts <= 12; totalAttempts++) {
+    for (let successes = 0; successes <= totalAttempts; successes++) {
+      for (let consecutiveFailures = 0; consecutiveFailures <= totalAttempts - successes; consecutiveFailures++) {
+        yield { totalAttempts, successRate: successes / totalAttempts, consecutiveFailures };
+      }
+    }
+  }
+}
+
+test('default rules reproduce the legacy classification', () => {
+  for (const rules of [undefined, normalizeTNHealthRules(null), normalizeTNHealthRules({})]) {
+    for (const p of numberProfiles()) {
+      assert.equal(
+        classifyTNHealth(p.successRate, p.consecutiveFailures, p.totalAttempts, false, rules),
+        legacyClassifyTNHealth(p.successRate, p.consecutiveFailures, p.totalAttempts),
+        `${JSON.stringify(p)} with ${rules ? 'normalized' : 'implicit'} defaults`
+      );
+    }
+  }
+});
+
+test('thresholds sit exactly where the legacy rules put them', () => {
+  // successRate < 0.1 with 4+ failures
+  assert.equal(classifyTNHealth(0.09, 4, 20), 'Delivery Unlikely');
+  assert.equal(classifyTNHealth(0.1, 4, 20), 'Healthy');
+  assert.equal(classifyTNHealth(0.09, 3, 20), 'Healthy');
+  // 6+ consecutive failures regardless of rate
+  assert.equal(classifyTNHealth(0.9, 6, 60), 'Delivery Unlikely');
+  assert.equal(classifyTNHealth(0.9, 5, 60), 'Healthy');
+  // 5+ attempts and no successes
+  assert.equal(classifyTNHealth(0, 0, 5), 'Delivery Unlikely');
+  assert.equal(classifyTNHealth(0, 0, 4), 'Healthy');
+});
+
+test('custom tiers are checked after Delivery Unlikely, in order', () => {
+  const rules = normalizeTNHealthRules({
+    tiers: [
+      { name: 'At Risk', rules: [{ minConsecutiveFailures: 3 }] },
+      { name: 'Watch', rules: [{ minConsecutiveFailures: 2 }] }
+    ]
+  });
+  assert.equal(classifyTNHealth(0.5, 6, 20, false, rules), 'Delivery Unlikely');
+  assert.equal(classifyTNHealth(0.5, 3, 20, false, rules), 'At Risk');
+  assert.equal(classifyTNHealth(0.5, 2, 20, false, rules), 'Watch');
+  assert.equal(classifyTNHealth(0.5, 1, 20, false, rules), 'Healthy');
+});
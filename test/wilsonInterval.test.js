@@ -0,0 +1,35 @@
+'use strict';
+
+// 95% Wilson score intervals against published reference values.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { wilsonInterval, rateVsBaseline } = require('../trendMetrics');
+
+function assertInterval(actual, low, high) {
+  assert.ok(Math.abs(actual.low - low) < 1e-4, `low ${actual.low} ≉ ${low}`);
+  assert.ok(Math.abs(actual.high - high) < 1e-4, `high ${actual.high} ≉ ${high}`);
+}
+
+test('n = 0 has no interval', () => {
+  assert.equal(wilsonInterval(0, 0), null);
+  assert.equal(rateVsBaseline(0, 0, 0.5), null);
+});
+
+test('n = 12', () => {
+  assertInterval(wilsonInterval(6, 12), 0.2538, 0.7462);
+  // The bounds stay inside [0, 1] at 0% and 100%
+  assertInterval(wilsonInterval(0, 12), 0, 0.2425);
+  assertInterval(wilsonInterval(12, 12), 0.7575, 1);
+});
+
+test('n = 1000', () => {
+  assertInterval(wilsonInterval(500, 1000), 0.4691, 0.5309);
+  assertInterval(wilsonInterval(100, 1000), 0.0829, 0.1202);
+});
+
+test('a small sample cannot be told apart from the baseline, a large one can', () => {
+  assert.equal(rateVsBaseline(8, 12, 0.5), null);
+  assert.equal(rateVsBaseline(560, 1000, 0.5), 'above');
+  assert.equal(rateVsBaseline(440, 1000, 0.5), 'below');
+});
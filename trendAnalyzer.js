@@ -1,29 +1,35 @@
 // trendAnalyzer.js - Delivery Intelligence Report
-// Analyzes phone numbers, caller numbers, and messages for delivery insights
-// Generates comprehensive Excel analysis workbooks from campaign data
+// Renders the analysis result from trendMetrics.js as the Delivery Intelligence
+// Excel workbook and Business Review slides.
 //
-// Features:
-// - Attempt Index tracking per TN (resets after success)
-// - Success Probability by attempt number (decay curve)
-// - TN Health Classification (Healthy/Delivery Unlikely/Never Delivered)
-// - Never Delivered detection
-// - Variability Score (message, day, hour, caller diversity)
-// - Back-to-back identical message detection
-// - Day of week entropy analysis with recommendations
-// - Timezone detection from voapps_timestamp
-// - Message intent inference from names
-// - Day-of-week usage recommendations for accounts/messages
-// - List Quality Grade (A-D)
-// - Executive Summary with recommendations
+// generateTrendAnalysis() runs the whole pipeline:
+//   computeTrendMetrics()  →  renderTrendWorkbook()  →  renderBusinessReview()
+// Each renderer takes the same plain analysis object, so outputs can be produced
+// (and tested) independently – register additional ones in TREND_RENDERERS.
+// renderTrendJson() writes the same object as a versioned JSON document, and
+// htmlReport.js renders it as a self-contained HTML report. suppressionExport.js
+// writes the Suppression Candidates as uploadable TXT / CSV lists.
+//
+// Workbook features:
+// - Executive Summary with key metrics, recommendations and best next action
+// - TN Health, Variability Analysis and Number Summary detail tabs (optional)
+// - Message / Caller # / Global (Days) insights, Suppression Candidates, Delivery Trend
+// - Re-attempt analysis tabs (optional)
 // - Official Excel tables with VoApps colors
 // - DDVM terminology throughout
 // - Correct VoApps result codes in glossary
 
 const ExcelJS = require('exceljs');
-const Papa = require('papaparse');
 const fs = require('fs');
 const path = require('path');
 const { generateBusinessReviewSlides } = require('./businessReview');
+const { generateHtmlReport } = require('./htmlReport');
+const { exportSuppressionLists } = require('./suppressionExport');
+const { exportNextAttempts } = require('./nextAttemptExport');
+const {
+  computeTrendMetrics, inferMessageIntent, bucketDailyStats, describeTNHealthRules, isDefaultDeliveryUnlikely,
+  describeGradeGap, wilsonInterval, rateVsBaseline
+} = require('./trendMetrics');
 
 // Import VERSION from central source of truth
 const { VERSION } = require('./version');
@@ -51,119 +57,6 @@ function log(message) {
 // HELPER FUNCTIONS
 // ============================================================================
 
-/**
- * Calculate Shannon entropy for distribution analysis
- */
-function calculateEntropy(distribution) {
-  const total = distribution.reduce((sum, val) => sum + val, 0);
-  if (total === 0) return 0;
-
-  let entropy = 0;
-  for (const val of distribution) {
-    if (val > 0) {
-      const p = val / total;
-      entropy -= p * Math.log2(p);
-    }
-  }
-  return entropy;
-}
-
-/**
- * Infer message intent from message name
- */
-function inferMessageIntent(messageName) {
-  if (!messageName) return 'unknown';
-  const n = messageName.toLowerCase();
-
-  // ── Special message types (pattern-identified) ────────────────────────────
-  if (n.includes('lcm') || n.includes('limited content'))
-    return 'LCM';
-  if (n.includes('zortman') || n.includes('modified zortman'))
-    return 'Modified Zortman';
-
-  // ── Collections ───────────────────────────────────────────────────────────
-  if (n.includes('1st payment') || n.includes('first payment') || n.includes('1st pmt'))
-    return 'first payment default';
-  if (n.includes('charge off') || n.includes('charge-off') || n.includes('pre-charge') ||
-      n.includes('60+') || n.includes('60 dpd') || n.includes('90') || n.includes('pre charge'))
-    return 'pre-charge-off collections';
-  if (n.includes('overdrawn') || n.includes('negative share') || n.includes('nsf') || n.includes('overdraft'))
-    return 'overdrawn account';
-  if (n.includes('friendly') && (n.includes('remind') || n.includes('payment')))
-    return 'friendly payment reminder';
-  if (n.includes('hardship') || n.includes('temporary hardship') ||
-      n.includes('financial difficulty') || n.includes('assistance program'))
-    return 'friendly payment reminder';   // hardship/assistance = soft collections
-  if (n.includes('healthcare') || n.includes('medical') || n.includes('hospital') ||
-      n.includes('ebo') || n.includes('early out') || /\beo\b/.test(n) ||
-      n.includes('3rd party') || n.includes('third party') ||
-      n.includes('debt buyer') || n.includes('extended business'))
-    return 'healthcare or third-party collections';
-  if (n.includes('collect') || n.includes('past due') || n.includes('dpd') ||
-      n.includes('delinquent') || n.includes('balance due'))
-    return 'delinquent loan payment';
-
-  // ── Consumer / Direct Lending ─────────────────────────────────────────────
-  if (n.includes('pre-approv') || n.includes('pre approv') || n.includes('refinanc') ||
-      n.includes('blaster') || n.includes('rate promo'))
-    return 'pre-approval or refinance offer';
-  if (n.includes('application') || n.includes('app follow') || n.includes('pending app') ||
-      n.includes('verification') || n.includes('pending verif'))
-    return 'loan application follow-up';
-  if (n.includes('cpi') || n.includes('force place') || n.includes('force-place') || n.includes('insurance'))
-    return 'CPI or insurance notification';
-  if (n.includes('title'))
-    return 'title perfection reminder';
-  if (n.includes('skip pay') || n.includes('holiday skip') || n.includes('skip-pay'))
-    return 'holiday skip payment offer';
-  if (n.includes('unused reward') || n.includes('rewards'))
-    return 'unused rewards notification';
-  if (n.includes('lead') || n.includes('remarketing') || n.includes('automatic lead') ||
-      n.includes('auto lead'))
-    return 'marketing or lead response';
-
-  // ── Servicing ─────────────────────────────────────────────────────────────
-  if (n.includes('dormant'))
-    return 'dormant account notification';
-  if (n.includes('fraud') || n.includes('phish') || n.includes('scam'))
-    return 'fraud alert';
-  if (n.includes('card activ') || n.includes('card service') || n.includes('card issue'))
-    return 'card services notification';
-  if (n.includes('downtime') || n.includes('olb') || n.includes('system update') ||
-      n.includes('online banking'))
-    return 'system update or downtime notice';
-  if (n.includes('investment') || n.includes('wealth'))
-    return 'product or rate promotion';
-  if (n.includes('disaster') || n.includes('closure') || n.includes('holiday closure') ||
-      n.includes('emergency'))
-    return 'disaster recovery or closure notice';
-
-  // ── Marketing ─────────────────────────────────────────────────────────────
-  if (n.includes('welcome') || n.includes('intro') || n.includes('onboard') ||
-      n.includes('indirect lending welcome') || n.includes('new member'))
-    return 'new member welcome';
-  if (n.includes('offer') || n.includes('promo') || n.includes('promotion') ||
-      n.includes('rate') || n.includes('cd special') || n.includes('discount'))
-    return 'product or rate promotion';
-  if (n.includes('event') || n.includes('workshop') || n.includes('seminar') || n.includes('webinar'))
-    return 'educational event or workshop';
-  if (n.includes('cross sell') || n.includes('ancillary') || n.includes('gap ins') ||
-      n.includes('partnership'))
-    return 'product or rate promotion';
-
-  // ── Payment reminders (generic, when not more specific) ───────────────────
-  if (n.includes('remind') || n.includes('promise') || n.includes('payment reminder'))
-    return 'friendly payment reminder';
-
-  // ── Fallback ──────────────────────────────────────────────────────────────
-  if (n.includes('follow') || n.includes('follow-up') || n.includes('followup'))
-    return 'loan application follow-up';
-  if (n.includes('loan') || n.includes('servic') || n.includes('account'))
-    return 'delinquent loan payment';
-
-  return 'general notice';
-}
-
 /**
  * Normalize a phone number to its last 10 digits for comparison.
  */
@@ -202,33 +95,6 @@ function getCallerMatchStatus(mentionedPhone, callerNumbers) {
     : `⚠️ Mismatch (caller: ${dominantCaller}, msg: ${mentionedPhone})`;
 }
 
-/**
- * Calculate TN Health classification
- */
-function classifyTNHealth(successRate, consecutiveFailures, totalAttempts, recentSuccess14Days) {
-  // Delivery Unlikely: Very low success + high consecutive failures
-  if (successRate < 0.1 && consecutiveFailures >= 4) return 'Delivery Unlikely';
-  if (consecutiveFailures >= 6) return 'Delivery Unlikely';
-  if (totalAttempts >= 5 && successRate === 0) return 'Delivery Unlikely';
-
-  // Healthy: Good performance
-  return 'Healthy';
-}
-
-/**
- * Calculate List Quality Grade
- */
-function calculateListGrade(healthyPct, toxicPct, neverDeliveredPct) {
-  // A: >80% healthy, <5% delivery unlikely
-  if (healthyPct >= 80 && toxicPct < 5 && neverDeliveredPct < 10) return 'A';
-  // B: >60% healthy, <10% delivery unlikely
-  if (healthyPct >= 60 && toxicPct < 10 && neverDeliveredPct < 20) return 'B';
-  // C: >40% healthy, <20% delivery unlikely
-  if (healthyPct >= 40 && toxicPct < 20) return 'C';
-  // D: Everything else
-  return 'D';
-}
-
 /**
  * Format date safely
  */
@@ -238,365 +104,31 @@ function formatDate(d) {
 }
 
 /**
- * Format day distribution string
- */
-function formatDayDistribution(counts, total) {
-  const dayNames = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
-  return dayNames.map((day, i) => {
-    const pct = total > 0 ? Math.round((counts[i] / total) * 100) : 0;
-    return `${day}: ${pct}%`;
-  }).join(' | ');
-}
-
-/**
- * Extract timezone from voapps_timestamp
- * Examples: "2026-01-16 15:50:21 UTC", "2025-12-10 14:56:39 -07:00"
- */
-function extractTimezone(timestamp) {
-  if (!timestamp) return null;
-
-  // Check for UTC
-  if (timestamp.includes(' UTC')) {
-    return { offset: '+00:00', name: 'UTC' };
-  }
-
-  // Check for offset like -07:00 or +05:30
-  const match = timestamp.match(/([+-]\d{2}:\d{2})$/);
-  if (match) {
-    const offset = match[1];
-    // Map common offsets to timezone names
-    const tzNames = {
-      '-05:00': 'America/New_York',
-      '-06:00': 'America/Chicago',
-      '-07:00': 'America/Denver',
-      '-08:00': 'America/Los_Angeles',
-      '-04:00': 'America/New_York (DST)',
-      '-09:00': 'America/Anchorage',
-      '-10:00': 'Pacific/Honolulu',
-      '+00:00': 'UTC'
-    };
-    return { offset, name: tzNames[offset] || offset };
-  }
-
-  return null;
-}
-
-/**
- * Parse a voapps_timestamp into { utcDate, localHour, localDayOfWeek } without
- * relying on JavaScript's system timezone. The timestamp already encodes the local
- * time (either as " UTC" or as " -07:00" etc.), so we read hour/day directly from
- * the string to avoid system-timezone corruption.
- *
- * Formats handled:
- *   "2025-11-16 14:47:05 UTC"        → UTC local time
- *   "2025-11-16 09:47:05 -07:00"     → local time at -07:00
- */
-function parseTimestampLocal(timestamp) {
-  if (!timestamp || typeof timestamp !== 'string') return null;
-  const ts = timestamp.trim();
-
-  // Match: YYYY-MM-DD HH:MM:SS (UTC | ±HH:MM)
-  const match = ts.match(/^(\d{4})-(\d{2})-(\d{2})\s+(\d{2}):(\d{2}):(\d{2})\s+(?:UTC|([+-]\d{2}:\d{2}))$/);
-  if (!match) return null;
-
-  const [, year, month, day, hour, minute, second, offsetStr] = match;
-  const localHour = parseInt(hour, 10);
-
-  // Compute UTC ms so we can derive day-of-week in the LOCAL timezone
-  const offsetMinutes = offsetStr
-    ? (parseInt(offsetStr.slice(0, 3), 10) * 60 + parseInt(offsetStr.slice(4), 10) * Math.sign(parseInt(offsetStr, 10) || 1))
-    : 0; // UTC = 0 offset
-
-  // Build UTC Date by subtracting the local offset
-  const localMs = Date.UTC(
-    parseInt(year), parseInt(month) - 1, parseInt(day),
-    parseInt(hour), parseInt(minute), parseInt(second)
-  );
-  const utcMs = localMs - offsetMinutes * 60 * 1000;
-  const utcDate = new Date(utcMs);
-
-  // Day of week in local time: shift UTC date back to local then read getUTCDay()
-  const localDate = new Date(utcMs + offsetMinutes * 60 * 1000);
-  const localDayOfWeek = localDate.getUTCDay();  // 0=Sun … 6=Sat in local time
-
-  // Local date string YYYY-MM-DD (used for daily/weekly trend tracking)
-  const lY = localDate.getUTCFullYear();
-  const lM = String(localDate.getUTCMonth() + 1).padStart(2, '0');
-  const lD = String(localDate.getUTCDate()).padStart(2, '0');
-  const localDateStr = `${lY}-${lM}-${lD}`;
-
-  return { utcDate, localHour, localDayOfWeek, localDateStr };
-}
-
-/**
- * Normalize a raw voapps_timestamp string: replace "+00:00" suffix with "UTC".
- * All other offsets (e.g. "-05:00") are left unchanged.
- */
-function formatTimestamp(ts) {
-  if (!ts || typeof ts !== 'string') return ts;
-  return ts.replace(/\s\+00:00$/, ' UTC');
-}
-
-/**
- * Binary-search a campaign timestamp list (sorted by row index) to find the
- * entry whose index is closest to targetIdx. Returns the timestamp string or null.
- * tsList: Array<{ idx: number, ts: string }>, sorted ascending by idx.
- */
-function findNearestTs(tsList, targetIdx) {
-  if (!tsList || tsList.length === 0) return null;
-  let lo = 0, hi = tsList.length - 1;
-  while (lo < hi) {
-    const mid = (lo + hi) >> 1;
-    if (tsList[mid].idx < targetIdx) lo = mid + 1;
-    else hi = mid;
-  }
-  // lo = first entry with idx >= targetIdx
-  const prev = lo > 0 ? tsList[lo - 1] : null;
-  const next = lo < tsList.length ? tsList[lo] : null;
-  if (!prev && !next) return null;
-  if (!prev) return next.ts;
-  if (!next) return prev.ts;
-  const dp = Math.abs(prev.idx - targetIdx);
-  const dn = Math.abs(next.idx - targetIdx);
-  return dp <= dn ? prev.ts : next.ts;
-}
-
-/**
- * Convert a ms-epoch number to a "YYYY-MM-DD HH:MM:SS UTC" timestamp string.
- * Used to reconstruct a filled timestamp from campaignTsMap epoch entries.
- */
-function epochToTimestamp(ms) {
-  const d = new Date(ms);
-  const pad = n => String(n).padStart(2, '0');
-  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())} ` +
-         `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())} UTC`;
-}
-
-/**
- * Like findNearestTs but for lists whose entries carry { idx, tsMs } (epoch ms number)
- * instead of { idx, ts } (string).  Returns epoch ms or null.
- * Storing epoch numbers in campaignTsMap instead of strings saves ~80 bytes per entry
- * (~100 MB for a 1.4 M-row dataset) and reduces GC pressure during Phase 2 startup.
- */
-function findNearestTsMs(tsList, targetIdx) {
-  if (!tsList || tsList.length === 0) return null;
-  let lo = 0, hi = tsList.length - 1;
-  while (lo < hi) {
-    const mid = (lo + hi) >> 1;
-    if (tsList[mid].idx < targetIdx) lo = mid + 1; else hi = mid;
-  }
-  const prev = lo > 0 ? tsList[lo - 1] : null;
-  const next = lo < tsList.length ? tsList[lo] : null;
-  if (!prev && !next) return null;
-  if (!prev) return next.tsMs;
-  if (!next) return prev.tsMs;
-  return Math.abs(prev.idx - targetIdx) <= Math.abs(next.idx - targetIdx) ? prev.tsMs : next.tsMs;
-}
-
-/**
- * Get friendly timezone name from IANA or offset
- */
-function getTimezoneDisplayName(tzInfo) {
-  if (!tzInfo) return 'Unknown';
-
-  const ianaToFriendly = {
-    'America/New_York': 'Eastern Time (ET)',
-    'America/Chicago': 'Central Time (CT)',
-    'America/Denver': 'Mountain Time (MT)',
-    'America/Los_Angeles': 'Pacific Time (PT)',
-    'America/Anchorage': 'Alaska Time (AKT)',
-    'Pacific/Honolulu': 'Hawaii Time (HT)',
-    'UTC': 'UTC'
-  };
-
-  if (tzInfo.name && ianaToFriendly[tzInfo.name]) {
-    return ianaToFriendly[tzInfo.name];
-  }
-
-  // If we have an offset, show it with inferred name
-  if (tzInfo.offset) {
-    const offsetNames = {
-      '-05:00': 'Eastern Time (ET)',
-      '-06:00': 'Central Time (CT)',
-      '-07:00': 'Mountain Time (MT)',
-      '-08:00': 'Pacific Time (PT)',
-      '-04:00': 'Eastern Daylight Time (EDT)',
-      '+00:00': 'UTC'
-    };
-    return offsetNames[tzInfo.offset] || `UTC${tzInfo.offset}`;
-  }
-
-  return tzInfo.name || 'Unknown';
-}
-
-/**
- * Check if account/message is only used on specific days
- */
-function getDayUsagePattern(dayOfWeekCounts) {
-  const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-  const usedDays = [];
-  const total = dayOfWeekCounts.reduce((sum, c) => sum + c, 0);
-
-  if (total === 0) return { limited: false, days: [] };
-
-  for (let i = 0; i < 7; i++) {
-    if (dayOfWeekCounts[i] > total * 0.1) { // At least 10% of volume on this day
-      usedDays.push(dayNames[i]);
-    }
-  }
-
-  // Flag as limited only if 1-2 days qualify (at the 10% threshold), excluding Sunday-only patterns
-  const nonSundayUsed = usedDays.filter(d => d !== 'Sunday');
-
-  if (nonSundayUsed.length === 0 && usedDays.length === 0) {
-    // No day meets 10% threshold – very sparse data
-    return { limited: false, days: [] };
-  }
-
-  if (nonSundayUsed.length <= 2 && usedDays.length <= 3) {
-    // Truly limited to 1-3 days total (not just proportionally light on some days)
-    const dayList = usedDays.length > 0 ? usedDays : nonSundayUsed;
-    if (dayList.length === 0) return { limited: false, days: usedDays };
-    return {
-      limited: true,
-      days: usedDays,
-      recommendation: `Only used on ${dayList.join(' and ')}. Consumers who receive your message on a predictable day pattern begin to recognize and mentally categorize it as routine – reducing the likelihood they listen or call back. Rotating across additional days of the week makes your outreach feel less automated and more timely.`
-    };
-  }
-
-  // Check for severely disproportionate day usage (one day < 5% when all days used)
-  const dominantDays = [];
-  const lightDays = [];
-  for (let i = 0; i < 7; i++) {
-    const pct = dayOfWeekCounts[i] / total;
-    if (pct > 0 && pct < 0.05 && dayNames[i] !== 'Sunday') {
-      lightDays.push(`${dayNames[i]} (${(pct * 100).toFixed(1)}%)`);
-    } else if (pct >= 0.2) {
-      dominantDays.push(dayNames[i]);
-    }
-  }
-
-  if (lightDays.length > 0 && dominantDays.length > 0) {
-    return {
-      limited: true,
-      days: usedDays,
-      recommendation: `Volume is heavily concentrated on ${dominantDays.join(' and ')} – ${lightDays.join(', ')} received very little. Spreading attempts more evenly prevents consumers from developing a predictable "this is my weekly voicemail" expectation and increases the chance of catching them in a different mindset.`
-    };
-  }
-
-  return { limited: false, days: usedDays };
-}
-
-/**
- * Map offset to IANA timezone name
+ * Format a 0–1 confidence interval as '12.3–18.9%' ('' when there were no attempts).
  */
-function offsetToIANA(offset) {
-  const offsetToIanaMap = {
-    '-05:00': 'America/New_York',
-    '-04:00': 'America/New_York',  // EDT
-    '-06:00': 'America/Chicago',
-    '-05:00': 'America/Chicago',   // CDT (Note: overlaps with EST - context dependent)
-    '-07:00': 'America/Denver',
-    '-06:00': 'America/Denver',    // MDT
-    '-08:00': 'America/Los_Angeles',
-    '-07:00': 'America/Los_Angeles', // PDT
-    '-09:00': 'America/Anchorage',
-    '-10:00': 'Pacific/Honolulu',
-    '+00:00': 'UTC'
-  };
-  return offsetToIanaMap[offset] || null;
+function formatInterval(low, high) {
+  if (low === null || low === undefined) return '';
+  return `${(low * 100).toFixed(1)}–${(high * 100).toFixed(1)}%`;
 }
 
 /**
- * DST helpers for timezone mismatch detection
+ * Fill a "vs. Average" cell. Left blank when the rate's 95% interval includes the
+ * overall rate, so small samples are not called out as best or worst.
  */
-function nthWeekday(year, month, weekday, n) {
-  // Returns the Date (UTC) of the nth occurrence of weekday (0=Sun) in month (0-indexed) of year
-  let count = 0;
-  const d = new Date(Date.UTC(year, month, 1));
-  while (true) {
-    if (d.getUTCDay() === weekday) { count++; if (count === n) return new Date(d); }
-    d.setUTCDate(d.getUTCDate() + 1);
-    if (d.getUTCMonth() !== month) break;
-  }
-  return null;
-}
-
-function isDstTransitionSpan(minDate, maxDate) {
-  // Returns true if the date range straddles a US DST boundary
-  // (second Sunday of March = spring forward; first Sunday of November = fall back)
-  if (!minDate || !maxDate) return false;
-  const y1 = minDate.getUTCFullYear(), y2 = maxDate.getUTCFullYear();
-  for (let y = y1; y <= y2; y++) {
-    const springFwd = nthWeekday(y, 2, 0, 2);  // March, Sunday, 2nd
-    const fallBack  = nthWeekday(y, 10, 0, 1); // November, Sunday, 1st
-    if ((springFwd && minDate <= springFwd && springFwd <= maxDate) ||
-        (fallBack  && minDate <= fallBack  && fallBack  <= maxDate)) return true;
-  }
-  return false;
-}
-
-function parseOffsetToMinutes(offset) {
-  if (!offset) return 0;
-  const m = offset.match(/([+-])(\d{2}):(\d{2})/);
-  if (!m) return 0;
-  return (m[1] === '-' ? -1 : 1) * (parseInt(m[2]) * 60 + parseInt(m[3]));
-}
-
-/**
- * Check for timezone discrepancies between account settings and results
- * Returns array of discrepancies with recommendations
- */
-function detectTimezoneDiscrepancies(accountTimezones, accountResultTimezones, minDate, maxDate) {
-  const discrepancies = [];
-
-  // Compare each account's configured timezone with what appears in results
-  for (const [accountId, resultsOffset] of Object.entries(accountResultTimezones)) {
-    const configuredTz = accountTimezones[accountId];
-
-    if (!configuredTz || !resultsOffset) continue;
-
-    // Get expected offset for the configured timezone
-    const ianaToExpectedOffset = {
-      'America/New_York': ['-05:00', '-04:00'],      // EST/EDT
-      'America/Chicago': ['-06:00', '-05:00'],       // CST/CDT
-      'America/Denver': ['-07:00', '-06:00'],        // MST/MDT
-      'America/Los_Angeles': ['-08:00', '-07:00'],   // PST/PDT
-      'America/Anchorage': ['-09:00', '-08:00'],     // AKST/AKDT
-      'Pacific/Honolulu': ['-10:00'],                // HST (no DST)
-      'America/Phoenix': ['-07:00'],                 // MST (no DST)
-      'UTC': ['+00:00']
-    };
-
-    const expectedOffsets = ianaToExpectedOffset[configuredTz] || [];
-
-    if (expectedOffsets.length > 0 && !expectedOffsets.includes(resultsOffset)) {
-      // DST guard: if the configured timezone is a raw offset string (not an IANA name),
-      // it only has one entry in expectedOffsets. During a DST transition the detected
-      // offset will differ by exactly 60 minutes – suppress this as a false positive.
-      const detectedOffset = resultsOffset;
-      const configuredOffset = expectedOffsets[0]; // raw offset string has only one entry
-      if (expectedOffsets.length === 1) {
-        const hourDiff = Math.abs(parseOffsetToMinutes(detectedOffset) - parseOffsetToMinutes(configuredOffset));
-        if (hourDiff === 60 && isDstTransitionSpan(minDate, maxDate)) {
-          continue; // DST transition – not a real mismatch
-        }
-      }
-      discrepancies.push({
-        accountId,
-        configuredTimezone: configuredTz,
-        resultsOffset,
-        message: `Account ${accountId}: Configured as ${configuredTz}, but results show ${resultsOffset}`
-      });
-    }
+function writeVsAverage(cell, vsAverage) {
+  if (vsAverage === 'above') {
+    cell.value = 'Above average';
+    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'C6EFCE' } };
+    cell.font = { color: { argb: '375623' } };
+  } else if (vsAverage === 'below') {
+    cell.value = 'Below average';
+    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFC7CE' } };
+    cell.font = { color: { argb: '9C0006' } };
+  } else {
+    cell.value = '';
   }
-
-  return discrepancies;
 }
 
-// ============================================================================
-// MAIN ANALYSIS FUNCTION
-// ============================================================================
 
 /**
  * Auto-fits column widths based on the longest cell content in each column.
@@ -635,1283 +167,64 @@ function autoFitColumns(sheet, minWidth = 8, maxWidth = 60, skipCols = []) {
   }
 }
 
+// ============================================================================
+// EXCEL RENDERER
+// ============================================================================
+
 /**
- * Generate Delivery Intelligence Analysis Excel Workbook
- * @param {string|Array} csvInput - CSV file path, array of file paths, or array of row objects
+ * Write the Delivery Intelligence Analysis Excel workbook for an analysis result.
+ * @param {Object} analysis - Result of computeTrendMetrics()
  * @param {string} outputPath - Output Excel file path
- * @param {number} minConsecUnsuccessful - Minimum consecutive failures threshold
- * @param {number} minRunSpanDays - Minimum span days for consecutive runs
- * @param {Object} messageMap - Map of message_id to message metadata
- * @param {Object} callerMap - Map of caller_number to caller name
- * @param {Object} accountTimezones - Map of account_id to IANA timezone (e.g., { "12345": "America/Denver" })
- * @param {string} userTimezone - User's selected timezone (IANA name or 'VoApps')
- * @param {string} userTimezoneLabel - User's timezone label (e.g., "VoApps", "ET", "MT")
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDetailTabs] - TN Health / Variability / Number Summary tabs (default: when detail rows were computed)
+ * @param {boolean} [options.includeReAttemptTabs] - Re-attempt tabs (default: when re-attempt data was computed)
+ * @param {boolean} [options.includeSuppressionCandidates=true] - Suppression Candidates tab
+ * @param {Function} [options.progressCallback]
  */
-
-// Results that represent an actual delivery attempt reaching the carrier.
-// Only codes 200/400/405/406/407 – the five deliverable results.
-// Excluded: 300 expired, 301 canceled, 401 not wireless, 402 duplicate,
-// 403 invalid US number, 404 undeliverable, 408–410 config errors, 500–504 restricted.
-const DELIVERY_ATTEMPT_RESULTS = new Set([
-  'successfully delivered',        // 200
-  'unsuccessful delivery attempt', // 400
-  'not in service',                // 405
-  'voicemail not setup',           // 406
-  'voicemail full',                // 407
-]);
-
-async function generateTrendAnalysis(
-  csvInput,
-  outputPath,
-  minConsecUnsuccessful = 4,
-  minRunSpanDays = 30,
-  messageMap = {},
-  callerMap = {},
-  accountTimezones = {},
-  userTimezone = 'VoApps',
-  userTimezoneLabel = 'VoApps',
-  includeDetailTabs = false,
-  transcriptMap = {},
-  includeReAttemptTabs = false,
-  includeSuppressionCandidates = true,
-  pptxOptions = {},
-  progressCallback = null
-) {
-  log(`Starting Delivery Intelligence Analysis (v${VERSION})`);
-
-  // ── Shared containers populated by whichever input path runs below ──────────
-  const numberData = {};
-  const timezoneCounts = {};
-  const accountResultTimezones = {};
-  const CONFIG_ERROR_RESULTS = new Set([
-    'invalid message id',
-    'invalid caller number',
-    'prohibited self call'
-  ]);
-  const configErrors = {
-    'invalid message id':    { byCallerNumber: {}, byMessageId: {}, total: 0 },
-    'invalid caller number': { byCallerNumber: {}, byMessageId: {}, total: 0 },
-    'prohibited self call':  { byCallerNumber: {}, byMessageId: {}, total: 0 }
-  };
-  let minDate = null, maxDate = null, fourteenDaysAgo = null;
-  let detectedTimezone = 'Unknown (timestamps may be UTC)';
-  let timezoneDiscrepancies = [];
-  let accountMostCommonOffset = {};
-  let totalValidRows = 0;
-
-  // Non-deliverable row counts – for Executive Summary breakdown
-  const nonDeliverableCounts = {
-    'not a wireless number': 0,   // 401
-    'not a valid us number': 0,   // 403
-    'duplicate number':      0,   // 402
-    'undeliverable':         0,   // 404
-    'restricted':            0,   // 500-504 combined
-  };
-  let notUSPlaceholderRows = 0;   // 403 rows where the number is all-zero digits (e.g. 0000000000)
-
-  // Account / message / caller / time stats – populated inline during row processing
-  const accountStats = {};
-  const messageStats = {};
-  const callerStats = {};
-  const globalHourlyStats = {};
-  for (let h = 0; h < 24; h++) globalHourlyStats[h] = { successful: 0, unsuccessful: 0, total: 0 };
-  const globalDayStats = {};
-  for (let d = 0; d < 7; d++) globalDayStats[d] = { successful: 0, unsuccessful: 0, total: 0 };
-  const dailyStats = {}; // 'YYYY-MM-DD' → { attempts, successes }
-
-  // Normalise single-file string to one-element array so we always use the file-path path
-  if (typeof csvInput === 'string') csvInput = [csvInput];
-
-  if (Array.isArray(csvInput) && csvInput.length > 0 && typeof csvInput[0] === 'string') {
-    // ═══════════════════════════════════════════════════════════════════════════
-    // FILE-PATH INPUT – Two-phase streaming avoids loading 1M+ rows into RAM.
-    // Phase 1 builds a campaign→timestamp index (compact).
-    // Phase 2 streams rows directly into numberData (no csvRows array).
-    // ═══════════════════════════════════════════════════════════════════════════
-    const files = csvInput;
-    log(`Processing ${files.length} CSV file(s) with streaming...`);
-
-    // ── Phase 1: light scan – record first & last timestamped row per campaign ─
-    log('  Phase 1/2: Scanning campaign timestamps...');
-    // campaign_id → { firstIdx, firstMs, lastIdx, lastMs }
-    // Storing only the first and last timestamped row per campaign (rather than every
-    // row) reduces this map from ~1.26 M objects to one object per campaign, saving
-    // ~80-100 MB of heap for a 1.4 M-row dataset.
-    const campaignTsMap = new Map();
-    let scanIdx = 0;
-    for (const csvFile of files) {
-      await new Promise((resolve, reject) => {
-        Papa.parse(fs.createReadStream(csvFile, { encoding: 'utf8' }), {
-          header: true, skipEmptyLines: true,
-          transformHeader: h => h.trim().toLowerCase(),
-          chunk: results => {
-            for (const row of results.data) {
-              const ts = (row.voapps_timestamp || '').trim();
-              if (ts) {
-                const cid = (row.campaign_id || '').trim() || '__none__';
-                const parsed = parseTimestampLocal(formatTimestamp(ts));
-                const ms = parsed ? parsed.utcDate.getTime() : new Date(ts).getTime();
-                if (!isNaN(ms)) {
-                  if (!campaignTsMap.has(cid)) {
-                    campaignTsMap.set(cid, { firstIdx: scanIdx, firstMs: ms, lastIdx: scanIdx, lastMs: ms });
-                  } else {
-                    const e = campaignTsMap.get(cid);
-                    // scanIdx always increases, so firstIdx never needs updating
-                    if (scanIdx > e.lastIdx) { e.lastIdx = scanIdx; e.lastMs = ms; }
-                  }
-                }
-              }
-              scanIdx++;
-            }
-          },
-          complete: resolve, error: reject
-        });
-      });
-    }
-
-    // ── Phase 2: stream directly into numberData – no csvRows accumulation ────
-    if (progressCallback) progressCallback('Processing delivery records...');
-    log('  Phase 2/2: Processing rows...');
-    let rowIdx = 0;
-    for (const csvFile of files) {
-      log(`Reading: ${path.basename(csvFile)}`);
-      await new Promise((resolve, reject) => {
-        Papa.parse(fs.createReadStream(csvFile, { encoding: 'utf8' }), {
-          header: true, skipEmptyLines: true,
-          transformHeader: h => h.trim().toLowerCase(),
-          chunk: results => {
-            for (const row of results.data) {
-              if (!row.number || !row.voapps_result) { rowIdx++; continue; }
-
-              // ── Resolve and validate phone number ─────────────────────────────
-              const num = String(row.number).trim();
-              if (num.replace(/\D/g, '').length < 7) { rowIdx++; continue; } // skip malformed (e.g. "0")
-
-              // ── Fill and normalise timestamp ──────────────────────────────────
-              let ts = (row.voapps_timestamp || '').trim();
-              const _tsOriginal = !!ts; // true only if the row had a real timestamp in the CSV
-              if (!ts) {
-                // Fill missing timestamp from the campaign's first/last known timestamp.
-                // Using the closer of the two (by row index) gives a reasonable estimate
-                // without holding all 1.26 M per-row objects in memory.
-                const cid = (row.campaign_id || '').trim() || '__none__';
-                const e = campaignTsMap.get(cid);
-                if (e) {
-                  const useFirst = Math.abs(e.firstIdx - rowIdx) <= Math.abs(e.lastIdx - rowIdx);
-                  ts = epochToTimestamp(useFirst ? e.firstMs : e.lastMs);
-                } else if (row.target_date) {
-                  ts = `${row.target_date.trim()} 00:00:00 UTC`; // target_date fallback
-                }
-              } else {
-                ts = formatTimestamp(ts); // normalise +00:00 → UTC
-              }
-
-              // ── Parse timestamp ───────────────────────────────────────────────
-              const parsed       = ts ? parseTimestampLocal(ts) : null;
-              const parsedDate   = parsed ? parsed.utcDate : (ts ? new Date(ts) : new Date(0));
-              const pdOk         = parsedDate && !isNaN(parsedDate.getTime());
-              const localHour    = parsed ? parsed.localHour    : (pdOk ? parsedDate.getHours() : 0);
-              const localDow     = parsed ? parsed.localDayOfWeek : (pdOk ? parsedDate.getDay()  : 0);
-              const resultNorm   = String(row.voapps_result || '').trim().toLowerCase();
-              const isSuccess    = resultNorm === 'successfully delivered';
-              // Only count as a delivery attempt if the row had a real original timestamp.
-              // Proximity-inferred timestamps are used for sorting/display only.
-              const isDelivery   = _tsOriginal && DELIVERY_ATTEMPT_RESULTS.has(resultNorm);
-
-              // ── Non-deliverable tracking ──────────────────────────────────────
-              if (!isDelivery) {
-                if      (resultNorm === 'not a wireless number') nonDeliverableCounts['not a wireless number']++;
-                else if (resultNorm === 'not a valid us number') {
-                  nonDeliverableCounts['not a valid us number']++;
-                  if (/^0+$/.test(num.replace(/\D/g, ''))) notUSPlaceholderRows++;
-                }
-                else if (resultNorm === 'duplicate number')     nonDeliverableCounts['duplicate number']++;
-                else if (resultNorm === 'undeliverable')        nonDeliverableCounts['undeliverable']++;
-                else if (resultNorm.startsWith('restricted'))   nonDeliverableCounts['restricted']++;
-              }
-
-              // ── Timezone tracking ─────────────────────────────────────────────
-              if (ts) {
-                const tz = extractTimezone(ts);
-                if (tz) {
-                  timezoneCounts[tz.offset] = (timezoneCounts[tz.offset] || 0) + 1;
-                  const aid = row.account_id || 'Unknown';
-                  if (!accountResultTimezones[aid]) accountResultTimezones[aid] = {};
-                  accountResultTimezones[aid][tz.offset] = (accountResultTimezones[aid][tz.offset] || 0) + 1;
-                }
-              }
-
-              // ── Config error tracking ─────────────────────────────────────────
-              if (CONFIG_ERROR_RESULTS.has(resultNorm)) {
-                const entry = configErrors[resultNorm];
-                entry.total++;
-                const caller = row.caller_number || 'Unknown';
-                const msgId  = row.message_id   || 'Unknown';
-                entry.byCallerNumber[caller] = (entry.byCallerNumber[caller] || 0) + 1;
-                entry.byMessageId[msgId]     = (entry.byMessageId[msgId]     || 0) + 1;
-              }
-
-              // ── Global date range ─────────────────────────────────────────────
-              if (pdOk) {
-                if (!minDate || parsedDate < minDate) minDate = parsedDate;
-                if (!maxDate || parsedDate > maxDate) maxDate = parsedDate;
-              }
-
-              // ── Build / update numberData entry ───────────────────────────────
-              if (!numberData[num]) {
-                numberData[num] = {
-                  number: num, attempts: [], attemptIndex: 0,
-                  consecutiveFailures: 0, totalAttempts: 0,
-                  successCount: 0, unsuccessfulCount: 0, lastSuccessTimestamp: null,
-                  messageIds: {}, callerNumbers: {}, accountIds: {},
-                  hourCounts: new Uint16Array(24), dayOfWeekCounts: new Uint16Array(7),
-                  backToBackIdentical: 0, lastMessageId: null,
-                  currentSameStreak: 1, maxSameStreak: 0,
-                  _fpMs: null, _lpMs: null  // first/last attempt ms-epoch (replaces string storage)
-                };
-              }
-              const nd = numberData[num];
-              if (isDelivery) { nd.totalAttempts++; nd.attemptIndex++; }
-
-              // Track first/last attempt epoch ms – formatted to string at write time
-              if (ts && pdOk) {
-                const pdMs = parsedDate.getTime();
-                if (nd._fpMs === null || pdMs < nd._fpMs) nd._fpMs = pdMs;
-                if (nd._lpMs === null || pdMs > nd._lpMs) nd._lpMs = pdMs;
-              }
-
-              // Only push delivery attempts – non-deliverable rows (401, 403, 404, etc.) are
-              // never used in sort / consecRuns / attemptStats and excluding them saves
-              // hundreds of thousands of object allocations for large datasets.
-              if (isDelivery) {
-                nd.attempts.push({
-                  ts:          pdOk ? parsedDate.getTime() : 0,
-                  isSuccess,
-                  result:      resultNorm,
-                  attemptIndex: nd.attemptIndex, // already incremented above
-                      dateStr: parsed ? parsed.localDateStr : (pdOk ? parsedDate.toISOString().slice(0, 10) : null)
-                });
-              }
-              if (isDelivery) {
-                const msgId = row.message_id || 'Unknown';
-                nd.messageIds[msgId] = (nd.messageIds[msgId] || 0) + 1;
-                if (nd.lastMessageId === msgId) {
-                  nd.backToBackIdentical++;
-                  nd.currentSameStreak++;
-                } else {
-                  nd.currentSameStreak = 1;
-                }
-                if (nd.currentSameStreak > nd.maxSameStreak) nd.maxSameStreak = nd.currentSameStreak;
-                nd.lastMessageId = msgId;
-                nd.callerNumbers[row.caller_number || 'Unknown'] = (nd.callerNumbers[row.caller_number || 'Unknown'] || 0) + 1;
-                nd.accountIds[row.account_id || 'Unknown']       = (nd.accountIds[row.account_id || 'Unknown']       || 0) + 1;
-                nd.hourCounts[localHour]++; nd.dayOfWeekCounts[localDow]++;
-              }
-              if (isSuccess) {
-                nd.successCount++; nd.consecutiveFailures = 0;
-                nd.attemptIndex = 0; nd.lastSuccessTimestamp = pdOk ? parsedDate.getTime() : null;
-              } else if (isDelivery) {
-                nd.unsuccessfulCount++; nd.consecutiveFailures++;
-              }
-
-              // ── Inline account / message / caller / time stats ─────────────────
-              if (isDelivery) {
-                const aId = row.account_id || 'Unknown';
-                if (!accountStats[aId]) accountStats[aId] = { account_id: aId, successful: 0, unsuccessful: 0, total: 0, uniqueNumbers: 0, dayOfWeekCounts: new Uint16Array(7) };
-                accountStats[aId].total++; accountStats[aId].dayOfWeekCounts[localDow]++;
-                if (isSuccess) accountStats[aId].successful++; else accountStats[aId].unsuccessful++;
-
-                const mId = row.message_id || 'Unknown';
-                const mName = row.message_name || messageMap[mId]?.name || '';
-                if (!messageStats[mId]) {
-                  const txKey = `${aId}:${mId}`;
-                  const txData = transcriptMap[txKey] || null;
-                  messageStats[mId] = { message_id: mId, account_id: aId, message_name: mName, intent: txData?.intent || inferMessageIntent(mName), intent_summary: txData?.intent_summary || '', transcript: txData?.transcript || '', mentioned_phone: txData?.mentioned_phone || '', mentions_url: txData?.mentions_url || false, voice_append: false, successful: 0, unsuccessful: 0, total: 0, uniqueNumbers: 0, callerNumbers: {}, dayOfWeekCounts: new Uint16Array(7) };
-                }
-                if (row.voapps_voice_append) messageStats[mId].voice_append = true;
-                messageStats[mId].total++; messageStats[mId].dayOfWeekCounts[localDow]++;
-                if (isSuccess) messageStats[mId].successful++; else messageStats[mId].unsuccessful++;
-
-                const cNum = row.caller_number || 'Unknown';
-                const cName = row.caller_number_name || callerMap[cNum] || '';
-                if (!callerStats[cNum]) callerStats[cNum] = { caller_number: cNum, caller_name: cName, successful: 0, unsuccessful: 0, total: 0, uniqueNumbers: 0, dayOfWeekCounts: new Uint16Array(7) };
-                callerStats[cNum].total++; callerStats[cNum].dayOfWeekCounts[localDow]++;
-                if (isSuccess) callerStats[cNum].successful++; else callerStats[cNum].unsuccessful++;
-                messageStats[mId].callerNumbers[cNum] = (messageStats[mId].callerNumbers[cNum] || 0) + 1;
-
-                globalHourlyStats[localHour].total++;
-                if (isSuccess) globalHourlyStats[localHour].successful++; else globalHourlyStats[localHour].unsuccessful++;
-                globalDayStats[localDow].total++;
-                if (isSuccess) globalDayStats[localDow].successful++; else globalDayStats[localDow].unsuccessful++;
-
-                // Daily trend tracking
-                const dateKey = parsed ? parsed.localDateStr : (pdOk ? parsedDate.toISOString().slice(0, 10) : null);
-                if (dateKey) {
-                  const ds = dailyStats[dateKey] || (dailyStats[dateKey] = { attempts: 0, successes: 0 });
-                  ds.attempts++;
-                  if (isSuccess) ds.successes++;
-                }
-              }
-
-              totalValidRows++;
-              rowIdx++;
-            }
-          },
-          complete: () => { log(`  -> Processed ${totalValidRows.toLocaleString()} rows so far`); resolve(); },
-          error: reject
-        });
-      });
-    }
-
-    campaignTsMap.clear();
-    log(`Combined ${totalValidRows.toLocaleString()} valid records from ${files.length} file(s)`);
-
-    // ── Sort each number's attempts by timestamp, recompute order-dependent fields ──
-    // Streaming may encounter rows out of chronological order within a number,
-    // so we sort here before any downstream code relies on ordering.
-    log('Sorting per-number attempts and recomputing attempt indices...');
-    for (const num in numberData) {
-      const nd = numberData[num];
-      nd._fpMs = null; nd._lpMs = null; // null not delete – avoids V8 dictionary-mode transition
-      if (nd.attempts.length > 1) {
-        nd.attempts.sort((a, b) => a.ts - b.ts);
-        let aidx = 0, consecFails = 0, lastSuccTs = null;
-        for (const att of nd.attempts) {
-          att.attemptIndex = ++aidx;
-          if (att.isSuccess) { aidx = 0; consecFails = 0; lastSuccTs = att.ts; }
-          else consecFails++;
-        }
-        nd.consecutiveFailures = consecFails;
-        nd.attemptIndex = aidx;
-        if (lastSuccTs !== null) nd.lastSuccessTimestamp = lastSuccTs; // stored as ms-epoch
-      }
-    }
-
-    // ── Derive timezone variables from data collected during streaming ────────
-    for (const [aid, offsets] of Object.entries(accountResultTimezones)) {
-      let maxAcc = 0, best = null;
-      for (const [off, cnt] of Object.entries(offsets)) { if (cnt > maxAcc) { maxAcc = cnt; best = off; } }
-      accountMostCommonOffset[aid] = best;
-    }
-    let maxTzCnt = 0, bestOffset = null;
-    for (const [off, cnt] of Object.entries(timezoneCounts)) { if (cnt > maxTzCnt) { maxTzCnt = cnt; bestOffset = off; } }
-    detectedTimezone = bestOffset ? getTimezoneDisplayName({ offset: bestOffset }) : 'Unknown (timestamps may be UTC)';
-    log(`Detected timezone: ${detectedTimezone} (from ${maxTzCnt.toLocaleString()} timestamps)`);
-    timezoneDiscrepancies = detectTimezoneDiscrepancies(accountTimezones, accountMostCommonOffset, minDate, maxDate);
-    if (timezoneDiscrepancies.length > 0) log(`⚠️  Found ${timezoneDiscrepancies.length} timezone discrepancy(ies) between account settings and results`);
-    fourteenDaysAgo = maxDate ? new Date(maxDate.getTime() - 14 * 24 * 60 * 60 * 1000) : null;
-
-  } else {
-    // ═══════════════════════════════════════════════════════════════════════════
-    // ROW-ARRAY INPUT – existing flow with missing-timestamp pre-fill added.
-    // ═══════════════════════════════════════════════════════════════════════════
-    const csvRows = Array.isArray(csvInput) ? csvInput : [];
-    log(`Processing ${csvRows.length.toLocaleString()} row objects`);
-    if (csvRows.length === 0) throw new Error('No data found in CSV input');
-
-    // ── Pre-fill missing timestamps using campaign proximity lookup ───────────
-    {
-      const ctsMap = new Map();
-      for (let i = 0; i < csvRows.length; i++) {
-        const ts = (csvRows[i].voapps_timestamp || '').trim();
-        if (ts) {
-          const cid = (csvRows[i].campaign_id || '').trim() || '__none__';
-          if (!ctsMap.has(cid)) ctsMap.set(cid, []);
-          ctsMap.get(cid).push({ idx: i, ts: formatTimestamp(ts) });
-        }
-      }
-      for (let i = 0; i < csvRows.length; i++) {
-        const ts = (csvRows[i].voapps_timestamp || '').trim();
-        if (!ts) {
-          // Mark as inferred – proximity-filled timestamps are used for sorting/display only,
-          // not for delivery attempt counts or figures.
-          csvRows[i]._tsOriginal = false;
-          const cid = (csvRows[i].campaign_id || '').trim() || '__none__';
-          const filled = findNearestTs(ctsMap.get(cid), i);
-          if (filled) {
-            csvRows[i].voapps_timestamp = filled;
-          } else if (csvRows[i].target_date) {
-            csvRows[i].voapps_timestamp = `${csvRows[i].target_date.trim()} 00:00:00 UTC`;
-          }
-        } else {
-          csvRows[i]._tsOriginal = true;
-          csvRows[i].voapps_timestamp = formatTimestamp(ts);
-        }
-      }
-      ctsMap.clear();
-    }
-
-    // ── Filter and enrich ─────────────────────────────────────────────────────
-    const validRows = csvRows.filter(row => row.number && row.voapps_result && String(row.number).replace(/\D/g, '').length >= 7);
-    log(`Valid rows: ${validRows.length.toLocaleString()}`);
-
-    for (const row of validRows) {
-      const tz = extractTimezone(row.voapps_timestamp);
-      if (tz) {
-        timezoneCounts[tz.offset] = (timezoneCounts[tz.offset] || 0) + 1;
-        const aid = row.account_id || 'Unknown';
-        if (!accountResultTimezones[aid]) accountResultTimezones[aid] = {};
-        accountResultTimezones[aid][tz.offset] = (accountResultTimezones[aid][tz.offset] || 0) + 1;
-      }
-    }
-    for (const [aid, offsets] of Object.entries(accountResultTimezones)) {
-      let maxAcc = 0, best = null;
-      for (const [off, cnt] of Object.entries(offsets)) { if (cnt > maxAcc) { maxAcc = cnt; best = off; } }
-      accountMostCommonOffset[aid] = best;
-    }
-    let maxTzCnt2 = 0, bestOffset2 = null;
-    for (const [off, cnt] of Object.entries(timezoneCounts)) { if (cnt > maxTzCnt2) { maxTzCnt2 = cnt; bestOffset2 = off; } }
-    detectedTimezone = bestOffset2 ? getTimezoneDisplayName({ offset: bestOffset2 }) : 'Unknown (timestamps may be UTC)';
-    log(`Detected timezone: ${detectedTimezone} (from ${maxTzCnt2.toLocaleString()} timestamps)`);
-    timezoneDiscrepancies = detectTimezoneDiscrepancies(accountTimezones, accountMostCommonOffset, minDate, maxDate);
-    if (timezoneDiscrepancies.length > 0) log(`⚠️  Found ${timezoneDiscrepancies.length} timezone discrepancy(ies) between account settings and results`);
-
-    // Enrich, sort, and process in as few passes as possible to keep peak memory low.
-    // Key savings vs. original:
-    //   • row.parsedMs (epoch number, 8 bytes) replaces row.parsedDate (Date object, ~128 bytes)
-    //     → saves ~168 MB for 1.4 M rows
-    //   • Three separate passes merged into two (enrich → sort → build numberData)
-    //   • validRows[i] nulled out as each row is consumed so GC can collect incrementally
-    //   • Only delivery attempts pushed to nd.attempts (same as streaming path)
-
-    log('Parsing timestamps and enriching data...');
-    for (const row of validRows) {
-      const parsed = parseTimestampLocal(row.voapps_timestamp);
-      const _pd    = parsed ? parsed.utcDate : new Date(row.voapps_timestamp);
-      const _ok    = _pd && !isNaN(_pd.getTime());
-      row.parsedMs      = _ok ? _pd.getTime() : null; // epoch number – no long-lived Date on row
-      row.localHour     = parsed ? parsed.localHour      : (_ok ? _pd.getHours() : 0);
-      row.localDayOfWeek = parsed ? parsed.localDayOfWeek : (_ok ? _pd.getDay()   : 0);
-      row.localDateStr  = parsed ? parsed.localDateStr   : (_ok ? _pd.toISOString().slice(0, 10) : null);
-      row.voapps_result_normalized = String(row.voapps_result || '').trim().toLowerCase();
-      row.isSuccess        = row.voapps_result_normalized === 'successfully delivered';
-      // Only count as a delivery attempt if the row had a real original timestamp.
-      // Proximity-inferred timestamps are used for sorting/display only.
-      row.isDeliveryAttempt = !!row._tsOriginal &&
-        DELIVERY_ATTEMPT_RESULTS.has(row.voapps_result_normalized);
-
-      // Non-deliverable tracking
-      if (!row.isDeliveryAttempt) {
-        const rn   = row.voapps_result_normalized;
-        const num2 = String(row.number).trim();
-        if      (rn === 'not a wireless number') nonDeliverableCounts['not a wireless number']++;
-        else if (rn === 'not a valid us number') {
-          nonDeliverableCounts['not a valid us number']++;
-          if (/^0+$/.test(num2.replace(/\D/g, ''))) notUSPlaceholderRows++;
-        }
-        else if (rn === 'duplicate number')   nonDeliverableCounts['duplicate number']++;
-        else if (rn === 'undeliverable')      nonDeliverableCounts['undeliverable']++;
-        else if (rn.startsWith('restricted')) nonDeliverableCounts['restricted']++;
-      }
-    }
-
-    log('Sorting rows by date...');
-    validRows.sort((a, b) => (a.parsedMs || 0) - (b.parsedMs || 0));
-
-    // Single pass: build numberData + config errors + date range.
-    // validRows[i] is nulled after each row is consumed so GC can reclaim row objects
-    // incrementally rather than holding all 1.4 M in memory until the loop ends.
-    log('Building number-level data with attempt indexing...');
-    let minMs = null, maxMs = null;
-    for (let _i = 0; _i < validRows.length; _i++) {
-      const row = validRows[_i];
-      validRows[_i] = null; // release reference – allows GC to collect this row object
-
-      // Config error tracking (merged from separate loop)
-      if (CONFIG_ERROR_RESULTS.has(row.voapps_result_normalized)) {
-        const entry = configErrors[row.voapps_result_normalized];
-        entry.total++;
-        entry.byCallerNumber[row.caller_number || 'Unknown'] = (entry.byCallerNumber[row.caller_number || 'Unknown'] || 0) + 1;
-        entry.byMessageId[row.message_id || 'Unknown']       = (entry.byMessageId[row.message_id || 'Unknown']       || 0) + 1;
-      }
-
-      // Date range (merged from separate loop)
-      if (row.parsedMs) {
-        if (minMs === null || row.parsedMs < minMs) minMs = row.parsedMs;
-        if (maxMs === null || row.parsedMs > maxMs) maxMs = row.parsedMs;
-      }
-
-      const num = row.number;
-      if (!numberData[num]) {
-        numberData[num] = {
-          number: num, attempts: [], attemptIndex: 0,
-          consecutiveFailures: 0, totalAttempts: 0,
-          successCount: 0, unsuccessfulCount: 0, lastSuccessTimestamp: null,
-          messageIds: {}, callerNumbers: {}, accountIds: {},
-          hourCounts: new Uint16Array(24), dayOfWeekCounts: new Uint16Array(7),
-          backToBackIdentical: 0, lastMessageId: null,
-          _fpMs: null, _lpMs: null  // first/last attempt ms-epoch
-        };
-      }
-      const nd = numberData[num];
-      if (row.isDeliveryAttempt) { nd.totalAttempts++; nd.attemptIndex++; }
-
-      // Only push delivery attempts – non-deliverable rows never appear in consecRuns
-      // or attemptStats, and excluding them saves substantial memory for large datasets.
-      if (row.isDeliveryAttempt) {
-        nd.attempts.push({
-          ts:          row.parsedMs || 0,
-          isSuccess:   row.isSuccess,
-          result:      row.voapps_result_normalized,
-          attemptIndex: nd.attemptIndex,   // already incremented above
-          dateStr: row.localDateStr
-        });
-      }
-
-      // Track first/last attempt epoch ms – formatted to string at write time
-      if (row.parsedMs) {
-        if (nd._fpMs === null || row.parsedMs < nd._fpMs) nd._fpMs = row.parsedMs;
-        if (nd._lpMs === null || row.parsedMs > nd._lpMs) nd._lpMs = row.parsedMs;
-      }
-      if (row.isDeliveryAttempt) {
-        const msgId = row.message_id || 'Unknown';
-        nd.messageIds[msgId] = (nd.messageIds[msgId] || 0) + 1;
-        if (nd.lastMessageId && nd.lastMessageId === msgId) nd.backToBackIdentical++;
-        nd.lastMessageId = msgId;
-        nd.callerNumbers[row.caller_number || 'Unknown'] = (nd.callerNumbers[row.caller_number || 'Unknown'] || 0) + 1;
-        nd.accountIds[row.account_id || 'Unknown']       = (nd.accountIds[row.account_id || 'Unknown']       || 0) + 1;
-        nd.hourCounts[row.localHour]++; nd.dayOfWeekCounts[row.localDayOfWeek]++;
-      }
-      if (row.isSuccess) {
-        nd.successCount++; nd.consecutiveFailures = 0;
-        nd.attemptIndex = 0; nd.lastSuccessTimestamp = row.parsedMs || null;
-      } else if (row.isDeliveryAttempt) {
-        nd.unsuccessfulCount++; nd.consecutiveFailures++;
-      }
-
-      // ── Inline account / message / caller / time stats (same as file-path path) ──
-      if (row.isDeliveryAttempt) {
-        const num2 = row.number; // already available as `num` above
-        const aId = row.account_id || 'Unknown';
-        if (!accountStats[aId]) accountStats[aId] = { account_id: aId, successful: 0, unsuccessful: 0, total: 0, uniqueNumbers: 0, dayOfWeekCounts: new Uint16Array(7) };
-        accountStats[aId].total++; accountStats[aId].dayOfWeekCounts[row.localDayOfWeek]++;
-        if (row.isSuccess) accountStats[aId].successful++; else accountStats[aId].unsuccessful++;
-
-        const mId = row.message_id || 'Unknown';
-        const mName = row.message_name || messageMap[mId]?.name || '';
-        if (!messageStats[mId]) {
-          const txKey = `${aId}:${mId}`;
-          const txData = transcriptMap[txKey] || null;
-          messageStats[mId] = { message_id: mId, account_id: aId, message_name: mName, intent: txData?.intent || inferMessageIntent(mName), intent_summary: txData?.intent_summary || '', transcript: txData?.transcript || '', mentioned_phone: txData?.mentioned_phone || '', mentions_url: txData?.mentions_url || false, voice_append: false, successful: 0, unsuccessful: 0, total: 0, uniqueNumbers: 0, callerNumbers: {}, dayOfWeekCounts: new Uint16Array(7) };
-        }
-        if (row.voapps_voice_append) messageStats[mId].voice_append = true;
-        messageStats[mId].total++; messageStats[mId].dayOfWeekCounts[row.localDayOfWeek]++;
-        if (row.isSuccess) messageStats[mId].successful++; else messageStats[mId].unsuccessful++;
-
-        const cNum = row.caller_number || 'Unknown';
-        const cName = row.caller_number_name || callerMap[cNum] || '';
-        if (!callerStats[cNum]) callerStats[cNum] = { caller_number: cNum, caller_name: cName, successful: 0, unsuccessful: 0, total: 0, uniqueNumbers: 0, dayOfWeekCounts: new Uint16Array(7) };
-        callerStats[cNum].total++; callerStats[cNum].dayOfWeekCounts[row.localDayOfWeek]++;
-        if (row.isSuccess) callerStats[cNum].successful++; else callerStats[cNum].unsuccessful++;
-        messageStats[mId].callerNumbers[cNum] = (messageStats[mId].callerNumbers[cNum] || 0) + 1;
-
-        globalHourlyStats[row.localHour].total++;
-        if (row.isSuccess) globalHourlyStats[row.localHour].successful++; else globalHourlyStats[row.localHour].unsuccessful++;
-        globalDayStats[row.localDayOfWeek].total++;
-        if (row.isSuccess) globalDayStats[row.localDayOfWeek].successful++; else globalDayStats[row.localDayOfWeek].unsuccessful++;
-
-        // Daily trend tracking
-        if (row.localDateStr) {
-          const ds = dailyStats[row.localDateStr] || (dailyStats[row.localDateStr] = { attempts: 0, successes: 0 });
-          ds.attempts++;
-          if (row.isSuccess) ds.successes++;
-        }
-      }
-
-      totalValidRows++;
-    }
-    // Convert epoch extremes → Date objects used by shared code below
-    minDate         = minMs ? new Date(minMs) : null;
-    maxDate         = maxMs ? new Date(maxMs) : null;
-    fourteenDaysAgo = maxDate ? new Date(maxDate.getTime() - 14 * 24 * 60 * 60 * 1000) : null;
-
-    // Free raw row arrays – numberData holds all per-number state
-    csvRows.length = 0;
-    validRows.length = 0;
-  }
-
-  const hasConfigErrors = Object.values(configErrors).some(e => e.total > 0);
-  const uniqueNumbers = Object.keys(numberData).length;
-  log(`Analyzed ${uniqueNumbers.toLocaleString()} unique numbers`);
-  if (progressCallback) progressCallback('Computing delivery statistics...');
-
-  // ============================================================================
-  // CALCULATE SUCCESS PROBABILITY BY ATTEMPT INDEX
-  // ============================================================================
-
-  log('Calculating success probability by attempt index...');
-  const attemptStats = {};  // attemptIndex -> { successful, total }
-
-  for (const num in numberData) {
-    for (const attempt of numberData[num].attempts) {
-      const idx = Math.min(attempt.attemptIndex, 10);  // Cap at 10 for grouping
-      if (!attemptStats[idx]) {
-        attemptStats[idx] = { successful: 0, total: 0 };
-      }
-      attemptStats[idx].total++;
-      if (attempt.isSuccess) {
-        attemptStats[idx].successful++;
-      }
-    }
-  }
-
-  // Calculate probabilities
-  const decayCurve = [];
-  for (let i = 1; i <= 10; i++) {
-    const stats = attemptStats[i] || { successful: 0, total: 0 };
-    const prob = stats.total > 0 ? stats.successful / stats.total : 0;
-    decayCurve.push({
-      attemptIndex: i === 10 ? '10+' : i,
-      total: stats.total,
-      successful: stats.successful,
-      probability: prob
-    });
-  }
-
-  // ============================================================================
-  // COMPUTE DELIVERY CADENCE (interval between consecutive attempts per number)
-  // ============================================================================
-  log('Computing delivery cadence stats...');
-  let cadenceSingleTouch = 0;
-  let cadenceBucket_sameDay = 0; // any pair on the same calendar date
-  let cadenceBucket_1to2    = 0; // 1–2 days
-  let cadenceBucket_3to5    = 0; // 3–5 days
-  let cadenceBucket_6to10   = 0; // 6–10 days
-  let cadenceBucket_11to15  = 0; // 11–15 days
-  let cadenceBucket_16to30  = 0; // 16–30 days
-  let cadenceBucket_over30  = 0; // > 30 days
-  const _cadenceMedians = [];
-  for (const num in numberData) {
-    const atts = numberData[num].attempts;
-    if (atts.length === 0) continue;
-    if (atts.length === 1) { cadenceSingleTouch++; continue; }
-    // Ensure time-ordered – streaming path already sorted in place; row-array path may not be
-    if (atts[0].ts > atts[atts.length - 1].ts) atts.sort((a, b) => a.ts - b.ts);
-    const intervals = [];
-    let hasSameDayPair = false; // true if any consecutive pair fell on the same calendar date
-    for (let i = 1; i < atts.length; i++) {
-      const diff = (atts[i].ts - atts[i - 1].ts) / 86400000; // ms → days
-      if (diff >= 0) intervals.push(diff);
-      if (atts[i].dateStr && atts[i].dateStr === atts[i - 1].dateStr) hasSameDayPair = true;
-    }
-    if (intervals.length === 0) { cadenceSingleTouch++; continue; }
-    intervals.sort((a, b) => a - b);
-    const cMid = Math.floor(intervals.length / 2);
-    const med = intervals.length % 2 === 0
-      ? (intervals[cMid - 1] + intervals[cMid]) / 2
-      : intervals[cMid];
-    _cadenceMedians.push(med);
-    if (hasSameDayPair)   cadenceBucket_sameDay++;
-    else if (med <= 2)  cadenceBucket_1to2++;
-    else if (med <= 5)  cadenceBucket_3to5++;
-    else if (med <= 10) cadenceBucket_6to10++;
-    else if (med <= 15) cadenceBucket_11to15++;
-    else if (med <= 30) cadenceBucket_16to30++;
-    else                cadenceBucket_over30++;
-  }
-  _cadenceMedians.sort((a, b) => a - b);
-  let cadenceOverallMedian = null;
-  if (_cadenceMedians.length > 0) {
-    const cMid = Math.floor(_cadenceMedians.length / 2);
-    cadenceOverallMedian = _cadenceMedians.length % 2 === 0
-      ? (_cadenceMedians[cMid - 1] + _cadenceMedians[cMid]) / 2
-      : _cadenceMedians[cMid];
-  }
-  _cadenceMedians.length = 0; // free
-  const cadenceMultiTouchCount = cadenceBucket_sameDay + cadenceBucket_1to2 +
-    cadenceBucket_3to5 + cadenceBucket_6to10 + cadenceBucket_11to15 +
-    cadenceBucket_16to30 + cadenceBucket_over30;
-
-  // ============================================================================
-  // RE-ATTEMPT ANALYSIS
-  // ============================================================================
-  const RE_ATTEMPT_CODES = [
-    'successfully delivered',
-    'unsuccessful delivery attempt',
-    'not in service',
-    'voicemail not setup',
-    'voicemail full'
-  ];
-  const TIMING_BUCKETS = ['sameDay', 'day1to2', 'day2to3', 'day4to7', 'day8plus'];
-
-  let reAttemptData = null;
-
-  if (includeReAttemptTabs) {
-    log('Computing re-attempt analysis...');
-
-    // Transition matrix: transMatrix[from][to] = count of consecutive-attempt pairs
-    const transMatrix = {};
-    const transRowTotals = {};
-    for (const fc of RE_ATTEMPT_CODES) {
-      transMatrix[fc] = {};
-      transRowTotals[fc] = 0;
-      for (const tc of RE_ATTEMPT_CODES) transMatrix[fc][tc] = 0;
-    }
-
-    // Funnel by initial result code
-    const funnelByCode = {};
-    for (const fc of RE_ATTEMPT_CODES) {
-      funnelByCode[fc] = { at1: 0, at2: 0, at3: 0, at4plus: 0, neverDelivered: 0, total: 0 };
-    }
-
-    // Retry timing matrix: timingMatrix[from][bucket].{total, nextSuccess}
-    const timingMatrix = {};
-    for (const fc of RE_ATTEMPT_CODES) {
-      timingMatrix[fc] = {};
-      for (const b of TIMING_BUCKETS) timingMatrix[fc][b] = { total: 0, nextSuccess: 0 };
-    }
-
-    // Eventually delivered counts per initial code
-    const eventuallyDelivered = {};
-    for (const fc of RE_ATTEMPT_CODES) eventuallyDelivered[fc] = { delivered: 0, total: 0 };
-
-    // Multi-attempt delivery stats
-    let totalMultiAttemptNumbers = 0;
-    let sumAttemptsToDelivery = 0; // for non-first-attempt successes
-    let countNonFirstAttemptDeliveries = 0;
-    let sumDaysFirstToDelivery = 0;
-    let sumTotalAttemptsAmongDelivered = 0;
-    let countDeliveredNumbers = 0;
-    let sumSuccessCountAmongDelivered = 0;
-
-    for (const num in numberData) {
-      const atts = numberData[num].attempts;
-      if (atts.length < 2) continue;
-      totalMultiAttemptNumbers++;
-
-      // Ensure time-ordered
-      if (atts[0].ts > atts[atts.length - 1].ts) atts.sort((a, b) => a.ts - b.ts);
-
-      const firstResult = atts[0].result;
-      if (!firstResult || !transMatrix[firstResult]) continue;
-
-      // Eventually delivered?
-      const firstSuccessIdx = atts.findIndex(a => a.isSuccess);
-      const everDelivered = firstSuccessIdx !== -1;
-      if (eventuallyDelivered[firstResult]) {
-        eventuallyDelivered[firstResult].total++;
-        if (everDelivered) eventuallyDelivered[firstResult].delivered++;
-      }
-
-      // Multi-attempt delivery stats
-      const nd2 = numberData[num];
-      if (everDelivered) {
-        countDeliveredNumbers++;
-        sumTotalAttemptsAmongDelivered += atts.length;
-        sumSuccessCountAmongDelivered += nd2.successCount;
-        if (firstSuccessIdx > 0) {
-          // First success was NOT on attempt 1
-          countNonFirstAttemptDeliveries++;
-          sumAttemptsToDelivery += firstSuccessIdx + 1; // 1-based
-          if (atts[0].ts > 0 && atts[firstSuccessIdx].ts > 0) {
-            sumDaysFirstToDelivery += (atts[firstSuccessIdx].ts - atts[0].ts) / 86400000;
-          }
-        }
-      }
-
-      // Funnel: which attempt# was the first success?
-      if (funnelByCode[firstResult]) {
-        funnelByCode[firstResult].total++;
-        if      (!everDelivered)        funnelByCode[firstResult].neverDelivered++;
-        else if (firstSuccessIdx === 0) funnelByCode[firstResult].at1++;
-        else if (firstSuccessIdx === 1) funnelByCode[firstResult].at2++;
-        else if (firstSuccessIdx === 2) funnelByCode[firstResult].at3++;
-        else                            funnelByCode[firstResult].at4plus++;
-      }
-
-      // Transition matrix + timing
-      for (let i = 0; i < atts.length - 1; i++) {
-        const from = atts[i].result;
-        const to   = atts[i + 1].result;
-        if (!from || !to || transMatrix[from] === undefined || transMatrix[from][to] === undefined) continue;
-        transMatrix[from][to]++;
-        transRowTotals[from]++;
-
-        // Timing bucket
-        if (timingMatrix[from]) {
-          const diffDays = (atts[i + 1].ts - atts[i].ts) / 86400000;
-          const bucket = (atts[i].dateStr && atts[i].dateStr === atts[i + 1].dateStr) ? 'sameDay'
-                       : diffDays <= 2     ? 'day1to2'
-                       : diffDays <= 3     ? 'day2to3'
-                       : diffDays <= 7     ? 'day4to7'
-                       :                    'day8plus';
-          timingMatrix[from][bucket].total++;
-          if (atts[i + 1].isSuccess) timingMatrix[from][bucket].nextSuccess++;
-        }
-      }
-    }
-
-    // Retention funnel for PPTX visual: count of numbers with at least N attempts
-    const retentionFunnel = [];
-    for (let n = 1; n <= 6; n++) {
-      let count = 0, delivered = 0;
-      for (const nd of Object.values(numberData)) {
-        if (nd.attempts.length >= n) {
-          count++;
-          if (nd.attempts.some(a => a.isSuccess)) delivered++;
-        }
-      }
-      if (count === 0) break;
-      retentionFunnel.push({ n, count, delivered });
-    }
-
-    reAttemptData = {
-      transMatrix, transRowTotals, funnelByCode, timingMatrix,
-      eventuallyDelivered, retentionFunnel,
-      totalMultiAttemptNumbers,
-      avgAttemptsToDelivery: countNonFirstAttemptDeliveries > 0
-        ? sumAttemptsToDelivery / countNonFirstAttemptDeliveries : null,
-      avgDaysFirstToDelivery: countNonFirstAttemptDeliveries > 0
-        ? sumDaysFirstToDelivery / countNonFirstAttemptDeliveries : null,
-      avgTotalAttemptsAmongDelivered: countDeliveredNumbers > 0
-        ? sumTotalAttemptsAmongDelivered / countDeliveredNumbers : null,
-      avgSuccessCountAmongDelivered: countDeliveredNumbers > 0
-        ? sumSuccessCountAmongDelivered / countDeliveredNumbers : null,
-      countNonFirstAttemptDeliveries,
-      RE_ATTEMPT_CODES, TIMING_BUCKETS
-    };
-    log(`  Re-attempt analysis complete: ${totalMultiAttemptNumbers.toLocaleString()} multi-touch numbers`);
-  }
-
-  // ============================================================================
-  // BUILD ACCOUNT AND MESSAGE LEVEL STATS WITH DAY-OF-WEEK ANALYSIS
-  // ============================================================================
-  // Stats are built inline during row processing above – no separate pass needed.
-  log('Building account and message level stats...');
-
-
-  // Check for day-of-week patterns in accounts and messages
-  const accountDayRecommendations = [];
-  const messageDayRecommendations = [];
-
-  for (const accountId in accountStats) {
-    const pattern = getDayUsagePattern(accountStats[accountId].dayOfWeekCounts);
-    if (pattern.limited) {
-      accountDayRecommendations.push({
-        type: 'Account',
-        id: accountId,
-        days: pattern.days.join(', '),
-        recommendation: pattern.recommendation
-      });
-    }
-  }
-
-  for (const msgId in messageStats) {
-    const pattern = getDayUsagePattern(messageStats[msgId].dayOfWeekCounts);
-    if (pattern.limited) {
-      messageDayRecommendations.push({
-        type: 'Message',
-        id: msgId,
-        name: messageStats[msgId].message_name,
-        days: pattern.days.join(', '),
-        recommendation: pattern.recommendation
-      });
-    }
-  }
-
-  // ============================================================================
-  // CLASSIFY TN HEALTH AND CALCULATE VARIABILITY SCORES
-  // ============================================================================
-
-  log('Classifying TN health and calculating variability scores...');
-
-  let healthyCount = 0, toxicCount = 0, neverDeliveredCount = 0;
-  const numberSummaryArray = [];
-
-  for (const num in numberData) {
-    const nd = numberData[num];
-    // Skip numbers that only ever appeared in non-deliverable rows (e.g. 0000000000 / 403-only).
-    // They have no delivery attempt data to analyze and would pollute the summary.
-    if (nd.totalAttempts === 0) continue;
-    const successRate = nd.totalAttempts > 0 ? nd.successCount / nd.totalAttempts : 0;
-
-    // Check for recent success (within 14 days of max date)
-    const recentSuccess = nd.lastSuccessTimestamp && fourteenDaysAgo &&
-                          nd.lastSuccessTimestamp >= fourteenDaysAgo;
-
-    // Never Delivered flag
-    const neverDelivered = nd.successCount === 0;
-    if (neverDelivered) neverDeliveredCount++;
-
-    // TN Health Classification
-    const tnHealth = classifyTNHealth(successRate, nd.consecutiveFailures, nd.totalAttempts, recentSuccess);
-    if (tnHealth === 'Healthy') healthyCount++;
-    else if (tnHealth === 'Delivery Unlikely') toxicCount++;
-
-    // Calculate variability metrics
-    const uniqueMessages = Object.keys(nd.messageIds).length;
-    const uniqueCallers = Object.keys(nd.callerNumbers).length;
-
-    // Find top message
-    let topMsgId = 'Unknown', topMsgCount = 0;
-    for (const msgId in nd.messageIds) {
-      if (nd.messageIds[msgId] > topMsgCount) {
-        topMsgCount = nd.messageIds[msgId];
-        topMsgId = msgId;
-      }
-    }
-    const topMsgPct = nd.totalAttempts > 0 ? topMsgCount / nd.totalAttempts : 0;
-    const topMsgName = nd.attempts.find(a => a.message_id === topMsgId)?.message_name ||
-                       messageMap[topMsgId]?.name || '';
-
-    // Find top caller
-    let topCallerNum = 'Unknown', topCallerCount = 0;
-    for (const callerNum in nd.callerNumbers) {
-      if (nd.callerNumbers[callerNum] > topCallerCount) {
-        topCallerCount = nd.callerNumbers[callerNum];
-        topCallerNum = callerNum;
-      }
-    }
-    const topCallerPct = nd.totalAttempts > 0 ? topCallerCount / nd.totalAttempts : 0;
-    const topCallerName = nd.attempts.find(a => a.caller_number === topCallerNum)?.caller_number_name ||
-                          callerMap[topCallerNum] || '';
-
-    // Day of week entropy (max entropy = log2(7) ~ 2.807)
-    const dayEntropy = calculateEntropy(nd.dayOfWeekCounts);
-    const maxDayEntropy = Math.log2(7);
-    const dayEntropyNormalized = maxDayEntropy > 0 ? dayEntropy / maxDayEntropy : 0;
-
-    // Hour variance
-    const hourEntropy = calculateEntropy(nd.hourCounts);
-    const maxHourEntropy = Math.log2(24);
-    const hourEntropyNormalized = maxHourEntropy > 0 ? hourEntropy / maxHourEntropy : 0;
-
-    // Message diversity score (lower top message % = better)
-    const msgDiversityScore = uniqueMessages > 1 ? (1 - topMsgPct) * 100 : 0;
-
-    // Caller diversity score
-    const callerDiversityScore = uniqueCallers > 1 ? (1 - topCallerPct) * 100 : 0;
-
-    // Back-to-back penalty (0-1, lower is better)
-    const backToBackRatio = nd.totalAttempts > 1 ? nd.backToBackIdentical / (nd.totalAttempts - 1) : 0;
-
-    // Calculate variability score only if there are multiple attempts
-    let variabilityScore = 0;
-    if (nd.totalAttempts > 1) {
-      // Base score components
-      const msgComponent = msgDiversityScore * 0.30;
-      const callerComponent = callerDiversityScore * 0.20;
-      const dayComponent = dayEntropyNormalized * 100 * 0.25;
-      const hourComponent = hourEntropyNormalized * 100 * 0.15;
-      const noBackToBackBonus = (1 - backToBackRatio) * 100 * 0.10;
-
-      variabilityScore = Math.max(0, Math.min(100, Math.round(
-        msgComponent + callerComponent + dayComponent + hourComponent + noBackToBackBonus
-      )));
-    } else {
-      // Single attempt - score based on diversity potential
-      variabilityScore = 50; // Neutral score for single attempts
-    }
-
-    // Day distribution string
-    const dayDistribution = formatDayDistribution(nd.dayOfWeekCounts, nd.totalAttempts);
-
-    // First and last attempt – format epoch ms to UTC timestamp string at write time
-    const validFirstAttempt = nd._fpMs ? epochToTimestamp(nd._fpMs) : null;
-    const validLastAttempt  = nd._lpMs ? epochToTimestamp(nd._lpMs) : null;
-
-    // Infer intent from top message (use AI transcript if available, fall back to name-based)
-    const messageIntent = messageStats[topMsgId]?.intent || inferMessageIntent(topMsgName);
-
-    numberSummaryArray.push({
-      number: num,
-      totalAttempts: nd.totalAttempts,
-      successful: nd.successCount,
-      unsuccessful: nd.unsuccessfulCount,
-      successRate: successRate,
-      attemptIndex: nd.attemptIndex,
-      consecutiveFailures: nd.consecutiveFailures,
-      tnHealth: tnHealth,
-      neverDelivered: neverDelivered,
-      variabilityScore: variabilityScore,
-      topMsgId: topMsgId,
-      topMsgName: topMsgName,
-      topMsgPct: topMsgPct,
-      uniqueMsgCount: uniqueMessages,
-      topCallerNum: topCallerNum,
-      topCallerName: topCallerName,
-      topCallerPct: topCallerPct,
-      uniqueCallerCount: uniqueCallers,
-      dayDistribution: dayDistribution,
-      dayEntropy: dayEntropyNormalized,
-      hourEntropy: hourEntropyNormalized,
-      backToBackIdentical: nd.backToBackIdentical,
-      maxSameStreak: nd.maxSameStreak,
-      messageIntent: messageIntent,
-      firstAttempt: validFirstAttempt,
-      lastAttempt: validLastAttempt,
-      lastAttemptMs: nd._lpMs,
-      lastSuccessTimestamp: nd.lastSuccessTimestamp
-    });
-  }
-
-  // Sort by total attempts (descending)
-  numberSummaryArray.sort((a, b) => b.totalAttempts - a.totalAttempts);
-
-  // Calculate list health percentages
-  const healthyPct = (healthyCount / uniqueNumbers) * 100;
-  const toxicPct = (toxicCount / uniqueNumbers) * 100;
-  const neverDeliveredPct = (neverDeliveredCount / uniqueNumbers) * 100;
-  const listGrade = calculateListGrade(healthyPct, toxicPct, neverDeliveredPct);
-
-  log(`TN Health: Healthy=${healthyCount.toLocaleString()}, Delivery Unlikely=${toxicCount.toLocaleString()}, Never Delivered=${neverDeliveredCount.toLocaleString()}`);
-  log(`List Grade: ${listGrade}`);
-
-  // ============================================================================
-  // BUILD CONSECUTIVE UNSUCCESSFUL RUNS
-  // ============================================================================
-
-  log('Building consecutive unsuccessful runs...');
-  const consecRuns = [];
-  // O(1) lookups instead of O(n) .find() calls inside loops over 271K+ numbers
-  const numSummaryMap = new Map(numberSummaryArray.map(ns => [ns.number, ns]));
-  const inConsecRuns  = new Set(); // tracks numbers already added to consecRuns
-
-  for (const num in numberData) {
-    const nd = numberData[num];
-    const attempts = nd.attempts;
-    let currentRun = [];
-
-    for (const attempt of attempts) {
-      if (!attempt.isSuccess) {
-        currentRun.push(attempt);
-      } else {
-        // Check if the run meets the minimum consecutive failure count
-        if (currentRun.length >= minConsecUnsuccessful) {
-          const runStart = currentRun[0].ts ? new Date(currentRun[0].ts) : null;
-          const runEnd = currentRun[currentRun.length - 1].ts ? new Date(currentRun[currentRun.length - 1].ts) : null;
-          const spanDays = runStart && runEnd ? (runEnd - runStart) / (1000 * 60 * 60 * 24) : 0;
-          const ns = numSummaryMap.get(num);
-          const runHealth = ns?.tnHealth || 'Healthy';
-          consecRuns.push({
-            number: num,
-            count: currentRun.length,
-            runStart, runEnd, spanDays,
-            tnHealth: runHealth
-          });
-          inConsecRuns.add(num);
-        }
-        currentRun = [];
-      }
-    }
-
-    // Check final run (if the number ends with consecutive failures)
-    if (currentRun.length >= minConsecUnsuccessful) {
-      const runStart = currentRun[0].ts ? new Date(currentRun[0].ts) : null;
-      const runEnd = currentRun[currentRun.length - 1].ts ? new Date(currentRun[currentRun.length - 1].ts) : null;
-      const spanDays = runStart && runEnd ? (runEnd - runStart) / (1000 * 60 * 60 * 24) : 0;
-      const ns = numSummaryMap.get(num);
-      const runHealth2 = ns?.tnHealth || 'Healthy';
-      consecRuns.push({
-        number: num,
-        count: currentRun.length,
-        runStart, runEnd, spanDays,
-        tnHealth: runHealth2
-      });
-      inConsecRuns.add(num);
-    }
-  }
-
-  // Also add all numbers with current consecutive failures >= threshold (that aren't already included)
-  for (const ns of numberSummaryArray) {
-    if (ns.consecutiveFailures >= minConsecUnsuccessful) {
-      if (!inConsecRuns.has(ns.number)) {
-        const nd = numberData[ns.number];
-        const recentFailures = nd.attempts.slice(-ns.consecutiveFailures);
-        const runStart = recentFailures[0]?.ts ? new Date(recentFailures[0].ts) : null;
-        const runEnd = recentFailures[recentFailures.length - 1]?.ts ? new Date(recentFailures[recentFailures.length - 1].ts) : null;
-        const spanDays = runStart && runEnd ? (runEnd - runStart) / (1000 * 60 * 60 * 24) : 0;
-        consecRuns.push({
-          number: ns.number,
-          count: ns.consecutiveFailures,
-          runStart, runEnd, spanDays,
-          tnHealth: ns.tnHealth
-        });
-        inConsecRuns.add(ns.number);
-      }
-    }
-  }
-
-  consecRuns.sort((a, b) => b.count - a.count);
-  // Only "Delivery Unlikely" numbers belong on the Suppression Candidates tab.
-  const suppressionRuns = consecRuns.filter(r => r.tnHealth === 'Delivery Unlikely' && r.spanDays >= minRunSpanDays);
-  log(`  Found ${consecRuns.length.toLocaleString()} consecutive unsuccessful patterns (${suppressionRuns.length.toLocaleString()} Delivery Unlikely → Suppression Candidates tab)`);
-
-  // Free attempt arrays – all stats now extracted, no longer needed
-  for (const num in numberData) {
-    numberData[num].attempts = null;
-  }
-
-  // ── Count unique numbers per account / message / caller ──────────────────────
-  // uniqueNumbers was tracked as a plain counter (0) during streaming to avoid
-  // large Sets.  nd.messageIds / callerNumbers / accountIds are already keyed by
-  // phone number (one entry per unique number per entity), so iterating them
-  // gives accurate unique-number counts with O(n) time and O(1) extra memory.
-  log('Counting unique numbers per account / message / caller...');
-  for (const num in numberData) {
-    const nd = numberData[num];
-    for (const msgId    in nd.messageIds)     { if (messageStats[msgId])     messageStats[msgId].uniqueNumbers++;     }
-    for (const callerNum in nd.callerNumbers) { if (callerStats[callerNum])  callerStats[callerNum].uniqueNumbers++;  }
-    for (const acctId   in nd.accountIds)     { if (accountStats[acctId])    accountStats[acctId].uniqueNumbers++;    }
-    // Free per-number dictionaries – no longer needed after this pass
-    nd.messageIds = null; nd.callerNumbers = null; nd.accountIds = null;
-  }
-  // numberData itself is no longer needed – all per-number stats are in numberSummaryArray
-  // Freeing it here recovers ~50–100 MB before Excel generation begins.
-  // (overallSuccessRate uses numberSummaryArray which is already fully built)
-  for (const num in numberData) delete numberData[num];
-
-  // ============================================================================
-  // PRE-COMPUTE FILTERED SETS (used in Executive Summary + detail tabs)
-  // Analysis always runs on ALL numbers; these subsets control what rows appear
-  // in detail tabs so that large datasets don't generate unmanageable sheets.
-  // ============================================================================
-
-  // Detail tab data – only computed when includeDetailTabs is enabled.
-  // When disabled, empty arrays are used so sheet-creation blocks (guarded by
-  // the same flag) never reference uninitialized variables.
-  const MAX_DETAIL_ROWS = 100_000;
-  const filteredHealth = includeDetailTabs
-    ? numberSummaryArray
-        .filter(ns => ns.tnHealth === 'Delivery Unlikely')
-        .sort((a, b) => (a.tnHealth === 'Delivery Unlikely' ? 0 : 1) - (b.tnHealth === 'Delivery Unlikely' ? 0 : 1))
-    : [];
-
-  const filteredVariability = includeDetailTabs
-    ? numberSummaryArray
-        .filter(ns => ns.totalAttempts > 1 && ns.variabilityScore < 60)
-        .sort((a, b) => a.variabilityScore - b.variabilityScore)
-    : [];
-
-  // Number Summary tab: fail at least one criterion.
-  // Variability flag only applies to multi-attempt numbers (same reasoning as above).
-  const filteredSummary = includeDetailTabs
-    ? numberSummaryArray.filter(ns =>
-        ns.tnHealth === 'Delivery Unlikely' ||
-        (ns.totalAttempts > 1 && ns.variabilityScore < 60)
-      )
-    : [];
-
-  if (includeDetailTabs) {
-    // Capture true pre-cap counts – used in key metrics and log messages below.
-    const healthTotalCount  = filteredHealth.length;
-    const varTotalCount     = filteredVariability.length;
-    const summaryTotalCount = filteredSummary.length;
-
-    // Cap each detail tab at MAX_DETAIL_ROWS to bound ExcelJS Cell accumulation.
-    // ExcelJS holds all rows in memory as Cell objects (~3,200 bytes/row × columns).
-    // 3 tabs × 100K rows × ~3,200 bytes ≈ 960 MB – fits under the effective ~2 GB heap limit.
-    // Truncating via .length = N releases array slots above N immediately (GC-eligible).
-    if (filteredHealth.length      > MAX_DETAIL_ROWS) filteredHealth.length      = MAX_DETAIL_ROWS;
-    if (filteredVariability.length > MAX_DETAIL_ROWS) filteredVariability.length = MAX_DETAIL_ROWS;
-    if (filteredSummary.length     > MAX_DETAIL_ROWS) filteredSummary.length     = MAX_DETAIL_ROWS;
-
-    // Helper: "100,000 of 342,819 (capped at 100,000)" or just "18,432"
-    const fmtCapped = (shown, total) =>
-      total > MAX_DETAIL_ROWS
-        ? `${shown.toLocaleString()} of ${total.toLocaleString()} (capped at ${MAX_DETAIL_ROWS.toLocaleString()})`
-        : shown.toLocaleString();
-
-    log(`\nDetail tab filters (analysis ran on all ${numberSummaryArray.length.toLocaleString()} numbers):`);
-    log(`  TN Health tab:          ${fmtCapped(filteredHealth.length, healthTotalCount)} numbers (Delivery Unlikely)`);
-    log(`  Variability tab:        ${fmtCapped(filteredVariability.length, varTotalCount)} numbers (score < 60)`);
-    log(`  Number Summary tab:     ${fmtCapped(filteredSummary.length, summaryTotalCount)} numbers (any flag)`);
-  }
-
-  // ============================================================================
-  // PRE-COMPUTE ALL METRICS THAT NEED THE FULL numberSummaryArray, THEN FREE IT
-  // ============================================================================
-  // Do this in one single pass to avoid multiple scans over potentially 1M+ objects,
-  // then immediately release the large array so GC can recover memory before ExcelJS
-  // starts building the workbook (which can peak at 1-2 GB of XML/buffer data).
-  log('Pre-computing aggregates from full number set...');
-  const totalUniqueInSummary = numberSummaryArray.length;
-  let _totalAttempts = 0, _totalSuccess = 0, _sumVariability = 0;
-  let _backToBackIssueCount = 0, _lowDayVarietyCount = 0, _flaggedCount = 0;
-  let _streak2 = 0, _streak3 = 0, _streak4 = 0, _streak5plus = 0;
-  let _staleWarmCount = 0;
-  let _impliedRemovedCount = 0;
-  const _maxMs = maxDate ? maxDate.getTime() : null;
-  const _thirtyDaysMs = 30 * 24 * 60 * 60 * 1000;
-  // Implied-removal window: use the median cadence so the bar is "one normal retry interval".
-  // Fall back to 7 days if cadence data isn't available (single-touch-only dataset).
-  const _cadWinMs = cadenceOverallMedian
-    ? cadenceOverallMedian * 24 * 60 * 60 * 1000
-    : 7 * 24 * 60 * 60 * 1000;
-
-  for (const ns of numberSummaryArray) {
-    _totalAttempts        += ns.totalAttempts;
-    _totalSuccess         += ns.successful;   // stored as 'successful' in the push, not 'successCount'
-    _sumVariability       += ns.variabilityScore;
-    if (ns.backToBackIdentical > 2) _backToBackIssueCount++;
-    if (ns.dayEntropy < 0.3 && ns.totalAttempts > 2) _lowDayVarietyCount++;
-    // Count flagged numbers for exec summary metrics (always needed, even when detail tabs are off)
-    if (ns.tnHealth === 'Delivery Unlikely' ||
-        (ns.totalAttempts > 1 && ns.variabilityScore < 60)) _flaggedCount++;
-    // Streak buckets
-    if (ns.maxSameStreak >= 2) _streak2++;
-    if (ns.maxSameStreak >= 3) _streak3++;
-    if (ns.maxSameStreak >= 4) _streak4++;
-    if (ns.maxSameStreak >= 5) _streak5plus++;
-    // Stale warm: had at least one successful delivery AND last attempt was 30+ days before maxDate
-    if (ns.successful > 0 && _maxMs && ns.lastAttemptMs &&
-        (_maxMs - ns.lastAttemptMs) >= _thirtyDaysMs) {
-      _staleWarmCount++;
-    }
-    // Implied removed after delivery: the number had at least one successful delivery,
-    // its current consecutive-failure streak is 0 (meaning the LAST attempt was a delivery),
-    // AND at least one full cadence window has elapsed since that last delivery without
-    // a follow-up attempt — strongly suggesting the number was removed from the calling
-    // list after it was successfully reached (a common post-delivery suppression signal).
-    if (
-      ns.successful > 0 &&
-      ns.consecutiveFailures === 0 &&
-      ns.lastSuccessTimestamp &&
-      _maxMs && (_maxMs - ns.lastSuccessTimestamp) >= _cadWinMs
-    ) {
-      _impliedRemovedCount++;
-    }
-  }
-  const staleWarmCount      = _staleWarmCount;
-  const impliedRemovedCount = _impliedRemovedCount;
-  const streak2 = _streak2, streak3 = _streak3, streak4 = _streak4, streak5plus = _streak5plus;
-  const totalAttempts      = _totalAttempts;
-  const avgVariability     = totalUniqueInSummary > 0 ? _sumVariability / totalUniqueInSummary : 0;
-  const overallSuccessRate = _totalAttempts > 0 ? (_totalSuccess / _totalAttempts * 100) : 0;
-  const backToBackIssues   = _backToBackIssueCount;
-  const lowDayVariety      = _lowDayVarietyCount;
-  const flaggedCount       = _flaggedCount;  // pre-cap – reflects all flagged numbers, not just the capped subset written to Excel
-  const flaggedPct         = totalUniqueInSummary > 0 ? (flaggedCount / totalUniqueInSummary * 100) : 0;
-
-  // Release unflagged ns objects – filteredX arrays keep flagged ones alive;
-  // Healthy/high-variability entries not in any tab become GC-eligible here.
-  numSummaryMap.clear();
-  numberSummaryArray.length = 0;
-  log(`  Released ${(totalUniqueInSummary - flaggedCount).toLocaleString()} unflagged number entries from memory`);
-
-  // ── Pre-computed summary values used in both Excel and PPTX ─────────────────
-  const agentHoursSaved = Math.round(_totalSuccess * 3 / 60);
-
-  // Best Next Action – single highest-impact recommendation
-  const _cadTotalBNA = cadenceSingleTouch + cadenceMultiTouchCount;
-  const _stPctBNA    = _cadTotalBNA > 0 ? cadenceSingleTouch / _cadTotalBNA : 0;
-  const _longCadPct  = cadenceMultiTouchCount > 0 ? (cadenceBucket_over30 + cadenceBucket_16to30) / cadenceMultiTouchCount : 0;
-  let bestNextAction;
-  if (_stPctBNA >= 0.4) {
-    bestNextAction = `${cadenceSingleTouch.toLocaleString()} numbers (${(_stPctBNA * 100).toFixed(0)}% of the list) received only one DDVM during this period. Scheduling a follow-up campaign at a 3–10 day interval is the single highest-impact next step – consumers who didn't act on the first touch often engage on the second or third. This is existing-list volume with no new sourcing required.`;
-  } else if (staleWarmCount > 0 && staleWarmCount >= uniqueNumbers * 0.1) {
-    bestNextAction = `${staleWarmCount.toLocaleString()} numbers (${(staleWarmCount / Math.max(uniqueNumbers, 1) * 100).toFixed(0)}% of the list) previously received a successful DDVM but haven't been contacted in 30+ days. These are confirmed-reachable numbers – low-hanging fruit for re-engagement. A follow-up campaign here has a strong baseline delivery probability, subject to applicable compliance requirements.`;
-  } else if (_stPctBNA >= 0.2) {
-    bestNextAction = `${cadenceSingleTouch.toLocaleString()} numbers (${(_stPctBNA * 100).toFixed(0)}%) were contacted only once. Adding a follow-up campaign at a 3–10 day interval would put additional touches on a meaningful portion of the list – typically the easiest place to find incremental results without expanding the contact pool.`;
-  } else if (_longCadPct > 0.3) {
-    const _longCount = cadenceBucket_over30 + cadenceBucket_16to30;
-    bestNextAction = `${_longCount.toLocaleString()} re-attempted numbers are on a 16+ day cadence. Tightening to the 3–10 day ideal keeps outreach timely and relevant – consumers are more likely to respond when the next touch arrives before their situation changes.`;
-  } else if (overallSuccessRate >= 70) {
-    bestNextAction = `Campaign is delivering at ${overallSuccessRate.toFixed(1)}% – well above the industry midpoint. This is a strong foundation for expanding outreach: adding more numbers or increasing frequency on the existing list should yield proportional returns with low risk.`;
-  } else {
-    bestNextAction = `Focus next on the ${healthyCount.toLocaleString()} numbers (${(healthyCount / Math.max(uniqueNumbers, 1) * 100).toFixed(0)}%) currently connecting well. Concentrating volume on this reachable segment while monitoring the rest will improve overall campaign efficiency and ROI.`;
-  }
-
+async function renderTrendWorkbook(analysis, outputPath, options = {}) {
+  const {
+    includeDetailTabs            = !!analysis.detail,
+    includeReAttemptTabs         = !!analysis.reAttempt,
+    includeSuppressionCandidates = true,
+    progressCallback             = null
+  } = options;
+  const { userTimezone = 'VoApps', userTimezoneLabel = 'VoApps', tnHealthRules = null } = analysis.settings || {};
+
+  // Unpack into the same names the metrics engine uses so tab code reads the same
+  const {
+    uniqueNumbers, totalUniqueInSummary, totalAttempts, totalSuccess,
+    overallSuccessRate, avgVariability, agentHoursSaved, staleWarmCount
+  } = analysis.totals;
+  const {
+    healthyCount, toxicCount, neverDeliveredCount, healthyPct, toxicPct, neverDeliveredPct,
+    listGrade, flaggedCount, flaggedPct, tiers: healthTiers = [],
+    listScore, listScoreFactors = [], nextGrade = null
+  } = analysis.health;
+  // Delivery Unlikely wording – the built-in text unless the rules were customized
+  const unlikelyCriteria = isDefaultDeliveryUnlikely(tnHealthRules)
+    ? 'Success rate below 10% with 4+ consecutive failures; or 6+ consecutive failures regardless of rate; or 5+ attempts with zero successes.'
+    : `${describeTNHealthRules(tnHealthRules.deliveryUnlikely).replace(/^./, c => c.toUpperCase())} (custom rules).`;
+  const { streak2, streak3, streak4, streak5plus, backToBackIssues, lowDayVariety } = analysis.variability;
+  const {
+    cadenceMultiTouchCount, cadenceSingleTouch, cadenceBucket_sameDay, cadenceBucket_1to2,
+    cadenceBucket_3to5, cadenceBucket_6to10, cadenceBucket_11to15, cadenceBucket_16to30,
+    cadenceBucket_over30, cadenceOverallMedian
+  } = analysis.cadence;
+  const { counts: nonDeliverableCounts, notUSPlaceholderRows } = analysis.nonDeliverable;
+  const { configErrors, decayCurve, dailyStats, suppressionRuns } = analysis;
+  const { actions, bestNextAction } = analysis.recommendations;
+  const { accounts: accountDayRecommendations, messages: messageDayRecommendations } = analysis.dayRecommendations;
+  const hasConfigErrors  = Object.values(configErrors).some(e => e.total > 0);
+  const minDate          = analysis.dateRange.min ? new Date(analysis.dateRange.min) : null;
+  const maxDate          = analysis.dateRange.max ? new Date(analysis.dateRange.max) : null;
+  const detectedTimezone = analysis.timezone.detected;
+  const globalDayStats   = analysis.dayOfWeek;
+  const messageArray     = analysis.messages;
+  const callerArray      = analysis.callers;
+  const reAttemptData    = analysis.reAttempt;
+  const filteredHealth      = analysis.detail ? analysis.detail.health : [];
+  const filteredVariability = analysis.detail ? analysis.detail.variability : [];
+  const filteredSummary     = analysis.detail ? analysis.detail.summary : [];
   // ============================================================================
   // CREATE WORKBOOK
   // ============================================================================
@@ -1995,7 +308,6 @@ async function generateTrendAnalysis(
     ? 'Moderate list health – there is meaningful opportunity here. Trimming numbers that have never delivered and suppressing persistent failures will concentrate your campaign spend on numbers that actually connect, improving ROI on every drop.'
     : 'The list has a high proportion of numbers that are not connecting. Focusing spend on the reachable segment – by removing numbers that have repeatedly failed – will dramatically increase delivered % and reduce cost-per-contact for the numbers that matter.';
 
-  // All aggregates pre-computed and numberSummaryArray freed above
   const keyMetrics = [
     ['Total DDVM Attempts', totalAttempts.toLocaleString()],
     ['Unique Phone Numbers', uniqueNumbers.toLocaleString()],
@@ -2006,6 +318,8 @@ async function generateTrendAnalysis(
     ['Average Variability Score', `${avgVariability.toFixed(0)}/100`,
       '0–100 composite score measuring call pattern diversity – message rotation, caller variety, time-of-day spread, and day-of-week distribution. Higher scores correlate with better deliverability and callback rates. Scores below 60 indicate patterns where increased variety is likely to improve results.'],
     ['List Quality Grade', listGrade, listGradeAdvice],
+    ['List Quality Score', `${listScore}/100`,
+      'Weighted 0–100 score from the list grade rubric. See List Quality Score Breakdown below for each factor\'s contribution.'],
     ['Numbers Flagged in Detail Tabs', `${flaggedCount.toLocaleString()} of ${totalUniqueInSummary.toLocaleString()} (${flaggedPct.toFixed(1)}%) – Delivery Unlikely or variability < 60`,
       'Any number failing at least one threshold – classified Delivery Unlikely by TN Health, OR variability score below 60. A Healthy number with poor call diversity is still flagged. See TN Health and Variability Analysis tabs for the full breakdown (if enabled).'],
     ['Date Range', `${formatDate(minDate)} - ${formatDate(maxDate)}`],
@@ -2017,7 +331,7 @@ async function generateTrendAnalysis(
         ? `${staleWarmCount.toLocaleString()} numbers previously received at least one successful delivery but haven't been contacted in 30+ days (relative to the end of this date range). These are low-hanging fruit for re-engagement – the number is confirmed reachable, so a follow-up campaign has a strong baseline probability of delivery. Subject to any applicable compliance or opt-out requirements.`
         : 'All numbers with prior successful deliveries have been contacted within the last 30 days.'],
     ['Agent Hours Saved (est.)', `${agentHoursSaved.toLocaleString()} hrs`,
-      `Estimated agent capacity freed by DDVM. Based on ${_totalSuccess.toLocaleString()} successful deliveries × 3 min avg manual voicemail handle time (dial + wait + message). Use the ROI Calculator (coming soon) to customize this assumption.`]
+      `Estimated agent capacity freed by DDVM. Based on ${totalSuccess.toLocaleString()} successful deliveries × 3 min avg manual voicemail handle time (dial + wait + message). Use the ROI Calculator (coming soon) to customize this assumption.`]
   ];
 
   for (const [label, value, desc] of keyMetrics) {
@@ -2037,6 +351,35 @@ async function generateTrendAnalysis(
 
   row++; // Blank row
 
+  // List Quality Score Breakdown – explains the grade factor by factor
+  execSheet.mergeCells(`A${row}:C${row}`);
+  execSheet.getCell(`A${row}`).value = 'List Quality Score Breakdown';
+  execSheet.getCell(`A${row}`).style = sectionHeaderStyle;
+  row++;
+
+  const scoreRows = listScoreFactors.map(f => [
+    f.label,
+    `${f.points.toFixed(1)} of ${f.maxPoints.toFixed(1)} pts`,
+    `${f.value.toFixed(1)}% of unique numbers. Full points at ${f.best}%, none at ${f.worst}%.`
+  ]);
+  scoreRows.push(['Total Score', `${listScore}/100`, `Grade ${listGrade}.`]);
+  if (nextGrade) scoreRows.push([`Path to Grade ${nextGrade.grade}`, '', `${describeGradeGap(nextGrade)}.`]);
+
+  for (const [label, value, desc] of scoreRows) {
+    execSheet.getCell(`A${row}`).value = label;
+    execSheet.getCell(`A${row}`).font = { bold: true };
+    execSheet.getCell(`B${row}`).value = value;
+    if (label === 'Total Score') {
+      execSheet.getCell(`B${row}`).style = listGrade === 'A' || listGrade === 'B' ? successStyle : warningStyle;
+    }
+    execSheet.getCell(`C${row}`).value = desc;
+    execSheet.getCell(`C${row}`).font = { italic: true, size: 9, color: { argb: 'FF555555' } };
+    execSheet.getCell(`C${row}`).alignment = { wrapText: true };
+    row++;
+  }
+
+  row++; // Blank row
+
   // Message & Day Variability Insights
   execSheet.mergeCells(`A${row}:C${row}`);
   execSheet.getCell(`A${row}`).value = 'Message & Day Variability Insights';
@@ -2260,8 +603,10 @@ async function generateTrendAnalysis(
   const healthDist = [
     ['Healthy', `${healthyCount.toLocaleString()} (${healthyPct.toFixed(1)}%)`,
       'Acceptable success rate with no sustained consecutive-failure streak. Good deliverability – no immediate action required. Monitor variability score to avoid repetitive call patterns.'],
+    ...healthTiers.map(t => [t.name, `${t.count.toLocaleString()} (${t.pct.toFixed(1)}%)`,
+      `Custom tier: ${describeTNHealthRules(tnHealthRules.tiers.find(ct => ct.name === t.name).rules)}. Monitor closely.`]),
     ['Delivery Unlikely', `${toxicCount.toLocaleString()} (${toxicPct.toFixed(1)}%)`,
-      'Success rate below 10% with 4+ consecutive failures; or 6+ consecutive failures regardless of rate; or 5+ attempts with zero successes. Successful DDVM delivery is highly unlikely. Suppression is recommended.'],
+      `${unlikelyCriteria} Successful DDVM delivery is highly unlikely. Suppression is recommended.`],
     ['Never Delivered', `${neverDeliveredCount.toLocaleString()} (${neverDeliveredPct.toFixed(1)}%)`,
       'Zero successful deliveries across all attempts in this dataset. Overlaps with all health categories – a number with only 1–2 attempts and no consecutive failures can be Healthy yet never have a successful delivery on record. % is of all unique numbers.']
   ];
@@ -2295,7 +640,8 @@ async function generateTrendAnalysis(
     execSheet.getCell(`A${row}`).value = `Attempt ${dc.attemptIndex}`;
     execSheet.getCell(`A${row}`).font = { bold: true };
     execSheet.getCell(`B${row}`).value = `${(dc.probability * 100).toFixed(1)}%`;
-    execSheet.getCell(`C${row}`).value = `${dc.successful.toLocaleString()} successful of ${dc.total.toLocaleString()} attempts`;
+    execSheet.getCell(`C${row}`).value = `${dc.successful.toLocaleString()} successful of ${dc.total.toLocaleString()} attempts` +
+      (dc.total > 0 ? ` (95% CI ${formatInterval(dc.probabilityLow, dc.probabilityHigh)})` : '');
     execSheet.getCell(`C${row}`).font = { italic: true, size: 9, color: { argb: 'FF555555' } };
     row++;
   }
@@ -2314,14 +660,14 @@ async function generateTrendAnalysis(
   row++; // Blank row
 
   // Message Intelligence (AI) Section – only shown when transcripts are available
-  const aiMessages = Object.values(messageStats).filter(m => m.transcript);
+  const aiMessages = messageArray.filter(m => m.transcript);
   if (aiMessages.length > 0) {
     execSheet.mergeCells(`A${row}:C${row}`);
     execSheet.getCell(`A${row}`).value = 'Message Intelligence (AI)';
     execSheet.getCell(`A${row}`).style = sectionHeaderStyle;
     row++;
 
-    const totalMessages    = Object.keys(messageStats).length;
+    const totalMessages    = messageArray.length;
     const voiceAppendMsgs  = aiMessages.filter(m => m.voice_append);
     const urlMsgs          = aiMessages.filter(m => m.mentions_url);
     const callerMismatch   = aiMessages.filter(m => m.mentioned_phone); // simplified – all that mention a phone
@@ -2373,78 +719,65 @@ async function generateTrendAnalysis(
     row++; // Blank row
   }
 
-  // Immediate Actions
-  execSheet.mergeCells(`A${row}:C${row}`);
-  execSheet.getCell(`A${row}`).value = 'Recommended Actions';
-  execSheet.getCell(`A${row}`).style = sectionHeaderStyle;
-  row++;
-
-  const actions = [];
-
-  if (toxicCount > 0) {
-    actions.push('LIST QUALITY: Consider reviewing numbers with 4–6+ consecutive unsuccessful deliveries over a span of 30+ days. Numbers that have not connected after sustained attempts are unlikely to connect going forward – focusing future campaigns on the reachable segment concentrates spend where it produces results. The Suppression Candidates tab has this list ready to review.');
-  }
-  if (avgVariability < 40) {
-    actions.push(`MESSAGE DIVERSITY: Variability score of ${avgVariability.toFixed(0)} suggests the same recordings are being used frequently on the same numbers. Introducing additional message recordings and rotating them across attempts tends to improve engagement – consumers are more likely to listen when each contact feels distinct. See Variability Analysis for numbers where this will have the most impact.`);
-  }
-
-  // Check for back-to-back issues (backToBackIssues pre-computed above)
-  if (backToBackIssues > uniqueNumbers * 0.1) {
-    actions.push(`MESSAGE ROTATION: ${backToBackIssues.toLocaleString()} numbers received the same message on consecutive attempts. Varying the recording each time a number is re-attempted keeps the outreach feeling fresh and increases the chance the consumer engages rather than dismisses it.`);
-  }
-
-  // Check day distribution (lowDayVariety pre-computed above)
-  if (lowDayVariety > uniqueNumbers * 0.2) {
-    actions.push(`DAY ROTATION: A portion of numbers are being contacted on the same day pattern each week. Consumers who receive outreach on a predictable day begin to mentally categorize it as routine, which reduces engagement. Spreading attempts across additional days keeps the contact feeling timely and relevant. See "Global Insights (Days)" for specifics.`);
-  }
+  // Caller Number Reputation – weekly trend score and rotation alerts
+  const reputation = analysis.callerReputation;
+  const scoredCallers = reputation ? reputation.callers.filter(c => c.score !== null) : [];
+  if (scoredCallers.length > 0) {
+    const MAX_REPUTATION_ROWS = 15;
+    execSheet.mergeCells(`A${row}:C${row}`);
+    execSheet.getCell(`A${row}`).value = 'Caller Number Reputation';
+    execSheet.getCell(`A${row}`).style = sectionHeaderStyle;
+    row++;
 
-  // Add day-of-week recommendations for accounts/messages
-  if (accountDayRecommendations.length > 0) {
-    actions.push(`DAY ROTATION: ${accountDayRecommendations.length} account(s) are using a limited set of delivery days. Expanding to additional days of the week is a low-effort change that can meaningfully improve engagement rates. See "Global Insights (Days)" for details.`);
-  }
-  if (messageDayRecommendations.length > 0) {
-    actions.push(`DAY ROTATION: ${messageDayRecommendations.length} message(s) are being used on a limited set of days. Rotating delivery days for these messages will help avoid the predictable-pattern effect. See "Global Insights (Days)" for details.`);
-  }
+    execSheet.mergeCells(`A${row}:C${row}`);
+    execSheet.getCell(`A${row}`).value =
+      'Each caller number is scored 0–100 from its weekly success rate: how the last four weeks compare with the program average, whether the rate is trending down, ' +
+      'and whether the latest week dropped suddenly (10+ pts below the weeks before it, p < 0.05) – the usual sign of a number being flagged by carriers. ' +
+      'Weeks with fewer than 30 attempts are not scored. 80+ Good · 60–79 Watch · below 60 or a sudden drop At Risk.';
+    execSheet.getCell(`A${row}`).font = { italic: true, size: 9, color: { argb: 'FF555555' } };
+    execSheet.getCell(`A${row}`).alignment = { wrapText: true };
+    execSheet.getRow(row).height = 40;
+    row++;
 
-  // Check for aggressive re-attempt cadence
-  if (cadenceMultiTouchCount > 0) {
-    if (cadenceBucket_sameDay > cadenceMultiTouchCount * 0.1) {
-      actions.push(`CADENCE: ${cadenceBucket_sameDay.toLocaleString()} numbers (${(cadenceBucket_sameDay / cadenceMultiTouchCount * 100).toFixed(0)}% of re-attempted) are being contacted multiple times on the same calendar day. Same-day re-attempts rarely produce additional successful deliveries and may indicate a campaign configuration issue worth reviewing.`);
-    }
-    if (cadenceBucket_1to2 > cadenceMultiTouchCount * 0.2) {
-      actions.push(`CADENCE: A significant share of re-attempts are occurring within 1–2 days of a prior successful delivery. Consumers need time to act on a message – re-contacting too quickly after a successful drop reduces the likelihood they respond and can diminish the impact of future attempts. A 3–10 day interval after a successful delivery gives the message time to work.`);
+    for (const alert of reputation.alerts) {
+      execSheet.mergeCells(`A${row}:C${row}`);
+      execSheet.getCell(`A${row}`).value = `⚠ ${alert.message}`;
+      execSheet.getCell(`A${row}`).style = { ...warningStyle, alignment: { wrapText: true, vertical: 'top' } };
+      execSheet.getRow(row).height = 40;
+      row++;
     }
-  }
 
-  // Check for aggressive re-attempt cadence
-  if (cadenceMultiTouchCount > 0) {
-    if (cadenceBucket_sameDay > cadenceMultiTouchCount * 0.1) {
-      actions.push(`CADENCE: ${cadenceBucket_sameDay.toLocaleString()} numbers (${(cadenceBucket_sameDay / cadenceMultiTouchCount * 100).toFixed(0)}% of re-attempted) are being contacted multiple times on the same day. Same-day re-attempts are rarely effective and may indicate a campaign configuration issue.`);
+    const pct = r => (r === null ? '–' : `${(r * 100).toFixed(1)}%`);
+    for (const c of scoredCallers.slice(0, MAX_REPUTATION_ROWS)) {
+      execSheet.getCell(`A${row}`).value = c.caller_name ? `${c.caller_number} (${c.caller_name})` : c.caller_number;
+      execSheet.getCell(`A${row}`).font = { bold: true };
+      execSheet.getCell(`B${row}`).value = `${c.score} – ${c.status}`;
+      if (c.status === 'At Risk') execSheet.getCell(`B${row}`).style = warningStyle;
+      else if (c.status === 'Good') execSheet.getCell(`B${row}`).style = successStyle;
+      const trend = c.trendPtsPerWeek === null ? '' : ` · trend ${c.trendPtsPerWeek >= 0 ? '+' : '−'}${Math.abs(c.trendPtsPerWeek).toFixed(1)} pts/week`;
+      execSheet.getCell(`C${row}`).value =
+        `Last ${Math.min(c.scoredWeeks, 4)} weeks ${pct(c.recentRate)}${trend} · week of ${c.latestWeek} ${pct(c.latestRate)} vs. ${pct(c.baselineRate)} before` +
+        (c.active ? '' : ' · not used in the last two weeks');
+      execSheet.getCell(`C${row}`).font = { italic: true, size: 9, color: { argb: 'FF555555' } };
+      execSheet.getCell(`C${row}`).alignment = { wrapText: true };
+      row++;
     }
-    if (cadenceBucket_1to2 > cadenceMultiTouchCount * 0.2) {
-      actions.push(`CADENCE: ${cadenceBucket_1to2.toLocaleString()} numbers (${(cadenceBucket_1to2 / cadenceMultiTouchCount * 100).toFixed(0)}% of re-attempted) are being re-attempted within 1–2 days. Next-day re-attempts do not give consumers adequate time to respond and accelerate list fatigue – a minimum 6–10 day interval is recommended.`);
+    if (scoredCallers.length > MAX_REPUTATION_ROWS) {
+      execSheet.mergeCells(`A${row}:C${row}`);
+      execSheet.getCell(`A${row}`).value = `Showing the ${MAX_REPUTATION_ROWS} lowest-scoring of ${scoredCallers.length} scored caller numbers.`;
+      execSheet.getCell(`A${row}`).font = { italic: true, size: 9, color: { argb: 'FF555555' } };
+      row++;
     }
-  }
 
-  // Add timezone discrepancy warning
-  if (timezoneDiscrepancies.length > 0) {
-    actions.push(`REPORTING ACCURACY: ${timezoneDiscrepancies.length} account(s) have timezone mismatches between account settings and results. Enabling "Use account timezone in results file" in DirectDrop Voicemail account settings will ensure timestamps and day-of-week analysis in this report reflect the correct local time for each account.`);
+    row++; // Blank row
   }
 
-  // Add config error warnings
-  if (configErrors['invalid message id'].total > 0) {
-    actions.push(`CONFIGURATION: ${configErrors['invalid message id'].total.toLocaleString()} attempts could not be delivered due to an invalid message ID – these represent campaign spend with no delivery outcome. Verifying message IDs in the campaign configuration will recover this capacity for productive attempts. See the Executive Summary config error section for a breakdown by caller number.`);
-  }
-  if (configErrors['invalid caller number'].total > 0) {
-    actions.push(`CONFIGURATION: ${configErrors['invalid caller number'].total.toLocaleString()} attempts could not be delivered due to an invalid caller number. Confirming that all caller numbers are active and correctly configured in the account will ensure these attempts reach consumers on future campaigns.`);
-  }
-  if (configErrors['prohibited self call'].total > 0) {
-    actions.push(`CONFIGURATION: ${configErrors['prohibited self call'].total.toLocaleString()} attempts were blocked because the caller number matched the destination number. Reviewing the campaign contact list for numbers that match any active caller IDs will prevent these from being skipped.`);
-  }
+  // Immediate Actions
+  execSheet.mergeCells(`A${row}:C${row}`);
+  execSheet.getCell(`A${row}`).value = 'Recommended Actions';
+  execSheet.getCell(`A${row}`).style = sectionHeaderStyle;
+  row++;
 
-  if (actions.length === 0) {
-    actions.push('Campaign performance looks strong. Delivery rates, list health, and rotation patterns are all within recommended ranges – continue monitoring regularly to maintain this level of performance.');
-  }
 
   for (const action of actions) {
     execSheet.mergeCells(`A${row}:C${row}`);
@@ -2542,7 +875,7 @@ async function generateTrendAnalysis(
       cell.style = tableHeaderStyle;
     });
 
-    log(`  TN Health: ${filteredHealth.length.toLocaleString()} numbers shown (Delivery Unlikely)`);
+    log(`  TN Health: ${filteredHealth.length.toLocaleString()} numbers shown (${['Delivery Unlikely', ...healthTiers.map(t => t.name)].join(', ')})`);
 
     // Column-level numFmt (one call per column instead of N per-cell calls)
     healthSheet.getColumn(4).numFmt = '0.0%';  // D - Success Rate
@@ -2563,8 +896,8 @@ async function generateTrendAnalysis(
     });
     healthSheet.addRows(healthRows);
     const healthLastRow = healthRows.length + 1;
-    // Free source data – ExcelJS has its own internal copy now
-    filteredHealth.length = 0; healthRows.length = 0;
+    // Free row arrays – ExcelJS has its own internal copy now
+    healthRows.length = 0;
 
     // Conditional formatting – one rule set for the whole column (no per-cell fill)
     healthSheet.addConditionalFormatting({
@@ -2619,8 +952,8 @@ async function generateTrendAnalysis(
     ]);
     varSheet.addRows(varRows);
     const varLastRow = varRows.length + 1;
-    // Free source data – ExcelJS has its own internal copy now
-    filteredVariability.length = 0; varRows.length = 0;
+    // Free row arrays – ExcelJS has its own internal copy now
+    varRows.length = 0;
 
     // Conditional formatting for variability score and back-to-back
     varSheet.addConditionalFormatting({
@@ -2680,8 +1013,8 @@ async function generateTrendAnalysis(
       ns.messageIntent, ns.dayDistribution
     ]);
     summarySheet.addRows(summaryRows);
-    // Free source data – ExcelJS has its own internal copy now
-    filteredSummary.length = 0; summaryRows.length = 0;
+    // Free row arrays – ExcelJS has its own internal copy now
+    summaryRows.length = 0;
 
     // Set column widths
     autoFitColumns(summarySheet, 10, 60);
@@ -2700,18 +1033,11 @@ async function generateTrendAnalysis(
     views: [{ state: 'frozen', xSplit: 0, ySplit: 1 }]
   });
 
-  const messageArray = Object.values(messageStats).map(m => ({
-    ...m,
-    uniqueNumbers: m.uniqueNumbers,
-    success_rate: m.total > 0 ? m.successful / m.total : 0,
-    dayPattern: getDayUsagePattern(m.dayOfWeekCounts)
-  })).sort((a, b) => b.total - a.total);
-
   // AI columns are always present – populated when AI analysis has run, empty otherwise
   const hasAiData = messageArray.some(m => m.transcript);
   const msgHeaders = [
     'Message ID', 'Message Name', 'Intent', 'Total DDVM Attempts', 'Unique Numbers',
-    'Successful', 'Unsuccessful', 'Success Rate', 'Day Usage', 'Recommendation',
+    'Successful', 'Unsuccessful', 'Success Rate', '95% CI Low', '95% CI High', 'vs. Average', 'Day Usage', 'Recommendation',
     'Transcript', 'Mentioned Phone', 'Caller # Match', 'Contains URL', 'Voice Append'
   ];
   msgSheet.getRow(1).values = msgHeaders;
@@ -2725,7 +1051,7 @@ async function generateTrendAnalysis(
     const transcript = msg.transcript || '';
     msgSheet.getRow(msgRow).values = [
       Number(msg.message_id) || msg.message_id, msg.message_name, msg.intent, msg.total, msg.uniqueNumbers,
-      msg.successful, msg.unsuccessful, msg.success_rate,
+      msg.successful, msg.unsuccessful, msg.success_rate, msg.success_rate_low, msg.success_rate_high, '',
       msg.dayPattern.days.join(', ') || 'All days',
       msg.dayPattern.limited ? msg.dayPattern.recommendation : '',
       // AI columns – blank when AI has not run; populated after transcription
@@ -2738,6 +1064,9 @@ async function generateTrendAnalysis(
       msg.voice_append ? 'Yes' : ''
     ];
     msgSheet.getCell(`H${msgRow}`).numFmt = '0.0%';
+    msgSheet.getCell(`I${msgRow}`).numFmt = '0.0%';
+    msgSheet.getCell(`J${msgRow}`).numFmt = '0.0%';
+    writeVsAverage(msgSheet.getCell(`K${msgRow}`), msg.vs_average);
 
     // Hyperlink Message ID → VoApps platform message page
     const msgIdCell = msgSheet.getCell(`A${msgRow}`);
@@ -2750,10 +1079,10 @@ async function generateTrendAnalysis(
     }
 
     if (msg.dayPattern.limited) {
-      msgSheet.getCell(`J${msgRow}`).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFEB9C' } };
+      msgSheet.getCell(`M${msgRow}`).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFEB9C' } };
     }
     if (msg.voice_append) {
-      msgSheet.getCell(`P${msgRow}`).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'E3F2FD' } };
+      msgSheet.getCell(`R${msgRow}`).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'E3F2FD' } };
     }
     msgRow++;
   }
@@ -2770,14 +1099,10 @@ async function generateTrendAnalysis(
     views: [{ state: 'frozen', xSplit: 0, ySplit: 1 }]
   });
 
-  const callerArray = Object.values(callerStats).map(c => ({
-    ...c,
-    uniqueNumbers: c.uniqueNumbers,
-    success_rate: c.total > 0 ? c.successful / c.total : 0,
-    dayPattern: getDayUsagePattern(c.dayOfWeekCounts)
-  })).sort((a, b) => b.total - a.total);
-
-  const callerHeaders = ['Caller Number', 'Caller Name', 'Total DDVM Attempts', 'Unique Numbers', 'Successful', 'Unsuccessful', 'Success Rate', 'Day Usage'];
+  const callerHeaders = [
+    'Caller Number', 'Caller Name', 'Total DDVM Attempts', 'Unique Numbers', 'Successful', 'Unsuccessful',
+    'Success Rate', '95% CI Low', '95% CI High', 'vs. Average', 'Day Usage'
+  ];
   callerSheet.getRow(1).values = callerHeaders;
   callerSheet.getRow(1).eachCell((cell) => {
     cell.style = tableHeaderStyle;
@@ -2787,10 +1112,13 @@ async function generateTrendAnalysis(
   for (const caller of callerArray) {
     callerSheet.getRow(callerRow).values = [
       caller.caller_number, caller.caller_name, caller.total, caller.uniqueNumbers,
-      caller.successful, caller.unsuccessful, caller.success_rate,
+      caller.successful, caller.unsuccessful, caller.success_rate, caller.success_rate_low, caller.success_rate_high, '',
       caller.dayPattern.days.join(', ') || 'All days'
     ];
     callerSheet.getCell(`G${callerRow}`).numFmt = '0.0%';
+    callerSheet.getCell(`H${callerRow}`).numFmt = '0.0%';
+    callerSheet.getCell(`I${callerRow}`).numFmt = '0.0%';
+    writeVsAverage(callerSheet.getCell(`J${callerRow}`), caller.vs_average);
     callerRow++;
   }
 
@@ -2828,8 +1156,16 @@ async function generateTrendAnalysis(
   const dowStats = globalDayStats;
   const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
+  timeSheet.mergeCells('A2:H2');
+  timeSheet.getCell('A2').value =
+    `95% CI: the range the day's true success rate falls in, given its number of attempts. vs. Average is only marked when ` +
+    `that range excludes the overall rate (${overallSuccessRate.toFixed(1)}%), so a quiet day with a few lucky attempts is not called out.`;
+  timeSheet.getCell('A2').font = { italic: true, size: 10, color: { argb: 'FF555555' } };
+  timeSheet.getCell('A2').alignment = { wrapText: true, vertical: 'middle' };
+  timeSheet.getRow(2).height = 30;
+
   const dayHeaderRow = 3;
-  timeSheet.getRow(dayHeaderRow).values = ['Day of Week', 'Total DDVM Attempts', 'Successful', 'Unsuccessful', 'Success Rate'];
+  timeSheet.getRow(dayHeaderRow).values = ['Day of Week', 'Total DDVM Attempts', 'Successful', 'Unsuccessful', 'Success Rate', '95% CI Low', '95% CI High', 'vs. Average'];
   timeSheet.getRow(dayHeaderRow).eachCell((cell) => {
     cell.style = tableHeaderStyle;
   });
@@ -2837,9 +1173,14 @@ async function generateTrendAnalysis(
   let dayRow = dayHeaderRow + 1;
   for (let d = 0; d < 7; d++) {
     const stats = dowStats[d];
-    const successRate = stats.total > 0 ? stats.successful / stats.total : 0;
-    timeSheet.getRow(dayRow).values = [dayNames[d], stats.total, stats.successful, stats.unsuccessful, successRate];
+    timeSheet.getRow(dayRow).values = [
+      dayNames[d], stats.total, stats.successful, stats.unsuccessful,
+      stats.success_rate, stats.success_rate_low, stats.success_rate_high
+    ];
     timeSheet.getCell(`E${dayRow}`).numFmt = '0.0%';
+    timeSheet.getCell(`F${dayRow}`).numFmt = '0.0%';
+    timeSheet.getCell(`G${dayRow}`).numFmt = '0.0%';
+    writeVsAverage(timeSheet.getCell(`H${dayRow}`), stats.vs_average);
     dayRow++;
   }
 
@@ -2888,7 +1229,143 @@ async function generateTrendAnalysis(
   autoFitColumns(timeSheet, 12, 100, [1, 2, 3, 4]); // skip A–D, auto-fit remaining columns only
 
   // ========================================
-  // TAB 9: CONSECUTIVE UNSUCCESSFUL
+  // TAB 9: SEND TIME ANALYSIS
+  // ========================================
+
+  const globalHourDay = analysis.hourDay;
+  if (globalHourDay && globalHourDay.attempts.some(n => n > 0)) {
+    log('Creating Send Time Analysis tab...');
+    const sendSheet = workbook.addWorksheet('Send Time Analysis', {
+      properties: { tabColor: { argb: 'FF3F2FB8' } }
+    });
+    const HEATMAP_MIN_ATTEMPTS = 5;   // cells with fewer attempts are left blank
+    const MAX_HEATMAPS_PER_TYPE = 10; // top messages / caller numbers by volume
+    const shortDays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const fmtWindow = w => w
+      ? `${w.label} – ${(w.successRate * 100).toFixed(1)}% vs. ${(w.baselineRate * 100).toFixed(1)}% overall (${w.liftPts >= 0 ? '+' : ''}${w.liftPts.toFixed(1)} pts)`
+      : 'No clear best window (too few attempts, or no window is above the overall rate beyond its 95% confidence interval)';
+
+    sendSheet.mergeCells('A1:Z1');
+    sendSheet.getCell('A1').value = 'Send Time Analysis – Success Rate by Hour and Day of Week';
+    sendSheet.getCell('A1').style = headerStyle;
+    sendSheet.getRow(1).height = 30;
+    sendSheet.mergeCells('A2:Z2');
+    sendSheet.getCell('A2').value = `Report Timezone: ${userTzDisplay}. Each cell is the DDVM success rate for attempts made in that hour on that day; ` +
+      `cells with fewer than ${HEATMAP_MIN_ATTEMPTS} attempts are left blank. The recommended window is the best-performing ` +
+      `3-hour block, shown only when its 95% confidence interval is above the overall rate, on the days not measurably below the overall rate.`;
+    sendSheet.getCell('A2').style = contentStyle;
+    sendSheet.getRow(2).height = 32;
+
+    // Writes a 7 × 24 heatmap with a day-total column; returns the next free row
+    const writeHeatmap = (startRow, title, attempts, successes, window) => {
+      sendSheet.mergeCells(startRow, 1, startRow, 26);
+      sendSheet.getCell(startRow, 1).value = `${title} — Recommended: ${fmtWindow(window)}`;
+      sendSheet.getCell(startRow, 1).style = sectionHeaderStyle;
+      const hdr = sendSheet.getRow(startRow + 1);
+      ['Day', ...Array.from({ length: 24 }, (_, h) => String(h).padStart(2, '0')), 'Day Total'].forEach((h, i) => {
+        hdr.getCell(i + 1).value = h;
+        hdr.getCell(i + 1).style = tableHeaderStyle;
+      });
+      for (let d = 0; d < 7; d++) {
+        const r = startRow + 2 + d;
+        const inWindow = window && window.days.includes(d);
+        sendSheet.getCell(r, 1).value = shortDays[d];
+        sendSheet.getCell(r, 1).font = { bold: true, color: { argb: inWindow ? VOAPPS_PURPLE : VOAPPS_CHARCOAL } };
+        let dayAtt = 0, daySuc = 0;
+        for (let h = 0; h < 24; h++) {
+          const att = attempts[d * 24 + h], suc = successes[d * 24 + h];
+          dayAtt += att; daySuc += suc;
+          const cell = sendSheet.getCell(r, h + 2);
+          if (att >= HEATMAP_MIN_ATTEMPTS) {
+            cell.value = suc / att;
+            cell.numFmt = '0%';
+          }
+          if (inWindow && h >= window.startHour && h < window.endHour) {
+            cell.border = { top: { style: 'thin', color: { argb: VOAPPS_PURPLE } }, bottom: { style: 'thin', color: { argb: VOAPPS_PURPLE } } };
+          }
+        }
+        const totalCell = sendSheet.getCell(r, 26);
+        if (dayAtt > 0) {
+          totalCell.value = daySuc / dayAtt;
+          totalCell.numFmt = '0.0%';
+        }
+        totalCell.font = { bold: true };
+      }
+      sendSheet.addConditionalFormatting({
+        ref: `B${startRow + 2}:Y${startRow + 8}`,
+        rules: [{ type: 'colorScale', priority: 1,
+          cfvo: [{ type: 'min' }, { type: 'percentile', value: 50 }, { type: 'max' }],
+          color: [{ argb: 'FFF8696B' }, { argb: 'FFFFEB84' }, { argb: 'FF63BE7B' }]
+        }]
+      });
+      return startRow + 10;
+    };
+
+    let sendRow = writeHeatmap(4, 'All Campaigns', globalHourDay.attempts, globalHourDay.successes, globalHourDay.sendWindow);
+
+    // ── Recommended windows for every account, message and caller number ──
+    // The columns are sized for the heatmaps, so each table field spans several of them
+    const spans = [[1, 1], [2, 3], [4, 8], [9, 10], [11, 12], [13, 18], [19, 20], [21, 22], [23, 25]];
+    const writeSpanRow = (r, values) => spans.forEach(([from, to], i) => {
+      if (to > from) sendSheet.mergeCells(r, from, r, to);
+      sendSheet.getCell(r, from).value = values[i];
+    });
+    sendSheet.mergeCells(sendRow, 1, sendRow, 25);
+    sendSheet.getCell(sendRow, 1).value = 'Recommended Delivery Windows';
+    sendSheet.getCell(sendRow, 1).style = sectionHeaderStyle;
+    sendRow++;
+    writeSpanRow(sendRow, ['Type', 'ID', 'Name', 'Attempts', 'Success Rate', 'Recommended Window', 'Window Success Rate', 'Lift (pts)', 'Window 95% CI']);
+    spans.forEach(([from]) => { sendSheet.getCell(sendRow, from).style = { ...tableHeaderStyle, alignment: { ...tableHeaderStyle.alignment, wrapText: true } }; });
+    sendSheet.getRow(sendRow).height = 30;
+    sendRow++;
+    const windowRows = [
+      ...analysis.accounts.map(a => ['Account', a.account_id, '', a]),
+      ...messageArray.map(m => ['Message', m.message_id, m.message_name || '', m]),
+      ...callerArray.map(c => ['Caller #', c.caller_number, c.caller_name || '', c])
+    ];
+    for (const [type, id, name, s] of windowRows) {
+      const w = s.sendWindow;
+      writeSpanRow(sendRow, [
+        type, Number(id) || id, name, s.total, s.success_rate,
+        w ? w.label : 'No clear window', w ? w.successRate : null, w ? Number(w.liftPts.toFixed(1)) : null,
+        w ? formatInterval(w.successRateLow, w.successRateHigh) : ''
+      ]);
+      sendSheet.getCell(sendRow, 9).numFmt = '#,##0';
+      sendSheet.getCell(sendRow, 11).numFmt = '0.0%';
+      sendSheet.getCell(sendRow, 19).numFmt = '0.0%';
+      if (w && w.liftPts >= 5) {
+        sendSheet.getCell(sendRow, 13).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'C6EFCE' } };
+      }
+      sendRow++;
+    }
+    sendRow++;
+
+    // ── Per-entity heatmaps: every account, then the busiest messages and caller numbers ──
+    for (const a of analysis.accounts) {
+      sendRow = writeHeatmap(sendRow, `Account ${a.account_id}`, a.hourDayAttempts, a.hourDaySuccesses, a.sendWindow);
+    }
+    for (const m of messageArray.slice(0, MAX_HEATMAPS_PER_TYPE)) {
+      sendRow = writeHeatmap(sendRow, `Message ${m.message_id}${m.message_name ? ` (${m.message_name})` : ''}`,
+        m.hourDayAttempts, m.hourDaySuccesses, m.sendWindow);
+    }
+    for (const c of callerArray.slice(0, MAX_HEATMAPS_PER_TYPE)) {
+      sendRow = writeHeatmap(sendRow, `Caller # ${c.caller_number}${c.caller_name ? ` (${c.caller_name})` : ''}`,
+        c.hourDayAttempts, c.hourDaySuccesses, c.sendWindow);
+    }
+    if (messageArray.length > MAX_HEATMAPS_PER_TYPE || callerArray.length > MAX_HEATMAPS_PER_TYPE) {
+      sendSheet.getCell(sendRow, 1).value = `Heatmaps are shown for the ${MAX_HEATMAPS_PER_TYPE} highest-volume messages and caller numbers; ` +
+        'the Recommended Delivery Windows table covers all of them.';
+      sendSheet.getCell(sendRow, 1).font = { italic: true, size: 10, color: { argb: 'FF555555' } };
+    }
+
+    sendSheet.getColumn(1).width = 12;
+    for (let c = 2; c <= 25; c++) sendSheet.getColumn(c).width = 7;
+    sendSheet.getColumn(26).width = 11;
+    log(`  Send Time Analysis: recommended window ${globalHourDay.sendWindow ? globalHourDay.sendWindow.label : 'n/a'}`);
+  }
+
+  // ========================================
+  // TAB 10: CONSECUTIVE UNSUCCESSFUL
   // ========================================
 
   if (includeSuppressionCandidates) {
@@ -2906,16 +1383,17 @@ async function generateTrendAnalysis(
 
   let consecRow = 2;
   for (const run of suppressionRuns) {
+    const runStart = run.runStart ? new Date(run.runStart) : null;
+    const runEnd   = run.runEnd ? new Date(run.runEnd) : null;
     consecSheet.getRow(consecRow).values = [
       Number(run.number), run.count,
-      run.runStart && !isNaN(run.runStart.getTime()) ? run.runStart : null,
-      run.runEnd && !isNaN(run.runEnd.getTime()) ? run.runEnd : null,
+      runStart, runEnd,
       Math.round(run.spanDays),
       run.tnHealth, 'Suppression recommended'
     ];
 
-    if (run.runStart) consecSheet.getCell(`C${consecRow}`).numFmt = 'yyyy-mm-dd hh:mm';
-    if (run.runEnd) consecSheet.getCell(`D${consecRow}`).numFmt = 'yyyy-mm-dd hh:mm';
+    if (runStart) consecSheet.getCell(`C${consecRow}`).numFmt = 'yyyy-mm-dd hh:mm';
+    if (runEnd) consecSheet.getCell(`D${consecRow}`).numFmt = 'yyyy-mm-dd hh:mm';
     consecSheet.getCell(`F${consecRow}`).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFC7CE' } };
 
     consecRow++;
@@ -2927,7 +1405,7 @@ async function generateTrendAnalysis(
   } // end includeSuppressionCandidates
 
   // ========================================
-  // TAB 10: DELIVERY TREND
+  // TAB 11: DELIVERY TREND
   // ========================================
 
   log('Creating Delivery Trend tab...');
@@ -2936,36 +1414,8 @@ async function generateTrendAnalysis(
       properties: { tabColor: { argb: 'FF16509B' } }
     });
 
-    // ── Build sorted date list ──────────────────────────────────────────────
-    const sortedDates = Object.keys(dailyStats).sort();
-    const useWeekly   = sortedDates.length > 60; // collapse to weeks if wide range
-
-    // Aggregate into buckets (daily or ISO-week Mon–Sun)
-    const buckets = new Map(); // key → { label, attempts, successes, weekStart }
-    for (const d of sortedDates) {
-      let key, label;
-      if (useWeekly) {
-        // ISO week: find Monday of the week containing this date
-        const dt   = new Date(d + 'T00:00:00Z');
-        const dow  = (dt.getUTCDay() + 6) % 7; // Mon=0
-        const mon  = new Date(dt.getTime() - dow * 86400000);
-        const mon2 = new Date(mon.getTime() + 6 * 86400000);
-        const fmt  = (d2) => {
-          const mo = String(d2.getUTCMonth() + 1).padStart(2, '0');
-          const dy = String(d2.getUTCDate()).padStart(2, '0');
-          return `${d2.getUTCFullYear()}-${mo}-${dy}`;
-        };
-        key   = fmt(mon);
-        label = `${fmt(mon)} – ${fmt(mon2)}`;
-      } else {
-        key = label = d;
-      }
-      const existing = buckets.get(key) || { label, attempts: 0, successes: 0 };
-      existing.attempts  += dailyStats[d].attempts;
-      existing.successes += dailyStats[d].successes;
-      buckets.set(key, existing);
-    }
-    const bucketList = Array.from(buckets.entries()).sort((a, b) => a[0].localeCompare(b[0]));
+    // ── Daily or weekly buckets ─────────────────────────────────────────────
+    const { useWeekly, bucketList } = bucketDailyStats(dailyStats);
 
     // ── Styles ──────────────────────────────────────────────────────────────
     const trHeaderStyle = {
@@ -3065,9 +1515,9 @@ async function generateTrendAnalysis(
       trendSheet.getCell(`A${totRow}`).style = { font: { bold: true, size: 10, color: { argb: 'FF0D053F' } }, fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFAD6D7' } } };
       trendSheet.getCell(`B${totRow}`).value = totalAttempts;
       trendSheet.getCell(`B${totRow}`).style = { font: { bold: true, size: 10 }, fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFAD6D7' } }, ...trNumStyle };
-      trendSheet.getCell(`C${totRow}`).value = _totalSuccess;
+      trendSheet.getCell(`C${totRow}`).value = totalSuccess;
       trendSheet.getCell(`C${totRow}`).style = { font: { bold: true, size: 10 }, fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFAD6D7' } }, ...trNumStyle };
-      const totRate = totalAttempts > 0 ? _totalSuccess / totalAttempts : 0;
+      const totRate = totalAttempts > 0 ? totalSuccess / totalAttempts : 0;
       trendSheet.getCell(`D${totRow}`).value = totRate;
       trendSheet.getCell(`D${totRow}`).style = { font: { bold: true, size: 10 }, fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFAD6D7' } }, ...trPctStyle };
     }
@@ -3082,6 +1532,209 @@ async function generateTrendAnalysis(
     log(`  Delivery Trend: ${bucketList.length} ${useWeekly ? 'week' : 'day'} buckets`);
   }
 
+  // ========================================
+  // TAB 12: COHORT ANALYSIS
+  // ========================================
+
+  const cohortRows = analysis.cohorts ? analysis.cohorts.rows : [];
+  if (cohortRows.length > 0) {
+    log('Creating Cohort Analysis tab...');
+    const cohortSheet = workbook.addWorksheet('Cohort Analysis', {
+      properties: { tabColor: { argb: 'FF6558C6' } }
+    });
+    const monthCount = cohortRows[0].periods.length;
+    const lastCol = 2 + monthCount;
+
+    cohortSheet.mergeCells(1, 1, 1, Math.max(lastCol, 8));
+    cohortSheet.getCell('A1').value = 'Cohort Analysis – Numbers by First-Seen Month';
+    cohortSheet.getCell('A1').style = headerStyle;
+    cohortSheet.getRow(1).height = 30;
+
+    cohortSheet.mergeCells(2, 1, 2, Math.max(lastCol, 8));
+    cohortSheet.getCell('A2').value = 'Each row is the group of numbers first attempted in that month. Month 0 is the first month, Month 1 the month after, and so on. ' +
+      'Success Rate covers the attempts made in that month; Delivery Unlikely and Suppression shares are month-end snapshots of the whole cohort using the report thresholds. ' +
+      'The first row ("or earlier") also holds every number already attempted before the report date range, so it is not a new-list cohort.';
+    cohortSheet.getCell('A2').style = contentStyle;
+    cohortSheet.getRow(2).height = 45;
+
+    // Newest cohort vs. the ones before it – the "are new lists getting worse?" read-out
+    let cohortRow = 4;
+    if (cohortRows.length >= 2) {
+      const newest = cohortRows[cohortRows.length - 1];
+      const earlier = cohortRows.slice(0, -1);
+      const earlierAtt = earlier.reduce((s, r) => s + r.periods[0].attempts, 0);
+      const earlierSuc = earlier.reduce((s, r) => s + r.periods[0].successful, 0);
+      const newestRate = newest.periods[0].successRate;
+      if (earlierAtt > 0 && newestRate !== null) {
+        const earlierRate = earlierSuc / earlierAtt;
+        const diffPts = (newestRate - earlierRate) * 100;
+        const vsEarlier = rateVsBaseline(newest.periods[0].successful, newest.periods[0].attempts, earlierRate);
+        const worse = diffPts < -5 && vsEarlier === 'below';
+        cohortSheet.mergeCells(3, 1, 3, Math.max(lastCol, 8));
+        cohortSheet.getCell('A3').value =
+          `Newest cohort (${newest.cohort}, ${newest.numbers.toLocaleString()} numbers): ${(newestRate * 100).toFixed(1)}% first-month success rate ` +
+          `vs. ${(earlierRate * 100).toFixed(1)}% for earlier cohorts (${diffPts >= 0 ? '+' : ''}${diffPts.toFixed(1)} pts).` +
+          (worse ? ' Newly added numbers are connecting noticeably less often – review the source of the latest list.' : '') +
+          (vsEarlier === null ? ' The difference is within the 95% confidence interval.' : '');
+        cohortSheet.getCell('A3').style = worse ? { ...warningStyle, alignment: { wrapText: true, vertical: 'middle' } } : successStyle;
+        cohortSheet.getRow(3).height = 30;
+        cohortRow = 5;
+      }
+    }
+
+    const cohortBlocks = [
+      { title: 'Success Rate by Month', key: 'successRate', colors: ['FFF8696B', 'FFFFEB84', 'FF63BE7B'] },
+      { title: 'Delivery Unlikely Share of Cohort', key: 'deliveryUnlikelyShare', colors: ['FF63BE7B', 'FFFFEB84', 'FFF8696B'] },
+      { title: 'Suppression Candidate Share of Cohort', key: 'suppressionShare', colors: ['FF63BE7B', 'FFFFEB84', 'FFF8696B'] },
+      { title: 'Numbers Attempted by Month', key: 'activeNumbers', colors: null }
+    ];
+    for (const block of cohortBlocks) {
+      cohortSheet.mergeCells(cohortRow, 1, cohortRow, lastCol);
+      cohortSheet.getCell(cohortRow, 1).value = block.title;
+      cohortSheet.getCell(cohortRow, 1).style = sectionHeaderStyle;
+      cohortRow++;
+
+      const hdr = cohortSheet.getRow(cohortRow);
+      ['Cohort', 'Numbers', ...Array.from({ length: monthCount }, (_, i) => `Month ${i}`)].forEach((h, i) => {
+        hdr.getCell(i + 1).value = h;
+        hdr.getCell(i + 1).style = tableHeaderStyle;
+      });
+      cohortRow++;
+
+      const firstDataRow = cohortRow;
+      for (const row of cohortRows) {
+        cohortSheet.getCell(cohortRow, 1).value = row.atRangeStart ? `${row.cohort} or earlier` : row.cohort;
+        cohortSheet.getCell(cohortRow, 2).value = row.numbers;
+        cohortSheet.getCell(cohortRow, 2).numFmt = '#,##0';
+        row.periods.forEach((p, i) => {
+          const cell = cohortSheet.getCell(cohortRow, 3 + i);
+          cell.value = p[block.key];
+          cell.numFmt = block.key === 'activeNumbers' ? '#,##0' : '0.0%';
+        });
+        cohortRow++;
+      }
+      if (block.colors) {
+        cohortSheet.addConditionalFormatting({
+          ref: `C${firstDataRow}:${cohortSheet.getColumn(lastCol).letter}${cohortRow - 1}`,
+          rules: [{ type: 'colorScale', priority: 1,
+            cfvo: [{ type: 'min' }, { type: 'percentile', value: 50 }, { type: 'max' }],
+            color: block.colors.map(argb => ({ argb }))
+          }]
+        });
+      }
+      cohortRow++;
+    }
+
+    cohortSheet.getColumn(1).width = 18;
+    cohortSheet.getColumn(2).width = 12;
+    for (let c = 3; c <= lastCol; c++) cohortSheet.getColumn(c).width = 11;
+    log(`  Cohort Analysis: ${cohortRows.length} cohort(s) over ${monthCount} month(s)`);
+  }
+
+  // ========================================
+  // TAB 13: A/B COMPARISON
+  // ========================================
+
+  const ab = analysis.abTest;
+  if (ab) {
+    log('Creating AB Comparison tab...');
+    const abSheet = workbook.addWorksheet('AB Comparison', {
+      properties: { tabColor: { argb: 'FFFF4B7D' } }
+    });
+    const entity = ab.type === 'caller' ? 'Caller #' : 'Message';
+    const lastAbCol = 14;
+
+    abSheet.mergeCells(1, 1, 1, lastAbCol);
+    abSheet.getCell('A1').value = `A/B Comparison – ${ab.type === 'caller' ? 'Caller Numbers' : 'Messages'}`;
+    abSheet.getCell('A1').style = headerStyle;
+    abSheet.getRow(1).height = 30;
+
+    abSheet.mergeCells(2, 1, 2, lastAbCol);
+    abSheet.getCell('A2').value = `Each variant is compared with A, the control. Raw success rates are skewed when one variant runs on better days or on more ` +
+      `first attempts, so the adjusted rates and lift only use attempts on the same day of week and attempt number (1, 2, 3, 4+) as A, ` +
+      `weighted across those groups (Mantel-Haenszel). Lift is marked significant when the Cochran-Mantel-Haenszel test gives p < 0.05; ` +
+      `variants with fewer than 30 matched attempts are not tested.`;
+    abSheet.getCell('A2').style = contentStyle;
+    abSheet.getRow(2).height = 45;
+
+    abSheet.mergeCells(3, 1, 3, lastAbCol);
+    abSheet.getCell('A3').value = ab.summary;
+    abSheet.getCell('A3').style = ab.winner ? successStyle : { ...warningStyle, alignment: { wrapText: true, vertical: 'middle' } };
+    abSheet.getRow(3).height = 30;
+
+    let abRow = 5;
+    abSheet.mergeCells(abRow, 1, abRow, lastAbCol);
+    abSheet.getCell(abRow, 1).value = 'Variants';
+    abSheet.getCell(abRow, 1).style = sectionHeaderStyle;
+    abRow++;
+    abSheet.getRow(abRow).values = [
+      'Variant', `${entity} ID`, 'Name', 'Attempts', 'Successful', 'Success Rate', '95% CI Low', '95% CI High',
+      'Matched Attempts', 'A (Adjusted)', 'Variant (Adjusted)', 'Lift (pts)', 'p-value', 'Result'
+    ];
+    abSheet.getRow(abRow).eachCell(c => { c.style = { ...tableHeaderStyle, alignment: { ...tableHeaderStyle.alignment, wrapText: true } }; });
+    abSheet.getRow(abRow).height = 30;
+    abRow++;
+    ab.variants.forEach((v, i) => {
+      const cmp = i > 0 ? ab.comparisons[i - 1] : null;
+      let result = 'Control';
+      if (cmp) {
+        if (!cmp.tested) result = 'Not enough data';
+        else if (!cmp.significant) result = 'No measurable difference';
+        else result = cmp.liftPts > 0 ? 'Better than A' : 'Worse than A';
+      }
+      abSheet.getRow(abRow).values = [
+        v.label, Number(v.id) || v.id, v.name, v.attempts, v.successful, v.successRate, v.successRateLow, v.successRateHigh,
+        cmp ? cmp.matchedVariantAttempts : null,
+        cmp ? cmp.controlRate : null,
+        cmp ? cmp.variantRate : null,
+        cmp && cmp.liftPts !== null ? Number(cmp.liftPts.toFixed(1)) : null,
+        cmp && cmp.pValue !== null ? Number(cmp.pValue.toFixed(4)) : null,
+        result
+      ];
+      [4, 5, 9].forEach(c => { abSheet.getCell(abRow, c).numFmt = '#,##0'; });
+      [6, 7, 8, 10, 11].forEach(c => { abSheet.getCell(abRow, c).numFmt = '0.0%'; });
+      abSheet.getCell(abRow, 13).numFmt = '0.0000';
+      if (v.id === ab.winner) {
+        abSheet.getCell(abRow, 1).font = { bold: true };
+        abSheet.getCell(abRow, 14).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'C6EFCE' } };
+      } else if (cmp && cmp.significant && cmp.liftPts < 0) {
+        abSheet.getCell(abRow, 14).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFC7CE' } };
+      }
+      abRow++;
+    });
+    abRow++;
+
+    // Raw breakdowns the adjustment controls for – where the variants' mixes differ
+    const abBlocks = [
+      { title: 'Success Rate by Attempt Number', key: 'byAttempt', labels: ['Attempt 1', 'Attempt 2', 'Attempt 3', 'Attempt 4+'] },
+      { title: 'Success Rate by Day of Week', key: 'byDay', labels: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'] }
+    ];
+    for (const block of abBlocks) {
+      const n = block.labels.length;
+      abSheet.mergeCells(abRow, 1, abRow, 1 + 2 * n);
+      abSheet.getCell(abRow, 1).value = block.title;
+      abSheet.getCell(abRow, 1).style = sectionHeaderStyle;
+      abRow++;
+      abSheet.getRow(abRow).values = ['Variant', ...block.labels, ...block.labels.map(l => `${l} Attempts`)];
+      abSheet.getRow(abRow).eachCell(c => { c.style = { ...tableHeaderStyle, alignment: { ...tableHeaderStyle.alignment, wrapText: true } }; });
+      abSheet.getRow(abRow).height = 30;
+      abRow++;
+      for (const v of ab.variants) {
+        abSheet.getRow(abRow).values = [v.label, ...v[block.key].map(c => c.successRate), ...v[block.key].map(c => c.attempts)];
+        for (let c = 2; c <= 1 + n; c++) abSheet.getCell(abRow, c).numFmt = '0.0%';
+        for (let c = 2 + n; c <= 1 + 2 * n; c++) abSheet.getCell(abRow, c).numFmt = '#,##0';
+        abRow++;
+      }
+      abRow++;
+    }
+
+    abSheet.getColumn(1).width = 10;
+    abSheet.getColumn(2).width = 14;
+    abSheet.getColumn(3).width = 30;
+    for (let c = 4; c <= 15; c++) abSheet.getColumn(c).width = 13;
+    log(`  A/B Comparison: ${ab.variants.length} variant(s), winner ${ab.winner || 'none'}`);
+  }
+
   // ============================================================================
   // RE-ATTEMPT ANALYSIS TABS (optional – gated by includeReAttemptTabs)
   // ============================================================================
@@ -3418,13 +2071,14 @@ async function generateTrendAnalysis(
     timingSheet.getColumn(3).width = 18;
     timingSheet.getColumn(4).width = 22;
     timingSheet.getColumn(5).width = 14;
+    timingSheet.getColumn(6).width = 16;
 
-    timingSheet.mergeCells('A1:E1');
+    timingSheet.mergeCells('A1:F1');
     timingSheet.getCell('A1').value = 'Retry Timing Analysis – Interval Between Attempts vs. Next-Attempt Success Rate';
     timingSheet.getCell('A1').style = headerStyle;
     timingSheet.getRow(1).height = 30;
 
-    timingSheet.mergeCells('A2:E2');
+    timingSheet.mergeCells('A2:F2');
     timingSheet.getCell('A2').value =
       'Correlates the time gap between consecutive delivery attempts with next-attempt success rate, segmented by prior result code. ' +
       'This reveals the optimal re-attempt window for each failure type – critical intelligence for scheduling strategy. ' +
@@ -3432,13 +2086,14 @@ async function generateTrendAnalysis(
       'but those retried after 4–7 days often see significantly higher success rates as subscribers delete messages and free space. ' +
       'Not in Service (405) numbers typically show low success rates regardless of timing – ' +
       'suggesting suppression is more effective than waiting for a re-attempt window. ' +
-      'Use these patterns to tune your campaign re-attempt intervals by result code type and maximize delivery ROI.';
+      'Use these patterns to tune your campaign re-attempt intervals by result code type and maximize delivery ROI. ' +
+      'Compare gaps by their 95% CI – where the ranges overlap, the data does not yet show one gap working better than the other.';
     timingSheet.getCell('A2').font = { italic: true, size: 10, color: { argb: '555555' } };
     timingSheet.getCell('A2').alignment = { wrapText: true };
     timingSheet.getRow(2).height = 72;
 
-    timingSheet.getRow(4).values = ['From Result Code', 'Time Gap', 'Attempt Pairs', 'Next Attempt Successful', '% Success'];
-    timingSheet.getRow(4).eachCell((c, col) => { if (col <= 5) c.style = tableHeaderStyle; });
+    timingSheet.getRow(4).values = ['From Result Code', 'Time Gap', 'Attempt Pairs', 'Next Attempt Successful', '% Success', '95% CI'];
+    timingSheet.getRow(4).eachCell((c, col) => { if (col <= 6) c.style = tableHeaderStyle; });
 
     let tRow = 5;
     for (const fc of RA_CODES) {
@@ -3449,12 +2104,14 @@ async function generateTrendAnalysis(
         if (d.total === 0) continue;
         anyData = true;
         const pct = d.total > 0 ? (d.nextSuccess / d.total * 100).toFixed(1) : '0.0';
+        const ci = wilsonInterval(d.nextSuccess, d.total);
         timingSheet.getRow(tRow).values = [
           firstRowForCode ? (CODE_LABEL[fc] || fc) : '',
           BUCKET_LABELS[bucket],
           d.total,
           d.nextSuccess,
-          `${pct}%`
+          `${pct}%`,
+          formatInterval(ci.low, ci.high)
         ];
         if (firstRowForCode) {
           timingSheet.getCell(`A${tRow}`).font = { bold: true, size: 11 };
@@ -3465,6 +2122,7 @@ async function generateTrendAnalysis(
         timingSheet.getCell(`B${tRow}`).font = { size: 11 };
         timingSheet.getCell(`C${tRow}`).font = { size: 11 };
         timingSheet.getCell(`D${tRow}`).font = { size: 11 };
+        timingSheet.getCell(`F${tRow}`).font = { size: 11, color: { argb: '555555' } };
 
         // Color % success cell
         const pctNum = parseFloat(pct);
@@ -3484,7 +2142,7 @@ async function generateTrendAnalysis(
   }
 
   // ========================================
-  // TAB 11: GLOSSARY
+  // TAB 14: GLOSSARY
   // ========================================
 
   log('Creating Glossary tab...');
@@ -3529,6 +2187,10 @@ Use the data to set retry limits: when success probability drops below ~15–20%
     ['Day Entropy', 'Measure of how evenly distributed DDVM attempts are across days of the week. Higher entropy (closer to 1.0) means better day-of-week variety.'],
     ['Message Intent', 'Inferred purpose of a message based on its name or AI transcript (e.g., collections, reminder, appointment, callback, welcome, followup, loan servicing). When AI Message Analysis is enabled, intent is derived from the full transcript using a classification model for higher accuracy.'],
     ['List Quality Grade', 'Overall grade (A-D) for the phone number list based on TN health distribution. A: >80% Healthy, <5% Delivery Unlikely. B: >60% Healthy, <10% Delivery Unlikely. C: >40% Healthy, <20% Delivery Unlikely. D: All other cases.'],
+    ['AB Comparison', 'Two or more messages (or caller numbers) run over the same date range, compared with the first one (A). The lift only uses attempts made on the same day of week and attempt number as A, so a recording that mostly went out on first attempts or on stronger days is not credited for that. A variant is called better or worse only when the Cochran-Mantel-Haenszel test gives p < 0.05.'],
+    ['Caller Reputation Score', 'A 0–100 score for each caller number built from its weekly success rate (Executive Summary → Caller Number Reputation). Points are lost when the last four weeks run below the program average, when the weekly rate trends down, and when the latest week drops suddenly – 10+ pts below the weeks before it and statistically significant – which usually means carriers have started flagging the number. 80+ Good, 60–79 Watch, below 60 At Risk; a sudden drop is always At Risk.'],
+    ['95% Confidence Interval (CI)', 'The range a success rate is likely to fall in given how many attempts it is based on (Wilson score interval). 12 attempts give a wide range, thousands a narrow one. "vs. Average" marks a message, caller number or day Above or Below average only when its range excludes the overall rate; a blank means the difference could be chance. Recommended send windows and the newest-cohort warning use the same test.'],
+    ['First-Seen Cohort', 'The group of phone numbers whose first DDVM attempt in the date range fell in the same calendar month. The Cohort Analysis tab follows each cohort month by month, so a newly onboarded list that connects worse than earlier ones stands out in the Month 0 column. The first cohort ("or earlier") also holds every number attempted before the date range started, so only the later cohorts are newly added numbers.'],
     ['Message Transcript', 'Full spoken text of the DDVM voicemail recording, transcribed using Whisper (local or OpenAI). Populated when AI Message Analysis is enabled in settings. Stored permanently in the local DuckDB cache – each message is only transcribed once.'],
     ['Caller # Match', 'Indicates whether a phone number spoken aloud in the message matches the caller ID shown to the recipient. A mismatch means the recipient hears a different callback number than what their phone displays – which can cause confusion or reduce callback rates.'],
     ['Voice Append', 'Indicates the message was used with VoApps Voice Append – a feature that appends a personalized spoken element to the base recording. Detected via the voapps_voice_append field in campaign export data.'],
@@ -3554,7 +2216,8 @@ Use the data to set retry limits: when success probability drops below ~15–20%
 
   const healthDefs = [
     ['Healthy', 'Good delivery performance. No sustained consecutive-failure streak meeting the Delivery Unlikely thresholds. Continue normal operations.'],
-    ['Delivery Unlikely', 'Very poor performance. Success rate below 10% with 4+ consecutive failures; or 6+ consecutive failures regardless of rate; or 5+ attempts with zero successes. Successful DDVM delivery is highly unlikely. Suppression is recommended to protect caller reputation and avoid wasted attempts.'],
+    ...healthTiers.map(t => [t.name, `Custom tier, checked after Delivery Unlikely: ${describeTNHealthRules(tnHealthRules.tiers.find(ct => ct.name === t.name).rules)}.`]),
+    ['Delivery Unlikely', `Very poor performance. ${unlikelyCriteria} Successful DDVM delivery is highly unlikely. Suppression is recommended to protect caller reputation and avoid wasted attempts.`],
     ['Never Delivered', 'Zero successful deliveries across all attempts in the date range. These numbers should be suppressed immediately – they consume budget with no return.'],
   ];
 
@@ -3567,7 +2230,7 @@ Use the data to set retry limits: when success probability drops below ~15–20%
   for (const [term, def] of healthDefs) {
     glossarySheet.getCell(`A${glossRow}`).value = term;
     glossarySheet.getCell(`A${glossRow}`).font = { bold: true };
-    glossarySheet.getCell(`B${glossRow}`).value = `${def} Recommended action: ${healthActions[term]}.`;
+    glossarySheet.getCell(`B${glossRow}`).value = `${def} Recommended action: ${healthActions[term] || 'Monitor closely'}.`;
     glossarySheet.getCell(`B${glossRow}`).style = contentStyle;
     glossarySheet.getRow(glossRow).height = 45;
     glossRow++;
@@ -3649,72 +2312,240 @@ Use the data to set retry limits: when success probability drops below ~15–20%
   log('Writing Excel file...');
   await workbook.xlsx.writeFile(outputPath);
   log(`Delivery Intelligence Analysis complete: ${path.basename(outputPath)}`);
+}
+
+// ============================================================================
+// BUSINESS REVIEW RENDERER
+// ============================================================================
+
+/**
+ * Write the Business Review slide deck for an analysis result.
+ * @param {Object} analysis - Result of computeTrendMetrics()
+ * @param {string} outputPath - Output .pptx path
+ * @param {Object} [pptxOptions] - Slide options passed through to generateBusinessReviewSlides
+ */
+async function renderBusinessReview(analysis, outputPath, pptxOptions = {}) {
+  const squareLogo = path.join(__dirname, 'assets', 'logo_square.png');
+  const circleLogo = path.join(__dirname, 'assets', 'logo_circle.png');
+  const { totals, health } = analysis;
+  await generateBusinessReviewSlides(
+    {
+      uniqueNumbers:        totals.uniqueNumbers,
+      totalAttempts:        totals.totalAttempts,
+      totalSuccess:         totals.totalSuccess,
+      overallSuccessRate:   totals.overallSuccessRate,
+      listGrade:            health.listGrade,
+      listScore:            health.listScore,
+      listScoreFactors:     health.listScoreFactors,
+      gradeGap:             describeGradeGap(health.nextGrade),
+      healthyCount:         health.healthyCount,
+      toxicCount:           health.toxicCount,
+      neverDeliveredCount:  health.neverDeliveredCount,
+      suppressionCandidateCount: analysis.suppressionCandidateCount,
+      avgVariability:       totals.avgVariability,
+      decayCurve:           analysis.decayCurve,
+      cadence:              analysis.cadence,
+      actions:              analysis.recommendations.actions,
+      bestNextAction:       analysis.recommendations.bestNextAction,
+      agentHoursSaved:      totals.agentHoursSaved,
+      staleWarmCount:       totals.staleWarmCount,
+      impliedRemovedCount:  totals.impliedRemovedCount,
+      minDate:              analysis.dateRange.min ? new Date(analysis.dateRange.min) : null,
+      maxDate:              analysis.dateRange.max ? new Date(analysis.dateRange.max) : null,
+      accountIds:           analysis.accounts.map(a => a.account_id).slice(0, 6),
+      sendTime:             analysis.hourDay && {
+        ...analysis.hourDay,
+        windows: [
+          ...[...analysis.accounts].sort((a, b) => b.total - a.total).slice(0, 2)
+            .map(a => ({ type: 'Account', name: String(a.account_id), window: a.sendWindow })),
+          ...analysis.messages.slice(0, 2).map(m => ({ type: 'Message', name: m.message_name || String(m.message_id), window: m.sendWindow })),
+          ...analysis.callers.slice(0, 2).map(c => ({ type: 'Caller #', name: c.caller_name || String(c.caller_number), window: c.sendWindow }))
+        ]
+      },
+      abTest:               analysis.abTest || null
+    },
+    outputPath,
+    null,
+    fs.existsSync(squareLogo) ? squareLogo : null,
+    fs.existsSync(circleLogo) ? circleLogo : null,
+    { ...pptxOptions, reAttemptData: analysis.reAttempt }
+  );
+}
+
+// ============================================================================
+// JSON RENDERER
+// ============================================================================
+
+// Bump when a field in the JSON document is renamed, removed or changes meaning.
+// Adding new fields does not require a bump.
+const TREND_JSON_SCHEMA = 'voapps-delivery-intelligence';
+const TREND_JSON_SCHEMA_VERSION = 1;
+
+/**
+ * Write the analysis result as a versioned JSON document.
+ * @param {Object} analysis - Result of computeTrendMetrics()
+ * @param {string} outputPath - Output .json path
+ */
+async function renderTrendJson(analysis, outputPath) {
+  const doc = {
+    schema: TREND_JSON_SCHEMA,
+    schema_version: TREND_JSON_SCHEMA_VERSION,
+    generated_at: new Date().toISOString(),
+    ...analysis
+  };
+  await fs.promises.writeFile(outputPath, JSON.stringify(doc, null, 2), 'utf8');
+}
+
+/**
+ * Output renderers keyed by format. Each takes (analysis, outputPath, options).
+ */
+const TREND_RENDERERS = {
+  xlsx: renderTrendWorkbook,
+  pptx: renderBusinessReview,
+  json: renderTrendJson,
+  html: generateHtmlReport,
+  suppression: exportSuppressionLists,
+  nextAttempt: exportNextAttempts
+};
+
+/**
+ * Summary counts returned to callers of generateTrendAnalysis.
+ */
+function summarizeTrendAnalysis(analysis) {
+  return {
+    totalRecords: analysis.totals.totalRecords,
+    uniqueNumbers: analysis.totals.uniqueNumbers,
+    overallSuccessRate: analysis.totals.overallSuccessRate,
+    listGrade: analysis.health.listGrade,
+    healthyCount: analysis.health.healthyCount,
+    toxicCount: analysis.health.toxicCount,
+    neverDeliveredCount: analysis.health.neverDeliveredCount,
+    avgVariability: analysis.totals.avgVariability,
+    consecRunsCount: analysis.suppressionRuns.length,
+    suppressionCandidateCount: analysis.suppressionCandidateCount,
+    detectedTimezone: analysis.timezone.detected
+  };
+}
+
+// ============================================================================
+// MAIN ANALYSIS FUNCTION
+// ============================================================================
+
+/**
+ * Generate Delivery Intelligence Analysis Excel Workbook (and Business Review slides)
+ * @param {string|Array} csvInput - CSV file path, array of file paths, or array of row objects
+ * @param {string} outputPath - Output Excel file path
+ * @param {Object} [options] - computeTrendMetrics options (thresholds, maps, timezone, rules,
+ *   rubric, abTest, includeDetailTabs, includeReAttemptTabs, includeNextAttempt) plus:
+ * @param {boolean} [options.includeSuppressionCandidates=true] - Write the Suppression Candidates tab
+ * @param {Object} [options.pptxOptions] - Business Review slide options (see renderBusinessReview)
+ * @param {boolean} [options.includeJson=false] - Also write the analysis as <output>.json
+ * @param {boolean} [options.includeHtml=false] - Also write a self-contained <output>_Report.html
+ * @param {Object|null} [options.suppressionExport] - exportSuppressionLists options; when set,
+ *   lists are written to <output>_Suppression/
+ * @param {boolean} [options.includeNextAttempt=false] - Also write the per-number retry / wait /
+ *   suppress plan as <output>_Next_Attempt.csv
+ * @param {Function} [progressCallback] - Called with a status message at each stage
+ * @returns {Promise<Object>} Summary counts (see summarizeTrendAnalysis) plus suppressionList –
+ *   { outputDir, rows } of the exported suppression list, or null when none was written
+ */
+async function generateTrendAnalysis(csvInput, outputPath, options = {}, progressCallback = null) {
+  const {
+    includeDetailTabs            = false,
+    includeReAttemptTabs         = false,
+    includeSuppressionCandidates = true,
+    pptxOptions                  = {},
+    includeJson                  = false,
+    includeHtml                  = false,
+    suppressionExport            = null,
+    includeNextAttempt           = false
+  } = options;
+
+  log(`Starting Delivery Intelligence Analysis (v${VERSION})`);
+
+  // The JSON document always carries the re-attempt matrices, even when the tabs are off
+  const analysis = await computeTrendMetrics(csvInput, {
+    ...options, includeReAttemptTabs: includeReAttemptTabs || includeJson
+  }, progressCallback);
+
+  await renderTrendWorkbook(analysis, outputPath, {
+    includeDetailTabs, includeReAttemptTabs, includeSuppressionCandidates, progressCallback
+  });
 
   // ── Business Review Slides ───────────────────────────────────────────────────
   try {
-    const pptxPath    = outputPath.replace(/\.xlsx$/i, '_Business_Review.pptx');
-    const squareLogo  = path.join(__dirname, 'assets', 'logo_square.png');
-    const circleLogo  = path.join(__dirname, 'assets', 'logo_circle.png');
-    const slideAccountIds = Object.keys(accountStats).slice(0, 6);
+    const pptxPath = outputPath.replace(/\.xlsx$/i, '_Business_Review.pptx');
     if (progressCallback) progressCallback('Generating Business Review slides...');
-    await generateBusinessReviewSlides(
-      {
-        uniqueNumbers,
-        totalAttempts,
-        totalSuccess:         _totalSuccess,
-        overallSuccessRate,
-        listGrade,
-        healthyCount,
-        toxicCount,
-        neverDeliveredCount,
-        suppressionCandidateCount: new Set(suppressionRuns.map(r => r.number)).size,
-        avgVariability,
-        decayCurve,
-        cadence: {
-          cadenceMultiTouchCount,
-          cadenceSingleTouch,
-          cadenceBucket_sameDay,
-          cadenceBucket_1to2,
-          cadenceBucket_3to5,
-          cadenceBucket_6to10,
-          cadenceBucket_11to15,
-          cadenceBucket_16to30,
-          cadenceBucket_over30,
-          cadenceOverallMedian
-        },
-        actions,
-        bestNextAction,
-        agentHoursSaved,
-        staleWarmCount,
-        impliedRemovedCount,
-        minDate,
-        maxDate,
-        accountIds: slideAccountIds
-      },
-      pptxPath,
-      null,
-      fs.existsSync(squareLogo) ? squareLogo : null,
-      fs.existsSync(circleLogo) ? circleLogo : null,
-      { ...pptxOptions, reAttemptData: includeReAttemptTabs ? reAttemptData : null }
-    );
+    await renderBusinessReview(includeReAttemptTabs ? analysis : { ...analysis, reAttempt: null }, pptxPath, pptxOptions);
     log(`Business review slides saved: ${path.basename(pptxPath)}`);
   } catch (slideErr) {
     log(`[Warning] Business review slides could not be generated: ${slideErr.message}`);
   }
 
-  return {
-    totalRecords: totalValidRows,
-    uniqueNumbers,
-    overallSuccessRate,
-    listGrade,
-    healthyCount,
-    toxicCount,
-    neverDeliveredCount,
-    avgVariability,
-    consecRunsCount: suppressionRuns.length,
-    suppressionCandidateCount: new Set(suppressionRuns.map(r => r.number)).size,
-    detectedTimezone
-  };
+  if (includeJson) {
+    const jsonPath = outputPath.replace(/\.xlsx$/i, '.json');
+    if (progressCallback) progressCallback('Writing JSON export...');
+    await renderTrendJson(analysis, jsonPath);
+    log(`JSON export saved: ${path.basename(jsonPath)}`);
+  }
+
+  if (includeHtml) {
+    const htmlPath = outputPath.replace(/\.xlsx$/i, '_Report.html');
+    if (progressCallback) progressCallback('Generating HTML report...');
+    await generateHtmlReport(analysis, htmlPath, {
+      clientPrefix: pptxOptions.clientPrefix || '',
+      includeSuppressionCandidates
+    });
+    log(`HTML report saved: ${path.basename(htmlPath)}`);
+  }
+
+  // ── Suppression lists ────────────────────────────────────────────────────────
+  // The exported numbers go back to the caller so it can record the list for
+  // lifecycle tracking without re-reading the CSV
+  let suppressionList = null;
+  if (suppressionExport) {
+    try {
+      const suppressionDir = outputPath.replace(/\.xlsx$/i, '_Suppression');
+      if (progressCallback) progressCallback('Exporting suppression lists...');
+      const exported = exportSuppressionLists(analysis, suppressionDir, suppressionExport);
+      suppressionList = {
+        outputDir: exported.outputDir,
+        rows: exported.rows.map(r => ({
+          number: r.number,
+          accountIds: r.accountIds || [],
+          reason: r.reason,
+          count: r.count,
+          lastAttempt: r.lastAttempt
+        }))
+      };
+      log(`Suppression lists saved: ${path.basename(suppressionDir)} (${exported.exportedCount.toLocaleString()} numbers` +
+        `, ${exported.excludedRecentSuccess.toLocaleString()} skipped for a recent success` +
+        `, ${exported.excludedPrevious.toLocaleString()} already on the previous list)`);
+    } catch (suppErr) {
+      log(`[Warning] Suppression lists could not be exported: ${suppErr.message}`);
+    }
+  }
+
+  // ── Next-attempt plan ────────────────────────────────────────────────────────
+  if (includeNextAttempt) {
+    const nextAttemptPath = outputPath.replace(/\.xlsx$/i, '_Next_Attempt.csv');
+    if (progressCallback) progressCallback('Writing next-attempt recommendations...');
+    const { counts } = exportNextAttempts(analysis, nextAttemptPath);
+    log(`Next-attempt recommendations saved: ${path.basename(nextAttemptPath)} (${counts.retry.toLocaleString()} retry` +
+      `, ${counts.wait.toLocaleString()} wait, ${counts.delivered.toLocaleString()} delivered, ${counts.suppress.toLocaleString()} suppress)`);
+  }
+
+  return { ...summarizeTrendAnalysis(analysis), suppressionList };
 }
 
-module.exports = { generateTrendAnalysis, inferMessageIntent };
+module.exports = {
+  generateTrendAnalysis,
+  computeTrendMetrics,
+  renderTrendWorkbook,
+  renderBusinessReview,
+  renderTrendJson,
+  summarizeTrendAnalysis,
+  TREND_RENDERERS,
+  TREND_JSON_SCHEMA_VERSION,
+  inferMessageIntent
+};
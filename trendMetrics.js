@@ -0,0 +1,3029 @@
+// trendMetrics.js - Delivery Intelligence metrics engine
+// Computes every Delivery Intelligence metric from campaign data and returns a
+// plain, JSON-serializable analysis result. Renderers (the Excel workbook in
+// trendAnalyzer.js, the Business Review slides, ...) consume that result;
+// nothing in this file writes report files.
+//
+// Computed:
+// - Attempt Index tracking per TN (resets after success)
+// - Success Probability by attempt number (decay curve)
+// - TN Health Classification (Healthy/Delivery Unlikely/Never Delivered)
+// - Variability Score (message, day, hour, caller diversity)
+// - Delivery cadence buckets and re-attempt matrices
+// - Day-of-week usage recommendations for accounts/messages
+// - Timezone detection from voapps_timestamp
+// - List Quality Grade (A-D), recommended actions and best next action
+
+const Papa = require('papaparse');
+const fs = require('fs');
+const path = require('path');
+
+const { VERSION } = require('./version');
+
+function log(message) {
+  const now = new Date();
+  const timeStr = now.toLocaleTimeString('en-US', { hour12: true });
+  console.log(`[${timeStr}] ${message}`);
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Calculate Shannon entropy for distribution analysis
+ */
+function calculateEntropy(distribution) {
+  const total = distribution.reduce((sum, val) => sum + val, 0);
+  if (total === 0) return 0;
+
+  let entropy = 0;
+  for (const val of distribution) {
+    if (val > 0) {
+      const p = val / total;
+      entropy -= p * Math.log2(p);
+    }
+  }
+  return entropy;
+}
+
+/**
+ * Infer message intent from message name
+ */
+function inferMessageIntent(messageName) {
+  if (!messageName) return 'unknown';
+  const n = messageName.toLowerCase();
+
+  // ── Special message types (pattern-identified) ────────────────────────────
+  if (n.includes('lcm') || n.includes('limited content'))
+    return 'LCM';
+  if (n.includes('zortman') || n.includes('modified zortman'))
+    return 'Modified Zortman';
+
+  // ── Collections ───────────────────────────────────────────────────────────
+  if (n.includes('1st payment') || n.includes('first payment') || n.includes('1st pmt'))
+    return 'first payment default';
+  if (n.includes('charge off') || n.includes('charge-off') || n.includes('pre-charge') ||
+      n.includes('60+') || n.includes('60 dpd') || n.includes('90') || n.includes('pre charge'))
+    return 'pre-charge-off collections';
+  if (n.includes('overdrawn') || n.includes('negative share') || n.includes('nsf') || n.includes('overdraft'))
+    return 'overdrawn account';
+  if (n.includes('friendly') && (n.includes('remind') || n.includes('payment')))
+    return 'friendly payment reminder';
+  if (n.includes('hardship') || n.includes('temporary hardship') ||
+      n.includes('financial difficulty') || n.includes('assistance program'))
+    return 'friendly payment reminder';   // hardship/assistance = soft collections
+  if (n.includes('healthcare') || n.includes('medical') || n.includes('hospital') ||
+      n.includes('ebo') || n.includes('early out') || /\beo\b/.test(n) ||
+      n.includes('3rd party') || n.includes('third party') ||
+      n.includes('debt buyer') || n.includes('extended business'))
+    return 'healthcare or third-party collections';
+  if (n.includes('collect') || n.includes('past due') || n.includes('dpd') ||
+      n.includes('delinquent') || n.includes('balance due'))
+    return 'delinquent loan payment';
+
+  // ── Consumer / Direct Lending ─────────────────────────────────────────────
+  if (n.includes('pre-approv') || n.includes('pre approv') || n.includes('refinanc') ||
+      n.includes('blaster') || n.includes('rate promo'))
+    return 'pre-approval or refinance offer';
+  if (n.includes('application') || n.includes('app follow') || n.includes('pending app') ||
+      n.includes('verification') || n.includes('pending verif'))
+    return 'loan application follow-up';
+  if (n.includes('cpi') || n.includes('force place') || n.includes('force-place') || n.includes('insurance'))
+    return 'CPI or insurance notification';
+  if (n.includes('title'))
+    return 'title perfection reminder';
+  if (n.includes('skip pay') || n.includes('holiday skip') || n.includes('skip-pay'))
+    return 'holiday skip payment offer';
+  if (n.includes('unused reward') || n.includes('rewards'))
+    return 'unused rewards notification';
+  if (n.includes('lead') || n.includes('remarketing') || n.includes('automatic lead') ||
+      n.includes('auto lead'))
+    return 'marketing or lead response';
+
+  // ── Servicing ─────────────────────────────────────────────────────────────
+  if (n.includes('dormant'))
+    return 'dormant account notification';
+  if (n.includes('fraud') || n.includes('phish') || n.includes('scam'))
+    return 'fraud alert';
+  if (n.includes('card activ') || n.includes('card service') || n.includes('card issue'))
+    return 'card services notification';
+  if (n.includes('downtime') || n.includes('olb') || n.includes('system update') ||
+      n.includes('online banking'))
+    return 'system update or downtime notice';
+  if (n.includes('investment') || n.includes('wealth'))
+    return 'product or rate promotion';
+  if (n.includes('disaster') || n.includes('closure') || n.includes('holiday closure') ||
+      n.includes('emergency'))
+    return 'disaster recovery or closure notice';
+
+  // ── Marketing ─────────────────────────────────────────────────────────────
+  if (n.includes('welcome') || n.includes('intro') || n.includes('onboard') ||
+      n.includes('indirect lending welcome') || n.includes('new member'))
+    return 'new member welcome';
+  if (n.includes('offer') || n.includes('promo') || n.includes('promotion') ||
+      n.includes('rate') || n.includes('cd special') || n.includes('discount'))
+    return 'product or rate promotion';
+  if (n.includes('event') || n.includes('workshop') || n.includes('seminar') || n.includes('webinar'))
+    return 'educational event or workshop';
+  if (n.includes('cross sell') || n.includes('ancillary') || n.includes('gap ins') ||
+      n.includes('partnership'))
+    return 'product or rate promotion';
+
+  // ── Payment reminders (generic, when not more specific) ───────────────────
+  if (n.includes('remind') || n.includes('promise') || n.includes('payment reminder'))
+    return 'friendly payment reminder';
+
+  // ── Fallback ──────────────────────────────────────────────────────────────
+  if (n.includes('follow') || n.includes('follow-up') || n.includes('followup'))
+    return 'loan application follow-up';
+  if (n.includes('loan') || n.includes('servic') || n.includes('account'))
+    return 'delinquent loan payment';
+
+  return 'general notice';
+}
+
+// TN Health names the renderers and suppression logic rely on. Custom tiers are
+// checked after Delivery Unlikely; a number matching nothing is Healthy.
+const TN_HEALTH_HEALTHY  = 'Healthy';
+const TN_HEALTH_UNLIKELY = 'Delivery Unlikely';
+const RESERVED_TIER_NAMES = new Set([TN_HEALTH_HEALTHY, TN_HEALTH_UNLIKELY, 'Never Delivered']);
+
+// Rule thresholds – every threshold present in a rule must hold; a tier matches when any of its rules does.
+const TN_RULE_KEYS = [
+  'successRateBelow',      // success rate <  value (0-1)
+  'successRateAtMost',     // success rate <= value
+  'successRateAtLeast',    // success rate >= value
+  'minConsecutiveFailures',
+  'maxConsecutiveFailures',
+  'minAttempts',
+  'maxAttempts',
+  'successWithinDays',     // last success within N days of the end of the analyzed range
+  'noSuccessWithinDays'    // no success within N days of the end of the analyzed range
+];
+
+const DEFAULT_TN_HEALTH_RULES = {
+  deliveryUnlikely: [
+    { successRateBelow: 0.1, minConsecutiveFailures: 4 },
+    { minConsecutiveFailures: 6 },
+    { minAttempts: 5, successRateAtMost: 0 }
+  ],
+  tiers: []
+};
+
+function normalizeTNRule(rule) {
+  const unknown = Object.keys(rule || {}).filter(key => !TN_RULE_KEYS.includes(key));
+  if (unknown.length > 0) throw new Error(`TN Health rule: unknown threshold "${unknown[0]}"`);
+  const out = {};
+  for (const key of TN_RULE_KEYS) {
+    if (rule[key] === undefined || rule[key] === null || rule[key] === '') continue;
+    const value = Number(rule[key]);
+    if (!Number.isFinite(value) || value < 0) throw new Error(`TN Health rule: ${key} must be a non-negative number`);
+    out[key] = value;
+  }
+  if (Object.keys(out).length === 0) throw new Error('TN Health rule: each rule needs at least one threshold');
+  return out;
+}
+
+/**
+ * Validate a TN Health rules configuration and fill in the defaults.
+ * @param {Object} [rules]
+ * @param {Array<Object>} [rules.deliveryUnlikely] - Rules that classify a number as Delivery Unlikely
+ * @param {Array<{name: string, rules: Array<Object>}>} [rules.tiers] - Named tiers between Delivery Unlikely
+ *   and Healthy (e.g. "At Risk", "Recovering"), checked in order
+ * @returns {{ deliveryUnlikely: Array<Object>, tiers: Array<{name: string, rules: Array<Object>}> }}
+ */
+function normalizeTNHealthRules(rules) {
+  if (!rules) return DEFAULT_TN_HEALTH_RULES;
+  const deliveryUnlikely = Array.isArray(rules.deliveryUnlikely) && rules.deliveryUnlikely.length > 0
+    ? rules.deliveryUnlikely.map(normalizeTNRule)
+    : DEFAULT_TN_HEALTH_RULES.deliveryUnlikely;
+
+  const seen = new Set();
+  const tiers = (Array.isArray(rules.tiers) ? rules.tiers : []).map(tier => {
+    const name = String(tier?.name || '').trim();
+    if (!name) throw new Error('TN Health tier: name is required');
+    if (RESERVED_TIER_NAMES.has(name)) throw new Error(`TN Health tier: "${name}" is a built-in classification`);
+    if (seen.has(name)) throw new Error(`TN Health tier: duplicate name "${name}"`);
+    seen.add(name);
+    if (!Array.isArray(tier.rules) || tier.rules.length === 0) throw new Error(`TN Health tier "${name}": at least one rule is required`);
+    return { name, rules: tier.rules.map(normalizeTNRule) };
+  });
+
+  return { deliveryUnlikely, tiers };
+}
+
+function matchesTNRule(rule, m) {
+  if (rule.successRateBelow       !== undefined && !(m.successRate <  rule.successRateBelow)) return false;
+  if (rule.successRateAtMost      !== undefined && !(m.successRate <= rule.successRateAtMost)) return false;
+  if (rule.successRateAtLeast     !== undefined && !(m.successRate >= rule.successRateAtLeast)) return false;
+  if (rule.minConsecutiveFailures !== undefined && m.consecutiveFailures < rule.minConsecutiveFailures) return false;
+  if (rule.maxConsecutiveFailures !== undefined && m.consecutiveFailures > rule.maxConsecutiveFailures) return false;
+  if (rule.minAttempts            !== undefined && m.totalAttempts < rule.minAttempts) return false;
+  if (rule.maxAttempts            !== undefined && m.totalAttempts > rule.maxAttempts) return false;
+  const recent = days => m.daysSinceLastSuccess !== null && m.daysSinceLastSuccess <= days;
+  if (rule.successWithinDays      !== undefined && !recent(rule.successWithinDays)) return false;
+  if (rule.noSuccessWithinDays    !== undefined && recent(rule.noSuccessWithinDays)) return false;
+  return true;
+}
+
+/**
+ * Plain-English description of a tier's rules for report text,
+ * e.g. "success rate below 10% with 4+ consecutive failures; or 6+ consecutive failures".
+ */
+function describeTNHealthRules(rules) {
+  const pct = v => `${+(v * 100).toFixed(1)}%`;
+  return rules.map(rule => {
+    const parts = [];
+    if (rule.successRateAtMost === 0) parts.push('zero successes');
+    else if (rule.successRateAtMost !== undefined) parts.push(`success rate at most ${pct(rule.successRateAtMost)}`);
+    if (rule.successRateBelow       !== undefined) parts.push(`success rate below ${pct(rule.successRateBelow)}`);
+    if (rule.successRateAtLeast     !== undefined) parts.push(`success rate of ${pct(rule.successRateAtLeast)}+`);
+    if (rule.minConsecutiveFailures !== undefined) parts.push(`${rule.minConsecutiveFailures}+ consecutive failures`);
+    if (rule.maxConsecutiveFailures !== undefined) parts.push(`at most ${rule.maxConsecutiveFailures} consecutive failures`);
+    if (rule.minAttempts            !== undefined) parts.push(`${rule.minAttempts}+ attempts`);
+    if (rule.maxAttempts            !== undefined) parts.push(`at most ${rule.maxAttempts} attempts`);
+    if (rule.successWithinDays      !== undefined) parts.push(`a success in the last ${rule.successWithinDays} days`);
+    if (rule.noSuccessWithinDays    !== undefined) parts.push(`no success in the last ${rule.noSuccessWithinDays} days`);
+    return parts.join(' with ');
+  }).join('; or ');
+}
+
+/** True when the Delivery Unlikely rules are the built-in ones. */
+function isDefaultDeliveryUnlikely(rules) {
+  return !rules || JSON.stringify(rules.deliveryUnlikely) === JSON.stringify(DEFAULT_TN_HEALTH_RULES.deliveryUnlikely);
+}
+
+/**
+ * Calculate TN Health classification
+ * @param {Object} [rules] - Normalized rules (normalizeTNHealthRules); defaults to the built-in rules
+ * @param {number|null} [daysSinceLastSuccess] - Days from the last success to the end of the range (null = never)
+ */
+function classifyTNHealth(successRate, consecutiveFailures, totalAttempts, recentSuccess14Days, rules = DEFAULT_TN_HEALTH_RULES, daysSinceLastSuccess = null) {
+  const m = { successRate, consecutiveFailures, totalAttempts, daysSinceLastSuccess };
+  if (rules.deliveryUnlikely.some(rule => matchesTNRule(rule, m))) return TN_HEALTH_UNLIKELY;
+  for (const tier of rules.tiers) {
+    if (tier.rules.some(rule => matchesTNRule(rule, m))) return tier.name;
+  }
+  return TN_HEALTH_HEALTHY;
+}
+
+// List Quality rubric. Metrics are percentages of unique numbers.
+const LIST_GRADE_METRICS = {
+  healthyPct:        'Healthy',
+  toxicPct:          'Delivery Unlikely',
+  neverDeliveredPct: 'Never Delivered'
+};
+
+// Factors: each metric scores 0 at `worst` and full weight at `best` (linear in between);
+// the 0-100 score is the weighted share of the total. Grades: checked in order, the first
+// grade whose cutoffs all hold wins – `atLeast` / `below` on the metrics or on `score`.
+// The built-in grade cutoffs match the original fixed A–D rules.
+const DEFAULT_LIST_GRADE_RUBRIC = {
+  factors: [
+    { metric: 'healthyPct',        weight: 50, best: 100, worst: 0 },
+    { metric: 'toxicPct',          weight: 30, best: 0,   worst: 25 },
+    { metric: 'neverDeliveredPct', weight: 20, best: 0,   worst: 30 }
+  ],
+  grades: [
+    { grade: 'A', atLeast: { healthyPct: 80 }, below: { toxicPct: 5, neverDeliveredPct: 10 } },
+    { grade: 'B', atLeast: { healthyPct: 60 }, below: { toxicPct: 10, neverDeliveredPct: 20 } },
+    { grade: 'C', atLeast: { healthyPct: 40 }, below: { toxicPct: 20 } },
+    { grade: 'D' }
+  ]
+};
+
+function normalizeGradeCutoffs(cutoffs, grade, kind) {
+  const out = {};
+  for (const [metric, value] of Object.entries(cutoffs || {})) {
+    if (metric !== 'score' && !LIST_GRADE_METRICS[metric]) throw new Error(`List grade "${grade}": unknown metric "${metric}" in ${kind}`);
+    const n = Number(value);
+    if (!Number.isFinite(n)) throw new Error(`List grade "${grade}": ${kind}.${metric} must be a number`);
+    out[metric] = n;
+  }
+  return out;
+}
+
+/**
+ * Validate a List Quality rubric and fill in the defaults.
+ * @param {Object} [rubric]
+ * @param {Array<{metric, weight, best, worst, label?}>} [rubric.factors]
+ * @param {Array<{grade, atLeast?, below?}>} [rubric.grades] - Best grade first; the last grade should have no cutoffs
+ * @returns {{ factors: Array<Object>, grades: Array<Object> }}
+ */
+function normalizeListGradeRubric(rubric) {
+  if (!rubric) return DEFAULT_LIST_GRADE_RUBRIC;
+
+  const factors = Array.isArray(rubric.factors) && rubric.factors.length > 0
+    ? rubric.factors.map(f => {
+        if (!LIST_GRADE_METRICS[f?.metric]) throw new Error(`List grade factor: unknown metric "${f?.metric}"`);
+        const weight = Number(f.weight), best = Number(f.best), worst = Number(f.worst);
+        if (!Number.isFinite(weight) || weight <= 0) throw new Error(`List grade factor ${f.metric}: weight must be a positive number`);
+        if (!Number.isFinite(best) || !Number.isFinite(worst) || best === worst) {
+          throw new Error(`List grade factor ${f.metric}: best and worst must be different numbers`);
+        }
+        return { metric: f.metric, label: String(f.label || LIST_GRADE_METRICS[f.metric]), weight, best, worst };
+      })
+    : DEFAULT_LIST_GRADE_RUBRIC.factors;
+
+  const grades = Array.isArray(rubric.grades) && rubric.grades.length > 0
+    ? rubric.grades.map(g => {
+        const grade = String(g?.grade || '').trim();
+        if (!grade) throw new Error('List grade: each grade needs a name');
+        return {
+          grade,
+          atLeast: normalizeGradeCutoffs(g.atLeast, grade, 'atLeast'),
+          below: normalizeGradeCutoffs(g.below, grade, 'below')
+        };
+      })
+    : DEFAULT_LIST_GRADE_RUBRIC.grades;
+
+  return { factors, grades };
+}
+
+/** Cutoffs of a grade that the list misses, e.g. [{ metric: 'toxicPct', value: 12.3, below: 10 }]. */
+function unmetGradeCutoffs(grade, values) {
+  const unmet = [];
+  for (const [metric, min] of Object.entries(grade.atLeast || {})) {
+    if (!(values[metric] >= min)) unmet.push({ metric, label: metric === 'score' ? 'Score' : LIST_GRADE_METRICS[metric], value: values[metric], atLeast: min });
+  }
+  for (const [metric, max] of Object.entries(grade.below || {})) {
+    if (!(values[metric] < max)) unmet.push({ metric, label: metric === 'score' ? 'Score' : LIST_GRADE_METRICS[metric], value: values[metric], below: max });
+  }
+  return unmet;
+}
+
+/**
+ * Score a list against a rubric.
+ * @returns {{ grade: string, score: number, factors: Array<{metric, label, value, weight, best, worst, points, maxPoints}>,
+ *   nextGrade: { grade: string, unmet: Array<Object> } | null }}
+ *   factors[].points / maxPoints are on the 0-100 scale; nextGrade explains what the
+ *   list is missing for the grade above the one it got.
+ */
+function scoreListQuality(metrics, rubric = DEFAULT_LIST_GRADE_RUBRIC) {
+  const totalWeight = rubric.factors.reduce((sum, f) => sum + f.weight, 0);
+  const factors = rubric.factors.map(f => {
+    const value = metrics[f.metric] || 0;
+    const share = Math.max(0, Math.min(1, (value - f.worst) / (f.best - f.worst)));
+    const maxPoints = (f.weight / totalWeight) * 100;
+    return {
+      metric: f.metric, label: f.label || LIST_GRADE_METRICS[f.metric], value,
+      weight: f.weight, best: f.best, worst: f.worst, points: share * maxPoints, maxPoints
+    };
+  });
+  const score = Math.round(factors.reduce((sum, f) => sum + f.points, 0) * 10) / 10;
+
+  const values = { ...metrics, score };
+  let gradeIdx = rubric.grades.findIndex(g => unmetGradeCutoffs(g, values).length === 0);
+  if (gradeIdx === -1) gradeIdx = rubric.grades.length - 1;
+  const above = gradeIdx > 0 ? rubric.grades[gradeIdx - 1] : null;
+
+  return {
+    grade: rubric.grades[gradeIdx].grade,
+    score,
+    factors,
+    nextGrade: above ? { grade: above.grade, unmet: unmetGradeCutoffs(above, values) } : null
+  };
+}
+
+/**
+ * Why the list did not reach the next grade up, for report text, e.g.
+ * "Grade B needs Healthy ≥ 60% (55.0%) and Delivery Unlikely < 10% (12.3%)". '' for the top grade.
+ */
+function describeGradeGap(nextGrade) {
+  if (!nextGrade || nextGrade.unmet.length === 0) return '';
+  const fmt = (u, n) => u.metric === 'score' ? n.toFixed(1) : `${n.toFixed(1)}%`;
+  const parts = nextGrade.unmet.map(u => u.atLeast !== undefined
+    ? `${u.label} ≥ ${fmt(u, u.atLeast)} (${fmt(u, u.value)})`
+    : `${u.label} < ${fmt(u, u.below)} (${fmt(u, u.value)})`);
+  return `Grade ${nextGrade.grade} needs ${parts.join(' and ')}`;
+}
+
+/**
+ * Calculate List Quality Grade
+ */
+function calculateListGrade(healthyPct, toxicPct, neverDeliveredPct, rubric = DEFAULT_LIST_GRADE_RUBRIC) {
+  return scoreListQuality({ healthyPct, toxicPct, neverDeliveredPct }, rubric).grade;
+}
+
+/**
+ * Format day distribution string
+ */
+function formatDayDistribution(counts, total) {
+  const dayNames = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+  return dayNames.map((day, i) => {
+    const pct = total > 0 ? Math.round((counts[i] / total) * 100) : 0;
+    return `${day}: ${pct}%`;
+  }).join(' | ');
+}
+
+/**
+ * Extract timezone from voapps_timestamp
+ * Examples: "2026-01-16 15:50:21 UTC", "2025-12-10 14:56:39 -07:00"
+ */
+function extractTimezone(timestamp) {
+  if (!timestamp) return null;
+
+  // Check for UTC
+  if (timestamp.includes(' UTC')) {
+    return { offset: '+00:00', name: 'UTC' };
+  }
+
+  // Check for offset like -07:00 or +05:30
+  const match = timestamp.match(/([+-]\d{2}:\d{2})$/);
+  if (match) {
+    const offset = match[1];
+    // Map common offsets to timezone names
+    const tzNames = {
+      '-05:00': 'America/New_York',
+      '-06:00': 'America/Chicago',
+      '-07:00': 'America/Denver',
+      '-08:00': 'America/Los_Angeles',
+      '-04:00': 'America/New_York (DST)',
+      '-09:00': 'America/Anchorage',
+      '-10:00': 'Pacific/Honolulu',
+      '+00:00': 'UTC'
+    };
+    return { offset, name: tzNames[offset] || offset };
+  }
+
+  return null;
+}
+
+/**
+ * Parse a voapps_timestamp into { utcDate, localHour, localDayOfWeek } without
+ * relying on JavaScript's system timezone. The timestamp already encodes the local
+ * time (either as " UTC" or as " -07:00" etc.), so we read hour/day directly from
+ * the string to avoid system-timezone corruption.
+ *
+ * Formats handled:
+ *   "2025-11-16 14:47:05 UTC"        → UTC local time
+ *   "2025-11-16 09:47:05 -07:00"     → local time at -07:00
+ */
+function parseTimestampLocal(timestamp) {
+  if (!timestamp || typeof timestamp !== 'string') return null;
+  const ts = timestamp.trim();
+
+  // Match: YYYY-MM-DD HH:MM:SS (UTC | ±HH:MM)
+  const match = ts.match(/^(\d{4})-(\d{2})-(\d{2})\s+(\d{2}):(\d{2}):(\d{2})\s+(?:UTC|([+-]\d{2}:\d{2}))$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, offsetStr] = match;
+  const localHour = parseInt(hour, 10);
+
+  // Compute UTC ms so we can derive day-of-week in the LOCAL timezone
+  const offsetMinutes = offsetStr
+    ? (parseInt(offsetStr.slice(0, 3), 10) * 60 + parseInt(offsetStr.slice(4), 10) * Math.sign(parseInt(offsetStr, 10) || 1))
+    : 0; // UTC = 0 offset
+
+  // Build UTC Date by subtracting the local offset
+  const localMs = Date.UTC(
+    parseInt(year), parseInt(month) - 1, parseInt(day),
+    parseInt(hour), parseInt(minute), parseInt(second)
+  );
+  const utcMs = localMs - offsetMinutes * 60 * 1000;
+  const utcDate = new Date(utcMs);
+
+  // Day of week in local time: shift UTC date back to local then read getUTCDay()
+  const localDate = new Date(utcMs + offsetMinutes * 60 * 1000);
+  const localDayOfWeek = localDate.getUTCDay();  // 0=Sun … 6=Sat in local time
+
+  // Local date string YYYY-MM-DD (used for daily/weekly trend tracking)
+  const lY = localDate.getUTCFullYear();
+  const lM = String(localDate.getUTCMonth() + 1).padStart(2, '0');
+  const lD = String(localDate.getUTCDate()).padStart(2, '0');
+  const localDateStr = `${lY}-${lM}-${lD}`;
+
+  return { utcDate, localHour, localDayOfWeek, localDateStr };
+}
+
+/**
+ * Normalize a raw voapps_timestamp string: replace "+00:00" suffix with "UTC".
+ * All other offsets (e.g. "-05:00") are left unchanged.
+ */
+function formatTimestamp(ts) {
+  if (!ts || typeof ts !== 'string') return ts;
+  return ts.replace(/\s\+00:00$/, ' UTC');
+}
+
+/**
+ * Binary-search a campaign timestamp list (sorted by row index) to find the
+ * entry whose index is closest to targetIdx. Returns the timestamp string or null.
+ * tsList: Array<{ idx: number, ts: string }>, sorted ascending by idx.
+ */
+function findNearestTs(tsList, targetIdx) {
+  if (!tsList || tsList.length === 0) return null;
+  let lo = 0, hi = tsList.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (tsList[mid].idx < targetIdx) lo = mid + 1;
+    else hi = mid;
+  }
+  // lo = first entry with idx >= targetIdx
+  const prev = lo > 0 ? tsList[lo - 1] : null;
+  const next = lo < tsList.length ? tsList[lo] : null;
+  if (!prev && !next) return null;
+  if (!prev) return next.ts;
+  if (!next) return prev.ts;
+  const dp = Math.abs(prev.idx - targetIdx);
+  const dn = Math.abs(next.idx - targetIdx);
+  return dp <= dn ? prev.ts : next.ts;
+}
+
+/**
+ * Convert a ms-epoch number to a "YYYY-MM-DD HH:MM:SS UTC" timestamp string.
+ * Used to reconstruct a filled timestamp from campaignTsMap epoch entries.
+ */
+function epochToTimestamp(ms) {
+  const d = new Date(ms);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())} ` +
+         `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())} UTC`;
+}
+
+/**
+ * Like findNearestTs but for lists whose entries carry { idx, tsMs } (epoch ms number)
+ * instead of { idx, ts } (string).  Returns epoch ms or null.
+ * Storing epoch numbers in campaignTsMap instead of strings saves ~80 bytes per entry
+ * (~100 MB for a 1.4 M-row dataset) and reduces GC pressure during Phase 2 startup.
+ */
+function findNearestTsMs(tsList, targetIdx) {
+  if (!tsList || tsList.length === 0) return null;
+  let lo = 0, hi = tsList.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (tsList[mid].idx < targetIdx) lo = mid + 1; else hi = mid;
+  }
+  const prev = lo > 0 ? tsList[lo - 1] : null;
+  const next = lo < tsList.length ? tsList[lo] : null;
+  if (!prev && !next) return null;
+  if (!prev) return next.tsMs;
+  if (!next) return prev.tsMs;
+  return Math.abs(prev.idx - targetIdx) <= Math.abs(next.idx - targetIdx) ? prev.tsMs : next.tsMs;
+}
+
+/**
+ * Get friendly timezone name from IANA or offset
+ */
+function getTimezoneDisplayName(tzInfo) {
+  if (!tzInfo) return 'Unknown';
+
+  const ianaToFriendly = {
+    'America/New_York': 'Eastern Time (ET)',
+    'America/Chicago': 'Central Time (CT)',
+    'America/Denver': 'Mountain Time (MT)',
+    'America/Los_Angeles': 'Pacific Time (PT)',
+    'America/Anchorage': 'Alaska Time (AKT)',
+    'Pacific/Honolulu': 'Hawaii Time (HT)',
+    'UTC': 'UTC'
+  };
+
+  if (tzInfo.name && ianaToFriendly[tzInfo.name]) {
+    return ianaToFriendly[tzInfo.name];
+  }
+
+  // If we have an offset, show it with inferred name
+  if (tzInfo.offset) {
+    const offsetNames = {
+      '-05:00': 'Eastern Time (ET)',
+      '-06:00': 'Central Time (CT)',
+      '-07:00': 'Mountain Time (MT)',
+      '-08:00': 'Pacific Time (PT)',
+      '-04:00': 'Eastern Daylight Time (EDT)',
+      '+00:00': 'UTC'
+    };
+    return offsetNames[tzInfo.offset] || `UTC${tzInfo.offset}`;
+  }
+
+  return tzInfo.name || 'Unknown';
+}
+
+/**
+ * Check if account/message is only used on specific days
+ */
+function getDayUsagePattern(dayOfWeekCounts) {
+  const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  const usedDays = [];
+  const total = dayOfWeekCounts.reduce((sum, c) => sum + c, 0);
+
+  if (total === 0) return { limited: false, days: [] };
+
+  for (let i = 0; i < 7; i++) {
+    if (dayOfWeekCounts[i] > total * 0.1) { // At least 10% of volume on this day
+      usedDays.push(dayNames[i]);
+    }
+  }
+
+  // Flag as limited only if 1-2 days qualify (at the 10% threshold), excluding Sunday-only patterns
+  const nonSundayUsed = usedDays.filter(d => d !== 'Sunday');
+
+  if (nonSundayUsed.length === 0 && usedDays.length === 0) {
+    // No day meets 10% threshold – very sparse data
+    return { limited: false, days: [] };
+  }
+
+  if (nonSundayUsed.length <= 2 && usedDays.length <= 3) {
+    // Truly limited to 1-3 days total (not just proportionally light on some days)
+    const dayList = usedDays.length > 0 ? usedDays : nonSundayUsed;
+    if (dayList.length === 0) return { limited: false, days: usedDays };
+    return {
+      limited: true,
+      days: usedDays,
+      recommendation: `Only used on ${dayList.join(' and ')}. Consumers who receive your message on a predictable day pattern begin to recognize and mentally categorize it as routine – reducing the likelihood they listen or call back. Rotating across additional days of the week makes your outreach feel less automated and more timely.`
+    };
+  }
+
+  // Check for severely disproportionate day usage (one day < 5% when all days used)
+  const dominantDays = [];
+  const lightDays = [];
+  for (let i = 0; i < 7; i++) {
+    const pct = dayOfWeekCounts[i] / total;
+    if (pct > 0 && pct < 0.05 && dayNames[i] !== 'Sunday') {
+      lightDays.push(`${dayNames[i]} (${(pct * 100).toFixed(1)}%)`);
+    } else if (pct >= 0.2) {
+      dominantDays.push(dayNames[i]);
+    }
+  }
+
+  if (lightDays.length > 0 && dominantDays.length > 0) {
+    return {
+      limited: true,
+      days: usedDays,
+      recommendation: `Volume is heavily concentrated on ${dominantDays.join(' and ')} – ${lightDays.join(', ')} received very little. Spreading attempts more evenly prevents consumers from developing a predictable "this is my weekly voicemail" expectation and increases the chance of catching them in a different mindset.`
+    };
+  }
+
+  return { limited: false, days: usedDays };
+}
+
+/**
+ * Map offset to IANA timezone name
+ */
+function offsetToIANA(offset) {
+  const offsetToIanaMap = {
+    '-05:00': 'America/New_York',
+    '-04:00': 'America/New_York',  // EDT
+    '-06:00': 'America/Chicago',
+    '-05:00': 'America/Chicago',   // CDT (Note: overlaps with EST - context dependent)
+    '-07:00': 'America/Denver',
+    '-06:00': 'America/Denver',    // MDT
+    '-08:00': 'America/Los_Angeles',
+    '-07:00': 'America/Los_Angeles', // PDT
+    '-09:00': 'America/Anchorage',
+    '-10:00': 'Pacific/Honolulu',
+    '+00:00': 'UTC'
+  };
+  return offsetToIanaMap[offset] || null;
+}
+
+/**
+ * DST helpers for timezone mismatch detection
+ */
+function nthWeekday(year, month, weekday, n) {
+  // Returns the Date (UTC) of the nth occurrence of weekday (0=Sun) in month (0-indexed) of year
+  let count = 0;
+  const d = new Date(Date.UTC(year, month, 1));
+  while (true) {
+    if (d.getUTCDay() === weekday) { count++; if (count === n) return new Date(d); }
+    d.setUTCDate(d.getUTCDate() + 1);
+    if (d.getUTCMonth() !== month) break;
+  }
+  return null;
+}
+
+function isDstTransitionSpan(minDate, maxDate) {
+  // Returns true if the date range straddles a US DST boundary
+  // (second Sunday of March = spring forward; first Sunday of November = fall back)
+  if (!minDate || !maxDate) return false;
+  const y1 = minDate.getUTCFullYear(), y2 = maxDate.getUTCFullYear();
+  for (let y = y1; y <= y2; y++) {
+    const springFwd = nthWeekday(y, 2, 0, 2);  // March, Sunday, 2nd
+    const fallBack  = nthWeekday(y, 10, 0, 1); // November, Sunday, 1st
+    if ((springFwd && minDate <= springFwd && springFwd <= maxDate) ||
+        (fallBack  && minDate <= fallBack  && fallBack  <= maxDate)) return true;
+  }
+  return false;
+}
+
+function parseOffsetToMinutes(offset) {
+  if (!offset) return 0;
+  const m = offset.match(/([+-])(\d{2}):(\d{2})/);
+  if (!m) return 0;
+  return (m[1] === '-' ? -1 : 1) * (parseInt(m[2]) * 60 + parseInt(m[3]));
+}
+
+/**
+ * Check for timezone discrepancies between account settings and results
+ * Returns array of discrepancies with recommendations
+ */
+function detectTimezoneDiscrepancies(accountTimezones, accountResultTimezones, minDate, maxDate) {
+  const discrepancies = [];
+
+  // Compare each account's configured timezone with what appears in results
+  for (const [accountId, resultsOffset] of Object.entries(accountResultTimezones)) {
+    const configuredTz = accountTimezones[accountId];
+
+    if (!configuredTz || !resultsOffset) continue;
+
+    // Get expected offset for the configured timezone
+    const ianaToExpectedOffset = {
+      'America/New_York': ['-05:00', '-04:00'],      // EST/EDT
+      'America/Chicago': ['-06:00', '-05:00'],       // CST/CDT
+      'America/Denver': ['-07:00', '-06:00'],        // MST/MDT
+      'America/Los_Angeles': ['-08:00', '-07:00'],   // PST/PDT
+      'America/Anchorage': ['-09:00', '-08:00'],     // AKST/AKDT
+      'Pacific/Honolulu': ['-10:00'],                // HST (no DST)
+      'America/Phoenix': ['-07:00'],                 // MST (no DST)
+      'UTC': ['+00:00']
+    };
+
+    const expectedOffsets = ianaToExpectedOffset[configuredTz] || [];
+
+    if (expectedOffsets.length > 0 && !expectedOffsets.includes(resultsOffset)) {
+      // DST guard: if the configured timezone is a raw offset string (not an IANA name),
+      // it only has one entry in expectedOffsets. During a DST transition the detected
+      // offset will differ by exactly 60 minutes – suppress this as a false positive.
+      const detectedOffset = resultsOffset;
+      const configuredOffset = expectedOffsets[0]; // raw offset string has only one entry
+      if (expectedOffsets.length === 1) {
+        const hourDiff = Math.abs(parseOffsetToMinutes(detectedOffset) - parseOffsetToMinutes(configuredOffset));
+        if (hourDiff === 60 && isDstTransitionSpan(minDate, maxDate)) {
+          continue; // DST transition – not a real mismatch
+        }
+      }
+      discrepancies.push({
+        accountId,
+        configuredTimezone: configuredTz,
+        resultsOffset,
+        message: `Account ${accountId}: Configured as ${configuredTz}, but results show ${resultsOffset}`
+      });
+    }
+  }
+
+  return discrepancies;
+}
+
+/** Monday (YYYY-MM-DD) of the ISO week containing a YYYY-MM-DD date. */
+function isoWeekStart(dateStr) {
+  const dt  = new Date(dateStr + 'T00:00:00Z');
+  const dow = (dt.getUTCDay() + 6) % 7; // Mon=0
+  return new Date(dt.getTime() - dow * 86400000).toISOString().slice(0, 10);
+}
+
+/**
+ * Group dailyStats into the Delivery Trend buckets – one per day, or one per
+ * ISO week (Mon–Sun) when the range spans more than 60 days.
+ * @param {Object} dailyStats - { 'YYYY-MM-DD': { attempts, successes } }
+ * @returns {{ useWeekly: boolean, bucketList: Array<[string, { label, attempts, successes }]> }}
+ */
+function bucketDailyStats(dailyStats) {
+  const sortedDates = Object.keys(dailyStats).sort();
+  const useWeekly   = sortedDates.length > 60; // collapse to weeks if wide range
+
+  // Aggregate into buckets (daily or ISO-week Mon–Sun)
+  const buckets = new Map(); // key → { label, attempts, successes }
+  for (const d of sortedDates) {
+    let key, label;
+    if (useWeekly) {
+      key   = isoWeekStart(d);
+      label = `${key} – ${new Date(Date.parse(key) + 6 * 86400000).toISOString().slice(0, 10)}`;
+    } else {
+      key = label = d;
+    }
+    const existing = buckets.get(key) || { label, attempts: 0, successes: 0 };
+    existing.attempts  += dailyStats[d].attempts;
+    existing.successes += dailyStats[d].successes;
+    buckets.set(key, existing);
+  }
+  const bucketList = Array.from(buckets.entries()).sort((a, b) => a[0].localeCompare(b[0]));
+  return { useWeekly, bucketList };
+}
+
+// Confidence intervals. Rates are reported with a 95% Wilson score interval, which
+// stays inside 0–100% and remains sensible for the small samples the normal
+// approximation gets wrong (a message with 12 attempts, a quiet weekday).
+const CONFIDENCE_Z = 1.96;
+
+/** Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7). */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t;
+  const erf = 1 - poly * Math.exp(-z * z / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * 95% Wilson score interval for successes out of total.
+ * @returns {{ low: number, high: number }|null} null when there are no attempts
+ */
+function wilsonInterval(successes, total, z = CONFIDENCE_Z) {
+  if (!(total > 0)) return null;
+  const p = successes / total;
+  const z2 = z * z;
+  const denom = 1 + z2 / total;
+  const centre = (p + z2 / (2 * total)) / denom;
+  const half = (z / denom) * Math.sqrt(p * (1 - p) / total + z2 / (4 * total * total));
+  return { low: Math.max(0, centre - half), high: Math.min(1, centre + half) };
+}
+
+/**
+ * 'above' or 'below' when the interval for successes/total excludes baselineRate,
+ * null when the rate cannot be told apart from it.
+ */
+function rateVsBaseline(successes, total, baselineRate) {
+  const ci = wilsonInterval(successes, total);
+  if (!ci || baselineRate === null || baselineRate === undefined) return null;
+  if (ci.low > baselineRate) return 'above';
+  if (ci.high < baselineRate) return 'below';
+  return null;
+}
+
+/** success_rate with its interval bounds and the comparison with baselineRate. */
+function rateWithInterval(successes, total, baselineRate) {
+  const ci = wilsonInterval(successes, total);
+  return {
+    success_rate: total > 0 ? successes / total : 0,
+    success_rate_low: ci ? ci.low : null,
+    success_rate_high: ci ? ci.high : null,
+    vs_average: rateVsBaseline(successes, total, baselineRate)
+  };
+}
+
+// Send-time analysis. Hour × day-of-week cells are indexed dow * 24 + hour.
+const HOUR_DAY_CELLS = 7 * 24;
+const SEND_WINDOW_HOURS = 3;           // width of a recommended delivery window
+const MIN_SEND_WINDOW_ATTEMPTS = 30;   // fewer attempts in every window → no recommendation
+const MIN_SEND_DAY_ATTEMPTS = 10;      // a day needs this many attempts to be recommended
+const SHORT_DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function newHourDayCounts() {
+  return { hourDayAttempts: new Uint32Array(HOUR_DAY_CELLS), hourDaySuccesses: new Uint32Array(HOUR_DAY_CELLS) };
+}
+
+function addHourDay(stats, dow, hour, isSuccess) {
+  const i = dow * 24 + hour;
+  stats.hourDayAttempts[i]++;
+  if (isSuccess) stats.hourDaySuccesses[i]++;
+}
+
+const formatHour = h => `${String(h).padStart(2, '0')}:00`;
+
+/**
+ * Recommend a delivery window from hour × day-of-week counts: the SEND_WINDOW_HOURS
+ * consecutive hours with the best success rate, leaving out days that do measurably
+ * worse than the overall rate. Hours are in the local time of the result timestamps.
+ * @returns {Object|null} { startHour, endHour, days, label, attempts, successRate, successRateLow,
+ *   successRateHigh, baselineRate, liftPts }, or null when no window has MIN_SEND_WINDOW_ATTEMPTS
+ *   attempts or the best window's confidence interval still includes the overall rate
+ */
+function recommendSendWindow(attempts, successes) {
+  const hourAtt = new Array(24).fill(0), hourSuc = new Array(24).fill(0);
+  const dayAtt = new Array(7).fill(0), daySuc = new Array(7).fill(0);
+  for (let i = 0; i < HOUR_DAY_CELLS; i++) {
+    const d = Math.floor(i / 24), h = i % 24;
+    hourAtt[h] += attempts[i]; hourSuc[h] += successes[i];
+    dayAtt[d] += attempts[i];  daySuc[d] += successes[i];
+  }
+  const total = hourAtt.reduce((s, n) => s + n, 0);
+  if (total === 0) return null;
+  const baselineRate = hourSuc.reduce((s, n) => s + n, 0) / total;
+
+  let best = null;
+  for (let start = 0; start + SEND_WINDOW_HOURS <= 24; start++) {
+    let att = 0, suc = 0;
+    for (let h = start; h < start + SEND_WINDOW_HOURS; h++) { att += hourAtt[h]; suc += hourSuc[h]; }
+    if (att < MIN_SEND_WINDOW_ATTEMPTS) continue;
+    const rate = suc / att;
+    if (!best || rate > best.rate || (rate === best.rate && att > best.att)) best = { start, att, suc, rate };
+  }
+  if (!best) return null;
+  const ci = wilsonInterval(best.suc, best.att);
+  if (ci.low <= baselineRate) return null;
+
+  // Trim to the hours that actually had attempts, so a single send hour reads as that hour
+  let startHour = best.start, endHour = best.start + SEND_WINDOW_HOURS;
+  while (hourAtt[startHour] === 0) startHour++;
+  while (hourAtt[endHour - 1] === 0) endHour--;
+
+  // A day is only left out when it is distinguishably below the overall rate, not on a noisy dip
+  let days = [0, 1, 2, 3, 4, 5, 6].filter(d => dayAtt[d] >= MIN_SEND_DAY_ATTEMPTS &&
+    rateVsBaseline(daySuc[d], dayAtt[d], baselineRate) !== 'below');
+  if (days.length === 0) days = [0, 1, 2, 3, 4, 5, 6].filter(d => dayAtt[d] > 0);
+
+  return {
+    startHour,
+    endHour,
+    days,
+    label: `${days.length === 7 ? 'Any day' : days.map(d => SHORT_DAY_NAMES[d]).join(', ')} ${formatHour(startHour)}–${formatHour(endHour)}`,
+    attempts: best.att,
+    successRate: best.rate,
+    successRateLow: ci.low,
+    successRateHigh: ci.high,
+    baselineRate,
+    liftPts: (best.rate - baselineRate) * 100
+  };
+}
+
+/** Retry Timing bucket for the gap between two consecutive attempts. */
+function retryTimingBucket(prev, next) {
+  const diffDays = (next.ts - prev.ts) / 86400000;
+  return (prev.dateStr && prev.dateStr === next.dateStr) ? 'sameDay'
+       : diffDays <= 2 ? 'day1to2'
+       : diffDays <= 3 ? 'day2to3'
+       : diffDays <= 7 ? 'day4to7'
+       :                 'day8plus';
+}
+
+// Next-attempt recommendations. Same-day retries are never recommended.
+const RETRY_DELAY_DAYS = { day1to2: 2, day2to3: 3, day4to7: 5, day8plus: 8 };
+const DEFAULT_RETRY_BUCKET = 'day4to7';
+const MIN_RETRY_TIMING_SAMPLES = 20;  // fewer retries in a bucket → not used for the gap choice
+const WAIT_PROBABILITY = 0.10;        // next-attempt odds below this → wait instead of retry
+const WAIT_DAYS = 30;
+
+/**
+ * Recommend what to do next with every number: retry on a date, wait out a longer
+ * cool-down, or suppress; numbers whose last attempt was delivered are marked
+ * delivered and get no retry date. The retry gap is the Retry Timing bucket with the best
+ * next-attempt success rate for the number's last result code; the decay curve at
+ * the number's next attempt index decides between retry and wait.
+ *
+ * Dates are counted from the local date of the last attempt and never fall before
+ * the day after the analyzed range ends or today, so the plan can be used as-is on
+ * a historical range.
+ *
+ * @param {Object} numberData - Per-number data with time-ordered attempts ({ ts, isSuccess, result, dateStr })
+ * @param {Object} ctx - { decayCurve, numSummaryMap, suppressedNumbers: Set, codes: string[],
+ *   today?: 'YYYY-MM-DD' (defaults to the local date) }
+ * @returns {{ gaps: Object, counts: Object, rows: Array }}
+ */
+function buildNextAttemptPlan(numberData, ctx) {
+  const { decayCurve, numSummaryMap, suppressedNumbers, codes } = ctx;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const addDays = (dateStr, days) => new Date(Date.parse(`${dateStr}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+  // Earliest usable date: the day after the last attempt in the data, or today if later
+  const now = new Date();
+  const today = ctx.today ||
+    `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  let rangeEnd = null;
+  for (const num in numberData) {
+    const atts = numberData[num].attempts;
+    const last = atts.length > 0 ? atts[atts.length - 1].dateStr : null;
+    if (last && (!rangeEnd || last > rangeEnd)) rangeEnd = last;
+  }
+  const earliestDate = rangeEnd && addDays(rangeEnd, 1) > today ? addDays(rangeEnd, 1) : today;
+  const retryDate = (att, days) => {
+    if (days === null) return null;
+    const lastDate = att.dateStr || (att.ts ? new Date(att.ts).toISOString().slice(0, 10) : null);
+    const date = lastDate ? addDays(lastDate, days) : earliestDate;
+    return date > earliestDate ? date : earliestDate;
+  };
+
+  // Next-attempt success by last result code and gap – the Retry Timing Analysis matrix
+  const timing = {};
+  for (const code of codes) {
+    timing[code] = {};
+    for (const b of Object.keys(RETRY_DELAY_DAYS)) timing[code][b] = { total: 0, nextSuccess: 0 };
+  }
+  for (const num in numberData) {
+    const atts = numberData[num].attempts;
+    for (let i = 0; i < atts.length - 1; i++) {
+      const cell = timing[atts[i].result]?.[retryTimingBucket(atts[i], atts[i + 1])];
+      if (!cell) continue;
+      cell.total++;
+      if (atts[i + 1].isSuccess) cell.nextSuccess++;
+    }
+  }
+  const gaps = {};
+  for (const code of codes) {
+    let best = null;
+    for (const [bucket, c] of Object.entries(timing[code])) {
+      if (c.total < MIN_RETRY_TIMING_SAMPLES) continue;
+      const rate = c.nextSuccess / c.total;
+      if (!best || rate > best.rate) best = { bucket, rate, samples: c.total };
+    }
+    gaps[code] = best || { bucket: DEFAULT_RETRY_BUCKET, rate: null, samples: 0 };
+    gaps[code].days = RETRY_DELAY_DAYS[gaps[code].bucket];
+  }
+
+  const counts = { retry: 0, wait: 0, delivered: 0, suppress: 0 };
+  const rows = [];
+  for (const num in numberData) {
+    const nd = numberData[num];
+    const atts = nd.attempts;
+    if (atts.length === 0) continue;
+    const last = atts[atts.length - 1];
+    const ns = numSummaryMap.get(num);
+    const tnHealth = ns?.tnHealth || 'Healthy';
+    const nextIdx = Math.min(nd.attemptIndex + 1, 10);
+    const nextProbability = decayCurve[nextIdx - 1].total > 0 ? decayCurve[nextIdx - 1].probability : null;
+    const gap = gaps[last.result] || { bucket: DEFAULT_RETRY_BUCKET, rate: null, days: RETRY_DELAY_DAYS[DEFAULT_RETRY_BUCKET] };
+    const pct = v => `${(v * 100).toFixed(1)}%`;
+
+    let action, days = null, reason;
+    if (suppressedNumbers.has(num) || tnHealth === TN_HEALTH_UNLIKELY) {
+      action = 'suppress';
+      reason = suppressedNumbers.has(num) ? 'Suppression candidate' : 'Delivery Unlikely';
+    } else if (last.isSuccess) {
+      action = 'delivered';
+      reason = 'Last attempt was delivered – no retry needed';
+    } else if ((nextProbability !== null && nextProbability < WAIT_PROBABILITY) || (gap.rate !== null && gap.rate < WAIT_PROBABILITY)) {
+      action = 'wait';
+      days = WAIT_DAYS;
+      reason = nextProbability !== null && nextProbability < WAIT_PROBABILITY
+        ? `Attempt ${nextIdx === 10 ? '10+' : nextIdx} succeeds ${pct(nextProbability)} of the time – cool down before retrying`
+        : `After "${last.result}" the best retry gap succeeds ${pct(gap.rate)} of the time – cool down before retrying`;
+    } else {
+      action = 'retry';
+      days = gap.days;
+      reason = gap.rate !== null
+        ? `After "${last.result}" retries ${gap.days}+ days later succeed most often (${pct(gap.rate)})`
+        : `Not enough retry history for "${last.result}" – default ${gap.days}-day gap`;
+    }
+    counts[action]++;
+
+    rows.push({
+      number: num,
+      accountIds: Object.entries(nd.accountIds || {}).sort((a, b) => b[1] - a[1]).map(([id]) => id),
+      action,
+      retryDate: retryDate(last, days),
+      lastResult: last.result,
+      lastAttempt: last.ts ? new Date(last.ts).toISOString() : null,
+      attemptsSinceSuccess: nd.attemptIndex,
+      tnHealth,
+      nextAttemptProbability: nextProbability,
+      retryGapSuccessRate: action === 'retry' ? gap.rate : null,
+      reason
+    });
+  }
+
+  // Retry-ready numbers first, soonest date first; then wait and delivered; suppress last
+  const order = { retry: 0, wait: 1, delivered: 2, suppress: 3 };
+  rows.sort((a, b) => order[a.action] - order[b.action] || String(a.retryDate).localeCompare(String(b.retryDate)));
+  return { gaps, counts, rows };
+}
+
+/** 'YYYY-MM' keys from first to last inclusive. */
+function monthRange(first, last) {
+  const months = [];
+  let [y, m] = first.split('-').map(Number);
+  for (let key = first; key <= last; key = `${y}-${String(m).padStart(2, '0')}`) {
+    months.push(key);
+    if (++m > 12) { m = 1; y++; }
+  }
+  return months;
+}
+
+/**
+ * Group numbers by the month of their first delivery attempt and follow each
+ * cohort through the months after it. "First" means first inside the analyzed
+ * data, so the first cohort also holds every number already on the list before
+ * it started; that row is marked atRangeStart. Each cell is a month-end snapshot: the
+ * number's TN Health is re-classified from its attempts up to that month, and it
+ * counts toward the suppression share once it is Delivery Unlikely and has had a
+ * qualifying consecutive-failure run (the Suppression Candidates rules).
+ *
+ * @param {Object} numberData - Per-number data with time-ordered attempts ({ ts, isSuccess, dateStr })
+ * @param {Object} options - { maxDate, tnHealthRules, minConsecUnsuccessful, minRunSpanDays }
+ * @returns {{ months: string[], rows: Array<{ cohort, atRangeStart, numbers, periods: Array }> }}
+ */
+function buildFirstSeenCohorts(numberData, options) {
+  const { maxDate, tnHealthRules, minConsecUnsuccessful, minRunSpanDays } = options;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  let firstMonth = null, lastMonth = null;
+  for (const num in numberData) {
+    const atts = numberData[num].attempts;
+    const first = atts.find(a => a.dateStr);
+    if (!first) continue;
+    const last = atts[atts.length - 1].dateStr || first.dateStr;
+    if (!firstMonth || first.dateStr.slice(0, 7) < firstMonth) firstMonth = first.dateStr.slice(0, 7);
+    if (!lastMonth || last.slice(0, 7) > lastMonth) lastMonth = last.slice(0, 7);
+  }
+  if (!firstMonth) return { months: [], rows: [] };
+
+  const months = monthRange(firstMonth, lastMonth);
+  const monthIdx = new Map(months.map((m, i) => [m, i]));
+  const maxMs = maxDate ? maxDate.getTime() : null;
+  // Snapshot time for each month – its last millisecond, or the end of the data for the final month
+  const asOfMs = months.map(m => {
+    const [y, mo] = m.split('-').map(Number);
+    const end = Date.UTC(y, mo, 1) - 1;
+    return maxMs !== null ? Math.min(end, maxMs) : end;
+  });
+
+  // cells[cohort][offset] accumulates one month of one cohort
+  const cohortSize = new Array(months.length).fill(0);
+  const cells = months.map((_, c) => months.slice(c).map(() => ({
+    activeNumbers: 0, attempts: 0, successful: 0, deliveryUnlikely: 0, suppression: 0
+  })));
+
+  for (const num in numberData) {
+    const atts = numberData[num].attempts;
+    const first = atts.find(a => a.dateStr);
+    if (!first) continue;
+    const cohort = monthIdx.get(first.dateStr.slice(0, 7));
+    cohortSize[cohort]++;
+
+    let i = 0, total = 0, successes = 0, consecutive = 0, runStartMs = 0, lastFailMs = 0;
+    let lastSuccessMs = null, hadQualifyingRun = false;
+    // Does the current run of failures meet the Suppression Candidates thresholds?
+    const checkRun = () => {
+      if (consecutive >= minConsecUnsuccessful && (lastFailMs - runStartMs) / DAY_MS >= minRunSpanDays) {
+        hadQualifyingRun = true;
+      }
+    };
+
+    for (let m = cohort; m < months.length; m++) {
+      const cell = cells[cohort][m - cohort];
+      let active = false;
+      while (i < atts.length && (!atts[i].dateStr || atts[i].dateStr.slice(0, 7) <= months[m])) {
+        const a = atts[i++];
+        total++;
+        if (a.dateStr && a.dateStr.slice(0, 7) === months[m]) {
+          active = true;
+          cell.attempts++;
+          if (a.isSuccess) cell.successful++;
+        }
+        if (a.isSuccess) {
+          checkRun();
+          successes++;
+          consecutive = 0;
+          if (a.ts) lastSuccessMs = a.ts;
+        } else {
+          if (consecutive === 0) runStartMs = a.ts;
+          consecutive++;
+          lastFailMs = a.ts;
+        }
+      }
+      if (active) cell.activeNumbers++;
+
+      const asOf = asOfMs[m];
+      const recentSuccess = lastSuccessMs !== null && lastSuccessMs >= asOf - 14 * DAY_MS;
+      const daysSinceLastSuccess = lastSuccessMs !== null ? Math.max(0, (asOf - lastSuccessMs) / DAY_MS) : null;
+      const health = classifyTNHealth(total > 0 ? successes / total : 0, consecutive, total,
+        recentSuccess, tnHealthRules, daysSinceLastSuccess);
+      if (health === TN_HEALTH_UNLIKELY) {
+        cell.deliveryUnlikely++;
+        checkRun();  // an open run counts as soon as it meets the thresholds
+        if (hadQualifyingRun) cell.suppression++;
+      }
+    }
+  }
+
+  const rows = [];
+  months.forEach((cohort, c) => {
+    const numbers = cohortSize[c];
+    if (numbers === 0) return;
+    rows.push({
+      cohort,
+      atRangeStart: c === 0,
+      numbers,
+      periods: cells[c].map((cell, offset) => ({
+        month: months[c + offset],
+        offset,
+        ...cell,
+        successRate: cell.attempts > 0 ? cell.successful / cell.attempts : null,
+        deliveryUnlikelyShare: cell.deliveryUnlikely / numbers,
+        suppressionShare: cell.suppression / numbers
+      }))
+    });
+  });
+  return { months, rows };
+}
+
+// A/B comparison. Attempts are stratified by day of week and attempt index, so a
+// recording that happened to run on better days or on more first attempts does not
+// look better than it is. Each variant is compared with the first (the control).
+const AB_ATTEMPT_BUCKETS = 4;          // attempt index 1, 2, 3, 4+
+const AB_STRATA = 7 * AB_ATTEMPT_BUCKETS;
+const MIN_AB_MATCHED_ATTEMPTS = 30;    // fewer matched attempts on either side → not tested
+const MAX_AB_VARIANTS = 10;
+const AB_TYPES = ['message', 'caller'];
+
+/**
+ * Validate an A/B comparison request.
+ * @param {Object} [abTest]
+ * @param {string} [abTest.type='message'] - 'message' (message_id) or 'caller' (caller_number)
+ * @param {Array<string>|string} abTest.ids - Two or more IDs (array or comma-separated); the first is the control
+ * @returns {{ type: string, ids: Array<string> }|null} null when no comparison was requested
+ */
+function normalizeABTest(abTest) {
+  if (!abTest) return null;
+  const type = abTest.type || 'message';
+  if (!AB_TYPES.includes(type)) throw new Error(`A/B comparison: type must be one of ${AB_TYPES.join(', ')}`);
+  const raw = Array.isArray(abTest.ids) ? abTest.ids : String(abTest.ids || '').split(',');
+  const ids = [...new Set(raw.map(id => String(id).trim()).filter(Boolean))];
+  if (ids.length === 0) return null;
+  if (ids.length < 2) throw new Error('A/B comparison: at least two distinct IDs are required');
+  if (ids.length > MAX_AB_VARIANTS) throw new Error(`A/B comparison: at most ${MAX_AB_VARIANTS} IDs can be compared`);
+  return { type, ids };
+}
+
+/**
+ * Compare A/B variants from the attempts tagged with abVariant during ingestion.
+ * Lift is the Mantel-Haenszel risk difference over day-of-week × attempt-index strata
+ * both variants share, tested with the Cochran-Mantel-Haenszel statistic.
+ * @param {Object} numberData
+ * @param {{ type: string, ids: Array<string> }} abTest
+ * @param {Object} statsById - messageStats or callerStats, for names and overall counts
+ * @returns {Object} { type, controlId, variants, comparisons, winner, summary }
+ */
+function buildABComparison(numberData, abTest, statsById) {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const cells = abTest.ids.map(() => Array.from({ length: AB_STRATA }, () => ({ attempts: 0, successful: 0 })));
+  for (const num in numberData) {
+    for (const att of numberData[num].attempts) {
+      if (att.abVariant === undefined || !att.dateStr) continue;
+      const dow = new Date(Date.parse(att.dateStr) + DAY_MS / 2).getUTCDay();
+      const cell = cells[att.abVariant][dow * AB_ATTEMPT_BUCKETS + Math.min(att.attemptIndex, AB_ATTEMPT_BUCKETS) - 1];
+      cell.attempts++;
+      if (att.isSuccess) cell.successful++;
+    }
+  }
+
+  const variants = abTest.ids.map((id, v) => {
+    const s = statsById[id];
+    const byAttempt = Array.from({ length: AB_ATTEMPT_BUCKETS }, () => ({ attempts: 0, successful: 0 }));
+    const byDay = Array.from({ length: 7 }, () => ({ attempts: 0, successful: 0 }));
+    cells[v].forEach((c, k) => {
+      const a = byAttempt[k % AB_ATTEMPT_BUCKETS], d = byDay[Math.floor(k / AB_ATTEMPT_BUCKETS)];
+      a.attempts += c.attempts; a.successful += c.successful;
+      d.attempts += c.attempts; d.successful += c.successful;
+    });
+    const rate = c => ({ ...c, successRate: c.attempts > 0 ? c.successful / c.attempts : null });
+    const attempts = byDay.reduce((n, d) => n + d.attempts, 0);
+    const successful = byDay.reduce((n, d) => n + d.successful, 0);
+    const ci = wilsonInterval(successful, attempts);
+    return {
+      id,
+      name: (abTest.type === 'message' ? s?.message_name : s?.caller_name) || '',
+      label: String.fromCharCode(65 + v),
+      attempts,
+      successful,
+      successRate: attempts > 0 ? successful / attempts : null,
+      successRateLow: ci ? ci.low : null,
+      successRateHigh: ci ? ci.high : null,
+      byAttempt: byAttempt.map(rate),
+      byDay: byDay.map(rate)
+    };
+  });
+
+  const comparisons = variants.slice(1).map((variant, i) => {
+    const v = i + 1;
+    let matchedControl = 0, matchedVariant = 0, sumW = 0, sumWDiff = 0, sumWControl = 0;
+    let sumObsMinusExp = 0, sumVar = 0;
+    for (let k = 0; k < AB_STRATA; k++) {
+      const n0 = cells[0][k].attempts, n1 = cells[v][k].attempts;
+      if (n0 === 0 || n1 === 0) continue;
+      const s0 = cells[0][k].successful, s1 = cells[v][k].successful;
+      const n = n0 + n1, m = s0 + s1;
+      matchedControl += n0; matchedVariant += n1;
+      const w = n0 * n1 / n;
+      sumW += w;
+      sumWDiff += w * (s1 / n1 - s0 / n0);
+      sumWControl += w * (s0 / n0);
+      sumObsMinusExp += s1 - n1 * m / n;
+      if (n > 1) sumVar += n0 * n1 * m * (n - m) / (n * n * (n - 1));
+    }
+    const tested = matchedControl >= MIN_AB_MATCHED_ATTEMPTS && matchedVariant >= MIN_AB_MATCHED_ATTEMPTS;
+    const controlRate = sumW > 0 ? sumWControl / sumW : null;
+    const liftPts = sumW > 0 ? sumWDiff / sumW * 100 : null;
+    const z = tested && sumVar > 0 ? sumObsMinusExp / Math.sqrt(sumVar) : null;
+    const pValue = z !== null ? 2 * (1 - normalCdf(Math.abs(z))) : null;
+    return {
+      id: variant.id,
+      label: variant.label,
+      matchedControlAttempts: matchedControl,
+      matchedVariantAttempts: matchedVariant,
+      controlRate,
+      variantRate: controlRate !== null ? controlRate + liftPts / 100 : null,
+      liftPts,
+      relativeLift: controlRate ? liftPts / 100 / controlRate : null,
+      z,
+      pValue,
+      tested,
+      significant: z !== null && Math.abs(z) >= CONFIDENCE_Z
+    };
+  });
+
+  // Winner: the control unless a variant beats it significantly; null when nothing is distinguishable
+  const better = comparisons.filter(c => c.significant && c.liftPts > 0).sort((a, b) => b.liftPts - a.liftPts);
+  const allWorse = comparisons.length > 0 && comparisons.every(c => c.significant && c.liftPts < 0);
+  const winner = better.length > 0 ? better[0].id : (allWorse ? variants[0].id : null);
+  const describe = v => `${v.label} (${abTest.type === 'message' ? 'message' : 'caller #'} ${v.id}${v.name ? ` – ${v.name}` : ''})`;
+  let summary;
+  if (variants[0].attempts === 0) {
+    summary = `No attempts found for the control ${describe(variants[0])} in this date range.`;
+  } else if (comparisons.every(c => !c.tested)) {
+    summary = `Not enough overlapping attempts to compare – each variant needs ${MIN_AB_MATCHED_ATTEMPTS}+ attempts on the same days and attempt numbers as ${variants[0].label}.`;
+  } else if (better.length > 0) {
+    const c = better[0];
+    summary = `${describe(variants.find(v => v.id === c.id))} delivers ${c.liftPts.toFixed(1)} pts better than ${variants[0].label} ` +
+      `after controlling for day of week and attempt number (p ${c.pValue < 0.001 ? '< 0.001' : `= ${c.pValue.toFixed(3)}`}).`;
+  } else if (allWorse) {
+    summary = `${describe(variants[0])} delivers significantly better than every other variant after controlling for day of week and attempt number.`;
+  } else {
+    summary = `No variant delivers measurably differently from ${describe(variants[0])} after controlling for day of week and attempt number – keep testing or choose on other grounds.`;
+  }
+
+  return { type: abTest.type, controlId: variants[0].id, variants, comparisons, winner, summary };
+}
+
+// Caller number reputation. Each caller number's weekly success rate is tracked so a
+// sudden drop – typically the number being flagged by carriers – shows up while the
+// whole-range Caller # Insights average still looks normal.
+const REPUTATION_MIN_WEEK_ATTEMPTS = 30;  // weeks with fewer attempts are listed but not scored
+const REPUTATION_BASELINE_WEEKS = 4;      // scored weeks before the latest one that form its baseline
+const REPUTATION_DROP_PTS = 10;           // latest week this far below baseline (and significant) → drop alert
+const REPUTATION_ACTIVE_DAYS = 14;        // only alert on numbers used in the last two weeks of the range
+const REPUTATION_WATCH_SCORE = 80;
+const REPUTATION_AT_RISK_SCORE = 60;
+
+/**
+ * Score each caller number's reputation from its weekly success rates and raise
+ * rotation alerts for sudden drops and sustained decline.
+ *
+ * Score (0–100) starts at 100 and loses 2 points per percentage point the last four
+ * scored weeks run below the program average (max 40), 5 points per point of weekly
+ * decline (max 30) and 30 points for a sudden drop. A sudden drop always makes the
+ * number At Risk, whatever its score.
+ * @param {Object} callerWeekly - caller_number → { 'YYYY-MM-DD' (Monday) → { attempts, successes } }
+ * @param {Object} callerStats - for caller names
+ * @param {Object} opts
+ * @param {number|null} opts.overallRate - Program success rate (0–1)
+ * @param {Date|null} opts.maxDate - End of the analyzed range
+ * @returns {{ callers: Array<Object>, alerts: Array<Object> }}
+ */
+function buildCallerReputation(callerWeekly, callerStats, { overallRate, maxDate }) {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const ratio = (s, n) => (n > 0 ? s / n : null);
+  const sum = (list, f) => list.reduce((t, w) => t + w[f], 0);
+  const callers = [];
+  const alerts = [];
+
+  for (const cNum in callerWeekly) {
+    if (cNum === 'Unknown') continue;
+    const weeks = Object.keys(callerWeekly[cNum]).sort().map(week => {
+      const { attempts, successes } = callerWeekly[cNum][week];
+      return { week, attempts, successful: successes, successRate: ratio(successes, attempts) };
+    });
+    const scored = weeks.filter(w => w.attempts >= REPUTATION_MIN_WEEK_ATTEMPTS);
+    const entry = {
+      caller_number: cNum,
+      caller_name: callerStats[cNum]?.caller_name || '',
+      attempts: sum(weeks, 'attempts'),
+      weeks,
+      scoredWeeks: scored.length,
+      recentRate: null,
+      trendPtsPerWeek: null,
+      latestWeek: null,
+      latestRate: null,
+      baselineRate: null,
+      dropPts: null,
+      dropPValue: null,
+      drop: false,
+      active: false,
+      score: null,
+      status: 'Not enough data'
+    };
+    callers.push(entry);
+    if (scored.length < 2) continue;
+
+    // Recent level vs. the program
+    const recent = scored.slice(-REPUTATION_BASELINE_WEEKS);
+    entry.recentRate = ratio(sum(recent, 'successful'), sum(recent, 'attempts'));
+
+    // Trend: attempt-weighted least-squares slope of the weekly rate, in pts per week
+    if (scored.length >= 3) {
+      const x = scored.map(w => (Date.parse(w.week) - Date.parse(scored[0].week)) / (7 * DAY_MS));
+      const W = sum(scored, 'attempts');
+      const mx = scored.reduce((t, w, i) => t + w.attempts * x[i], 0) / W;
+      const my = scored.reduce((t, w) => t + w.attempts * w.successRate, 0) / W;
+      let sxy = 0, sxx = 0;
+      scored.forEach((w, i) => { sxy += w.attempts * (x[i] - mx) * (w.successRate - my); sxx += w.attempts * (x[i] - mx) ** 2; });
+      entry.trendPtsPerWeek = sxx > 0 ? sxy / sxx * 100 : null;
+    }
+
+    // Sudden drop: latest scored week vs. the weeks just before it (two-proportion z-test)
+    const latest = scored[scored.length - 1];
+    const base = scored.slice(-1 - REPUTATION_BASELINE_WEEKS, -1);
+    const n0 = sum(base, 'attempts'), s0 = sum(base, 'successful');
+    const pooled = (s0 + latest.successful) / (n0 + latest.attempts);
+    const se = Math.sqrt(pooled * (1 - pooled) * (1 / n0 + 1 / latest.attempts));
+    entry.latestWeek = latest.week;
+    entry.latestRate = latest.successRate;
+    entry.baselineRate = s0 / n0;
+    entry.dropPts = (entry.baselineRate - latest.successRate) * 100;
+    entry.dropPValue = se > 0 ? 2 * (1 - normalCdf(Math.abs(entry.baselineRate - latest.successRate) / se)) : null;
+    // Compare at 0.01-pt precision so an exact 10-pt drop (e.g. 60% → 50%) isn't lost to float error
+    entry.drop = Math.round(entry.dropPts * 100) / 100 >= REPUTATION_DROP_PTS && entry.dropPValue !== null && entry.dropPValue < 0.05;
+    entry.active = !!maxDate && Date.parse(latest.week) + 7 * DAY_MS > maxDate.getTime() - REPUTATION_ACTIVE_DAYS * DAY_MS;
+
+    const gapPenalty   = overallRate !== null ? Math.min(40, Math.max(0, (overallRate - entry.recentRate) * 100 * 2)) : 0;
+    const trendPenalty = entry.trendPtsPerWeek !== null ? Math.min(30, Math.max(0, -entry.trendPtsPerWeek * 5)) : 0;
+    entry.score = Math.round(100 - gapPenalty - trendPenalty - (entry.drop ? 30 : 0));
+    entry.status = entry.drop || entry.score < REPUTATION_AT_RISK_SCORE ? 'At Risk' : entry.score < REPUTATION_WATCH_SCORE ? 'Watch' : 'Good';
+
+    if (!entry.active) continue;
+    const who = `Caller # ${cNum}${entry.caller_name ? ` (${entry.caller_name})` : ''}`;
+    const pct = r => `${(r * 100).toFixed(1)}%`;
+    if (entry.drop) {
+      alerts.push({
+        caller_number: cNum, type: 'drop', score: entry.score,
+        message: `${who}: success rate fell to ${pct(latest.successRate)} in the week of ${latest.week} from ${pct(entry.baselineRate)} ` +
+          `over the previous ${base.length} week(s) (−${entry.dropPts.toFixed(1)} pts, p ${entry.dropPValue < 0.001 ? '< 0.001' : `= ${entry.dropPValue.toFixed(3)}`}). ` +
+          'A sudden drop like this usually means carriers have started flagging the number – rotate to a fresh caller number.'
+      });
+    } else if (entry.status === 'At Risk') {
+      const declining = entry.trendPtsPerWeek !== null && entry.trendPtsPerWeek <= -1;
+      alerts.push({
+        caller_number: cNum, type: declining ? 'decline' : 'low', score: entry.score,
+        message: declining
+          ? `${who}: success rate has declined ${Math.abs(entry.trendPtsPerWeek).toFixed(1)} pts per week over ${scored.length} weeks (now ${pct(entry.recentRate)}). ` +
+            'Gradual erosion like this often follows heavy use of one number – plan to rotate it out.'
+          : `${who}: success rate over the last ${recent.length} week(s) is ${pct(entry.recentRate)}, well below the ${pct(overallRate)} program average. ` +
+            'Consider rotating to a caller number with a stronger track record.'
+      });
+    }
+  }
+
+  callers.sort((a, b) => (a.score ?? 101) - (b.score ?? 101) || b.attempts - a.attempts);
+  alerts.sort((a, b) => (a.type === 'drop' ? 0 : 1) - (b.type === 'drop' ? 0 : 1) || a.score - b.score);
+  return { callers, alerts };
+}
+
+// Results that represent an actual delivery attempt reaching the carrier.
+// Only codes 200/400/405/406/407 – the five deliverable results.
+// Excluded: 300 expired, 301 canceled, 401 not wireless, 402 duplicate,
+// 403 invalid US number, 404 undeliverable, 408–410 config errors, 500–504 restricted.
+const DELIVERY_ATTEMPT_RESULTS = new Set([
+  'successfully delivered',        // 200
+  'unsuccessful delivery attempt', // 400
+  'not in service',                // 405
+  'voicemail not setup',           // 406
+  'voicemail full',                // 407
+]);
+
+// ============================================================================
+// METRICS ENGINE
+// ============================================================================
+
+/**
+ * Compute Delivery Intelligence metrics from campaign data.
+ * @param {string|Array} csvInput - CSV file path, array of file paths, or array of row objects
+ * @param {Object} [options]
+ * @param {number} [options.minConsecUnsuccessful=4] - Minimum consecutive failures for a run
+ * @param {number} [options.minRunSpanDays=30] - Minimum run span (days) for Suppression Candidates
+ * @param {Object} [options.messageMap] - Map of message_id to message metadata
+ * @param {Object} [options.callerMap] - Map of caller_number to caller name
+ * @param {Object} [options.accountTimezones] - Map of account_id to IANA timezone
+ * @param {Object} [options.transcriptMap] - Map of "account_id:message_id" to AI transcript data
+ * @param {boolean} [options.includeDetailTabs=false] - Keep per-number detail rows (TN Health, Variability, Number Summary)
+ * @param {boolean} [options.includeReAttemptTabs=false] - Compute re-attempt matrices
+ * @param {boolean} [options.includeNextAttempt=false] - Build the per-number next-attempt plan
+ * @param {string} [options.userTimezone='VoApps'] - Report timezone, recorded in settings for renderers
+ * @param {string} [options.userTimezoneLabel='VoApps'] - Report timezone label (e.g., "VoApps", "ET", "MT")
+ * @param {Object} [options.tnHealthRules] - TN Health rules configuration (see normalizeTNHealthRules)
+ * @param {Object} [options.listGradeRubric] - List Quality rubric (see normalizeListGradeRubric)
+ * @param {Object} [options.abTest] - A/B comparison of messages or caller numbers (see normalizeABTest)
+ * @param {Function} [progressCallback] - Called with a status message at each stage
+ * @returns {Promise<Object>} Analysis result – plain data only (see ANALYSIS RESULT below)
+ */
+async function computeTrendMetrics(csvInput, options = {}, progressCallback = null) {
+  const {
+    minConsecUnsuccessful = 4,
+    minRunSpanDays        = 30,
+    messageMap            = {},
+    callerMap             = {},
+    accountTimezones      = {},
+    transcriptMap         = {},
+    includeDetailTabs     = false,
+    includeReAttemptTabs  = false,
+    includeNextAttempt    = false,
+    userTimezone          = 'VoApps',
+    userTimezoneLabel     = 'VoApps'
+  } = options;
+  const tnHealthRules = normalizeTNHealthRules(options.tnHealthRules);
+  const listGradeRubric = normalizeListGradeRubric(options.listGradeRubric);
+  const abTest = normalizeABTest(options.abTest);
+  // Attempts on an A/B variant are tagged with its index for the comparison below
+  const abVariantIndex = abTest ? new Map(abTest.ids.map((id, i) => [id, i])) : null;
+  const abKey = row => (abTest.type === 'caller' ? row.caller_number : row.message_id) || 'Unknown';
+  // ── Shared containers populated by whichever input path runs below ──────────
+  const numberData = {};
+  const timezoneCounts = {};
+  const accountResultTimezones = {};
+  const CONFIG_ERROR_RESULTS = new Set([
+    'invalid message id',
+    'invalid caller number',
+    'prohibited self call'
+  ]);
+  const configErrors = {
+    'invalid message id':    { byCallerNumber: {}, byMessageId: {}, total: 0 },
+    'invalid caller number': { byCallerNumber: {}, byMessageId: {}, total: 0 },
+    'prohibited self call':  { byCallerNumber: {}, byMessageId: {}, total: 0 }
+  };
+  let minDate = null, maxDate = null, fourteenDaysAgo = null;
+  let detectedTimezone = 'Unknown (timestamps may be UTC)';
+  let timezoneDiscrepancies = [];
+  let accountMostCommonOffset = {};
+  let totalValidRows = 0;
+
+  // Non-deliverable row counts – for Executive Summary breakdown
+  const nonDeliverableCounts = {
+    'not a wireless number': 0,   // 401
+    'not a valid us number': 0,   // 403
+    'duplicate number':      0,   // 402
+    'undeliverable':         0,   // 404
+    'restricted':            0,   // 500-504 combined
+  };
+  let notUSPlaceholderRows = 0;   // 403 rows where the number is all-zero digits (e.g. 0000000000)
+
+  // Account / message / caller / time stats – populated inline during row processing
+  const accountStats = {};
+  const messageStats = {};
+  const callerStats = {};
+  const globalHourlyStats = {};
+  for (let h = 0; h < 24; h++) globalHourlyStats[h] = { successful: 0, unsuccessful: 0, total: 0 };
+  const globalDayStats = {};
+  for (let d = 0; d < 7; d++) globalDayStats[d] = { successful: 0, unsuccessful: 0, total: 0 };
+  const globalHourDay = newHourDayCounts();
+  const dailyStats = {}; // 'YYYY-MM-DD' → { attempts, successes }
+  // caller_number → { week Monday 'YYYY-MM-DD' → { attempts, successes } } for caller reputation
+  const callerWeekly = {};
+  const weekStartCache = new Map();
+  const addCallerWeek = (cNum, dateKey, isSuccess) => {
+    let week = weekStartCache.get(dateKey);
+    if (!week) weekStartCache.set(dateKey, week = isoWeekStart(dateKey));
+    const weeks = callerWeekly[cNum] || (callerWeekly[cNum] = {});
+    const ws = weeks[week] || (weeks[week] = { attempts: 0, successes: 0 });
+    ws.attempts++;
+    if (isSuccess) ws.successes++;
+  };
+
+  // Normalise single-file string to one-element array so we always use the file-path path
+  if (typeof csvInput === 'string') csvInput = [csvInput];
+
+  if (Array.isArray(csvInput) && csvInput.length > 0 && typeof csvInput[0] === 'string') {
+    // ═══════════════════════════════════════════════════════════════════════════
+    // FILE-PATH INPUT – Two-phase streaming avoids loading 1M+ rows into RAM.
+    // Phase 1 builds a campaign→timestamp index (compact).
+    // Phase 2 streams rows directly into numberData (no csvRows array).
+    // ═══════════════════════════════════════════════════════════════════════════
+    const files = csvInput;
+    log(`Processing ${files.length} CSV file(s) with streaming...`);
+
+    // ── Phase 1: light scan – record first & last timestamped row per campaign ─
+    log('  Phase 1/2: Scanning campaign timestamps...');
+    // campaign_id → { firstIdx, firstMs, lastIdx, lastMs }
+    // Storing only the first and last timestamped row per campaign (rather than every
+    // row) reduces this map from ~1.26 M objects to one object per campaign, saving
+    // ~80-100 MB of heap for a 1.4 M-row dataset.
+    const campaignTsMap = new Map();
+    let scanIdx = 0;
+    for (const csvFile of files) {
+      await new Promise((resolve, reject) => {
+        Papa.parse(fs.createReadStream(csvFile, { encoding: 'utf8' }), {
+          header: true, skipEmptyLines: true,
+          transformHeader: h => h.trim().toLowerCase(),
+          chunk: results => {
+            for (const row of results.data) {
+              const ts = (row.voapps_timestamp || '').trim();
+              if (ts) {
+                const cid = (row.campaign_id || '').trim() || '__none__';
+                const parsed = parseTimestampLocal(formatTimestamp(ts));
+                const ms = parsed ? parsed.utcDate.getTime() : new Date(ts).getTime();
+                if (!isNaN(ms)) {
+                  if (!campaignTsMap.has(cid)) {
+                    campaignTsMap.set(cid, { firstIdx: scanIdx, firstMs: ms, lastIdx: scanIdx, lastMs: ms });
+                  } else {
+                    const e = campaignTsMap.get(cid);
+                    // scanIdx always increases, so firstIdx never needs updating
+                    if (scanIdx > e.lastIdx) { e.lastIdx = scanIdx; e.lastMs = ms; }
+                  }
+                }
+              }
+              scanIdx++;
+            }
+          },
+          complete: resolve, error: reject
+        });
+      });
+    }
+
+    // ── Phase 2: stream directly into numberData – no csvRows accumulation ────
+    if (progressCallback) progressCallback('Processing delivery records...');
+    log('  Phase 2/2: Processing rows...');
+    let rowIdx = 0;
+    for (const csvFile of files) {
+      log(`Reading: ${path.basename(csvFile)}`);
+      await new Promise((resolve, reject) => {
+        Papa.parse(fs.createReadStream(csvFile, { encoding: 'utf8' }), {
+          header: true, skipEmptyLines: true,
+          transformHeader: h => h.trim().toLowerCase(),
+          chunk: results => {
+            for (const row of results.data) {
+              if (!row.number || !row.voapps_result) { rowIdx++; continue; }
+
+              // ── Resolve and validate phone number ─────────────────────────────
+              const num = String(row.number).trim();
+              if (num.replace(/\D/g, '').length < 7) { rowIdx++; continue; } // skip malformed (e.g. "0")
+
+              // ── Fill and normalise timestamp ──────────────────────────────────
+              let ts = (row.voapps_timestamp || '').trim();
+              const _tsOriginal = !!ts; // true only if the row had a real timestamp in the CSV
+              if (!ts) {
+                // Fill missing timestamp from the campaign's first/last known timestamp.
+                // Using the closer of the two (by row index) gives a reasonable estimate
+                // without holding all 1.26 M per-row objects in memory.
+                const cid = (row.campaign_id || '').trim() || '__none__';
+                const e = campaignTsMap.get(cid);
+                if (e) {
+                  const useFirst = Math.abs(e.firstIdx - rowIdx) <= Math.abs(e.lastIdx - rowIdx);
+                  ts = epochToTimestamp(useFirst ? e.firstMs : e.lastMs);
+                } else if (row.target_date) {
+                  ts = `${row.target_date.trim()} 00:00:00 UTC`; // target_date fallback
+                }
+              } else {
+                ts = formatTimestamp(ts); // normalise +00:00 → UTC
+              }
+
+              // ── Parse timestamp ───────────────────────────────────────────────
+              const parsed       = ts ? parseTimestampLocal(ts) : null;
+              const parsedDate   = parsed ? parsed.utcDate : (ts ? new Date(ts) : new Date(0));
+              const pdOk         = parsedDate && !isNaN(parsedDate.getTime());
+              const localHour    = parsed ? parsed.localHour    : (pdOk ? parsedDate.getHours() : 0);
+              const localDow     = parsed ? parsed.localDayOfWeek : (pdOk ? parsedDate.getDay()  : 0);
+              // Unparseable timestamps fall back to Sun 00:00 above; keep them out of the heatmaps
+              const hasLocalTime = !!parsed || pdOk;
+              const resultNorm   = String(row.voapps_result || '').trim().toLowerCase();
+              const isSuccess    = resultNorm === 'successfully delivered';
+              // Only count as a delivery attempt if the row had a real original timestamp.
+              // Proximity-inferred timestamps are used for sorting/display only.
+              const isDelivery   = _tsOriginal && DELIVERY_ATTEMPT_RESULTS.has(resultNorm);
+
+              // ── Non-deliverable tracking ──────────────────────────────────────
+              if (!isDelivery) {
+                if      (resultNorm === 'not a wireless number') nonDeliverableCounts['not a wireless number']++;
+                else if (resultNorm === 'not a valid us number') {
+                  nonDeliverableCounts['not a valid us number']++;
+                  if (/^0+$/.test(num.replace(/\D/g, ''))) notUSPlaceholderRows++;
+                }
+                else if (resultNorm === 'duplicate number')     nonDeliverableCounts['duplicate number']++;
+                else if (resultNorm === 'undeliverable')        nonDeliverableCounts['undeliverable']++;
+                else if (resultNorm.startsWith('restricted'))   nonDeliverableCounts['restricted']++;
+              }
+
+              // ── Timezone tracking ─────────────────────────────────────────────
+              if (ts) {
+                const tz = extractTimezone(ts);
+                if (tz) {
+                  timezoneCounts[tz.offset] = (timezoneCounts[tz.offset] || 0) + 1;
+                  const aid = row.account_id || 'Unknown';
+                  if (!accountResultTimezones[aid]) accountResultTimezones[aid] = {};
+                  accountResultTimezones[aid][tz.offset] = (accountResultTimezones[aid][tz.offset] || 0) + 1;
+                }
+              }
+
+              // ── Config error tracking ─────────────────────────────────────────
+              if (CONFIG_ERROR_RESULTS.has(resultNorm)) {
+                const entry = configErrors[resultNorm];
+                entry.total++;
+                const caller = row.caller_number || 'Unknown';
+                const msgId  = row.message_id   || 'Unknown';
+                entry.byCallerNumber[caller] = (entry.byCallerNumber[caller] || 0) + 1;
+                entry.byMessageId[msgId]     = (entry.byMessageId[msgId]     || 0) + 1;
+              }
+
+              // ── Global date range ─────────────────────────────────────────────
+              if (pdOk) {
+                if (!minDate || parsedDate < minDate) minDate = parsedDate;
+                if (!maxDate || parsedDate > maxDate) maxDate = parsedDate;
+              }
+
+              // ── Build / update numberData entry ───────────────────────────────
+              if (!numberData[num]) {
+                numberData[num] = {
+                  number: num, attempts: [], attemptIndex: 0,
+                  consecutiveFailures: 0, totalAttempts: 0,
+                  successCount: 0, unsuccessfulCount: 0, lastSuccessTimestamp: null,
+                  messageIds: {}, callerNumbers: {}, accountIds: {},
+                  hourCounts: new Uint16Array(24), dayOfWeekCounts: new Uint16Array(7),
+                  backToBackIdentical: 0, lastMessageId: null,
+                  currentSameStreak: 1, maxSameStreak: 0,
+                  _fpMs: null, _lpMs: null  // first/last attempt ms-epoch (replaces string storage)
+                };
+              }
+              const nd = numberData[num];
+              if (isDelivery) { nd.totalAttempts++; nd.attemptIndex++; }
+
+              // Track first/last attempt epoch ms – formatted to string at write time
+              if (ts && pdOk) {
+                const pdMs = parsedDate.getTime();
+                if (nd._fpMs === null || pdMs < nd._fpMs) nd._fpMs = pdMs;
+                if (nd._lpMs === null || pdMs > nd._lpMs) nd._lpMs = pdMs;
+              }
+
+              // Only push delivery attempts – non-deliverable rows (401, 403, 404, etc.) are
+              // never used in sort / consecRuns / attemptStats and excluding them saves
+              // hundreds of thousands of object allocations for large datasets.
+              if (isDelivery) {
+                nd.attempts.push({
+                  ts:          pdOk ? parsedDate.getTime() : 0,
+                  isSuccess,
+                  result:      resultNorm,
+                  attemptIndex: nd.attemptIndex, // already incremented above
+                      dateStr: parsed ? parsed.localDateStr : (pdOk ? parsedDate.toISOString().slice(0, 10) : null)
+                });
+                if (abVariantIndex && abVariantIndex.has(abKey(row))) {
+                  nd.attempts[nd.attempts.length - 1].abVariant = abVariantIndex.get(abKey(row));
+                }
+              }
+              if (isDelivery) {
+                const msgId = row.message_id || 'Unknown';
+                nd.messageIds[msgId] = (nd.messageIds[msgId] || 0) + 1;
+                if (nd.lastMessageId === msgId) {
+                  nd.backToBackIdentical++;
+                  nd.currentSameStreak++;
+                } else {
+                  nd.currentSameStreak = 1;
+                }
+                if (nd.currentSameStreak > nd.maxSameStreak) nd.maxSameStreak = nd.currentSameStreak;
+                nd.lastMessageId = msgId;
+                nd.callerNumbers[row.caller_number || 'Unknown'] = (nd.callerNumbers[row.caller_number || 'Unknown'] || 0) + 1;
+                nd.accountIds[row.account_id || 'Unknown']       = (nd.accountIds[row.account_id || 'Unknown']       || 0) + 1;
+                nd.hourCounts[localHour]++; nd.dayOfWeekCounts[localDow]++;
+              }
+              if (isSuccess) {
+                nd.successCount++; nd.consecutiveFailures = 0;
+                nd.attemptIndex = 0; nd.lastSuccessTimestamp = pdOk ? parsedDate.getTime() : null;
+              } else if (isDelivery) {
+                nd.unsuccessfulCount++; nd.consecutiveFailures++;
+              }
+
+              // ── Inline account / message / caller / time stats ─────────────────
+              if (isDelivery) {
+                const aId = row.account_id || 'Unknown';
+                if (!accountStats[aId]) accountStats[aId] = { account_id: aId, successful: 0, unsuccessful: 0, total: 0, uniqueNumbers: 0, dayOfWeekCounts: new Uint16Array(7), ...newHourDayCounts() };
+                accountStats[aId].total++; accountStats[aId].dayOfWeekCounts[localDow]++;
+                if (hasLocalTime) addHourDay(accountStats[aId], localDow, localHour, isSuccess);
+                if (isSuccess) accountStats[aId].successful++; else accountStats[aId].unsuccessful++;
+
+                const mId = row.message_id || 'Unknown';
+                const mName = row.message_name || messageMap[mId]?.name || '';
+                if (!messageStats[mId]) {
+                  const txKey = `${aId}:${mId}`;
+                  const txData = transcriptMap[txKey] || null;
+                  messageStats[mId] = { message_id: mId, account_id: aId, message_name: mName, intent: txData?.intent || inferMessageIntent(mName), intent_summary: txData?.intent_summary || '', transcript: txData?.transcript || '', mentioned_phone: txData?.mentioned_phone || '', mentions_url: txData?.mentions_url || false, voice_append: false, successful: 0, unsuccessful: 0, total: 0, uniqueNumbers: 0, callerNumbers: {}, dayOfWeekCounts: new Uint16Array(7), ...newHourDayCounts() };
+                }
+                if (row.voapps_voice_append) messageStats[mId].voice_append = true;
+                messageStats[mId].total++; messageStats[mId].dayOfWeekCounts[localDow]++;
+                if (hasLocalTime) addHourDay(messageStats[mId], localDow, localHour, isSuccess);
+                if (isSuccess) messageStats[mId].successful++; else messageStats[mId].unsuccessful++;
+
+                const cNum = row.caller_number || 'Unknown';
+                const cName = row.caller_number_name || callerMap[cNum] || '';
+                if (!callerStats[cNum]) callerStats[cNum] = { caller_number: cNum, caller_name: cName, successful: 0, unsuccessful: 0, total: 0, uniqueNumbers: 0, dayOfWeekCounts: new Uint16Array(7), ...newHourDayCounts() };
+                callerStats[cNum].total++; callerStats[cNum].dayOfWeekCounts[localDow]++;
+                if (hasLocalTime) addHourDay(callerStats[cNum], localDow, localHour, isSuccess);
+                if (isSuccess) callerStats[cNum].successful++; else callerStats[cNum].unsuccessful++;
+                messageStats[mId].callerNumbers[cNum] = (messageStats[mId].callerNumbers[cNum] || 0) + 1;
+
+                globalHourlyStats[localHour].total++;
+                if (isSuccess) globalHourlyStats[localHour].successful++; else globalHourlyStats[localHour].unsuccessful++;
+                if (hasLocalTime) addHourDay(globalHourDay, localDow, localHour, isSuccess);
+                globalDayStats[localDow].total++;
+                if (isSuccess) globalDayStats[localDow].successful++; else globalDayStats[localDow].unsuccessful++;
+
+                // Daily trend tracking
+                const dateKey = parsed ? parsed.localDateStr : (pdOk ? parsedDate.toISOString().slice(0, 10) : null);
+                if (dateKey) {
+                  const ds = dailyStats[dateKey] || (dailyStats[dateKey] = { attempts: 0, successes: 0 });
+                  ds.attempts++;
+                  if (isSuccess) ds.successes++;
+                  addCallerWeek(cNum, dateKey, isSuccess);
+                }
+              }
+
+              totalValidRows++;
+              rowIdx++;
+            }
+          },
+          complete: () => { log(`  -> Processed ${totalValidRows.toLocaleString()} rows so far`); resolve(); },
+          error: reject
+        });
+      });
+    }
+
+    campaignTsMap.clear();
+    log(`Combined ${totalValidRows.toLocaleString()} valid records from ${files.length} file(s)`);
+
+    // ── Sort each number's attempts by timestamp, recompute order-dependent fields ──
+    // Streaming may encounter rows out of chronological order within a number,
+    // so we sort here before any downstream code relies on ordering.
+    log('Sorting per-number attempts and recomputing attempt indices...');
+    for (const num in numberData) {
+      const nd = numberData[num];
+      nd._fpMs = null; nd._lpMs = null; // null not delete – avoids V8 dictionary-mode transition
+      if (nd.attempts.length > 1) {
+        nd.attempts.sort((a, b) => a.ts - b.ts);
+        let aidx = 0, consecFails = 0, lastSuccTs = null;
+        for (const att of nd.attempts) {
+          att.attemptIndex = ++aidx;
+          if (att.isSuccess) { aidx = 0; consecFails = 0; lastSuccTs = att.ts; }
+          else consecFails++;
+        }
+        nd.consecutiveFailures = consecFails;
+        nd.attemptIndex = aidx;
+        if (lastSuccTs !== null) nd.lastSuccessTimestamp = lastSuccTs; // stored as ms-epoch
+      }
+    }
+
+    // ── Derive timezone variables from data collected during streaming ────────
+    for (const [aid, offsets] of Object.entries(accountResultTimezones)) {
+      let maxAcc = 0, best = null;
+      for (const [off, cnt] of Object.entries(offsets)) { if (cnt > maxAcc) { maxAcc = cnt; best = off; } }
+      accountMostCommonOffset[aid] = best;
+    }
+    let maxTzCnt = 0, bestOffset = null;
+    for (const [off, cnt] of Object.entries(timezoneCounts)) { if (cnt > maxTzCnt) { maxTzCnt = cnt; bestOffset = off; } }
+    detectedTimezone = bestOffset ? getTimezoneDisplayName({ offset: bestOffset }) : 'Unknown (timestamps may be UTC)';
+    log(`Detected timezone: ${detectedTimezone} (from ${maxTzCnt.toLocaleString()} timestamps)`);
+    timezoneDiscrepancies = detectTimezoneDiscrepancies(accountTimezones, accountMostCommonOffset, minDate, maxDate);
+    if (timezoneDiscrepancies.length > 0) log(`⚠️  Found ${timezoneDiscrepancies.length} timezone discrepancy(ies) between account settings and results`);
+    fourteenDaysAgo = maxDate ? new Date(maxDate.getTime() - 14 * 24 * 60 * 60 * 1000) : null;
+
+  } else {
+    // ═══════════════════════════════════════════════════════════════════════════
+    // ROW-ARRAY INPUT – existing flow with missing-timestamp pre-fill added.
+    // ═══════════════════════════════════════════════════════════════════════════
+    const csvRows = Array.isArray(csvInput) ? csvInput : [];
+    log(`Processing ${csvRows.length.toLocaleString()} row objects`);
+    if (csvRows.length === 0) throw new Error('No data found in CSV input');
+
+    // ── Pre-fill missing timestamps using campaign proximity lookup ───────────
+    {
+      const ctsMap = new Map();
+      for (let i = 0; i < csvRows.length; i++) {
+        const ts = (csvRows[i].voapps_timestamp || '').trim();
+        if (ts) {
+          const cid = (csvRows[i].campaign_id || '').trim() || '__none__';
+          if (!ctsMap.has(cid)) ctsMap.set(cid, []);
+          ctsMap.get(cid).push({ idx: i, ts: formatTimestamp(ts) });
+        }
+      }
+      for (let i = 0; i < csvRows.length; i++) {
+        const ts = (csvRows[i].voapps_timestamp || '').trim();
+        if (!ts) {
+          // Mark as inferred – proximity-filled timestamps are used for sorting/display only,
+          // not for delivery attempt counts or figures.
+          csvRows[i]._tsOriginal = false;
+          const cid = (csvRows[i].campaign_id || '').trim() || '__none__';
+          const filled = findNearestTs(ctsMap.get(cid), i);
+          if (filled) {
+            csvRows[i].voapps_timestamp = filled;
+          } else if (csvRows[i].target_date) {
+            csvRows[i].voapps_timestamp = `${csvRows[i].target_date.trim()} 00:00:00 UTC`;
+          }
+        } else {
+          csvRows[i]._tsOriginal = true;
+          csvRows[i].voapps_timestamp = formatTimestamp(ts);
+        }
+      }
+      ctsMap.clear();
+    }
+
+    // ── Filter and enrich ─────────────────────────────────────────────────────
+    const validRows = csvRows.filter(row => row.number && row.voapps_result && String(row.number).replace(/\D/g, '').length >= 7);
+    log(`Valid rows: ${validRows.length.toLocaleString()}`);
+
+    for (const row of validRows) {
+      const tz = extractTimezone(row.voapps_timestamp);
+      if (tz) {
+        timezoneCounts[tz.offset] = (timezoneCounts[tz.offset] || 0) + 1;
+        const aid = row.account_id || 'Unknown';
+        if (!accountResultTimezones[aid]) accountResultTimezones[aid] = {};
+        accountResultTimezones[aid][tz.offset] = (accountResultTimezones[aid][tz.offset] || 0) + 1;
+      }
+    }
+    for (const [aid, offsets] of Object.entries(accountResultTimezones)) {
+      let maxAcc = 0, best = null;
+      for (const [off, cnt] of Object.entries(offsets)) { if (cnt > maxAcc) { maxAcc = cnt; best = off; } }
+      accountMostCommonOffset[aid] = best;
+    }
+    let maxTzCnt2 = 0, bestOffset2 = null;
+    for (const [off, cnt] of Object.entries(timezoneCounts)) { if (cnt > maxTzCnt2) { maxTzCnt2 = cnt; bestOffset2 = off; } }
+    detectedTimezone = bestOffset2 ? getTimezoneDisplayName({ offset: bestOffset2 }) : 'Unknown (timestamps may be UTC)';
+    log(`Detected timezone: ${detectedTimezone} (from ${maxTzCnt2.toLocaleString()} timestamps)`);
+    timezoneDiscrepancies = detectTimezoneDiscrepancies(accountTimezones, accountMostCommonOffset, minDate, maxDate);
+    if (timezoneDiscrepancies.length > 0) log(`⚠️  Found ${timezoneDiscrepancies.length} timezone discrepancy(ies) between account settings and results`);
+
+    // Enrich, sort, and process in as few passes as possible to keep peak memory low.
+    // Key savings vs. original:
+    //   • row.parsedMs (epoch number, 8 bytes) replaces row.parsedDate (Date object, ~128 bytes)
+    //     → saves ~168 MB for 1.4 M rows
+    //   • Three separate passes merged into two (enrich → sort → build numberData)
+    //   • validRows[i] nulled out as each row is consumed so GC can collect incrementally
+    //   • Only delivery attempts pushed to nd.attempts (same as streaming path)
+
+    log('Parsing timestamps and enriching data...');
+    for (const row of validRows) {
+      const parsed = parseTimestampLocal(row.voapps_timestamp);
+      const _pd    = parsed ? parsed.utcDate : new Date(row.voapps_timestamp);
+      const _ok    = _pd && !isNaN(_pd.getTime());
+      row.parsedMs      = _ok ? _pd.getTime() : null; // epoch number – no long-lived Date on row
+      row.localHour     = parsed ? parsed.localHour      : (_ok ? _pd.getHours() : 0);
+      row.localDayOfWeek = parsed ? parsed.localDayOfWeek : (_ok ? _pd.getDay()   : 0);
+      row.localDateStr  = parsed ? parsed.localDateStr   : (_ok ? _pd.toISOString().slice(0, 10) : null);
+      row.hasLocalTime  = !!parsed || _ok; // false → hour/day above are the Sun 00:00 fallback
+      row.voapps_result_normalized = String(row.voapps_result || '').trim().toLowerCase();
+      row.isSuccess        = row.voapps_result_normalized === 'successfully delivered';
+      // Only count as a delivery attempt if the row had a real original timestamp.
+      // Proximity-inferred timestamps are used for sorting/display only.
+      row.isDeliveryAttempt = !!row._tsOriginal &&
+        DELIVERY_ATTEMPT_RESULTS.has(row.voapps_result_normalized);
+
+      // Non-deliverable tracking
+      if (!row.isDeliveryAttempt) {
+        const rn   = row.voapps_result_normalized;
+        const num2 = String(row.number).trim();
+        if      (rn === 'not a wireless number') nonDeliverableCounts['not a wireless number']++;
+        else if (rn === 'not a valid us number') {
+          nonDeliverableCounts['not a valid us number']++;
+          if (/^0+$/.test(num2.replace(/\D/g, ''))) notUSPlaceholderRows++;
+        }
+        else if (rn === 'duplicate number')   nonDeliverableCounts['duplicate number']++;
+        else if (rn === 'undeliverable')      nonDeliverableCounts['undeliverable']++;
+        else if (rn.startsWith('restricted')) nonDeliverableCounts['restricted']++;
+      }
+    }
+
+    log('Sorting rows by date...');
+    validRows.sort((a, b) => (a.parsedMs || 0) - (b.parsedMs || 0));
+
+    // Single pass: build numberData + config errors + date range.
+    // validRows[i] is nulled after each row is consumed so GC can reclaim row objects
+    // incrementally rather than holding all 1.4 M in memory until the loop ends.
+    log('Building number-level data with attempt indexing...');
+    let minMs = null, maxMs = null;
+    for (let _i = 0; _i < validRows.length; _i++) {
+      const row = validRows[_i];
+      validRows[_i] = null; // release reference – allows GC to collect this row object
+
+      // Config error tracking (merged from separate loop)
+      if (CONFIG_ERROR_RESULTS.has(row.voapps_result_normalized)) {
+        const entry = configErrors[row.voapps_result_normalized];
+        entry.total++;
+        entry.byCallerNumber[row.caller_number || 'Unknown'] = (entry.byCallerNumber[row.caller_number || 'Unknown'] || 0) + 1;
+        entry.byMessageId[row.message_id || 'Unknown']       = (entry.byMessageId[row.message_id || 'Unknown']       || 0) + 1;
+      }
+
+      // Date range (merged from separate loop)
+      if (row.parsedMs) {
+        if (minMs === null || row.parsedMs < minMs) minMs = row.parsedMs;
+        if (maxMs === null || row.parsedMs > maxMs) maxMs = row.parsedMs;
+      }
+
+      const num = row.number;
+      if (!numberData[num]) {
+        numberData[num] = {
+          number: num, attempts: [], attemptIndex: 0,
+          consecutiveFailures: 0, totalAttempts: 0,
+          successCount: 0, unsuccessfulCount: 0, lastSuccessTimestamp: null,
+          messageIds: {}, callerNumbers: {}, accountIds: {},
+          hourCounts: new Uint16Array(24), dayOfWeekCounts: new Uint16Array(7),
+          backToBackIdentical: 0, lastMessageId: null,
+          _fpMs: null, _lpMs: null  // first/last attempt ms-epoch
+        };
+      }
+      const nd = numberData[num];
+      if (row.isDeliveryAttempt) { nd.totalAttempts++; nd.attemptIndex++; }
+
+      // Only push delivery attempts – non-deliverable rows never appear in consecRuns
+      // or attemptStats, and excluding them saves substantial memory for large datasets.
+      if (row.isDeliveryAttempt) {
+        nd.attempts.push({
+          ts:          row.parsedMs || 0,
+          isSuccess:   row.isSuccess,
+          result:      row.voapps_result_normalized,
+          attemptIndex: nd.attemptIndex,   // already incremented above
+          dateStr: row.localDateStr
+        });
+        if (abVariantIndex && abVariantIndex.has(abKey(row))) {
+          nd.attempts[nd.attempts.length - 1].abVariant = abVariantIndex.get(abKey(row));
+        }
+      }
+
+      // Track first/last attempt epoch ms – formatted to string at write time
+      if (row.parsedMs) {
+        if (nd._fpMs === null || row.parsedMs < nd._fpMs) nd._fpMs = row.parsedMs;
+        if (nd._lpMs === null || row.parsedMs > nd._lpMs) nd._lpMs = row.parsedMs;
+      }
+      if (row.isDeliveryAttempt) {
+        const msgId = row.message_id || 'Unknown';
+        nd.messageIds[msgId] = (nd.messageIds[msgId] || 0) + 1;
+        if (nd.lastMessageId && nd.lastMessageId === msgId) nd.backToBackIdentical++;
+        nd.lastMessageId = msgId;
+        nd.callerNumbers[row.caller_number || 'Unknown'] = (nd.callerNumbers[row.caller_number || 'Unknown'] || 0) + 1;
+        nd.accountIds[row.account_id || 'Unknown']       = (nd.accountIds[row.account_id || 'Unknown']       || 0) + 1;
+        nd.hourCounts[row.localHour]++; nd.dayOfWeekCounts[row.localDayOfWeek]++;
+      }
+      if (row.isSuccess) {
+        nd.successCount++; nd.consecutiveFailures = 0;
+        nd.attemptIndex = 0; nd.lastSuccessTimestamp = row.parsedMs || null;
+      } else if (row.isDeliveryAttempt) {
+        nd.unsuccessfulCount++; nd.consecutiveFailures++;
+      }
+
+      // ── Inline account / message / caller / time stats (same as file-path path) ──
+      if (row.isDeliveryAttempt) {
+        const num2 = row.number; // already available as `num` above
+        const aId = row.account_id || 'Unknown';
+        if (!accountStats[aId]) accountStats[aId] = { account_id: aId, successful: 0, unsuccessful: 0, total: 0, uniqueNumbers: 0, dayOfWeekCounts: new Uint16Array(7), ...newHourDayCounts() };
+        accountStats[aId].total++; accountStats[aId].dayOfWeekCounts[row.localDayOfWeek]++;
+        if (row.hasLocalTime) addHourDay(accountStats[aId], row.localDayOfWeek, row.localHour, row.isSuccess);
+        if (row.isSuccess) accountStats[aId].successful++; else accountStats[aId].unsuccessful++;
+
+        const mId = row.message_id || 'Unknown';
+        const mName = row.message_name || messageMap[mId]?.name || '';
+        if (!messageStats[mId]) {
+          const txKey = `${aId}:${mId}`;
+          const txData = transcriptMap[txKey] || null;
+          messageStats[mId] = { message_id: mId, account_id: aId, message_name: mName, intent: txData?.intent || inferMessageIntent(mName), intent_summary: txData?.intent_summary || '', transcript: txData?.transcript || '', mentioned_phone: txData?.mentioned_phone || '', mentions_url: txData?.mentions_url || false, voice_append: false, successful: 0, unsuccessful: 0, total: 0, uniqueNumbers: 0, callerNumbers: {}, dayOfWeekCounts: new Uint16Array(7), ...newHourDayCounts() };
+        }
+        if (row.voapps_voice_append) messageStats[mId].voice_append = true;
+        messageStats[mId].total++; messageStats[mId].dayOfWeekCounts[row.localDayOfWeek]++;
+        if (row.hasLocalTime) addHourDay(messageStats[mId], row.localDayOfWeek, row.localHour, row.isSuccess);
+        if (row.isSuccess) messageStats[mId].successful++; else messageStats[mId].unsuccessful++;
+
+        const cNum = row.caller_number || 'Unknown';
+        const cName = row.caller_number_name || callerMap[cNum] || '';
+        if (!callerStats[cNum]) callerStats[cNum] = { caller_number: cNum, caller_name: cName, successful: 0, unsuccessful: 0, total: 0, uniqueNumbers: 0, dayOfWeekCounts: new Uint16Array(7), ...newHourDayCounts() };
+        callerStats[cNum].total++; callerStats[cNum].dayOfWeekCounts[row.localDayOfWeek]++;
+        if (row.hasLocalTime) addHourDay(callerStats[cNum], row.localDayOfWeek, row.localHour, row.isSuccess);
+        if (row.isSuccess) callerStats[cNum].successful++; else callerStats[cNum].unsuccessful++;
+        messageStats[mId].callerNumbers[cNum] = (messageStats[mId].callerNumbers[cNum] || 0) + 1;
+
+        globalHourlyStats[row.localHour].total++;
+        if (row.isSuccess) globalHourlyStats[row.localHour].successful++; else globalHourlyStats[row.localHour].unsuccessful++;
+        if (row.hasLocalTime) addHourDay(globalHourDay, row.localDayOfWeek, row.localHour, row.isSuccess);
+        globalDayStats[row.localDayOfWeek].total++;
+        if (row.isSuccess) globalDayStats[row.localDayOfWeek].successful++; else globalDayStats[row.localDayOfWeek].unsuccessful++;
+
+        // Daily trend tracking
+        if (row.localDateStr) {
+          const ds = dailyStats[row.localDateStr] || (dailyStats[row.localDateStr] = { attempts: 0, successes: 0 });
+          ds.attempts++;
+          if (row.isSuccess) ds.successes++;
+          addCallerWeek(cNum, row.localDateStr, row.isSuccess);
+        }
+      }
+
+      totalValidRows++;
+    }
+    // Convert epoch extremes → Date objects used by shared code below
+    minDate         = minMs ? new Date(minMs) : null;
+    maxDate         = maxMs ? new Date(maxMs) : null;
+    fourteenDaysAgo = maxDate ? new Date(maxDate.getTime() - 14 * 24 * 60 * 60 * 1000) : null;
+
+    // Free raw row arrays – numberData holds all per-number state
+    csvRows.length = 0;
+    validRows.length = 0;
+  }
+
+  const hasConfigErrors = Object.values(configErrors).some(e => e.total > 0);
+  const uniqueNumbers = Object.keys(numberData).length;
+  log(`Analyzed ${uniqueNumbers.toLocaleString()} unique numbers`);
+  if (progressCallback) progressCallback('Computing delivery statistics...');
+
+  // ============================================================================
+  // CALCULATE SUCCESS PROBABILITY BY ATTEMPT INDEX
+  // ============================================================================
+
+  log('Calculating success probability by attempt index...');
+  const attemptStats = {};  // attemptIndex -> { successful, total }
+
+  for (const num in numberData) {
+    for (const attempt of numberData[num].attempts) {
+      const idx = Math.min(attempt.attemptIndex, 10);  // Cap at 10 for grouping
+      if (!attemptStats[idx]) {
+        attemptStats[idx] = { successful: 0, total: 0 };
+      }
+      attemptStats[idx].total++;
+      if (attempt.isSuccess) {
+        attemptStats[idx].successful++;
+      }
+    }
+  }
+
+  // Calculate probabilities
+  const decayCurve = [];
+  for (let i = 1; i <= 10; i++) {
+    const stats = attemptStats[i] || { successful: 0, total: 0 };
+    const prob = stats.total > 0 ? stats.successful / stats.total : 0;
+    const ci = wilsonInterval(stats.successful, stats.total);
+    decayCurve.push({
+      attemptIndex: i === 10 ? '10+' : i,
+      total: stats.total,
+      successful: stats.successful,
+      probability: prob,
+      probabilityLow: ci ? ci.low : null,
+      probabilityHigh: ci ? ci.high : null
+    });
+  }
+
+  // ============================================================================
+  // COMPUTE DELIVERY CADENCE (interval between consecutive attempts per number)
+  // ============================================================================
+  log('Computing delivery cadence stats...');
+  let cadenceSingleTouch = 0;
+  let cadenceBucket_sameDay = 0; // any pair on the same calendar date
+  let cadenceBucket_1to2    = 0; // 1–2 days
+  let cadenceBucket_3to5    = 0; // 3–5 days
+  let cadenceBucket_6to10   = 0; // 6–10 days
+  let cadenceBucket_11to15  = 0; // 11–15 days
+  let cadenceBucket_16to30  = 0; // 16–30 days
+  let cadenceBucket_over30  = 0; // > 30 days
+  const _cadenceMedians = [];
+  for (const num in numberData) {
+    const atts = numberData[num].attempts;
+    if (atts.length === 0) continue;
+    if (atts.length === 1) { cadenceSingleTouch++; continue; }
+    // Ensure time-ordered – streaming path already sorted in place; row-array path may not be
+    if (atts[0].ts > atts[atts.length - 1].ts) atts.sort((a, b) => a.ts - b.ts);
+    const intervals = [];
+    let hasSameDayPair = false; // true if any consecutive pair fell on the same calendar date
+    for (let i = 1; i < atts.length; i++) {
+      const diff = (atts[i].ts - atts[i - 1].ts) / 86400000; // ms → days
+      if (diff >= 0) intervals.push(diff);
+      if (atts[i].dateStr && atts[i].dateStr === atts[i - 1].dateStr) hasSameDayPair = true;
+    }
+    if (intervals.length === 0) { cadenceSingleTouch++; continue; }
+    intervals.sort((a, b) => a - b);
+    const cMid = Math.floor(intervals.length / 2);
+    const med = intervals.length % 2 === 0
+      ? (intervals[cMid - 1] + intervals[cMid]) / 2
+      : intervals[cMid];
+    _cadenceMedians.push(med);
+    if (hasSameDayPair)   cadenceBucket_sameDay++;
+    else if (med <= 2)  cadenceBucket_1to2++;
+    else if (med <= 5)  cadenceBucket_3to5++;
+    else if (med <= 10) cadenceBucket_6to10++;
+    else if (med <= 15) cadenceBucket_11to15++;
+    else if (med <= 30) cadenceBucket_16to30++;
+    else                cadenceBucket_over30++;
+  }
+  _cadenceMedians.sort((a, b) => a - b);
+  let cadenceOverallMedian = null;
+  if (_cadenceMedians.length > 0) {
+    const cMid = Math.floor(_cadenceMedians.length / 2);
+    cadenceOverallMedian = _cadenceMedians.length % 2 === 0
+      ? (_cadenceMedians[cMid - 1] + _cadenceMedians[cMid]) / 2
+      : _cadenceMedians[cMid];
+  }
+  _cadenceMedians.length = 0; // free
+  const cadenceMultiTouchCount = cadenceBucket_sameDay + cadenceBucket_1to2 +
+    cadenceBucket_3to5 + cadenceBucket_6to10 + cadenceBucket_11to15 +
+    cadenceBucket_16to30 + cadenceBucket_over30;
+
+  // ============================================================================
+  // RE-ATTEMPT ANALYSIS
+  // ============================================================================
+  const RE_ATTEMPT_CODES = [
+    'successfully delivered',
+    'unsuccessful delivery attempt',
+    'not in service',
+    'voicemail not setup',
+    'voicemail full'
+  ];
+  const TIMING_BUCKETS = ['sameDay', 'day1to2', 'day2to3', 'day4to7', 'day8plus'];
+
+  let reAttemptData = null;
+
+  if (includeReAttemptTabs) {
+    log('Computing re-attempt analysis...');
+
+    // Transition matrix: transMatrix[from][to] = count of consecutive-attempt pairs
+    const transMatrix = {};
+    const transRowTotals = {};
+    for (const fc of RE_ATTEMPT_CODES) {
+      transMatrix[fc] = {};
+      transRowTotals[fc] = 0;
+      for (const tc of RE_ATTEMPT_CODES) transMatrix[fc][tc] = 0;
+    }
+
+    // Funnel by initial result code
+    const funnelByCode = {};
+    for (const fc of RE_ATTEMPT_CODES) {
+      funnelByCode[fc] = { at1: 0, at2: 0, at3: 0, at4plus: 0, neverDelivered: 0, total: 0 };
+    }
+
+    // Retry timing matrix: timingMatrix[from][bucket].{total, nextSuccess}
+    const timingMatrix = {};
+    for (const fc of RE_ATTEMPT_CODES) {
+      timingMatrix[fc] = {};
+      for (const b of TIMING_BUCKETS) timingMatrix[fc][b] = { total: 0, nextSuccess: 0 };
+    }
+
+    // Eventually delivered counts per initial code
+    const eventuallyDelivered = {};
+    for (const fc of RE_ATTEMPT_CODES) eventuallyDelivered[fc] = { delivered: 0, total: 0 };
+
+    // Multi-attempt delivery stats
+    let totalMultiAttemptNumbers = 0;
+    let sumAttemptsToDelivery = 0; // for non-first-attempt successes
+    let countNonFirstAttemptDeliveries = 0;
+    let sumDaysFirstToDelivery = 0;
+    let sumTotalAttemptsAmongDelivered = 0;
+    let countDeliveredNumbers = 0;
+    let sumSuccessCountAmongDelivered = 0;
+
+    for (const num in numberData) {
+      const atts = numberData[num].attempts;
+      if (atts.length < 2) continue;
+      totalMultiAttemptNumbers++;
+
+      // Ensure time-ordered
+      if (atts[0].ts > atts[atts.length - 1].ts) atts.sort((a, b) => a.ts - b.ts);
+
+      const firstResult = atts[0].result;
+      if (!firstResult || !transMatrix[firstResult]) continue;
+
+      // Eventually delivered?
+      const firstSuccessIdx = atts.findIndex(a => a.isSuccess);
+      const everDelivered = firstSuccessIdx !== -1;
+      if (eventuallyDelivered[firstResult]) {
+        eventuallyDelivered[firstResult].total++;
+        if (everDelivered) eventuallyDelivered[firstResult].delivered++;
+      }
+
+      // Multi-attempt delivery stats
+      const nd2 = numberData[num];
+      if (everDelivered) {
+        countDeliveredNumbers++;
+        sumTotalAttemptsAmongDelivered += atts.length;
+        sumSuccessCountAmongDelivered += nd2.successCount;
+        if (firstSuccessIdx > 0) {
+          // First success was NOT on attempt 1
+          countNonFirstAttemptDeliveries++;
+          sumAttemptsToDelivery += firstSuccessIdx + 1; // 1-based
+          if (atts[0].ts > 0 && atts[firstSuccessIdx].ts > 0) {
+            sumDaysFirstToDelivery += (atts[firstSuccessIdx].ts - atts[0].ts) / 86400000;
+          }
+        }
+      }
+
+      // Funnel: which attempt# was the first success?
+      if (funnelByCode[firstResult]) {
+        funnelByCode[firstResult].total++;
+        if      (!everDelivered)        funnelByCode[firstResult].neverDelivered++;
+        else if (firstSuccessIdx === 0) funnelByCode[firstResult].at1++;
+        else if (firstSuccessIdx === 1) funnelByCode[firstResult].at2++;
+        else if (firstSuccessIdx === 2) funnelByCode[firstResult].at3++;
+        else                            funnelByCode[firstResult].at4plus++;
+      }
+
+      // Transition matrix + timing
+      for (let i = 0; i < atts.length - 1; i++) {
+        const from = atts[i].result;
+        const to   = atts[i + 1].result;
+        if (!from || !to || transMatrix[from] === undefined || transMatrix[from][to] === undefined) continue;
+        transMatrix[from][to]++;
+        transRowTotals[from]++;
+
+        // Timing bucket
+        if (timingMatrix[from]) {
+          const bucket = retryTimingBucket(atts[i], atts[i + 1]);
+          timingMatrix[from][bucket].total++;
+          if (atts[i + 1].isSuccess) timingMatrix[from][bucket].nextSuccess++;
+        }
+      }
+    }
+
+    // Retention funnel for PPTX visual: count of numbers with at least N attempts
+    const retentionFunnel = [];
+    for (let n = 1; n <= 6; n++) {
+      let count = 0, delivered = 0;
+      for (const nd of Object.values(numberData)) {
+        if (nd.attempts.length >= n) {
+          count++;
+          if (nd.attempts.some(a => a.isSuccess)) delivered++;
+        }
+      }
+      if (count === 0) break;
+      retentionFunnel.push({ n, count, delivered });
+    }
+
+    reAttemptData = {
+      transMatrix, transRowTotals, funnelByCode, timingMatrix,
+      eventuallyDelivered, retentionFunnel,
+      totalMultiAttemptNumbers,
+      avgAttemptsToDelivery: countNonFirstAttemptDeliveries > 0
+        ? sumAttemptsToDelivery / countNonFirstAttemptDeliveries : null,
+      avgDaysFirstToDelivery: countNonFirstAttemptDeliveries > 0
+        ? sumDaysFirstToDelivery / countNonFirstAttemptDeliveries : null,
+      avgTotalAttemptsAmongDelivered: countDeliveredNumbers > 0
+        ? sumTotalAttemptsAmongDelivered / countDeliveredNumbers : null,
+      avgSuccessCountAmongDelivered: countDeliveredNumbers > 0
+        ? sumSuccessCountAmongDelivered / countDeliveredNumbers : null,
+      countNonFirstAttemptDeliveries,
+      RE_ATTEMPT_CODES, TIMING_BUCKETS
+    };
+    log(`  Re-attempt analysis complete: ${totalMultiAttemptNumbers.toLocaleString()} multi-touch numbers`);
+  }
+
+  // ============================================================================
+  // BUILD ACCOUNT AND MESSAGE LEVEL STATS WITH DAY-OF-WEEK ANALYSIS
+  // ============================================================================
+  // Stats are built inline during row processing above – no separate pass needed.
+  log('Building account and message level stats...');
+
+
+  // Check for day-of-week patterns in accounts and messages
+  const accountDayRecommendations = [];
+  const messageDayRecommendations = [];
+
+  for (const accountId in accountStats) {
+    const pattern = getDayUsagePattern(accountStats[accountId].dayOfWeekCounts);
+    if (pattern.limited) {
+      accountDayRecommendations.push({
+        type: 'Account',
+        id: accountId,
+        days: pattern.days.join(', '),
+        recommendation: pattern.recommendation
+      });
+    }
+  }
+
+  for (const msgId in messageStats) {
+    const pattern = getDayUsagePattern(messageStats[msgId].dayOfWeekCounts);
+    if (pattern.limited) {
+      messageDayRecommendations.push({
+        type: 'Message',
+        id: msgId,
+        name: messageStats[msgId].message_name,
+        days: pattern.days.join(', '),
+        recommendation: pattern.recommendation
+      });
+    }
+  }
+
+  // ============================================================================
+  // CLASSIFY TN HEALTH AND CALCULATE VARIABILITY SCORES
+  // ============================================================================
+
+  log('Classifying TN health and calculating variability scores...');
+
+  let healthyCount = 0, toxicCount = 0, neverDeliveredCount = 0;
+  const tierCounts = Object.fromEntries(tnHealthRules.tiers.map(t => [t.name, 0]));
+  const numberSummaryArray = [];
+
+  for (const num in numberData) {
+    const nd = numberData[num];
+    // Skip numbers that only ever appeared in non-deliverable rows (e.g. 0000000000 / 403-only).
+    // They have no delivery attempt data to analyze and would pollute the summary.
+    if (nd.totalAttempts === 0) continue;
+    const successRate = nd.totalAttempts > 0 ? nd.successCount / nd.totalAttempts : 0;
+
+    // Check for recent success (within 14 days of max date)
+    const recentSuccess = nd.lastSuccessTimestamp && fourteenDaysAgo &&
+                          nd.lastSuccessTimestamp >= fourteenDaysAgo;
+
+    // Never Delivered flag
+    const neverDelivered = nd.successCount === 0;
+    if (neverDelivered) neverDeliveredCount++;
+
+    // TN Health Classification
+    const daysSinceLastSuccess = nd.lastSuccessTimestamp && maxDate
+      ? Math.max(0, (maxDate.getTime() - nd.lastSuccessTimestamp) / (24 * 60 * 60 * 1000))
+      : null;
+    const tnHealth = classifyTNHealth(successRate, nd.consecutiveFailures, nd.totalAttempts, recentSuccess,
+      tnHealthRules, daysSinceLastSuccess);
+    if (tnHealth === 'Healthy') healthyCount++;
+    else if (tnHealth === 'Delivery Unlikely') toxicCount++;
+    else tierCounts[tnHealth]++;
+
+    // Calculate variability metrics
+    const uniqueMessages = Object.keys(nd.messageIds).length;
+    const uniqueCallers = Object.keys(nd.callerNumbers).length;
+
+    // Find top message
+    let topMsgId = 'Unknown', topMsgCount = 0;
+    for (const msgId in nd.messageIds) {
+      if (nd.messageIds[msgId] > topMsgCount) {
+        topMsgCount = nd.messageIds[msgId];
+        topMsgId = msgId;
+      }
+    }
+    const topMsgPct = nd.totalAttempts > 0 ? topMsgCount / nd.totalAttempts : 0;
+    const topMsgName = nd.attempts.find(a => a.message_id === topMsgId)?.message_name ||
+                       messageMap[topMsgId]?.name || '';
+
+    // Find top caller
+    let topCallerNum = 'Unknown', topCallerCount = 0;
+    for (const callerNum in nd.callerNumbers) {
+      if (nd.callerNumbers[callerNum] > topCallerCount) {
+        topCallerCount = nd.callerNumbers[callerNum];
+        topCallerNum = callerNum;
+      }
+    }
+    const topCallerPct = nd.totalAttempts > 0 ? topCallerCount / nd.totalAttempts : 0;
+    const topCallerName = nd.attempts.find(a => a.caller_number === topCallerNum)?.caller_number_name ||
+                          callerMap[topCallerNum] || '';
+
+    // Day of week entropy (max entropy = log2(7) ~ 2.807)
+    const dayEntropy = calculateEntropy(nd.dayOfWeekCounts);
+    const maxDayEntropy = Math.log2(7);
+    const dayEntropyNormalized = maxDayEntropy > 0 ? dayEntropy / maxDayEntropy : 0;
+
+    // Hour variance
+    const hourEntropy = calculateEntropy(nd.hourCounts);
+    const maxHourEntropy = Math.log2(24);
+    const hourEntropyNormalized = maxHourEntropy > 0 ? hourEntropy / maxHourEntropy : 0;
+
+    // Message diversity score (lower top message % = better)
+    const msgDiversityScore = uniqueMessages > 1 ? (1 - topMsgPct) * 100 : 0;
+
+    // Caller diversity score
+    const callerDiversityScore = uniqueCallers > 1 ? (1 - topCallerPct) * 100 : 0;
+
+    // Back-to-back penalty (0-1, lower is better)
+    const backToBackRatio = nd.totalAttempts > 1 ? nd.backToBackIdentical / (nd.totalAttempts - 1) : 0;
+
+    // Calculate variability score only if there are multiple attempts
+    let variabilityScore = 0;
+    if (nd.totalAttempts > 1) {
+      // Base score components
+      const msgComponent = msgDiversityScore * 0.30;
+      const callerComponent = callerDiversityScore * 0.20;
+      const dayComponent = dayEntropyNormalized * 100 * 0.25;
+      const hourComponent = hourEntropyNormalized * 100 * 0.15;
+      const noBackToBackBonus = (1 - backToBackRatio) * 100 * 0.10;
+
+      variabilityScore = Math.max(0, Math.min(100, Math.round(
+        msgComponent + callerComponent + dayComponent + hourComponent + noBackToBackBonus
+      )));
+    } else {
+      // Single attempt - score based on diversity potential
+      variabilityScore = 50; // Neutral score for single attempts
+    }
+
+    // Day distribution string
+    const dayDistribution = formatDayDistribution(nd.dayOfWeekCounts, nd.totalAttempts);
+
+    // First and last attempt – format epoch ms to UTC timestamp string at write time
+    const validFirstAttempt = nd._fpMs ? epochToTimestamp(nd._fpMs) : null;
+    const validLastAttempt  = nd._lpMs ? epochToTimestamp(nd._lpMs) : null;
+
+    // Infer intent from top message (use AI transcript if available, fall back to name-based)
+    const messageIntent = messageStats[topMsgId]?.intent || inferMessageIntent(topMsgName);
+
+    numberSummaryArray.push({
+      number: num,
+      totalAttempts: nd.totalAttempts,
+      successful: nd.successCount,
+      unsuccessful: nd.unsuccessfulCount,
+      successRate: successRate,
+      attemptIndex: nd.attemptIndex,
+      consecutiveFailures: nd.consecutiveFailures,
+      tnHealth: tnHealth,
+      neverDelivered: neverDelivered,
+      variabilityScore: variabilityScore,
+      topMsgId: topMsgId,
+      topMsgName: topMsgName,
+      topMsgPct: topMsgPct,
+      uniqueMsgCount: uniqueMessages,
+      topCallerNum: topCallerNum,
+      topCallerName: topCallerName,
+      topCallerPct: topCallerPct,
+      uniqueCallerCount: uniqueCallers,
+      dayDistribution: dayDistribution,
+      dayEntropy: dayEntropyNormalized,
+      hourEntropy: hourEntropyNormalized,
+      backToBackIdentical: nd.backToBackIdentical,
+      maxSameStreak: nd.maxSameStreak,
+      messageIntent: messageIntent,
+      firstAttempt: validFirstAttempt,
+      lastAttempt: validLastAttempt,
+      lastAttemptMs: nd._lpMs,
+      lastSuccessTimestamp: nd.lastSuccessTimestamp
+    });
+  }
+
+  // Sort by total attempts (descending)
+  numberSummaryArray.sort((a, b) => b.totalAttempts - a.totalAttempts);
+
+  // Calculate list health percentages
+  const healthyPct = (healthyCount / uniqueNumbers) * 100;
+  const toxicPct = (toxicCount / uniqueNumbers) * 100;
+  const neverDeliveredPct = (neverDeliveredCount / uniqueNumbers) * 100;
+  const listQuality = scoreListQuality({ healthyPct, toxicPct, neverDeliveredPct }, listGradeRubric);
+  const listGrade = listQuality.grade;
+
+  // Custom tiers, in configured order, with their share of the list
+  const healthTiers = tnHealthRules.tiers.map(t => ({
+    name: t.name,
+    count: tierCounts[t.name],
+    pct: (tierCounts[t.name] / uniqueNumbers) * 100
+  }));
+
+  log(`TN Health: Healthy=${healthyCount.toLocaleString()}, ` +
+    healthTiers.map(t => `${t.name}=${t.count.toLocaleString()}, `).join('') +
+    `Delivery Unlikely=${toxicCount.toLocaleString()}, Never Delivered=${neverDeliveredCount.toLocaleString()}`);
+  log(`List Grade: ${listGrade} (score ${listQuality.score}/100)`);
+
+  // ============================================================================
+  // BUILD CONSECUTIVE UNSUCCESSFUL RUNS
+  // ============================================================================
+
+  log('Building consecutive unsuccessful runs...');
+  const consecRuns = [];
+  // O(1) lookups instead of O(n) .find() calls inside loops over 271K+ numbers
+  const numSummaryMap = new Map(numberSummaryArray.map(ns => [ns.number, ns]));
+  const inConsecRuns  = new Set(); // tracks numbers already added to consecRuns
+
+  for (const num in numberData) {
+    const nd = numberData[num];
+    const attempts = nd.attempts;
+    let currentRun = [];
+
+    for (const attempt of attempts) {
+      if (!attempt.isSuccess) {
+        currentRun.push(attempt);
+      } else {
+        // Check if the run meets the minimum consecutive failure count
+        if (currentRun.length >= minConsecUnsuccessful) {
+          const runStart = currentRun[0].ts ? new Date(currentRun[0].ts) : null;
+          const runEnd = currentRun[currentRun.length - 1].ts ? new Date(currentRun[currentRun.length - 1].ts) : null;
+          const spanDays = runStart && runEnd ? (runEnd - runStart) / (1000 * 60 * 60 * 24) : 0;
+          const ns = numSummaryMap.get(num);
+          const runHealth = ns?.tnHealth || 'Healthy';
+          consecRuns.push({
+            number: num,
+            count: currentRun.length,
+            runStart, runEnd, spanDays,
+            tnHealth: runHealth
+          });
+          inConsecRuns.add(num);
+        }
+        currentRun = [];
+      }
+    }
+
+    // Check final run (if the number ends with consecutive failures)
+    if (currentRun.length >= minConsecUnsuccessful) {
+      const runStart = currentRun[0].ts ? new Date(currentRun[0].ts) : null;
+      const runEnd = currentRun[currentRun.length - 1].ts ? new Date(currentRun[currentRun.length - 1].ts) : null;
+      const spanDays = runStart && runEnd ? (runEnd - runStart) / (1000 * 60 * 60 * 24) : 0;
+      const ns = numSummaryMap.get(num);
+      const runHealth2 = ns?.tnHealth || 'Healthy';
+      consecRuns.push({
+        number: num,
+        count: currentRun.length,
+        runStart, runEnd, spanDays,
+        tnHealth: runHealth2
+      });
+      inConsecRuns.add(num);
+    }
+  }
+
+  // Also add all numbers with current consecutive failures >= threshold (that aren't already included)
+  for (const ns of numberSummaryArray) {
+    if (ns.consecutiveFailures >= minConsecUnsuccessful) {
+      if (!inConsecRuns.has(ns.number)) {
+        const nd = numberData[ns.number];
+        const recentFailures = nd.attempts.slice(-ns.consecutiveFailures);
+        const runStart = recentFailures[0]?.ts ? new Date(recentFailures[0].ts) : null;
+        const runEnd = recentFailures[recentFailures.length - 1]?.ts ? new Date(recentFailures[recentFailures.length - 1].ts) : null;
+        const spanDays = runStart && runEnd ? (runEnd - runStart) / (1000 * 60 * 60 * 24) : 0;
+        consecRuns.push({
+          number: ns.number,
+          count: ns.consecutiveFailures,
+          runStart, runEnd, spanDays,
+          tnHealth: ns.tnHealth
+        });
+        inConsecRuns.add(ns.number);
+      }
+    }
+  }
+
+  consecRuns.sort((a, b) => b.count - a.count);
+  // Only "Delivery Unlikely" numbers belong on the Suppression Candidates tab.
+  // Each run carries the number-level context the suppression exporter needs as reason codes.
+  const suppressionRuns = consecRuns
+    .filter(r => r.tnHealth === 'Delivery Unlikely' && r.spanDays >= minRunSpanDays)
+    .map(r => {
+      const ns = numSummaryMap.get(r.number);
+      const nd = numberData[r.number];
+      const accountIds = Object.entries(nd?.accountIds || {})
+        .sort((a, b) => b[1] - a[1])
+        .map(([id]) => id);
+      // Attempts are sorted by now; _lpMs is not kept on the streaming path
+      const lastAtt = nd?.attempts.length ? nd.attempts[nd.attempts.length - 1] : null;
+      return {
+        ...r,
+        totalAttempts: ns?.totalAttempts || 0,
+        successful: ns?.successful || 0,
+        successRate: ns?.successRate || 0,
+        lastAttempt: lastAtt?.ts ? new Date(lastAtt.ts) : null,
+        lastSuccess: ns?.lastSuccessTimestamp ? new Date(ns.lastSuccessTimestamp) : null,
+        accountIds
+      };
+    });
+  log(`  Found ${consecRuns.length.toLocaleString()} consecutive unsuccessful patterns (${suppressionRuns.length.toLocaleString()} Delivery Unlikely → Suppression Candidates tab)`);
+
+  // ============================================================================
+  // BUILD FIRST-SEEN COHORTS
+  // ============================================================================
+
+  log('Building first-seen month cohorts...');
+  const cohorts = buildFirstSeenCohorts(numberData, {
+    maxDate, tnHealthRules, minConsecUnsuccessful, minRunSpanDays
+  });
+  log(`  ${cohorts.rows.length} cohort(s) across ${cohorts.months.length} month(s)`);
+
+  // ============================================================================
+  // NEXT-ATTEMPT RECOMMENDATIONS (optional – gated by includeNextAttempt)
+  // ============================================================================
+
+  let nextAttempts = null;
+  if (includeNextAttempt) {
+    log('Building per-number next-attempt recommendations...');
+    nextAttempts = buildNextAttemptPlan(numberData, {
+      decayCurve, numSummaryMap,
+      suppressedNumbers: new Set(suppressionRuns.map(r => r.number)),
+      codes: RE_ATTEMPT_CODES
+    });
+    const { retry, wait, delivered, suppress } = nextAttempts.counts;
+    log(`  Retry: ${retry.toLocaleString()}, Wait: ${wait.toLocaleString()}, Delivered: ${delivered.toLocaleString()}, Suppress: ${suppress.toLocaleString()}`);
+  }
+
+  // ============================================================================
+  // A/B COMPARISON (optional – when options.abTest lists the variants)
+  // ============================================================================
+
+  let abComparison = null;
+  if (abTest) {
+    log(`Comparing ${abTest.ids.length} ${abTest.type === 'caller' ? 'caller numbers' : 'messages'} (A/B)...`);
+    abComparison = buildABComparison(numberData, abTest, abTest.type === 'caller' ? callerStats : messageStats);
+    log(`  ${abComparison.summary}`);
+  }
+
+  // Free attempt arrays – all stats now extracted, no longer needed
+  for (const num in numberData) {
+    numberData[num].attempts = null;
+  }
+
+  // ── Count unique numbers per account / message / caller ──────────────────────
+  // uniqueNumbers was tracked as a plain counter (0) during streaming to avoid
+  // large Sets.  nd.messageIds / callerNumbers / accountIds are already keyed by
+  // phone number (one entry per unique number per entity), so iterating them
+  // gives accurate unique-number counts with O(n) time and O(1) extra memory.
+  log('Counting unique numbers per account / message / caller...');
+  for (const num in numberData) {
+    const nd = numberData[num];
+    for (const msgId    in nd.messageIds)     { if (messageStats[msgId])     messageStats[msgId].uniqueNumbers++;     }
+    for (const callerNum in nd.callerNumbers) { if (callerStats[callerNum])  callerStats[callerNum].uniqueNumbers++;  }
+    for (const acctId   in nd.accountIds)     { if (accountStats[acctId])    accountStats[acctId].uniqueNumbers++;    }
+    // Free per-number dictionaries – no longer needed after this pass
+    nd.messageIds = null; nd.callerNumbers = null; nd.accountIds = null;
+  }
+  // numberData itself is no longer needed – all per-number stats are in numberSummaryArray
+  // Freeing it here recovers ~50–100 MB before Excel generation begins.
+  // (overallSuccessRate uses numberSummaryArray which is already fully built)
+  for (const num in numberData) delete numberData[num];
+
+  // ============================================================================
+  // PRE-COMPUTE FILTERED SETS (used in Executive Summary + detail tabs)
+  // Analysis always runs on ALL numbers; these subsets control what rows appear
+  // in detail tabs so that large datasets don't generate unmanageable sheets.
+  // ============================================================================
+
+  // Detail tab data – only computed when includeDetailTabs is enabled.
+  // When disabled, empty arrays are used so sheet-creation blocks (guarded by
+  // the same flag) never reference uninitialized variables.
+  const MAX_DETAIL_ROWS = 100_000;
+  const filteredHealth = includeDetailTabs
+    ? numberSummaryArray
+        .filter(ns => ns.tnHealth !== 'Healthy')   // Delivery Unlikely first, then custom tiers
+        .sort((a, b) => (a.tnHealth === 'Delivery Unlikely' ? 0 : 1) - (b.tnHealth === 'Delivery Unlikely' ? 0 : 1))
+    : [];
+
+  const filteredVariability = includeDetailTabs
+    ? numberSummaryArray
+        .filter(ns => ns.totalAttempts > 1 && ns.variabilityScore < 60)
+        .sort((a, b) => a.variabilityScore - b.variabilityScore)
+    : [];
+
+  // Number Summary tab: fail at least one criterion.
+  // Variability flag only applies to multi-attempt numbers (same reasoning as above).
+  const filteredSummary = includeDetailTabs
+    ? numberSummaryArray.filter(ns =>
+        ns.tnHealth === 'Delivery Unlikely' ||
+        (ns.totalAttempts > 1 && ns.variabilityScore < 60)
+      )
+    : [];
+
+  if (includeDetailTabs) {
+    // Capture true pre-cap counts – used in key metrics and log messages below.
+    const healthTotalCount  = filteredHealth.length;
+    const varTotalCount     = filteredVariability.length;
+    const summaryTotalCount = filteredSummary.length;
+
+    // Cap each detail tab at MAX_DETAIL_ROWS to bound ExcelJS Cell accumulation.
+    // ExcelJS holds all rows in memory as Cell objects (~3,200 bytes/row × columns).
+    // 3 tabs × 100K rows × ~3,200 bytes ≈ 960 MB – fits under the effective ~2 GB heap limit.
+    // Truncating via .length = N releases array slots above N immediately (GC-eligible).
+    if (filteredHealth.length      > MAX_DETAIL_ROWS) filteredHealth.length      = MAX_DETAIL_ROWS;
+    if (filteredVariability.length > MAX_DETAIL_ROWS) filteredVariability.length = MAX_DETAIL_ROWS;
+    if (filteredSummary.length     > MAX_DETAIL_ROWS) filteredSummary.length     = MAX_DETAIL_ROWS;
+
+    // Helper: "100,000 of 342,819 (capped at 100,000)" or just "18,432"
+    const fmtCapped = (shown, total) =>
+      total > MAX_DETAIL_ROWS
+        ? `${shown.toLocaleString()} of ${total.toLocaleString()} (capped at ${MAX_DETAIL_ROWS.toLocaleString()})`
+        : shown.toLocaleString();
+
+    log(`\nDetail tab filters (analysis ran on all ${numberSummaryArray.length.toLocaleString()} numbers):`);
+    log(`  TN Health tab:          ${fmtCapped(filteredHealth.length, healthTotalCount)} numbers (${['Delivery Unlikely', ...tnHealthRules.tiers.map(t => t.name)].join(', ')})`);
+    log(`  Variability tab:        ${fmtCapped(filteredVariability.length, varTotalCount)} numbers (score < 60)`);
+    log(`  Number Summary tab:     ${fmtCapped(filteredSummary.length, summaryTotalCount)} numbers (any flag)`);
+  }
+
+  // ============================================================================
+  // PRE-COMPUTE ALL METRICS THAT NEED THE FULL numberSummaryArray, THEN FREE IT
+  // ============================================================================
+  // Do this in one single pass to avoid multiple scans over potentially 1M+ objects,
+  // then immediately release the large array so GC can recover memory before ExcelJS
+  // starts building the workbook (which can peak at 1-2 GB of XML/buffer data).
+  log('Pre-computing aggregates from full number set...');
+  const totalUniqueInSummary = numberSummaryArray.length;
+  let _totalAttempts = 0, _totalSuccess = 0, _sumVariability = 0;
+  let _backToBackIssueCount = 0, _lowDayVarietyCount = 0, _flaggedCount = 0;
+  let _streak2 = 0, _streak3 = 0, _streak4 = 0, _streak5plus = 0;
+  let _staleWarmCount = 0;
+  let _impliedRemovedCount = 0;
+  const _maxMs = maxDate ? maxDate.getTime() : null;
+  const _thirtyDaysMs = 30 * 24 * 60 * 60 * 1000;
+  // Implied-removal window: use the median cadence so the bar is "one normal retry interval".
+  // Fall back to 7 days if cadence data isn't available (single-touch-only dataset).
+  const _cadWinMs = cadenceOverallMedian
+    ? cadenceOverallMedian * 24 * 60 * 60 * 1000
+    : 7 * 24 * 60 * 60 * 1000;
+
+  for (const ns of numberSummaryArray) {
+    _totalAttempts        += ns.totalAttempts;
+    _totalSuccess         += ns.successful;   // stored as 'successful' in the push, not 'successCount'
+    _sumVariability       += ns.variabilityScore;
+    if (ns.backToBackIdentical > 2) _backToBackIssueCount++;
+    if (ns.dayEntropy < 0.3 && ns.totalAttempts > 2) _lowDayVarietyCount++;
+    // Count flagged numbers for exec summary metrics (always needed, even when detail tabs are off)
+    if (ns.tnHealth === 'Delivery Unlikely' ||
+        (ns.totalAttempts > 1 && ns.variabilityScore < 60)) _flaggedCount++;
+    // Streak buckets
+    if (ns.maxSameStreak >= 2) _streak2++;
+    if (ns.maxSameStreak >= 3) _streak3++;
+    if (ns.maxSameStreak >= 4) _streak4++;
+    if (ns.maxSameStreak >= 5) _streak5plus++;
+    // Stale warm: had at least one successful delivery AND last attempt was 30+ days before maxDate
+    if (ns.successful > 0 && _maxMs && ns.lastAttemptMs &&
+        (_maxMs - ns.lastAttemptMs) >= _thirtyDaysMs) {
+      _staleWarmCount++;
+    }
+    // Implied removed after delivery: the number had at least one successful delivery,
+    // its current consecutive-failure streak is 0 (meaning the LAST attempt was a delivery),
+    // AND at least one full cadence window has elapsed since that last delivery without
+    // a follow-up attempt — strongly suggesting the number was removed from the calling
+    // list after it was successfully reached (a common post-delivery suppression signal).
+    if (
+      ns.successful > 0 &&
+      ns.consecutiveFailures === 0 &&
+      ns.lastSuccessTimestamp &&
+      _maxMs && (_maxMs - ns.lastSuccessTimestamp) >= _cadWinMs
+    ) {
+      _impliedRemovedCount++;
+    }
+  }
+  const staleWarmCount      = _staleWarmCount;
+  const impliedRemovedCount = _impliedRemovedCount;
+  const streak2 = _streak2, streak3 = _streak3, streak4 = _streak4, streak5plus = _streak5plus;
+  const totalAttempts      = _totalAttempts;
+  const avgVariability     = totalUniqueInSummary > 0 ? _sumVariability / totalUniqueInSummary : 0;
+  const overallSuccessRate = _totalAttempts > 0 ? (_totalSuccess / _totalAttempts * 100) : 0;
+  const backToBackIssues   = _backToBackIssueCount;
+  const lowDayVariety      = _lowDayVarietyCount;
+  const flaggedCount       = _flaggedCount;  // pre-cap – reflects all flagged numbers, not just the capped subset written to Excel
+  const flaggedPct         = totalUniqueInSummary > 0 ? (flaggedCount / totalUniqueInSummary * 100) : 0;
+
+  // Release unflagged ns objects – filteredX arrays keep flagged ones alive;
+  // Healthy/high-variability entries not in any tab become GC-eligible here.
+  numSummaryMap.clear();
+  numberSummaryArray.length = 0;
+  log(`  Released ${(totalUniqueInSummary - flaggedCount).toLocaleString()} unflagged number entries from memory`);
+
+  // ── Pre-computed summary values used in both Excel and PPTX ─────────────────
+  const agentHoursSaved = Math.round(_totalSuccess * 3 / 60);
+
+  // ── Caller number reputation (weekly trend + sudden-drop alerts) ────────────
+  log('Scoring caller number reputation...');
+  const callerReputation = buildCallerReputation(callerWeekly, callerStats, {
+    overallRate: _totalAttempts > 0 ? _totalSuccess / _totalAttempts : null,
+    maxDate
+  });
+  log(`  ${callerReputation.callers.length} caller number(s), ${callerReputation.alerts.length} reputation alert(s)`);
+
+  // Best Next Action – single highest-impact recommendation
+  const _cadTotalBNA = cadenceSingleTouch + cadenceMultiTouchCount;
+  const _stPctBNA    = _cadTotalBNA > 0 ? cadenceSingleTouch / _cadTotalBNA : 0;
+  const _longCadPct  = cadenceMultiTouchCount > 0 ? (cadenceBucket_over30 + cadenceBucket_16to30) / cadenceMultiTouchCount : 0;
+  let bestNextAction;
+  if (_stPctBNA >= 0.4) {
+    bestNextAction = `${cadenceSingleTouch.toLocaleString()} numbers (${(_stPctBNA * 100).toFixed(0)}% of the list) received only one DDVM during this period. Scheduling a follow-up campaign at a 3–10 day interval is the single highest-impact next step – consumers who didn't act on the first touch often engage on the second or third. This is existing-list volume with no new sourcing required.`;
+  } else if (staleWarmCount > 0 && staleWarmCount >= uniqueNumbers * 0.1) {
+    bestNextAction = `${staleWarmCount.toLocaleString()} numbers (${(staleWarmCount / Math.max(uniqueNumbers, 1) * 100).toFixed(0)}% of the list) previously received a successful DDVM but haven't been contacted in 30+ days. These are confirmed-reachable numbers – low-hanging fruit for re-engagement. A follow-up campaign here has a strong baseline delivery probability, subject to applicable compliance requirements.`;
+  } else if (_stPctBNA >= 0.2) {
+    bestNextAction = `${cadenceSingleTouch.toLocaleString()} numbers (${(_stPctBNA * 100).toFixed(0)}%) were contacted only once. Adding a follow-up campaign at a 3–10 day interval would put additional touches on a meaningful portion of the list – typically the easiest place to find incremental results without expanding the contact pool.`;
+  } else if (_longCadPct > 0.3) {
+    const _longCount = cadenceBucket_over30 + cadenceBucket_16to30;
+    bestNextAction = `${_longCount.toLocaleString()} re-attempted numbers are on a 16+ day cadence. Tightening to the 3–10 day ideal keeps outreach timely and relevant – consumers are more likely to respond when the next touch arrives before their situation changes.`;
+  } else if (overallSuccessRate >= 70) {
+    bestNextAction = `Campaign is delivering at ${overallSuccessRate.toFixed(1)}% – well above the industry midpoint. This is a strong foundation for expanding outreach: adding more numbers or increasing frequency on the existing list should yield proportional returns with low risk.`;
+  } else {
+    bestNextAction = `Focus next on the ${healthyCount.toLocaleString()} numbers (${(healthyCount / Math.max(uniqueNumbers, 1) * 100).toFixed(0)}%) currently connecting well. Concentrating volume on this reachable segment while monitoring the rest will improve overall campaign efficiency and ROI.`;
+  }
+
+  // ── Recommended actions (Executive Summary + Business Review) ───────────────
+  const actions = [];
+
+  if (toxicCount > 0) {
+    actions.push('LIST QUALITY: Consider reviewing numbers with 4–6+ consecutive unsuccessful deliveries over a span of 30+ days. Numbers that have not connected after sustained attempts are unlikely to connect going forward – focusing future campaigns on the reachable segment concentrates spend where it produces results. The Suppression Candidates tab has this list ready to review.');
+  }
+  if (avgVariability < 40) {
+    actions.push(`MESSAGE DIVERSITY: Variability score of ${avgVariability.toFixed(0)} suggests the same recordings are being used frequently on the same numbers. Introducing additional message recordings and rotating them across attempts tends to improve engagement – consumers are more likely to listen when each contact feels distinct. See Variability Analysis for numbers where this will have the most impact.`);
+  }
+
+  // Check for back-to-back issues (backToBackIssues pre-computed above)
+  if (backToBackIssues > uniqueNumbers * 0.1) {
+    actions.push(`MESSAGE ROTATION: ${backToBackIssues.toLocaleString()} numbers received the same message on consecutive attempts. Varying the recording each time a number is re-attempted keeps the outreach feeling fresh and increases the chance the consumer engages rather than dismisses it.`);
+  }
+
+  // Check day distribution (lowDayVariety pre-computed above)
+  if (lowDayVariety > uniqueNumbers * 0.2) {
+    actions.push(`DAY ROTATION: A portion of numbers are being contacted on the same day pattern each week. Consumers who receive outreach on a predictable day begin to mentally categorize it as routine, which reduces engagement. Spreading attempts across additional days keeps the contact feeling timely and relevant. See "Global Insights (Days)" for specifics.`);
+  }
+
+  // Add day-of-week recommendations for accounts/messages
+  if (accountDayRecommendations.length > 0) {
+    actions.push(`DAY ROTATION: ${accountDayRecommendations.length} account(s) are using a limited set of delivery days. Expanding to additional days of the week is a low-effort change that can meaningfully improve engagement rates. See "Global Insights (Days)" for details.`);
+  }
+  if (messageDayRecommendations.length > 0) {
+    actions.push(`DAY ROTATION: ${messageDayRecommendations.length} message(s) are being used on a limited set of days. Rotating delivery days for these messages will help avoid the predictable-pattern effect. See "Global Insights (Days)" for details.`);
+  }
+
+  // Check for aggressive re-attempt cadence
+  if (cadenceMultiTouchCount > 0) {
+    if (cadenceBucket_sameDay > cadenceMultiTouchCount * 0.1) {
+      actions.push(`CADENCE: ${cadenceBucket_sameDay.toLocaleString()} numbers (${(cadenceBucket_sameDay / cadenceMultiTouchCount * 100).toFixed(0)}% of re-attempted) are being contacted multiple times on the same calendar day. Same-day re-attempts rarely produce additional successful deliveries and may indicate a campaign configuration issue worth reviewing.`);
+    }
+    if (cadenceBucket_1to2 > cadenceMultiTouchCount * 0.2) {
+      actions.push(`CADENCE: A significant share of re-attempts are occurring within 1–2 days of a prior successful delivery. Consumers need time to act on a message – re-contacting too quickly after a successful drop reduces the likelihood they respond and can diminish the impact of future attempts. A 3–10 day interval after a successful delivery gives the message time to work.`);
+    }
+  }
+
+  // Check for aggressive re-attempt cadence
+  if (cadenceMultiTouchCount > 0) {
+    if (cadenceBucket_sameDay > cadenceMultiTouchCount * 0.1) {
+      actions.push(`CADENCE: ${cadenceBucket_sameDay.toLocaleString()} numbers (${(cadenceBucket_sameDay / cadenceMultiTouchCount * 100).toFixed(0)}% of re-attempted) are being contacted multiple times on the same day. Same-day re-attempts are rarely effective and may indicate a campaign configuration issue.`);
+    }
+    if (cadenceBucket_1to2 > cadenceMultiTouchCount * 0.2) {
+      actions.push(`CADENCE: ${cadenceBucket_1to2.toLocaleString()} numbers (${(cadenceBucket_1to2 / cadenceMultiTouchCount * 100).toFixed(0)}% of re-attempted) are being re-attempted within 1–2 days. Next-day re-attempts do not give consumers adequate time to respond and accelerate list fatigue – a minimum 6–10 day interval is recommended.`);
+    }
+  }
+
+  // Caller numbers whose reputation is slipping – rotate before carriers block them outright
+  if (callerReputation.alerts.length > 0) {
+    const dropCount = callerReputation.alerts.filter(a => a.type === 'drop').length;
+    actions.push(`CALLER ROTATION: ${callerReputation.alerts.length} caller number(s) show a slipping reputation` +
+      (dropCount > 0 ? `, ${dropCount} with a sudden drop in weekly success rate that typically means carriers have started flagging the number` : '') +
+      `. Rotating these to fresh caller numbers (and spreading volume across more numbers) protects delivery on future campaigns. See Caller Number Reputation in the Executive Summary for each number.`);
+  }
+
+  // Add timezone discrepancy warning
+  if (timezoneDiscrepancies.length > 0) {
+    actions.push(`REPORTING ACCURACY: ${timezoneDiscrepancies.length} account(s) have timezone mismatches between account settings and results. Enabling "Use account timezone in results file" in DirectDrop Voicemail account settings will ensure timestamps and day-of-week analysis in this report reflect the correct local time for each account.`);
+  }
+
+  // Add config error warnings
+  if (configErrors['invalid message id'].total > 0) {
+    actions.push(`CONFIGURATION: ${configErrors['invalid message id'].total.toLocaleString()} attempts could not be delivered due to an invalid message ID – these represent campaign spend with no delivery outcome. Verifying message IDs in the campaign configuration will recover this capacity for productive attempts. See the Executive Summary config error section for a breakdown by caller number.`);
+  }
+  if (configErrors['invalid caller number'].total > 0) {
+    actions.push(`CONFIGURATION: ${configErrors['invalid caller number'].total.toLocaleString()} attempts could not be delivered due to an invalid caller number. Confirming that all caller numbers are active and correctly configured in the account will ensure these attempts reach consumers on future campaigns.`);
+  }
+  if (configErrors['prohibited self call'].total > 0) {
+    actions.push(`CONFIGURATION: ${configErrors['prohibited self call'].total.toLocaleString()} attempts were blocked because the caller number matched the destination number. Reviewing the campaign contact list for numbers that match any active caller IDs will prevent these from being skipped.`);
+  }
+
+  if (actions.length === 0) {
+    actions.push('Campaign performance looks strong. Delivery rates, list health, and rotation patterns are all within recommended ranges – continue monitoring regularly to maintain this level of performance.');
+  }
+
+  // ============================================================================
+  // ANALYSIS RESULT
+  // ============================================================================
+  // Plain data only – no Dates, Maps or typed arrays – so the result can cross a
+  // worker boundary or be written as JSON, and every renderer sees the same values.
+  const toIso = d => (d && !isNaN(d.getTime()) ? d.toISOString() : null);
+  // Every reported rate carries its 95% interval and whether it is above / below the overall rate
+  const overallRate = totalAttempts > 0 ? _totalSuccess / totalAttempts : null;
+  const withInterval = s => ({ ...s, ...rateWithInterval(s.successful, s.total, overallRate) });
+  const withDayPattern = s => ({
+    ...withInterval(s),
+    dayOfWeekCounts: Array.from(s.dayOfWeekCounts),
+    hourDayAttempts: Array.from(s.hourDayAttempts),
+    hourDaySuccesses: Array.from(s.hourDaySuccesses),
+    dayPattern: getDayUsagePattern(s.dayOfWeekCounts),
+    sendWindow: recommendSendWindow(s.hourDayAttempts, s.hourDaySuccesses)
+  });
+
+  return {
+    version: VERSION,
+    settings: { minConsecUnsuccessful, minRunSpanDays, userTimezone, userTimezoneLabel, tnHealthRules, listGradeRubric },
+    totals: {
+      totalRecords: totalValidRows,
+      uniqueNumbers,
+      totalUniqueInSummary,
+      totalAttempts,
+      totalSuccess: _totalSuccess,
+      overallSuccessRate,
+      avgVariability,
+      agentHoursSaved,
+      staleWarmCount,
+      impliedRemovedCount
+    },
+    dateRange: { min: toIso(minDate), max: toIso(maxDate) },
+    timezone: { detected: detectedTimezone, discrepancies: timezoneDiscrepancies },
+    health: {
+      healthyCount, toxicCount, neverDeliveredCount,
+      healthyPct, toxicPct, neverDeliveredPct,
+      tiers: healthTiers,
+      listGrade, flaggedCount, flaggedPct,
+      listScore: listQuality.score,
+      listScoreFactors: listQuality.factors,
+      nextGrade: listQuality.nextGrade
+    },
+    variability: { streak2, streak3, streak4, streak5plus, backToBackIssues, lowDayVariety },
+    decayCurve,
+    cohorts,
+    cadence: {
+      cadenceMultiTouchCount,
+      cadenceSingleTouch,
+      cadenceBucket_sameDay,
+      cadenceBucket_1to2,
+      cadenceBucket_3to5,
+      cadenceBucket_6to10,
+      cadenceBucket_11to15,
+      cadenceBucket_16to30,
+      cadenceBucket_over30,
+      cadenceOverallMedian
+    },
+    nonDeliverable: { counts: nonDeliverableCounts, notUSPlaceholderRows },
+    configErrors,
+    dayOfWeek: Array.from({ length: 7 }, (_, d) => withInterval(globalDayStats[d])),
+    hourOfDay: Array.from({ length: 24 }, (_, h) => withInterval(globalHourlyStats[h])),
+    hourDay: {
+      attempts: Array.from(globalHourDay.hourDayAttempts),
+      successes: Array.from(globalHourDay.hourDaySuccesses),
+      sendWindow: recommendSendWindow(globalHourDay.hourDayAttempts, globalHourDay.hourDaySuccesses)
+    },
+    dailyStats,
+    accounts: Object.values(accountStats).map(withDayPattern),
+    messages: Object.values(messageStats).map(withDayPattern).sort((a, b) => b.total - a.total),
+    callers: Object.values(callerStats).map(withDayPattern).sort((a, b) => b.total - a.total),
+    callerReputation,
+    dayRecommendations: { accounts: accountDayRecommendations, messages: messageDayRecommendations },
+    suppressionRuns: suppressionRuns.map(r => ({
+      ...r,
+      runStart: toIso(r.runStart), runEnd: toIso(r.runEnd),
+      lastAttempt: toIso(r.lastAttempt), lastSuccess: toIso(r.lastSuccess)
+    })),
+    suppressionCandidateCount: new Set(suppressionRuns.map(r => r.number)).size,
+    detail: includeDetailTabs
+      ? { maxRows: MAX_DETAIL_ROWS, health: filteredHealth, variability: filteredVariability, summary: filteredSummary }
+      : null,
+    reAttempt: reAttemptData,
+    nextAttempts,
+    abTest: abComparison,
+    recommendations: { actions, bestNextAction }
+  };
+}
+
+module.exports = {
+  computeTrendMetrics, inferMessageIntent, classifyTNHealth, normalizeTNHealthRules, DEFAULT_TN_HEALTH_RULES,
+  describeTNHealthRules, isDefaultDeliveryUnlikely, calculateListGrade, scoreListQuality, normalizeListGradeRubric,
+  describeGradeGap, wilsonInterval, rateVsBaseline, normalCdf, normalizeABTest,
+  DEFAULT_LIST_GRADE_RUBRIC, bucketDailyStats, buildFirstSeenCohorts, recommendSendWindow, buildCallerReputation,
+  buildNextAttemptPlan
+};